@@ -5,28 +5,50 @@ const express = require("express");
 const axios = require("axios");
 const path = require("path");
 const session = require("express-session");
-const PDFDocument = require("pdfkit");
-const fs = require("fs");
-const crypto = require("crypto");
-const { addRectification, addLoginAudit, PDF_DIR } = require("./utils/adminStore");
-const { createClient } = require("@supabase/supabase-js");
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY,
-  { auth: { persistSession: false } }
-);
-
+const { addRectification, addLoginAudit, resolvePdfPath } = require("./utils/adminStore");
+const { STATUS } = require("./utils/rectificationStatus");
+const { solveSchedule } = require("./utils/scheduleSolver");
+const { normalizePreferences, hasPreferences } = require("./utils/schedulePreferences");
+const { CHANGE_TYPE, CHANGE_TYPE_LABELS, normalizeChanges, summarizeCredits } = require("./utils/rectificationChanges");
+const { validateRectification } = require("./utils/rectificationValidation");
+const { loadPolicyConfig, resolvePolicy, evaluatePolicy } = require("./utils/rectificationPolicy");
+const { holdSeat, releaseHolds, reserveSeats, heldByGroup, applyHolds, startHoldSweeper } = require("./utils/seatHolds");
+const {
+  WAITLIST_STATUS_LABELS,
+  joinWaitlist,
+  leaveWaitlist,
+  studentEntries,
+  acceptOffer,
+  startOfferSweeper,
+} = require("./utils/waitlist");
+const { sendMail } = require("./utils/mailer");
+const { startOutboxWorker } = require("./utils/mailOutbox");
+const { createCache, secondsFromEnv } = require("./utils/upstreamCache");
+const { createUpstreamClient, isUnavailableError } = require("./utils/upstreamClient");
+const { WINDOW_STATE, checkWindow } = require("./utils/rectificationWindows");
+const {
+  normalizePeriodId,
+  formatPeriodLabel,
+  getPeriod,
+  activePeriods,
+  findActivePeriod,
+} = require("./utils/periods");
+const { saveDraft, getDraft, markDraftSubmitted } = require("./utils/drafts");
+const { nextSubmission, recordVersion, findByVerificationCode } = require("./utils/rectificationVersions");
+const {
+  generateVerificationCode,
+  normalizeVerificationCode,
+  formatVerificationCode,
+  isSignatureValid,
+  verificationUrl,
+  qrPng,
+  verificationRecord,
+} = require("./utils/documentVerification");
+const { renderRectificationPdf, pdfFileName, savePdf } = require("./utils/rectificationPdf");
+const { studentCertificate, certificateByToken } = require("./utils/rectificationCertificate");
+const { EMAIL_EVENT, notifyStudent } = require("./utils/studentEmails");
+const store = require("./utils/store");
 
-// Optional require for nodemailer
-let nodemailer = null;
-try {
-  nodemailer = require("nodemailer");
-} catch (e) {
-  console.warn(
-    "'nodemailer' is not installed. Emails will be skipped. Run `npm i nodemailer` to enable emailing."
-  );
-}
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -37,12 +59,47 @@ const DATA_URL = process.env.DATA_BASE_URL;   // e.g. http://37.60.229.241:8085/
 const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
 const ADMIN_PASS = process.env.ADMIN_PASS;
 const AI_BASE_URL = process.env.AI_BASE_URL || "http://127.0.0.1:5055";
-// ✅ Current period (latest)
-const CURRENT_PERIOD_ID = String(process.env.CURRENT_PERIOD_ID || "20261").replace(/[^0-9]/g, "");
 
+// ✅ Upstream caches shared by every request (TTL + stale-while-revalidate)
+// schedule-available: per student + period; course-number-enrolled: per period + course (holds applied after)
+const scheduleCache = createCache({
+  name: "schedule-available",
+  ttlMs: secondsFromEnv("SCHEDULE_CACHE_TTL_SECONDS", 120) * 1000,
+  staleMs: secondsFromEnv("SCHEDULE_CACHE_STALE_SECONDS", 600) * 1000,
+});
+const vacancyCache = createCache({
+  name: "course-number-enrolled",
+  ttlMs: secondsFromEnv("VACANCY_CACHE_TTL_SECONDS", 20) * 1000,
+  staleMs: secondsFromEnv("VACANCY_CACHE_STALE_SECONDS", 60) * 1000,
+});
+
+// ✅ University API client (timeouts, retries for reads, circuit breaker)
+const upstream = createUpstreamClient();
+
+const UPSTREAM_UNAVAILABLE_MESSAGE =
+  "El sistema de la universidad no está disponible en este momento. Intenta nuevamente en unos minutos.";
 
-// Logo path (for PDF)
-const LOGO_PATH = path.join(__dirname, "public", "images", "logo.png");
+// Student-facing login errors
+const LOGIN_ERROR = {
+  UNAVAILABLE: UPSTREAM_UNAVAILABLE_MESSAGE,
+  CREDENTIALS: "Código o DNI incorrectos. Revisa tus datos e inténtalo nuevamente.",
+  GENERIC: "No pudimos obtener tus datos del sistema de la universidad. Si el problema continúa, contacta con soporte.",
+};
+
+function loginErrorMessage(err) {
+  if (isUnavailableError(err)) return LOGIN_ERROR.UNAVAILABLE;
+  const st = err?.response?.status;
+  if (err?.upstream?.endpoint === "login-alumno" && st >= 400 && st < 500) return LOGIN_ERROR.CREDENTIALS;
+  return LOGIN_ERROR.GENERIC;
+}
+
+// AJAX: 503 + student message when the university API is down, 500 otherwise
+function sendUpstreamError(res, e, error, extra = {}) {
+  if (isUnavailableError(e)) {
+    return res.status(503).json({ ...extra, error: "upstream_unavailable", message: UPSTREAM_UNAVAILABLE_MESSAGE });
+  }
+  return res.status(500).json({ ...extra, error });
+}
 
 // Boleta verification endpoint (rectification payments)
 const BOLETA_URL =
@@ -58,6 +115,8 @@ app.use((req, res, next) => {
   res.locals.done = false;
   res.locals.doneMessage = null;
   res.locals.doneData = null;
+  res.locals.windowOpensAt = null;
+  res.locals.draft = null;
   next();
 });
 
@@ -81,60 +140,6 @@ const adminRoutes = require("./routes/admin");
 app.use("/admin", adminRoutes);
 
 
-// Mail transport (no-reply)
-const FROM_EMAIL =
-  process.env.FROM_EMAIL || process.env.SMTP_USER || "noreply@uma.edu.pe";
-
-// ✅ Normalize env vars properly + give a safe default host for Microsoft 365
-const SMTP_HOST = process.env.SMTP_HOST || "smtp.office365.com";
-const SMTP_PORT = Number(process.env.SMTP_PORT || 587);
-const SMTP_SECURE = String(process.env.SMTP_SECURE || "false").toLowerCase() === "true";
-
-// Build transporter only if nodemailer + creds exist
-const mailer =
-  nodemailer &&
-  process.env.SMTP_USER &&
-  process.env.SMTP_PASS &&
-  nodemailer.createTransport({
-    host: SMTP_HOST,
-    port: SMTP_PORT,
-    secure: SMTP_SECURE,     // ✅ boolean
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
-    },
-
-    // ✅ Office365 on 587 uses STARTTLS
-    requireTLS: true,
-    tls: { minVersion: "TLSv1.2" },
-
-    // ✅ prevent long hangs
-    connectionTimeout: 20000,
-    greetingTimeout: 20000,
-    socketTimeout: 20000,
-  });
-
-if (mailer) {
-  console.log(
-    "SMTP settings",
-    JSON.stringify({
-      host: process.env.SMTP_HOST,
-      port: process.env.SMTP_PORT,
-      secure: String(process.env.SMTP_SECURE),
-      from: FROM_EMAIL,
-    })
-  );
-
-  const shouldVerify = process.env.SMTP_VERIFY_ON_BOOT === "true";
-  if (shouldVerify) {
-    mailer.verify((err) => {
-      if (err) console.error("SMTP verify failed:", err.message);
-      else console.log("SMTP verify OK. From:", FROM_EMAIL);
-    });
-  } else {
-    console.log("SMTP verify skipped (set SMTP_VERIFY_ON_BOOT=true to enable)");
-  }
-}
 
 
 // Helpers
@@ -148,19 +153,7 @@ function jsonHeaders(token) {
 }
 
 async function upsertPortalState({ period_id, student_code, boleta_number, dni_last4 }) {
-  const payload = {
-    period_id,
-    student_code,
-    boleta_number: boleta_number || null,
-    dni_last4: dni_last4 || null,
-    // ❌ do NOT send first_login_at here (avoid overwriting on every login)
-  };
-
-  const { error } = await supabase
-    .from("portal_state")
-    .upsert(payload, { onConflict: "period_id,student_code" });
-
-  if (error) throw error;
+  await store.portalState.upsert({ period_id, student_code, boleta_number, dni_last4 });
 }
 
 function getClientIp(req) {
@@ -177,42 +170,27 @@ function getClientIp(req) {
 
 
 async function getPortalState(period_id, student_code) {
-  const { data, error } = await supabase
-    .from("portal_state")
-    .select("status,message,final_data")
-    .eq("period_id", period_id)
-    .eq("student_code", student_code)
-    .single();
-
-  // If no row exists, return null
-  if (error && String(error.code) === "PGRST116") return null;
-  if (error) throw error;
-  return data;
+  // If no row exists, returns null
+  return store.portalState.get(period_id, student_code);
 }
 
 async function markPortalDone({ period_id, student_code, message, final_data }) {
-  const patch = {
-    status: "DONE",
-    message: message || null,
-    final_data: final_data || {},
-    done_at: new Date().toISOString(),
-  };
-
-  const { error } = await supabase
-    .from("portal_state")
-    .update(patch)
-    .eq("period_id", period_id)
-    .eq("student_code", student_code);
+  await store.portalState.markDone({ period_id, student_code, message, final_data });
+}
 
-  if (error) throw error;
+// Published approval certificate of a DONE student => { reference, url } for the login page (null when none)
+async function doneCertificate(period_id, student_code) {
+  try {
+    const c = await studentCertificate(period_id, student_code);
+    return c ? { reference: c.reference_number, url: `/constancia/${c.download_token}` } : null;
+  } catch (e) {
+    console.warn("Certificate lookup failed:", student_code, e.message);
+    return null;
+  }
 }
 
 async function upsertRectificationRequest(row) {
-  const { error } = await supabase
-    .from("rectification_requests")
-    .upsert(row, { onConflict: "period_id,student_code" });
-
-  if (error) throw error;
+  return store.rectifications.upsert(row);
 }
 
 
@@ -221,9 +199,11 @@ function log(label, url, body) {
   console.log(`\n${label}\nURL: ${url}\nBODY: ${JSON.stringify(body)}`);
 }
 
-function fmtPeriod(p) {
-  const s = String(p || "");
-  return s.length === 5 ? `${s.slice(0, 4)}-${s.slice(4)}` : s;
+const fmtPeriod = formatPeriodLabel;
+
+// ✅ Registry period the student logged in with (set by /login)
+function sessionPeriodId(req) {
+  return normalizePeriodId(req.session?.periodId || req.session?.profile?.period);
 }
 
 function dayNameFromNumber(n) {
@@ -309,24 +289,6 @@ function canonicalDayName(s) {
   return map[k] || (s || "—");
 }
 
-function parseTimeRange(range) {
-  const m = String(range || "").match(
-    /(\d{1,2}):(\d{2}).*?(\d{1,2}):(\d{2})/
-  );
-  if (!m) return null;
-  const a = +m[1] * 60 + +m[2];
-  const b = +m[3] * 60 + +m[4];
-  return a <= b ? { start: a, end: b } : { start: b, end: a };
-}
-
-function rangesOverlap(a, b) {
-  return a && b && a.start < b.end && b.start < a.end;
-}
-
-function sameDayKey(d) {
-  return stripAcc(String(d || "")).toLowerCase();
-}
-
 function normalizePeriodDigits(p) {
   return String(p || "").replace(/[^0-9]/g, "");
 }
@@ -380,16 +342,17 @@ function periodCandidates(rawPeriod) {
   return out.filter((v, i, arr) => arr.findIndex(x => x === v) === i);
 }
 
+// grupoa endpoints are reads => retried on transient failures
 async function postAdmin(req, url, body) {
   let tok = await ensureAdminToken(req);
   try {
-    return await axios.post(url, body, jsonHeaders(tok));
+    return await upstream.post(url, body, { token: tok, idempotent: true });
   } catch (e) {
     const st = e?.response?.status;
     if (st === 401 || st === 403) {
       req.session.adminToken = null;
       tok = await ensureAdminToken(req);
-      return await axios.post(url, body, jsonHeaders(tok));
+      return await upstream.post(url, body, { token: tok, idempotent: true });
     }
     throw e;
   }
@@ -441,11 +404,7 @@ async function ensureAdminToken(req) {
     password: "***",
   });
 
-  const admin = await axios.post(
-    adminLoginUrl,
-    { email: ADMIN_EMAIL, password: ADMIN_PASS },
-    jsonHeaders()
-  );
+  const admin = await upstream.post(adminLoginUrl, { email: ADMIN_EMAIL, password: ADMIN_PASS });
 
   adminToken = admin.data && admin.data.access_token;
   if (!adminToken) throw new Error("Admin login failed (no token).");
@@ -472,7 +431,11 @@ async function autoVerifyBoletaForStudent(req) {
   // ensure admin token
   await ensureAdminToken(req);
 
-  const rawPeriod = CURRENT_PERIOD_ID; // ✅ always verify against latest period
+  const rawPeriod = sessionPeriodId(req); // ✅ the student's (active) period
+
+  // ✅ Periods configured without boleta => nothing to verify
+  const period = await getPeriod(rawPeriod);
+  if (period && !period.settings.boletaRequired) return { ok: true, ticket: null };
 
   const periodDigits = normalizePeriodDigits(rawPeriod);
   if (!periodDigits) return { ok: false, ticket: null };
@@ -489,7 +452,7 @@ async function autoVerifyBoletaForStudent(req) {
   const rows = extractArrayFromApi(resp.data || {});
   if (!Array.isArray(rows) || rows.length === 0) return { ok: false, ticket: null };
 
-  const myPeriod = normalizeIdKey(CURRENT_PERIOD_ID);
+  const myPeriod = normalizeIdKey(rawPeriod);
 
   const myCode = normalizeIdKey(student.codigo);
   const myDni = normalizeIdKey(profile.dni || student.dni || "");
@@ -575,24 +538,42 @@ function normalizeCourseNumberRows(rows) {
 
 /**
  * ✅ Build a quick map by group for merging into /available results
+ * fresh: skip the cache (/confirm checks seats against the live numbers)
  */
-async function getVacancyMapForCourse(req, period, courseCode) {
+async function getVacancyMapForCourse(req, period, courseCode, { fresh = false } = {}) {
   const url = DATA_URL + "/course-number-enrolled";
   const rawPeriod = String(period || "");
   const courseCodeClean = String(courseCode || "").trim();
 
-  const resp = await postAdminWithPeriodFallback(
-    req,
-    url,
-    { courseCode: courseCodeClean },
-    rawPeriod,
-    "Fetch vacancies (admin)"
+  const upstreamRows = await vacancyCache.get(
+    `${rawPeriod.replace(/[^0-9]/g, "")}|${norm(courseCodeClean)}`,
+    async () => {
+      const resp = await postAdminWithPeriodFallback(
+        req,
+        url,
+        { courseCode: courseCodeClean },
+        rawPeriod,
+        "Fetch vacancies (admin)"
+      );
+      return normalizeCourseNumberRows(extractArrayFromApi(resp.data || {}));
+    },
+    { fresh }
   );
 
-  const payload = resp.data || {};
-  const rows = extractArrayFromApi(payload);
+  // Cached rows are shared => work on a copy
+  const normalized = structuredClone(upstreamRows);
 
-  const normalized = normalizeCourseNumberRows(rows);
+  // ✅ Seats held / reserved by other students' pending rectifications
+  try {
+    const held = await heldByGroup({
+      period_id: sessionPeriodId(req),
+      course_code: courseCodeClean,
+      exceptStudent: req.session?.student?.codigo || null,
+    });
+    applyHolds(normalized, held);
+  } catch (e) {
+    console.warn("Seat holds lookup failed:", courseCodeClean, e.message);
+  }
 
   const map = {};
   normalized.forEach((x) => {
@@ -604,6 +585,64 @@ async function getVacancyMapForCourse(req, period, courseCode) {
   return { normalized, map };
 }
 
+/**
+ * ✅ Vacancy maps for several courses at once (parallel, one cached lookup per course).
+ * A failed course => {} (seats unknown). Returns { COURSE: map }
+ */
+async function getVacancyMaps(req, period, codes, { fresh = false } = {}) {
+  const unique = [...new Set((codes || []).filter(Boolean))];
+  const maps = await Promise.all(
+    unique.map((code) =>
+      getVacancyMapForCourse(req, period, code, { fresh })
+        .then((r) => r.map)
+        .catch((e) => {
+          console.warn("Vacancy lookup failed:", code, e?.response?.data || e.message);
+          return {};
+        })
+    )
+  );
+  return Object.fromEntries(unique.map((code, i) => [code, maps[i]]));
+}
+
+// flattenAvailable rows + vacancy map => rows with seats (rows without a record stay as they are)
+function mergeVacancies(rows, map) {
+  return rows.map((g) => {
+    const rec = map && map[norm(g.groupCode)];
+    if (!rec) return g;
+    return {
+      ...g,
+      number_enrolled: rec.number_enrolled,
+      total_vacations: rec.total_vacations,
+      vacancies_left: rec.vacancies_left,
+      is_full: rec.is_full,
+      held_seats: rec.held_seats || 0,
+    };
+  });
+}
+
+/**
+ * ✅ schedule-available of the session student => courses map (cached per student + period).
+ * Returns a copy (callers may reshape it freely).
+ */
+async function fetchScheduleAvailable(req, period, { label = "Schedule available", fresh = false } = {}) {
+  const s = req.session.student;
+  const body = { codigo: s.codigo, period: period || undefined };
+  if (s.dni) body.dni = s.dni;
+
+  const coursesMap = await scheduleCache.get(
+    `${s.codigo}|${String(period || "")}`,
+    async () => {
+      const saUrl = LOGIN_URL + "/student/schedule-available";
+      log(label, saUrl, body);
+      const sa = await upstream.post(saUrl, body, { token: s.token, idempotent: true });
+      const root = (sa.data && sa.data.data) || sa.data;
+      return extractCoursesMap(root);
+    },
+    { fresh }
+  );
+  return structuredClone(coursesMap);
+}
+
 
 // Extract the courses map from API payload
 function extractCoursesMap(root) {
@@ -661,6 +700,7 @@ function flattenAvailable(coursesMap) {
     const courseObj = coursesMap[code] || {};
     const name = courseObj.courseName || "";
     const theCycle = courseObj.courseCycle || null;
+    const credits = Number(courseObj.credits || courseObj.credit || 0);
     const groups = courseObj.groups || {};
 
     const groupEntries = Array.isArray(groups)
@@ -741,6 +781,7 @@ function flattenAvailable(coursesMap) {
         courseCode: code,
         courseName: name,
         courseCycle: theCycle,
+        credits,
         groupCode: gInfo.groupCode,
         scheduleText: pieces.join(" • "),
         modality: first.modality || "",
@@ -825,14 +866,13 @@ function pickBestKey(requestedCode, keys) {
   return null;
 }
 
-// Collect PDFDocument into Buffer
-function pdfToBuffer(doc) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    doc.on("data", (d) => chunks.push(d));
-    doc.on("end", () => resolve(Buffer.concat(chunks)));
-    doc.on("error", reject);
-    doc.end();
+// ✅ Rectification window of a student (general window for their faculty / mode, or their extension)
+function windowForStudent(period_id, code, profile = {}) {
+  return checkWindow({
+    period_id,
+    student_code: String(code || ""),
+    faculty: [profile.facultyName, profile.facultyCode],
+    modality: profile.mode,
   });
 }
 
@@ -905,11 +945,7 @@ app.post("/login", async (req, res) => {
     // 1) Student login
     const loginAlumnoUrl = LOGIN_URL + "/login-alumno";
     log("Student login", loginAlumnoUrl, { codigo, dni });
-    const stud = await axios.post(
-      loginAlumnoUrl,
-      { codigo, dni },
-      jsonHeaders()
-    );
+    const stud = await upstream.post(loginAlumnoUrl, { codigo, dni });
     const studentToken = stud.data && stud.data.access_token;
     const periodCode = stud.data && stud.data.periodCode;
     const studentCode =
@@ -942,11 +978,7 @@ app.post("/login", async (req, res) => {
     const profileUrl = DATA_URL + "/student";
     const profileBody = { code, period: periodFromLogin || undefined };
     log("Profile fetch", profileUrl, profileBody);
-    const prof = await axios.post(
-      profileUrl,
-      profileBody,
-      jsonHeaders(adminToken)
-    );
+    const prof = await upstream.post(profileUrl, profileBody, { token: adminToken, idempotent: true });
     const info = prof.data && prof.data.data;
     if (!info) throw new Error("Profile endpoint returned no data.");
 
@@ -972,9 +1004,11 @@ app.post("/login", async (req, res) => {
       plan: info.plan ?? info.planCode ?? info.plan_code ?? null,
       modalityCode: info.modalityCode ?? info.modality_code ?? info.modeCode ?? info.mode_code ?? null,
     };
-    // ✅ BLOCK if student's period is not the latest
-    const loginPeriodDigits = String(profileOut.period || "").replace(/[^0-9]/g, "");
-    if (loginPeriodDigits !== CURRENT_PERIOD_ID) {
+    // ✅ BLOCK if student's period is not an active period of the registry (/admin/periods)
+    const loginPeriodDigits = normalizePeriodId(profileOut.period);
+    const activePeriod = await findActivePeriod(loginPeriodDigits);
+    if (!activePeriod) {
+      const labels = (await activePeriods()).map((p) => p.label);
       req.session.destroy(() => { });
       return res.render("index", {
         firstName: null,
@@ -996,7 +1030,7 @@ app.post("/login", async (req, res) => {
         mode: null,
         period: null,
         periodCode: null,
-        error: `No puedes ingresar. Tu periodo es ${fmtPeriod(loginPeriodDigits)} pero el portal solo permite rectificación del periodo ${fmtPeriod(CURRENT_PERIOD_ID)}.`,
+        error: `No puedes ingresar. Tu periodo es ${fmtPeriod(loginPeriodDigits)} pero el portal solo permite rectificación ${labels.length > 1 ? "de los periodos" : "del periodo"} ${labels.join(", ") || "—"}.`,
 
         done: false,
         doneMessage: null,
@@ -1005,15 +1039,43 @@ app.post("/login", async (req, res) => {
       });
     }
 
+    // ✅ BLOCK outside the rectification window (managed in /admin/windows; extensions per student)
+    const win = await windowForStudent(activePeriod.id, code, profileOut);
+    if (!win.open) {
+      req.session.destroy(() => { });
+      return res.render("index", {
+        firstName: null,
+        lastName: null,
+        studentId: null,
+        semester: null,
+        department: null,
+        schedules: [],
+        available: [],
+        dni: null,
+        email_institucional: null,
+        phone: null,
+        facultyName: null,
+        specialtyName: null,
+        facultyCode: null,
+        specialtyCode: null,
+        gender: null,
+        age: null,
+        mode: null,
+        period: null,
+        periodCode: null,
+        error: win.message,
+        windowOpensAt: win.state === WINDOW_STATE.NOT_OPEN_YET ? win.opensAt : null,
+        done: false,
+        doneMessage: null,
+        doneData: null,
+      });
+    }
+
     // 4) Enrolled schedules
     const schedulesUrl = DATA_URL + "/course-schedules";
     const schBody = { code, period: profileOut.period };
     log("Course schedules", schedulesUrl, schBody);
-    const sch = await axios.post(
-      schedulesUrl,
-      schBody,
-      jsonHeaders(adminToken)
-    );
+    const sch = await upstream.post(schedulesUrl, schBody, { token: adminToken, idempotent: true });
     const list = sch?.data && Array.isArray(sch.data.data) ? sch.data.data : [];
 
     const schedules = list.map((s) => ({
@@ -1037,6 +1099,7 @@ app.post("/login", async (req, res) => {
       name: fullName,
     };
     req.session.profile = profileOut;
+    req.session.periodId = activePeriod.id;
     req.session.enrolled = schedules;
     req.session.firstName = firstName;
     req.session.lastName = lastName;
@@ -1049,7 +1112,7 @@ app.post("/login", async (req, res) => {
     // =========================
     // ✅ Supabase portal_state check (after boleta verification)
     // =========================
-    const period_id = CURRENT_PERIOD_ID;
+    const period_id = activePeriod.id;
     const student_code = String(code);
     const dni_last4 = String(profileOut.dni || dni || "").slice(-4) || null;
 
@@ -1093,6 +1156,7 @@ app.post("/login", async (req, res) => {
             ps.message ||
             "Tu solicitud ya fue enviada. No puedes ingresar nuevamente.",
           doneData: ps.final_data || {},
+          certificate: await doneCertificate(period_id, student_code),
         });
       }
     }
@@ -1126,12 +1190,20 @@ app.post("/login", async (req, res) => {
       });
     }
 
+    // ✅ Unfinished selections from an earlier session (restored into the course cards)
+    let draft = null;
+    try {
+      draft = await getDraft(activePeriod.id, code);
+    } catch (e) {
+      console.warn("getDraft failed:", code, e.message);
+    }
+
     // ✅ If ok, go directly to portal (index)
     return res.render("index", {
       firstName,
       lastName,
       studentId: code,
-      semester: fmtPeriod(profileOut.period),
+      semester: activePeriod.label,
       department: profileOut.specialtyName,
       schedules,
       available: [],
@@ -1147,6 +1219,7 @@ app.post("/login", async (req, res) => {
       mode: profileOut.mode,
       period: profileOut.period,
       periodCode: profileOut.periodCode,
+      draft: draft && { changes: draft.changes, updatedAt: draft.updated_at },
       error: null,
     });
 
@@ -1189,7 +1262,7 @@ app.post("/login", async (req, res) => {
       mode: null,
       period: null,
       periodCode: null,
-      error: "Error al iniciar sesión u obtener datos. Revisa tus credenciales.",
+      error: loginErrorMessage(err),
     });
   }
 });
@@ -1209,16 +1282,7 @@ app.post("/available", requireVerifiedStudent, async (req, res) => {
     const period = String((req.body && req.body.period) || s.defaultPeriod || "");
     const courseCode = (req.body && req.body.courseCode) || "";
 
-    const body = { codigo: s.codigo, period };
-    if (s.dni) body.dni = s.dni;
-
-    const saUrl = LOGIN_URL + "/student/schedule-available";
-    log("Schedule available (student token, RAW JSON)", saUrl, body);
-
-    const sa = await axios.post(saUrl, body, jsonHeaders(s.token));
-
-    const root = (sa.data && sa.data.data) || sa.data;
-    const coursesMap = extractCoursesMap(root);
+    const coursesMap = await fetchScheduleAvailable(req, period, { label: "Schedule available (available)" });
     const theKeys = Object.keys(coursesMap || {});
     const bestKey = pickBestKey(courseCode, theKeys);
 
@@ -1235,17 +1299,7 @@ app.post("/available", requireVerifiedStudent, async (req, res) => {
     if (filtered.length && usedCourseCode) {
       try {
         const { map } = await getVacancyMapForCourse(req, period, usedCourseCode);
-        filtered = filtered.map((g) => {
-          const rec = map[norm(g.groupCode)];
-          if (!rec) return g;
-          return {
-            ...g,
-            number_enrolled: rec.number_enrolled,
-            total_vacations: rec.total_vacations,
-            vacancies_left: rec.vacancies_left,
-            is_full: rec.is_full,
-          };
-        });
+        filtered = mergeVacancies(filtered, map);
       } catch (e) {
         console.warn("Vacancy merge failed (available):", e?.response?.data || e.message);
       }
@@ -1264,7 +1318,77 @@ app.post("/available", requireVerifiedStudent, async (req, res) => {
       e.response && e.response.status,
       e.response ? e.response.data : e.message
     );
-    res.status(500).json({ error: "failed_to_load_available" });
+    return sendUpstreamError(res, e, "failed_to_load_available");
+  }
+});
+
+// AJAX: options + vacancies of every enrolled course in one round trip ("Reemplazar curso" lists)
+app.post("/enrolled-options", requireVerifiedStudent, async (req, res) => {
+  try {
+    const s = req.session.student;
+    if (!s || !s.token) return res.status(401).json({ error: "not_logged_in" });
+
+    const profile = req.session.profile || {};
+    const period = profile.period || s.defaultPeriod || "";
+    const coursesMap = await fetchScheduleAvailable(req, period, { label: "Schedule available (enrolled options)" });
+    const keys = Object.keys(coursesMap || {});
+
+    const picks = [...new Set(currentScheduleOf(req).map((c) => c.courseCode).filter(Boolean))].map((code) => ({
+      code,
+      key: pickBestKey(code, keys),
+    }));
+    const maps = await getVacancyMaps(req, period, picks.filter((p) => p.key).map((p) => p.key));
+
+    const data = picks.map(({ code, key }) => ({
+      courseCode: code,
+      usedCourseCode: key || null,
+      groups: key ? mergeVacancies(flattenAvailable({ [key]: coursesMap[key] }), maps[key]) : [],
+    }));
+
+    return res.json({ data });
+  } catch (e) {
+    console.error("/enrolled-options error:", e.response?.data || e.message);
+    return sendUpstreamError(res, e, "failed_to_load_enrolled_options", { data: [] });
+  }
+});
+
+// AJAX: courses the student may add (schedule-available minus enrolled)
+app.post("/addable-courses", requireVerifiedStudent, async (req, res) => {
+  try {
+    const s = req.session.student;
+    if (!s || !s.token) return res.status(401).json({ error: "not_logged_in" });
+
+    const profile = req.session.profile || {};
+    const enrolled = Array.isArray(req.session.enrolled) ? req.session.enrolled : [];
+    const enrolledKeys = new Set(enrolled.map((e) => norm(e.courseCode)));
+
+    const coursesMap = await fetchScheduleAvailable(req, profile.period || s.defaultPeriod, {
+      label: "Schedule available (addable)",
+    });
+
+    const data = Object.keys(coursesMap)
+      .filter((code) => !enrolledKeys.has(norm(code)))
+      .map((code) => {
+        const c = coursesMap[code] || {};
+        const groups = c.groups || {};
+        return {
+          courseCode: code,
+          courseName: c.courseName || "",
+          courseCycle: c.courseCycle || null,
+          credits: Number(c.credits || c.credit || 0),
+          groupCount: Array.isArray(groups) ? groups.length : Object.keys(groups).length,
+        };
+      })
+      .sort((a, b) => String(a.courseCode).localeCompare(String(b.courseCode)));
+
+    return res.json({ data });
+  } catch (e) {
+    console.error(
+      "/addable-courses error:",
+      e.response && e.response.status,
+      e.response ? e.response.data : e.message
+    );
+    return sendUpstreamError(res, e, "failed_to_load_addable_courses");
   }
 });
 
@@ -1299,11 +1423,217 @@ app.post("/course-number-enrolled", requireVerifiedStudent, async (req, res) =>
       err.response && err.response.status,
       err.response ? err.response.data : err.message
     );
-    return res.status(500).json({
-      status: 500,
-      message: "failed_to_load_course_number_enrolled",
-      data: [],
+    return sendUpstreamError(res, err, "failed_to_load_course_number_enrolled", { data: [] });
+  }
+});
+
+// AJAX: hold a seat while the student is choosing (previewReplace / "Agregar curso")
+app.post("/seat-hold", requireVerifiedStudent, async (req, res) => {
+  try {
+    const s = req.session.student;
+    const profile = req.session.profile || {};
+    const courseCode = String(req.body?.courseCode || "").trim();
+    const groupCode = String(req.body?.groupCode || "").trim();
+
+    if (!courseCode || !groupCode) {
+      return res.status(400).json({ ok: false, error: "course_and_group_required" });
+    }
+
+    // ✅ Only sections the student can take (schedule-available) or is already enrolled in
+    const available = flattenAvailable(
+      await fetchScheduleAvailable(req, profile.period || s.defaultPeriod || "", { label: "Schedule available (seat hold)" })
+    );
+    const isSection = (r) => norm(r.courseCode) === norm(courseCode) && norm(r.groupCode) === norm(groupCode);
+    if (!available.some(isSection) && !currentScheduleOf(req).some(isSection)) {
+      return res.status(400).json({
+        ok: false,
+        error: "group_not_available",
+        message: `La sección ${groupCode} de ${courseCode} no está disponible para ti.`,
+      });
+    }
+
+    // Upstream seats minus other students' holds (own holds never count)
+    try {
+      const { map } = await getVacancyMapForCourse(req, profile.period || s.defaultPeriod || "", courseCode);
+      const rec = map[norm(groupCode)];
+      if (rec && rec.is_full) {
+        return res.status(409).json({
+          ok: false,
+          error: "group_full",
+          message: `La sección ${groupCode} de ${courseCode} ya no tiene vacantes.`,
+        });
+      }
+    } catch (e) {
+      console.warn("Vacancy check failed (seat hold):", courseCode, e?.response?.data || e.message);
+    }
+
+    const period = await getPeriod(sessionPeriodId(req));
+    const hold = await holdSeat({
+      period_id: sessionPeriodId(req),
+      student_code: s.codigo,
+      course_code: courseCode,
+      group_code: groupCode,
+      minutes: period?.settings.seatHoldMinutes,
+    });
+
+    return res.json({ ok: true, courseCode, groupCode, expiresAt: hold.expires_at });
+  } catch (e) {
+    console.error("/seat-hold error:", e.message);
+    return res.status(500).json({ ok: false, error: "seat_hold_failed" });
+  }
+});
+
+// AJAX: release the student's holds (one course, or all of them when courseCode is missing)
+app.post("/seat-hold/release", requireVerifiedStudent, async (req, res) => {
+  try {
+    await releaseHolds({
+      period_id: sessionPeriodId(req),
+      student_code: req.session.student.codigo,
+      course_code: String(req.body?.courseCode || "").trim() || undefined,
+    });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("/seat-hold/release error:", e.message);
+    return res.status(500).json({ ok: false, error: "seat_release_failed" });
+  }
+});
+
+// Waitlist entry => what the portal shows
+function waitlistView(e) {
+  return {
+    id: e.id,
+    courseCode: e.course_code,
+    courseName: e.course_name || "",
+    groupCode: e.group_code,
+    status: e.status,
+    statusLabel: WAITLIST_STATUS_LABELS[e.status] || e.status,
+    position: e.position ?? null,
+    offerExpiresAt: e.offer_expires_at || null,
+  };
+}
+
+// AJAX: join the waitlist of a full group
+app.post("/waitlist/join", requireVerifiedStudent, async (req, res) => {
+  try {
+    const s = req.session.student;
+    const profile = req.session.profile || {};
+    const courseCode = String(req.body?.courseCode || "").trim();
+    const groupCode = String(req.body?.groupCode || "").trim();
+
+    if (!courseCode || !groupCode) {
+      return res.status(400).json({ ok: false, error: "course_and_group_required" });
+    }
+
+    const enrolledHere = currentScheduleOf(req).some(
+      (c) => norm(c.courseCode) === norm(courseCode) && norm(c.groupCode) === norm(groupCode)
+    );
+    if (enrolledHere) {
+      return res.status(409).json({
+        ok: false,
+        error: "already_enrolled",
+        message: `Ya estás matriculado en la sección ${groupCode} de ${courseCode}.`,
+      });
+    }
+
+    // ✅ Only sections the student can take (same check as /seat-hold); the course name comes from there too
+    const period = profile.period || s.defaultPeriod || "";
+    const section = flattenAvailable(
+      await fetchScheduleAvailable(req, period, { label: "Schedule available (waitlist)" })
+    ).find((r) => norm(r.courseCode) === norm(courseCode) && norm(r.groupCode) === norm(groupCode));
+    if (!section) {
+      return res.status(400).json({
+        ok: false,
+        error: "group_not_available",
+        message: `La sección ${groupCode} de ${courseCode} no está disponible para ti.`,
+      });
+    }
+
+    // Only full groups have a waitlist (others can be picked directly); unknown seats => no entry
+    let rec;
+    try {
+      const { map } = await getVacancyMapForCourse(req, period, courseCode);
+      rec = map[norm(groupCode)];
+    } catch (e) {
+      console.warn("Vacancy check failed (waitlist):", courseCode, e?.response?.data || e.message);
+      return sendUpstreamError(res, e, "waitlist_join_failed", { ok: false });
+    }
+    if (!rec) {
+      return res.status(409).json({
+        ok: false,
+        error: "vacancy_unknown",
+        message: `No pudimos confirmar las vacantes de la sección ${groupCode} de ${courseCode}. Intenta nuevamente.`,
+      });
+    }
+    if (!rec.is_full) {
+      return res.status(409).json({
+        ok: false,
+        error: "group_has_seats",
+        message: `La sección ${groupCode} de ${courseCode} tiene vacantes; puedes elegirla directamente.`,
+      });
+    }
+
+    const entry = await joinWaitlist({
+      period_id: sessionPeriodId(req),
+      student: {
+        code: s.codigo,
+        name: s.name || "",
+        email: profile.email_institucional || profile.email || null,
+        faculty: profile.facultyName || null,
+      },
+      course_code: courseCode,
+      course_name: section.courseName || "",
+      group_code: groupCode,
     });
+
+    return res.json({ ok: true, entry: waitlistView(entry) });
+  } catch (e) {
+    console.error("/waitlist/join error:", e.message);
+    return sendUpstreamError(res, e, "waitlist_join_failed", { ok: false });
+  }
+});
+
+// AJAX: the student's waitlists (positions + pending offers)
+app.post("/waitlist/mine", requireVerifiedStudent, async (req, res) => {
+  try {
+    const entries = await studentEntries(sessionPeriodId(req), req.session.student.codigo);
+    return res.json({ data: entries.map(waitlistView) });
+  } catch (e) {
+    console.error("/waitlist/mine error:", e.message);
+    return res.status(500).json({ data: [], error: "failed_to_load_waitlist" });
+  }
+});
+
+app.post("/waitlist/leave", requireVerifiedStudent, async (req, res) => {
+  try {
+    const entry = await leaveWaitlist({ id: String(req.body?.id || ""), student_code: req.session.student.codigo });
+    if (!entry) return res.status(404).json({ ok: false, error: "not_found" });
+    return res.json({ ok: true, entry: waitlistView(entry) });
+  } catch (e) {
+    console.error("/waitlist/leave error:", e.message);
+    return res.status(500).json({ ok: false, error: "waitlist_leave_failed" });
+  }
+});
+
+// AJAX: accept a promotion (inside its window); the client then picks the section
+app.post("/waitlist/accept", requireVerifiedStudent, async (req, res) => {
+  try {
+    const result = await acceptOffer({ id: String(req.body?.id || ""), student_code: req.session.student.codigo });
+    if (!result.ok) {
+      const messages = {
+        not_found: "No encontramos esa oferta.",
+        not_promoted: "Esa sección aún no tiene un cupo para ti.",
+        offer_expired: "El plazo para aceptar el cupo ya venció.",
+      };
+      return res.status(result.error === "not_found" ? 404 : 409).json({
+        ok: false,
+        error: result.error,
+        message: messages[result.error],
+      });
+    }
+    return res.json({ ok: true, entry: waitlistView(result.entry) });
+  } catch (e) {
+    console.error("/waitlist/accept error:", e.message);
+    return res.status(500).json({ ok: false, error: "waitlist_accept_failed" });
   }
 });
 
@@ -1325,16 +1655,9 @@ app.post("/ai-suggest", requireVerifiedStudent, async (req, res) => {
       modality: e.modality,
     }));
 
-    const body = {
-      codigo: s.codigo,
-      period: prof.period || s.defaultPeriod || undefined,
-    };
-    if (s.dni) body.dni = s.dni;
-
-    const saUrl = LOGIN_URL + "/student/schedule-available";
-    const sa = await axios.post(saUrl, body, jsonHeaders(s.token));
-    const root = (sa.data && sa.data.data) || sa.data;
-    const coursesMap = extractCoursesMap(root);
+    const coursesMap = await fetchScheduleAvailable(req, prof.period || s.defaultPeriod, {
+      label: "Schedule available (AI-suggest)",
+    });
     const available = flattenAvailableForAI(coursesMap);
 
     const preferences = {
@@ -1382,30 +1705,14 @@ app.post("/ai-local", requireVerifiedStudent, async (req, res) => {
 
 
 
-    const rawPrefs = (req.body && (req.body.preferences || req.body)) || {};
-    const freeDays = Array.isArray(rawPrefs.freeDays) ? rawPrefs.freeDays : [];
-    const freeDayKeys = new Set(freeDays.map((d) => sameDayKey(d)));
-    const wantsFreeDays = freeDayKeys.size > 0;
-
-    // ✅ IMPORTANT FIX:
-    // If keepChangesLow is TRUE (default), we ONLY try to change courses
-    // that violate the requested freeDays. Otherwise, your system changes
-    // groups even when it doesn't help (same day/time).
-    const keepChangesLow = rawPrefs.keepChangesLow !== false;
+    // ✅ freeDays, timePreference, maxGapHours, fewerCampusDays, maxHoursPerDay, keepChangesLow
+    const prefs = normalizePreferences((req.body && (req.body.preferences || req.body)) || {});
+    const wantsChanges = hasPreferences(prefs);
 
     // 1) fetch all available once
-    const body = {
-      codigo: s.codigo,
-      period: profile.period || s.defaultPeriod || undefined,
-    };
-    if (s.dni) body.dni = s.dni;
-
-    const saUrl = LOGIN_URL + "/student/schedule-available";
-    log("Schedule available (AI-local)", saUrl, body);
-    const sa = await axios.post(saUrl, body, jsonHeaders(s.token));
-
-    const root = (sa.data && sa.data.data) || sa.data;
-    const coursesMap = extractCoursesMap(root);
+    const coursesMap = await fetchScheduleAvailable(req, profile.period || s.defaultPeriod, {
+      label: "Schedule available (AI-local)",
+    });
     const availableByCode = flattenAvailableForAI(coursesMap);
 
     // 2) group current timetable by course
@@ -1428,27 +1735,6 @@ app.post("/ai-local", requireVerifiedStudent, async (req, res) => {
       });
     });
 
-    // 3) build initial slots (conflict tracking)
-    let planSlots = [];
-    Object.values(currentByCode).forEach((c) => {
-      c.segments.forEach((seg) => {
-        const rng = parseTimeRange(seg.time);
-        if (!rng) return;
-        planSlots.push({
-          code: c.courseCode,
-          day: seg.day,
-          start: rng.start,
-          end: rng.end,
-        });
-      });
-    });
-
-    const changes = [];
-    const finalCourses = [];
-    const unsatisfied = [];
-    const blocked = [];
-    const skippedFullGroups = [];
-
     function groupAvailableRows(code, rows, fallbackName) {
       const byGroup = {};
       rows.forEach((r) => {
@@ -1470,707 +1756,268 @@ app.post("/ai-local", requireVerifiedStudent, async (req, res) => {
       return Object.values(byGroup);
     }
 
-    function testCandidate(code, candidate, strictFreeDays) {
-      for (const seg of candidate.segments) {
-        const dayKey = sameDayKey(seg.day);
-        if (strictFreeDays && wantsFreeDays && freeDayKeys.has(dayKey)) {
-          return { reason: "freeDay" };
-        }
-        const rng = parseTimeRange(seg.time);
-        if (!rng) continue;
-
-        for (const slot of planSlots.filter((p) => p.code !== code)) {
-          if (sameDayKey(slot.day) !== dayKey) continue;
-          if (rangesOverlap(rng, slot)) {
-            return { reason: "conflict", with: slot };
-          }
-        }
-      }
-      return null;
-    }
-
-    function segmentsSignature(segments) {
-      const sig = segments
-        .map((s) => `${sameDayKey(s.day)}|${String(s.time || "").trim()}`)
-        .sort()
-        .join(";");
-      return sig;
-    }
-
-    // ✅ cache vacancies by course
-    const vacancyCache = {};
-    async function getVacMap(code) {
-      if (vacancyCache[code]) return vacancyCache[code];
-      try {
-        const period = profile.period || s.defaultPeriod || "";
-        const { map } = await getVacancyMapForCourse(req, period, code);
-        vacancyCache[code] = map;
-      } catch (e) {
-        vacancyCache[code] = {};
-      }
-      return vacancyCache[code];
-    }
-
-    for (const [code, cur] of Object.entries(currentByCode)) {
-      // ✅ If no free-days requested, and keepChangesLow => keep everything
-      if (keepChangesLow && !wantsFreeDays) {
-        cur.segments.forEach((seg) => {
-          finalCourses.push({
-            code,
-            name: cur.courseName,
-            group: cur.group,
-            day: seg.day,
-            time: seg.time,
-            modality: seg.modality,
-          });
-        });
-        continue;
-      }
-
-      const touchesFreeDay =
-        wantsFreeDays &&
-        cur.segments.some((seg) => freeDayKeys.has(sameDayKey(seg.day)));
-
-      // ✅ KEY FIX: if keepChangesLow and course doesn't violate free-day, don't change it
-      if (keepChangesLow && !touchesFreeDay) {
-        cur.segments.forEach((seg) => {
-          finalCourses.push({
-            code,
-            name: cur.courseName,
-            group: cur.group,
-            day: seg.day,
-            time: seg.time,
-            modality: seg.modality,
-          });
-        });
-        continue;
-      }
+    // 3) candidate groups per course (+ vacancies, all courses in parallel).
+    // No preferences => nothing to improve, keep the current timetable.
+    const candidates = Object.entries(currentByCode).map(([code, cur]) => ({
+      code,
+      cur,
+      groups: wantsChanges ? groupAvailableRows(code, availableByCode[code] || [], cur.courseName) : [],
+    }));
+    const vacMaps = await getVacancyMaps(
+      req,
+      profile.period || s.defaultPeriod || "",
+      candidates.filter((c) => c.groups.some((g) => g.group !== c.cur.group)).map((c) => c.code)
+    );
 
-      const avaRows = availableByCode[code] || [];
-      if (!avaRows.length) {
-        cur.segments.forEach((seg) => {
-          finalCourses.push({
-            code,
-            name: cur.courseName,
-            group: cur.group,
-            day: seg.day,
-            time: seg.time,
-            modality: seg.modality,
-          });
+    const courses = [];
+    for (const { code, cur, groups } of candidates) {
+      if (groups.some((g) => g.group !== cur.group)) {
+        const vacMap = vacMaps[code] || {};
+        groups.forEach((g) => {
+          const rec = vacMap[norm(g.group)];
+          g.full = !!(rec && rec.is_full); // unknown => allow
         });
-        continue;
       }
 
-      const allGroups = groupAvailableRows(code, avaRows, cur.courseName);
-      const currentGroup = cur.group;
-
-      // ✅ Vacancy filter: skip FULL turnos
-      const vacMap = await getVacMap(code);
-      const hasVacancies = (groupCode) => {
-        const rec = vacMap[norm(groupCode)];
-        if (!rec) return true; // unknown => allow
-        return !rec.is_full;
-      };
-
-      let candidateGroups = allGroups.filter((g) => g.group !== currentGroup);
-
-      // Remove full groups
-      candidateGroups = candidateGroups.filter((g) => {
-        const ok = hasVacancies(g.group);
-        if (!ok) skippedFullGroups.push(`${code}:${g.group}`);
-        return ok;
+      courses.push({
+        code,
+        name: cur.courseName,
+        currentGroup: cur.group,
+        currentSegments: cur.segments,
+        groups,
       });
+    }
 
-      if (!candidateGroups.length) {
-        unsatisfied.push(`${code} - ${cur.courseName} (sin vacantes)`);
-
-        blocked.push({
-          code,
-          name: cur.courseName,
-          reason: "SIN_VACANTES",
-          detail: "Todos los turnos alternativos están llenos."
-        });
-
-        cur.segments.forEach((seg) => {
-          finalCourses.push({
-            code,
-            name: cur.courseName,
-            group: cur.group,
-            day: seg.day,
-            time: seg.time,
-            modality: seg.modality,
-          });
-        });
-        continue;
-      }
-
+    // 4) search every combination, weighted by preferences (utils/scheduleSolver.js)
+    // ✅ top N distinct timetables (default 3, max 5); the first one is also the top-level plan
+    const maxPlans = Math.min(5, Math.max(1, Number(req.body?.maxPlans) || 3));
+    const plan = solveSchedule(courses, prefs, { maxPlans });
 
-      // If we are trying to free a day, prefer candidates that remove that day
-      // Pass 1: strict free-day + no conflicts
-      const viable = [];
-      for (const g of candidateGroups) {
-        const err = testCandidate(code, g, true);
-        if (!err) viable.push(g);
-      }
-
-      let chosen = null;
-
-      if (viable.length) {
-        // ✅ choose closest schedule to current (min diff) to reduce changes
-        const curSig = segmentsSignature(cur.segments);
-        let bestScore = Infinity;
-        for (const g of viable) {
-          const candSig = segmentsSignature(g.segments);
-          const score = candSig === curSig ? 9999 : 0; // avoid pointless same schedule group change
-          if (score < bestScore) {
-            bestScore = score;
-            chosen = g;
-          }
-        }
-        // if still null, fallback to first viable
-        if (!chosen) chosen = viable[0];
-      } else {
-        // Pass 2: ignore free-days but keep no conflicts
-        // ✅ BUT only do this if keepChangesLow is FALSE
-        if (!keepChangesLow) {
-          for (const g of candidateGroups) {
-            const err = testCandidate(code, g, false);
-            if (!err) {
-              chosen = g;
-              break;
-            }
-          }
-        }
-      }
+    return res.json({
+      ok: true,
+      changes: plan.changes,
+      finalCourses: plan.finalCourses,
+      unsatisfied: plan.unsatisfied,
+      blocked: plan.blocked,
+      skippedFullGroups: plan.skippedFullGroups,
+      plans: plan.plans,
+      preferences: prefs,
+      score: plan.stats,
+    });
 
-      if (!chosen) {
-        // Detect why: conflict vs freeDay restriction
-        let conflictCount = 0;
-        let freeDayCount = 0;
+  } catch (e) {
+    console.error("/ai-local error:", e.response?.data || e.message);
+    return res.status(500).json({ error: "ai_local_failed" });
+  }
+});
 
-        for (const g of candidateGroups) {
-          const err = testCandidate(code, g, true);
-          if (!err) continue;
-          if (err.reason === "conflict") conflictCount++;
-          if (err.reason === "freeDay") freeDayCount++;
-        }
+// Session enrolled rows => current_courses shape (one row per session)
+function currentScheduleOf(req) {
+  const enrolled = Array.isArray(req.session?.enrolled) ? req.session.enrolled : [];
+  return enrolled.map((s) => ({
+    courseCode: s.courseCode || s.c_codcur || "",
+    courseName: s.courseName || "",
+    groupCode: s.groupCode || s.section || "",
+    modality: s.modality || s.modalityDescription || "",
+    day: s.day || "",
+    hour: s.hour || "",
+    teacherName: s.teacherName || "",
+    credits: Number(s.credits || s.credit || 0),
+  }));
+}
 
-        let reason = "CONFLICTO";
-        let detail = "No hay turnos alternativos sin cruce con otros cursos.";
+/**
+ * ✅ Check a proposed plan (/check-plan while editing, /confirm before writing):
+ * 1) rebuild it from schedule-available + vacancies of every group the student moves to / adds
+ *    (a failed vacancy lookup only skips the seat check)
+ * 2) evaluate the faculty / period rules (config/rectificationPolicy.json)
+ * Returns { validation, credits, policy } (credits / policy are null when validation fails)
+ */
+async function checkPlan(req, clientChanges, currentSchedule, { fresh = false } = {}) {
+  const s = req.session.student || {};
+  const profile = req.session.profile || {};
+  const period = profile.period || s.defaultPeriod || "";
+  const changes = normalizeChanges(clientChanges, currentSchedule);
+
+  const available = flattenAvailable(
+    await fetchScheduleAvailable(req, period, { label: "Schedule available (check plan)", fresh })
+  );
 
-        if (freeDayCount > 0 && conflictCount === 0) {
-          reason = "DIA_LIBRE";
-          detail = "No hay turnos que eviten el día seleccionado.";
-        } else if (conflictCount > 0) {
-          reason = "CONFLICTO";
-          detail = "Los turnos alternativos generan conflicto con el horario actual.";
-        }
+  const codes = changes
+    .filter((ch) => ch.type !== CHANGE_TYPE.DROP)
+    .map((ch) => available.find((r) => norm(r.courseCode) === norm(ch.code)))
+    .filter(Boolean)
+    .map((r) => r.courseCode);
+  const vacancies = await getVacancyMaps(req, period, codes, { fresh });
 
-        unsatisfied.push(`${code} - ${cur.courseName}`);
-        blocked.push({ code, name: cur.courseName, reason, detail });
-
-        cur.segments.forEach((seg) => {
-          finalCourses.push({
-            code,
-            name: cur.courseName,
-            group: cur.group,
-            day: seg.day,
-            time: seg.time,
-            modality: seg.modality,
-          });
-        });
-        continue;
-      }
+  const validation = validateRectification({ changes, currentCourses: currentSchedule, available, vacancies });
+  if (!validation.ok) return { validation, credits: null, policy: null };
 
+  const credits = summarizeCredits(currentSchedule, validation.changes);
+  const cycles = {};
+  available.forEach((r) => {
+    if (r.courseCycle !== null && r.courseCycle !== undefined) cycles[norm(r.courseCode)] = Number(r.courseCycle);
+  });
 
-      const beforeSeg = cur.segments[0] || { day: "", time: "", modality: "" };
-      const afterSeg = chosen.segments[0] || { day: "", time: "", modality: "" };
+  const rules = resolvePolicy(loadPolicyConfig(), {
+    faculty: [profile.facultyCode, profile.facultyName],
+    period: period || sessionPeriodId(req),
+  });
+  const policy = evaluatePolicy(rules, {
+    changes: validation.changes,
+    finalCourses: validation.finalCourses,
+    credits,
+    mode: profile.mode,
+    cycles,
+    enrolledCodes: currentSchedule.map((c) => c.courseCode),
+  });
 
-      changes.push({
-        code,
-        name: cur.courseName,
-        from: {
-          group: cur.group || "—",
-          day: canonicalDayName(beforeSeg.day || "—"),
-          time: beforeSeg.time || "—",
-          modality: beforeSeg.modality || "—",
-        },
-        to: {
-          group: chosen.group || "—",
-          day: canonicalDayName(afterSeg.day || "—"),
-          time: afterSeg.time || "—",
-          modality: afterSeg.modality || "—",
-        },
-      });
+  return { validation, credits, policy };
+}
 
-      planSlots = planSlots.filter((p) => p.code !== code);
-      chosen.segments.forEach((seg) => {
-        const rng = parseTimeRange(seg.time);
-        if (!rng) return;
-        planSlots.push({
-          code,
-          day: seg.day,
-          start: rng.start,
-          end: rng.end,
-        });
-        finalCourses.push({
-          code,
-          name: cur.courseName,
-          group: chosen.group,
-          day: seg.day,
-          time: seg.time,
-          modality: seg.modality,
-        });
-      });
-    }
+// AJAX: check the plan being edited (course cards show errors / warnings)
+app.post("/check-plan", requireVerifiedStudent, async (req, res) => {
+  try {
+    const clientChanges = Array.isArray(req.body?.changes) ? req.body.changes : [];
+    const { validation, credits, policy } = await checkPlan(req, clientChanges, currentScheduleOf(req));
 
     return res.json({
-      ok: true,
-      changes,
-      finalCourses,
-      unsatisfied,
-      blocked,
-      skippedFullGroups,
+      ok: validation.ok && policy.ok,
+      errors: validation.ok ? policy.errors : validation.errors,
+      warnings: policy ? policy.warnings : [],
+      credits,
     });
+  } catch (e) {
+    console.error("/check-plan error:", e.response?.data || e.message);
+    return res.status(500).json({ ok: false, error: "check_plan_failed" });
+  }
+});
 
+// AJAX: save the selections being edited (server-side draft, restored on the next login)
+app.post("/draft", requireVerifiedStudent, async (req, res) => {
+  try {
+    const s = req.session.student;
+    const profile = req.session.profile || {};
+    const result = await saveDraft({
+      period_id: sessionPeriodId(req),
+      student: {
+        code: s.codigo,
+        name: s.name || "",
+        faculty: profile.facultyName || null,
+      },
+      changes: req.body?.changes,
+    });
+    if (!result.ok) {
+      return res.status(result.error === "already_submitted" ? 409 : 400).json(result);
+    }
+    return res.json({ ok: true, savedAt: result.draft ? result.draft.updated_at : null });
   } catch (e) {
-    console.error("/ai-local error:", e.response?.data || e.message);
-    return res.status(500).json({ error: "ai_local_failed" });
+    console.error("/draft error:", e.message);
+    return res.status(500).json({ ok: false, error: "draft_save_failed" });
   }
 });
 
 // Confirm: generate PDF + (optional) email to admins
 app.post("/confirm", requireVerifiedStudent, async (req, res) => {
   try {
-    const clientStudent = req.body?.student || {};
     const clientChanges = Array.isArray(req.body?.changes) ? req.body.changes : [];
-    const clientFinal = Array.isArray(req.body?.finalCourses) ? req.body.finalCourses : [];
 
     const profile = (req.session && req.session.profile) || {};
     const studentS = (req.session && req.session.student) || {};
-    const enrolled = Array.isArray(req.session?.enrolled) ? req.session.enrolled : [];
 
+    // ✅ Identity only from the session (whatever the client posts as "student" is ignored)
     const info = {
-      name:
-        clientStudent.name ||
-        `${profile.name || profile.c_nomalu || ""} ${profile.lastname || profile.c_apealu || ""}`.trim() ||
-        "—",
-      code: clientStudent.code || studentS.codigo || "—",
-      dni: clientStudent.dni || studentS.dni || profile.dni || "—",
-      program: clientStudent.specialtyName || profile.specialtyName || "—",
-      faculty: clientStudent.facultyName || profile.facultyName || "—",
-      period: clientStudent.period || (profile.period && String(profile.period)) || "—",
-      mode: clientStudent.mode || profile.mode || "—",
-      email: clientStudent.email || profile.email_institucional || "",
+      name: studentS.name || "—",
+      code: studentS.codigo || "—",
+      dni: studentS.dni || profile.dni || "—",
+      program: profile.specialtyName || "—",
+      faculty: profile.facultyName || "—",
+      period: (profile.period && String(profile.period)) || studentS.defaultPeriod || "—",
+      mode: profile.mode || "—",
+      // ✅ Receipts (with the PDF) and status emails only go to the institutional address of the session
+      email: profile.email_institucional || "",
     };
 
-    const currentSchedule = enrolled.map((s) => ({
-      courseCode: s.courseCode || s.c_codcur || "",
-      courseName: s.courseName || "",
-      groupCode: s.groupCode || s.section || "",
-      modality: s.modality || s.modalityDescription || "",
-      day: s.day || "",
-      hour: s.hour || "",
-      teacherName: s.teacherName || "",
-      credits: Number(s.credits || s.credit || 0),
-    }));
-
-
-
-    const finalPlan =
-      clientFinal && clientFinal.length
-        ? clientFinal
-        : currentSchedule.map((c) => ({
-          code: c.courseCode,
-          name: c.courseName,
-          group: c.groupCode,
-          day: c.day,
-          time: c.hour,
-          modality: c.modality,
-        }));
-
-
-    const changesList = clientChanges || [];
-
-    // PDF generation (professional layout)
-    const doc = new PDFDocument({ size: "A4", margin: 50 });
-
-    // ---- Constants
-    const M = doc.page.margins;
-    const PAGE_W = doc.page.width;
-    const CONTENT_W = PAGE_W - M.left - M.right;
-    const X0 = M.left;
-
-    function fmtDatePE(d = new Date()) {
-      return new Intl.DateTimeFormat("es-PE", {
-        timeZone: "America/Lima",
-        day: "2-digit",
-        month: "2-digit",
-        year: "numeric",
-      }).format(d);
-    }
-
-    // Always force cursor back to left margin (fixes “right aligned starts” bug)
-    function resetX() {
-      doc.x = X0;
-    }
-
-    function bottomLimit() {
-      return doc.page.height - M.bottom;
-    }
-
-    function ensureSpace(neededHeight) {
-      if (doc.y + neededHeight > bottomLimit()) {
-        doc.addPage();
-        drawHeader();
-      }
-      resetX();
-    }
-
-    function drawHeader() {
-      const topY = M.top;
-
-      // Logo (optional)
-      if (fs.existsSync(LOGO_PATH)) {
-        try {
-          doc.image(LOGO_PATH, X0, topY - 2, { fit: [110, 42] });
-        } catch (_) { }
-      }
-
-      // Title block (right aligned)
-      doc
-        .font("Helvetica-Bold")
-        .fontSize(14)
-        .text("UNIVERSIDAD MARÍA AUXILIADORA", X0, topY, {
-          width: CONTENT_W,
-          align: "right",
-        });
-
-      doc
-        .font("Helvetica")
-        .fontSize(11)
-        .text("Solicitud de Rectificación de Matrícula", {
-          width: CONTENT_W,
-          align: "right",
-        });
-
-      // Divider
-      const lineY = topY + 38;
-      doc
-        .moveTo(X0, lineY)
-        .lineTo(X0 + CONTENT_W, lineY)
-        .lineWidth(1)
-        .strokeColor("#B5B5B5")
-        .stroke();
-
-      doc.strokeColor("black");
-      doc.y = lineY + 18;
-      resetX();
-    }
-
-    function sectionTitle(t) {
-      ensureSpace(28);
-      doc.font("Helvetica-Bold").fontSize(12.5).text(t, X0, doc.y);
-      doc.moveDown(0.35);
-      resetX();
-    }
-
-    function cleanTime(s) {
-      const raw = String(s || "").trim();
-      if (!raw) return "—";
-      const m = raw.match(/(\d{1,2}:\d{2}).*?(\d{1,2}:\d{2})/);
-      if (m) return `${m[1]}–${m[2]}`;
-      return raw.replace(/\s*-\s*/g, "–");
-    }
-
-    function cleanDay(s) {
-      const t = String(s || "").trim();
-      if (!t) return "—";
-      const k = t.toLowerCase();
-      const map = {
-        lunes: "Lunes",
-        martes: "Martes",
-        miercoles: "Miércoles",
-        miércoles: "Miércoles",
-        jueves: "Jueves",
-        viernes: "Viernes",
-        sabado: "Sábado",
-        sábado: "Sábado",
-        domingo: "Domingo",
-      };
-      return map[k] || t;
-    }
-
-    function drawKeyValueGrid(pairs) {
-      const labelW = 160;
-      const gap = 10;
-      const valueW = CONTENT_W - labelW - gap;
-
-      doc.fontSize(10.5);
-
-      for (const { label, value } of pairs) {
-        const v = String(value || "—");
-        const labelH = doc.heightOfString(label, { width: labelW });
-        const valueH = doc.heightOfString(v, { width: valueW });
-        const rowH = Math.max(labelH, valueH) + 6;
-
-        ensureSpace(rowH);
-
-        const y = doc.y;
-        doc.font("Helvetica").text(label, X0, y, { width: labelW });
-        doc.font("Helvetica-Bold").text(v, X0 + labelW + gap, y, { width: valueW });
-
-        doc.y = y + rowH;
-        resetX();
-      }
-
-      doc.moveDown(0.4);
-      resetX();
-    }
-
-    function drawTable({ columns, rows }) {
-      // columns: [{ header, key, width, align? }]
-      const headerH = 22;
-      const padY = 5;
-      const totalW = columns.reduce((a, c) => a + c.width, 0);
-
-      const drawHeaderRow = () => {
-        ensureSpace(headerH + 8);
-        const y = doc.y;
-
-        doc.rect(X0, y, totalW, headerH).fillColor("#F2F2F2").fill();
-        doc.fillColor("black").font("Helvetica-Bold").fontSize(10);
-
-        let x = X0;
-        for (const c of columns) {
-          doc.text(c.header, x + 4, y + 6, {
-            width: c.width - 8,
-            align: c.align || "left",
-          });
-          x += c.width;
-        }
-
-        doc
-          .moveTo(X0, y + headerH)
-          .lineTo(X0 + totalW, y + headerH)
-          .lineWidth(1)
-          .strokeColor("#B5B5B5")
-          .stroke();
-
-        doc.strokeColor("black");
-        doc.y = y + headerH + 2;
-        resetX();
-      };
-
-      drawHeaderRow();
-      doc.font("Helvetica").fontSize(10);
-
-      for (const r of rows) {
-        // compute row height first (no auto page breaks mid-row)
-        let maxCellH = 0;
-        for (const c of columns) {
-          const text = String(r[c.key] ?? "—");
-          const h = doc.heightOfString(text, { width: c.width - 8 });
-          maxCellH = Math.max(maxCellH, h);
-        }
-        const rowH = Math.max(16, maxCellH + padY * 2);
-
-        // if row won't fit, new page + header + table header
-        if (doc.y + rowH > bottomLimit()) {
-          doc.addPage();
-          drawHeader();
-          drawHeaderRow();
-        }
-
-        const y = doc.y;
-        let x = X0;
-
-        for (const c of columns) {
-          const text = String(r[c.key] ?? "—");
-          doc.text(text, x + 4, y + padY, {
-            width: c.width - 8,
-            align: c.align || "left",
-          });
-          x += c.width;
-        }
-
-        doc
-          .moveTo(X0, y + rowH)
-          .lineTo(X0 + totalW, y + rowH)
-          .lineWidth(0.8)
-          .strokeColor("#E0E0E0")
-          .stroke();
-
-        doc.strokeColor("black");
-        doc.y = y + rowH;
-        resetX();
-      }
-
-      doc.moveDown(0.8);
-      resetX();
+    // ✅ Prevent double-submit (before building / saving another PDF)
+    const period_id = sessionPeriodId(req);
+    const student_code = String(info.code);
+    const psBefore = await getPortalState(period_id, student_code);
+    if (psBefore && psBefore.status === "DONE") {
+      return res.status(403).json({
+        ok: false,
+        error: "already_submitted",
+        message: psBefore.message || "Ya enviaste tu solicitud.",
+      });
     }
 
-    // ---- Build PDF content
-    drawHeader();
-
-    // Student data
-    sectionTitle("Datos del estudiante");
-    drawKeyValueGrid([
-      { label: "Nombre completo", value: info.name },
-      { label: "Código de estudiante", value: info.code },
-      { label: "DNI", value: info.dni },
-      { label: "Facultad", value: info.faculty },
-      { label: "Programa", value: info.program },
-      { label: "Periodo académico", value: fmtPeriod(info.period) },
-      { label: "Modalidad", value: info.mode },
-      { label: "Correo institucional", value: info.email },
-    ]);
-
-    // Tables columns (fits A4 width exactly)
-    const cols = [
-      { header: "Código", key: "code", width: 62 },
-      { header: "Curso", key: "course", width: 220 },
-      { header: "Sec.", key: "sec", width: 42, align: "center" },
-      { header: "Día", key: "day", width: 70 },
-      { header: "Horario", key: "time", width: 74, align: "center" },
-      { header: "Modalidad", key: "modality", width: 62 },
-    ];
-
-    // Current schedule
-    sectionTitle("Horario actual matriculado");
-
-    const currentRows = (currentSchedule || []).map((c) => ({
-      code: c.courseCode || "—",
-      course: c.courseName || "—",
-      sec: c.groupCode || "—",
-      day: cleanDay(c.day),
-      time: cleanTime(c.hour),
-      modality: String(c.modality || "—"),
-    }));
-
-    if (!currentRows.length) {
-      doc.font("Helvetica").fontSize(10).text("No se encontraron cursos matriculados.", X0, doc.y);
-      doc.moveDown(0.8);
-      resetX();
-    } else {
-      drawTable({ columns: cols, rows: currentRows });
+    // ✅ Only inside the student's rectification window
+    const win = await windowForStudent(period_id, studentS.codigo, profile);
+    if (!win.open) {
+      return res.status(403).json({
+        ok: false,
+        error: "window_closed",
+        message: win.message,
+        opensAt: win.opensAt,
+        closesAt: win.closesAt,
+      });
     }
 
-    // Proposed schedule
-    sectionTitle("Horario propuesto (después de IA)");
+    const currentSchedule = currentScheduleOf(req);
 
-    const finalRows = (finalPlan || []).map((c) => ({
-      code: c.code || c.courseCode || "—",
-      course: c.name || c.courseName || "—",
-      sec: c.group || c.groupCode || "—",
-      day: cleanDay(c.day),
-      time: cleanTime(c.time || c.hour),
-      modality: String(c.modality || "—"),
-    }));
-
-    if (!finalRows.length) {
-      doc.font("Helvetica").fontSize(10).text(
-        "No se recibió una propuesta; se mantiene el horario actual.",
-        X0,
-        doc.y
-      );
-      doc.moveDown(0.8);
-      resetX();
-    } else {
-      drawTable({ columns: cols, rows: finalRows });
+    // ✅ Rebuild the plan from upstream data (groups, seats, overlaps) + rules before writing anything
+    const { validation, credits, policy } = await checkPlan(req, clientChanges, currentSchedule, { fresh: true });
+    if (!validation.ok) {
+      return res.status(422).json({
+        ok: false,
+        error: "invalid_rectification",
+        message: "La solicitud tiene cambios que no se pueden registrar.",
+        errors: validation.errors,
+      });
     }
-
-    // Changes summary
-    sectionTitle("Resumen de cambios sugeridos por IA");
-
-    if (!changesList.length) {
-      doc.font("Helvetica").fontSize(10).text(
-        "No se registran cambios de sección; el horario propuesto coincide con el actual.",
-        X0,
-        doc.y
-      );
-      doc.moveDown(0.6);
-      resetX();
-    } else {
-      doc.font("Helvetica").fontSize(10);
-      for (let i = 0; i < changesList.length; i++) {
-        const ch = changesList[i] || {};
-        const from = ch.from || {};
-        const to = ch.to || {};
-
-        ensureSpace(55);
-
-        doc.font("Helvetica-Bold").text(`${i + 1}. ${ch.code || "—"} - ${ch.name || "—"}`, X0, doc.y);
-        doc.font("Helvetica").text(
-          `De: Sec. ${from.group || "—"} | ${cleanDay(from.day)} | ${cleanTime(from.time)} | ${from.modality || "—"}`,
-          X0,
-          doc.y
-        );
-        doc.text(
-          `A:  Sec. ${to.group || "—"} | ${cleanDay(to.day)} | ${cleanTime(to.time)} | ${to.modality || "—"}`,
-          X0,
-          doc.y
-        );
-        doc.moveDown(0.4);
-        resetX();
-      }
+    if (!policy.ok) {
+      return res.status(422).json({
+        ok: false,
+        error: "policy_violation",
+        message: "La solicitud no cumple las reglas de rectificación.",
+        errors: policy.errors,
+        warnings: policy.warnings,
+      });
     }
 
-    // Footer + signature
-    ensureSpace(70);
-    doc.font("Helvetica").fontSize(10).text(`Fecha de generación: ${fmtDatePE(new Date())}`, {
-      width: CONTENT_W,
-      align: "right",
+    // CHANGE / DROP / ADD (same order as the client => decisions stay aligned)
+    const changesList = validation.changes;
+    const finalPlan = validation.finalCourses;
+
+    // ✅ Verification code + QR (public /verify/:code page), printed at the end of the PDF
+    const verificationCode = generateVerificationCode();
+    const verifyUrl = verificationUrl(req, verificationCode);
+    const verificationQr = await qrPng(verifyUrl);
+
+    // PDF generation (utils/pdfTemplate.js layout)
+    const pdfBuffer = await renderRectificationPdf({
+      student: info,
+      currentCourses: currentSchedule,
+      finalCourses: finalPlan,
+      changes: changesList,
+      credits,
+      verification: { code: verificationCode, url: verifyUrl, qr: verificationQr },
     });
 
-    doc.moveDown(1.6);
-    resetX();
-    doc.font("Helvetica").fontSize(10).text("Firma del estudiante:", X0, doc.y);
-    doc.moveDown(1.4);
-    doc.moveTo(X0, doc.y).lineTo(X0 + 220, doc.y).strokeColor("black").stroke();
-    doc.moveDown(0.2);
-    doc.font("Helvetica-Bold").text(info.name || "—", X0, doc.y);
-    resetX();
-
-    // Convert to buffer
-    const pdfBuffer = await pdfToBuffer(doc);
-
-
-
     // =========================
     // ✅ STEP 6: SAVE PDF + SAVE RECORD FOR ADMIN
     // =========================
-    const id = crypto.randomUUID
-      ? crypto.randomUUID()
-      : crypto.randomBytes(16).toString("hex");
-
-    // Make a safe unique filename (avoid overwriting)
-    const safeCode = String(info.code || "student").replace(/[^a-zA-Z0-9_-]/g, "");
-    const safePeriod = String(info.period || "period").replace(/[^a-zA-Z0-9_-]/g, "");
-    const pdfFile = `rectificacion_${safeCode}_${safePeriod}_${Date.now()}_${id}.pdf`;
-
-    await fs.promises.mkdir(PDF_DIR, { recursive: true });
-    await fs.promises.writeFile(path.join(PDF_DIR, pdfFile), pdfBuffer);
+    const pdfFile = await savePdf(pdfFileName(info.code, info.period), pdfBuffer);
 
     // =========================
     // ✅ Supabase: save request + lock portal
     // =========================
-    const period_id = CURRENT_PERIOD_ID;
-    const student_code = String(info.code || safeCode);
     const nowIso = new Date().toISOString();
 
-    // (Optional) Prevent double-submit
-    const psBefore = await getPortalState(period_id, student_code);
-    if (psBefore && psBefore.status === "DONE") {
-      return res.status(403).json({
-        ok: false,
-        error: "already_submitted",
-        message: psBefore.message || "Ya enviaste tu solicitud.",
-      });
-    }
+    // ✅ A resubmission (after an admin unlock) is the next version and keeps the earlier history
+    const submission = await nextSubmission(period_id, student_code, { by: student_code, at: nowIso });
 
     // 1) Save rectification payload (admin will later approve/reject here)
-    await upsertRectificationRequest({
+    const savedRequest = await upsertRectificationRequest({
       period_id,
       student_code,
       student_name: info.name || null,
@@ -2184,21 +2031,40 @@ app.post("/confirm", requireVerifiedStudent, async (req, res) => {
       boleta_number: req.session.boletaNumber || null,
       boleta_verified: true,
 
-      status: "SUBMITTED",
+      status: STATUS.SUBMITTED,
       locked: true,
       admin_message: null,
+      decisions: [],
+      status_history: submission.status_history,
+      version: submission.version,
+      review_started_at: null,
+      review_started_by: null,
+      decided_at: null,
+      decided_by: null,
 
       changes: Array.isArray(changesList) ? changesList : [],
       final_courses: Array.isArray(finalPlan) ? finalPlan : [],
       current_courses: Array.isArray(currentSchedule) ? currentSchedule : [],
+      credits_before: credits.before,
+      credits_after: credits.after,
+      policy_warnings: policy.warnings,
 
       pdf_storage_path: pdfFile, // you saved it locally
       pdf_url: null,
+      ...verificationRecord(verificationCode, pdfBuffer),
 
       submitted_at: nowIso,
       ip: getClientIp(req),
       user_agent: req.headers["user-agent"] || null,
     });
+    await recordVersion(savedRequest);
+
+    // ✅ Held seats of the new sections => reserved until the admin decides
+    try {
+      await reserveSeats({ period_id, student_code, changes: changesList });
+    } catch (e) {
+      console.warn("Seat reservation failed:", student_code, e.message);
+    }
 
     // 2) Ensure portal_state exists + mark DONE
     await upsertPortalState({
@@ -2218,41 +2084,47 @@ app.post("/confirm", requireVerifiedStudent, async (req, res) => {
         changes: Array.isArray(changesList) ? changesList : [],
         finalCourses: Array.isArray(finalPlan) ? finalPlan : [],
         currentCourses: Array.isArray(currentSchedule) ? currentSchedule : [],
+        credits,
         pdfFile,
       },
     });
 
+    // ✅ The draft became a request (admin draft activity counts it as submitted)
+    try {
+      await markDraftSubmitted(period_id, student_code);
+    } catch (e) {
+      console.warn("markDraftSubmitted failed:", student_code, e.message);
+    }
 
 
 
-    // Try emailing to admins
-    if (mailer && process.env.ADMIN_PDF_TO) {
-      const toList = process.env.ADMIN_PDF_TO.split(",").map((s) => s.trim()).filter(Boolean);
-      if (toList.length) {
-        try {
-          await mailer.sendMail({
-            from: FROM_EMAIL,
-            to: toList,
-            subject: `Rectificación de matrícula - ${info.code} - ${fmtPeriod(info.period)}`,
-            text: "Se adjunta la solicitud de rectificación de matrícula generada desde el portal.",
-            attachments: [
-              {
-                filename: `rectificacion_${info.code}_${info.period}.pdf`,
-                content: pdfBuffer,
-              },
-            ],
-          });
-          console.log("PDF enviado por correo a:", toList.join(", "));
-        } catch (mailErr) {
-          console.error("Error enviando correo con PDF:", mailErr.message);
-        }
-      }
+    // Copy to admins (queued in the mail outbox)
+    const adminTo = String(process.env.ADMIN_PDF_TO || "").split(",").map((s) => s.trim()).filter(Boolean);
+    if (adminTo.length) {
+      await sendMail({
+        to: adminTo,
+        subject: `Rectificación de matrícula - ${info.code} - ${fmtPeriod(info.period)}`,
+        text: "Se adjunta la solicitud de rectificación de matrícula generada desde el portal.",
+        attachments: [
+          {
+            filename: `rectificacion_${info.code}_${info.period}.pdf`,
+            content: pdfBuffer,
+          },
+        ],
+        tag: "admin:SUBMITTED",
+      });
     }
 
 
     // Send PDF to browser (clean name for student download)
     const downloadName = `rectificacion_${info.code}_${info.period}.pdf`;
 
+    // ✅ Receipt to the student (institutional email) with the same PDF
+    await notifyStudent(EMAIL_EVENT.SUBMITTED, savedRequest, {
+      req,
+      attachments: [{ filename: downloadName, content: pdfBuffer }],
+    });
+
     res.setHeader("Content-Type", "application/pdf");
     res.setHeader("Content-Disposition", `attachment; filename="${downloadName}"`);
     return res.end(pdfBuffer);
@@ -2263,8 +2135,90 @@ app.post("/confirm", requireVerifiedStudent, async (req, res) => {
   }
 });
 
+/* ------------ public document verification (QR / code printed in the PDF) ------------ */
+app.get("/verify", (req, res) => {
+  const raw = String(req.query.code || "").trim();
+  const code = normalizeVerificationCode(raw);
+  if (code) return res.redirect(`/verify/${formatVerificationCode(code)}`);
+
+  return res.status(raw ? 400 : 200).render("verify", {
+    code: raw,
+    doc: null,
+    changeTypeLabels: CHANGE_TYPE_LABELS,
+    error: raw ? "El código de verificación no es válido." : null,
+  });
+});
+
+app.get("/verify/:code", async (req, res) => {
+  const code = normalizeVerificationCode(req.params.code);
+  const renderNotFound = () =>
+    res.status(404).render("verify", {
+      code: req.params.code,
+      doc: null,
+      changeTypeLabels: CHANGE_TYPE_LABELS,
+      error: "No existe un documento registrado con ese código. El documento podría no ser auténtico.",
+    });
+
+  try {
+    const found = code ? await findByVerificationCode(code) : null;
+    if (!found) return renderNotFound();
+
+    const { version, request, replacedBy } = found;
+    const latest = Number(request?.version) || Number(version.version);
+
+    return res.render("verify", {
+      code: formatVerificationCode(code),
+      doc: {
+        studentCode: version.student_code,
+        period: fmtPeriod(version.period_id),
+        submittedAt: version.submitted_at,
+        version: Number(version.version),
+        latestVersion: latest,
+        superseded: Number(version.version) < latest,
+        replacedBy: replacedBy ? formatVerificationCode(replacedBy) : null,
+        signatureValid: isSignatureValid(code, version.document_hash, version.document_signature),
+        hash: version.document_hash,
+        changes: Array.isArray(version.changes) ? version.changes : [],
+      },
+      changeTypeLabels: CHANGE_TYPE_LABELS,
+      error: null,
+    });
+  } catch (e) {
+    console.error("/verify error:", e.message);
+    return res.status(500).render("verify", {
+      code: req.params.code,
+      doc: null,
+      changeTypeLabels: CHANGE_TYPE_LABELS,
+      error: "No se pudo verificar el documento. Intenta nuevamente.",
+    });
+  }
+});
+
+// ✅ Published approval certificate (link shown to the student once the request is decided)
+app.get("/constancia/:token", async (req, res) => {
+  try {
+    const certificate = await certificateByToken(req.params.token);
+    const filePath = certificate ? await resolvePdfPath(certificate.pdf_storage_path) : null;
+    if (!filePath) {
+      return res.status(404).render("error", {
+        message: "La constancia no está disponible. Comunícate con la oficina de registros académicos.",
+      });
+    }
+    return res.download(filePath, `constancia_${certificate.reference_number}.pdf`);
+  } catch (e) {
+    console.error("/constancia error:", e.message);
+    return res.status(500).render("error", { message: "No se pudo descargar la constancia. Intenta nuevamente." });
+  }
+});
+
 // Logout
-app.post("/logout", (req, res) => {
+app.post("/logout", async (req, res) => {
+  const code = req.session?.student?.codigo;
+  if (code) {
+    await releaseHolds({ period_id: sessionPeriodId(req), student_code: code }).catch((e) =>
+      console.warn("Seat hold release failed (logout):", e.message)
+    );
+  }
   req.session.destroy(() => res.redirect("/"));
 });
 
@@ -2305,8 +2259,15 @@ app.use((err, req, res, next) => {
   return res.status(500).json({ ok: false, error: "server_error" });
 });
 
-// Start server
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`✅ Server running at http://localhost:${PORT}`);
-});
+// Start server (only when run directly; tests mount the exported app)
+if (require.main === module) {
+  startHoldSweeper();
+  startOfferSweeper();
+  startOutboxWorker();
+  app.listen(PORT, "0.0.0.0", () => {
+    console.log(`✅ Server running at http://localhost:${PORT}`);
+  });
+}
+
+module.exports = app;
 
@@ -1,9 +1,19 @@
 // config/supabase.js
 const { createClient } = require("@supabase/supabase-js");
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY // server only
-);
+// ✅ One shared client (service role key => server-side only).
+// Created lazily so the local store driver can run without Supabase env vars.
+let client = null;
 
-module.exports = supabase;
+function getSupabase() {
+  if (!client) {
+    client = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY,
+      { auth: { persistSession: false } }
+    );
+  }
+  return client;
+}
+
+module.exports = { getSupabase };
@@ -0,0 +1,399 @@
+// mock/upstreamServer.js
+// Stand-in for the university API (LOGIN_BASE_URL / DATA_BASE_URL) for dev + tests.
+//
+//   node mock/upstreamServer.js        (MOCK_UPSTREAM_PORT, default 5080)
+//   LOGIN_BASE_URL=http://localhost:5080/service-uma
+//   DATA_BASE_URL=http://localhost:5080/service-uma/grupoa
+//   ADMIN_EMAIL / ADMIN_PASS => "admin" in mock/fixtures/university.json
+//
+// Fixtures: mock/fixtures/university.json + students seeded from data/students.json.
+const express = require("express");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURES_PATH = path.join(__dirname, "fixtures", "university.json");
+const SEED_STUDENTS_PATH = path.join(__dirname, "..", "data", "students.json");
+
+const DAY_NAMES = {
+  1: "Lunes",
+  2: "Martes",
+  3: "Miércoles",
+  4: "Jueves",
+  5: "Viernes",
+  6: "Sábado",
+  7: "Domingo",
+};
+
+const stripAcc = (s) =>
+  String(s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+const keyOf = (s) => stripAcc(s).toLowerCase().replace(/[^a-z0-9]/g, "");
+const digits = (s) => String(s ?? "").replace(/[^0-9]/g, "");
+
+function loadJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * ✅ data/students.json (old demo seed) => mock students.
+ * Courses are matched to the catalog by name; turno picks the group (Mañana => M1, Tarde => T1).
+ */
+function studentsFromSeed(seed, courses) {
+  const byName = {};
+  Object.entries(courses).forEach(([code, c]) => {
+    byName[keyOf(c.courseName)] = code;
+  });
+  const turnoGroup = { manana: "M1", tarde: "T1", noche: "N1" };
+
+  return (Array.isArray(seed) ? seed : []).map((s) => {
+    const [name, ...rest] = String(s.nombre || "").split(" ");
+    const enrolled = {};
+    (s.cursos || []).forEach((c) => {
+      const code = byName[keyOf(c.nombre)];
+      if (code) enrolled[code] = turnoGroup[keyOf(c.turno)] || "M1";
+    });
+
+    return {
+      codigo: String(s.codigo),
+      dni: String(s.dni),
+      name,
+      lastname: rest.join(" "),
+      email_institucional: s.correo || "",
+      phone: "",
+      facultyName: s.facultad || "",
+      facultyCode: "",
+      specialtyName: "",
+      specialtyCode: "",
+      gender: "",
+      age: null,
+      mode: "PRESENCIAL",
+      period: digits(s.periodo),
+      plan: null,
+      modalityCode: null,
+      boleta: null,
+      enrolled,
+      available: Object.keys(enrolled),
+      availableShape: "courseList",
+    };
+  });
+}
+
+function loadFixtures({ fixturesPath = FIXTURES_PATH, seedPath = SEED_STUDENTS_PATH } = {}) {
+  const fx = loadJson(fixturesPath);
+  let seeded = [];
+  try {
+    seeded = studentsFromSeed(loadJson(seedPath), fx.courses || {});
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+
+  // Fixture students win over seeded ones with the same code
+  const known = new Set((fx.students || []).map((s) => String(s.codigo)));
+  fx.students = [...(fx.students || []), ...seeded.filter((s) => !known.has(s.codigo))];
+  return fx;
+}
+
+// --------------------
+// Period formats (the real API is picky per endpoint)
+// --------------------
+function periodMatchesFormat(period, format) {
+  if (!format || format === "any") return !!digits(period);
+  if (format === "number") return typeof period === "number";
+  if (format === "digits") return typeof period === "string" && /^\d{5}$/.test(period);
+  if (format === "dashed") return typeof period === "string" && /^\d{4}-\d$/.test(period);
+  return false;
+}
+
+function periodError(wrapper) {
+  const errors = { period: ["The period field format is invalid."] };
+  return wrapper === "data"
+    ? { status: 422, message: "Unprocessable Entity", data: { errors } }
+    : { message: "The given data was invalid.", errors };
+}
+
+// --------------------
+// Payload builders
+// --------------------
+function sessionRows(course, code, groupCode, period) {
+  const g = course.groups[groupCode];
+  return g.sessions.map((s) => ({
+    courseCode: code,
+    courseName: course.courseName,
+    groupCode,
+    modality: s.modality,
+    day: DAY_NAMES[s.day] || "",
+    hour: `${s.start} - ${s.end}`,
+    teacherName: s.teacherName || g.teacherName || "DOCENTE POR ASIGNAR",
+    credits: course.credits,
+    period,
+  }));
+}
+
+// One course in the shape the student endpoint uses
+function courseEntry(course, { groupsAsArray = false, namedSessions = false } = {}) {
+  const mapSession = (s) =>
+    namedSessions
+      ? { dayName: DAY_NAMES[s.day], hourStart: s.start, hourEnd: s.end, modality: s.modality }
+      : { day: s.day, start: s.start, end: s.end, modality: s.modality };
+
+  const groups = Object.entries(course.groups).map(([groupCode, g]) => ({
+    courseGroup: groupCode,
+    sessions: g.sessions.map(mapSession),
+  }));
+
+  return {
+    courseName: course.courseName,
+    courseCycle: course.courseCycle,
+    credits: course.credits,
+    groups: groupsAsArray
+      ? groups
+      : groups.reduce((acc, g) => {
+          acc[g.courseGroup] = { sessions: g.sessions };
+          return acc;
+        }, {}),
+  };
+}
+
+/**
+ * ✅ schedule-available comes back in several shapes (all accepted by extractCoursesMap):
+ * courseList => { data: { courseList } }
+ * wrapped    => { data: { available: { courseList } } }
+ * flat       => { data: { period, student, CODE: {...} } } with group arrays + named sessions
+ */
+function scheduleAvailablePayload(student, courses) {
+  const shape = student.availableShape || "courseList";
+  const flat = shape === "flat";
+
+  const courseList = {};
+  (student.available || []).forEach((code) => {
+    if (courses[code]) {
+      courseList[code] = courseEntry(courses[code], { groupsAsArray: flat, namedSessions: flat });
+    }
+  });
+
+  if (shape === "wrapped") {
+    return { status: 200, data: { period: student.period, available: { courseList } } };
+  }
+  if (flat) {
+    return { status: 200, data: { period: student.period, student: student.codigo, ...courseList } };
+  }
+  return { status: 200, data: { period: student.period, courseList } };
+}
+
+/**
+ * ✅ Build the mock app.
+ * options.fixtures: fixture object (defaults to loadFixtures()); mutated state lives in app.locals.
+ */
+function createMockUpstream({ fixtures = loadFixtures(), basePath = "/service-uma" } = {}) {
+  const fx = JSON.parse(JSON.stringify(fixtures));
+  const quirks = fx.quirks || {};
+  const periodFormats = quirks.periodFormats || {};
+  const errorWrappers = quirks.periodErrorWrapper || {};
+  const adminTtl = Number(quirks.adminTokenTtlMs || 15 * 60 * 1000);
+
+  const app = express();
+  app.use(express.json());
+
+  const adminTokens = new Map(); // token => issuedAt
+  const studentTokens = new Map(); // token => codigo
+
+  // Calls log (tests assert on upstream traffic)
+  app.locals.fixtures = fx;
+  app.locals.calls = [];
+  app.locals.adminTokens = adminTokens;
+
+  const findStudent = (code) =>
+    fx.students.find((s) => String(s.codigo) === String(code || "").trim()) || null;
+
+  const bearer = (req) => String(req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+
+  function requireAdminToken(req, res, next) {
+    const issuedAt = adminTokens.get(bearer(req));
+    if (!issuedAt || Date.now() - issuedAt > adminTtl) {
+      return res.status(401).json({ message: "Unauthenticated." });
+    }
+    return next();
+  }
+
+  function requirePeriodFormat(endpoint) {
+    return (req, res, next) => {
+      if (periodMatchesFormat(req.body?.period, periodFormats[endpoint])) return next();
+      return res.status(422).json(periodError(errorWrappers[endpoint]));
+    };
+  }
+
+  const login = express.Router();
+  const data = express.Router();
+
+  app.use((req, _res, next) => {
+    app.locals.calls.push({ method: req.method, path: req.path, body: req.body });
+    next();
+  });
+
+  // Fault injection (tests): faults["login-alumno"] = { status: 503, delayMs: 0, times: 1 }
+  // keyed by the last path segment; times omitted => every call
+  app.locals.faults = {};
+  app.use((req, res, next) => {
+    const endpoint = req.path.split("/").filter(Boolean).pop() || "";
+    const fault = app.locals.faults[endpoint];
+    if (!fault) return next();
+
+    if (fault.times !== undefined && --fault.times <= 0) delete app.locals.faults[endpoint];
+    setTimeout(() => {
+      if (fault.status) return res.status(fault.status).json({ message: "Injected fault" });
+      return next();
+    }, fault.delayMs || 0);
+  });
+
+  // --------------------
+  // LOGIN_BASE_URL
+  // --------------------
+  login.post("/login-alumno", (req, res) => {
+    const { codigo, dni } = req.body || {};
+    const s = findStudent(codigo);
+    if (!s || String(s.dni) !== String(dni || "").trim()) {
+      return res.status(401).json({ message: "Credenciales inválidas" });
+    }
+
+    const token = "stu_" + crypto.randomBytes(12).toString("hex");
+    studentTokens.set(token, s.codigo);
+    return res.json({
+      access_token: token,
+      token_type: "bearer",
+      periodCode: s.period,
+      user: { c_codalu: s.codigo, c_nomalu: s.name, c_apealu: s.lastname },
+    });
+  });
+
+  login.post("/login", (req, res) => {
+    const { email, password } = req.body || {};
+    if (email !== fx.admin.email || password !== fx.admin.password) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+    const token = "adm_" + crypto.randomBytes(12).toString("hex");
+    adminTokens.set(token, Date.now());
+    return res.json({ access_token: token, token_type: "bearer", expires_in: adminTtl / 1000 });
+  });
+
+  login.post("/student/schedule-available", (req, res) => {
+    const codigo = studentTokens.get(bearer(req));
+    if (!codigo) return res.status(401).json({ message: "Unauthenticated." });
+    if (String(req.body?.codigo || "") !== codigo) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const s = findStudent(codigo);
+    if (digits(req.body?.period) && digits(req.body.period) !== digits(s.period)) {
+      return res.json({ status: 200, data: { period: req.body.period, courseList: {} } });
+    }
+    return res.json(scheduleAvailablePayload(s, fx.courses));
+  });
+
+  // --------------------
+  // DATA_BASE_URL (admin token)
+  // --------------------
+  data.post("/student", requireAdminToken, requirePeriodFormat("student"), (req, res) => {
+    const s = findStudent(req.body?.code);
+    if (!s) return res.status(404).json({ status: 404, message: "Student not found", data: null });
+
+    return res.json({
+      status: 200,
+      data: {
+        code: s.codigo,
+        name: s.name,
+        lastname: s.lastname,
+        dni: s.dni,
+        email_institucional: s.email_institucional,
+        phone: s.phone,
+        facultyName: s.facultyName,
+        facultyCode: s.facultyCode,
+        specialtyName: s.specialtyName,
+        specialtyCode: s.specialtyCode,
+        gender: s.gender,
+        age: s.age,
+        mode: s.mode,
+        period: s.period,
+        periodCode: s.period,
+        plan: s.plan,
+        modalityCode: s.modalityCode,
+      },
+    });
+  });
+
+  data.post("/course-schedules", requireAdminToken, requirePeriodFormat("course-schedules"), (req, res) => {
+    const s = findStudent(req.body?.code);
+    if (!s) return res.json({ status: 200, data: [] });
+
+    const rows = [];
+    Object.entries(s.enrolled || {}).forEach(([code, groupCode]) => {
+      const course = fx.courses[code];
+      if (course && course.groups[groupCode]) {
+        rows.push(...sessionRows(course, code, groupCode, s.period));
+      }
+    });
+    return res.json({ status: 200, data: rows });
+  });
+
+  data.post(
+    "/course-number-enrolled",
+    requireAdminToken,
+    requirePeriodFormat("course-number-enrolled"),
+    (req, res) => {
+      const code = String(req.body?.courseCode || "").trim();
+      const course = fx.courses[code];
+      if (!course) return res.json({ status: 200, data: [] });
+
+      const rows = Object.entries(course.groups).map(([groupCode, g]) => ({
+        period: digits(req.body.period),
+        facultyCode: "FCS",
+        specialtyCode: "FBQ",
+        plan: "2019",
+        modalityCode: "SP",
+        courseCode: code,
+        courseGroup: groupCode,
+        number_enrolled: g.enrolled,
+        total_vacations: g.vacancies,
+      }));
+      return res.json({ status: 200, data: rows });
+    }
+  );
+
+  data.post(
+    "/rectification_payments",
+    requireAdminToken,
+    requirePeriodFormat("rectification_payments"),
+    (req, res) => {
+      const period = digits(req.body.period);
+      const rows = fx.students
+        .filter((s) => s.boleta && digits(s.period) === period)
+        .map((s) => ({
+          period: req.body.period,
+          codAlu: s.codigo,
+          dni: s.dni,
+          number_ticket: s.boleta,
+        }));
+      return res.json({ status: 200, data: { data: rows } });
+    }
+  );
+
+  app.use(basePath, login);
+  app.use(`${basePath}/grupoa`, data);
+
+  app.use((req, res) => res.status(404).json({ message: "Not Found" }));
+  return app;
+}
+
+module.exports = { createMockUpstream, loadFixtures, studentsFromSeed };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_UPSTREAM_PORT || 5080);
+  const app = createMockUpstream();
+  app.listen(port, () => {
+    const base = `http://localhost:${port}/service-uma`;
+    console.log(`✅ Mock upstream running`);
+    console.log(`   LOGIN_BASE_URL=${base}`);
+    console.log(`   DATA_BASE_URL=${base}/grupoa`);
+    console.log(`   ADMIN_EMAIL=${app.locals.fixtures.admin.email} ADMIN_PASS=${app.locals.fixtures.admin.password}`);
+    console.log(`   Students: ${app.locals.fixtures.students.map((s) => `${s.codigo}/${s.dni}`).join(", ")}`);
+  });
+}
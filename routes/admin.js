@@ -1,14 +1,107 @@
 // routes/admin.js
 const express = require("express");
 const path = require("path");
-const { createClient } = require("@supabase/supabase-js");
+const store = require("../utils/store");
 
 const {
   listRectifications,
   getRectification,
+  updateRectification,
   listLoginAudit,
-  PDF_DIR,
+  getAdminUserForLogin,
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  resolvePdfPath,
 } = require("../utils/adminStore");
+const {
+  ROLE_LABELS,
+  PERMISSIONS,
+  isValidRole,
+  hasPermission,
+  facultyScope,
+  hashPassword,
+  verifyPassword,
+  requireAdmin,
+} = require("../utils/adminAuth");
+const {
+  buildExportRows,
+  toCsv,
+  toXlsxBuffer,
+  dateRangeToIso,
+} = require("../utils/rectificationExport");
+const { CHANGE_TYPE_LABELS } = require("../utils/rectificationChanges");
+const { normModality } = require("../utils/rectificationPolicy");
+const {
+  STATUS,
+  STATUS_LABELS,
+  DECISION,
+  canTransition,
+  deriveOverallStatus,
+  buildDecisions,
+  historyEntry,
+} = require("../utils/rectificationStatus");
+const { releaseReservations } = require("../utils/seatHolds");
+const {
+  WAITLIST_STATUS,
+  WAITLIST_STATUS_LABELS,
+  listSections,
+  promoteEntry,
+  markNotified,
+  promotionEmail,
+} = require("../utils/waitlist");
+const { sendMail } = require("../utils/mailer");
+const {
+  OUTBOX_STATUS,
+  OUTBOX_STATUS_LABELS,
+  maxAttempts,
+  outboxStats,
+  listOutbox,
+  retryMail,
+  kickOutbox,
+} = require("../utils/mailOutbox");
+const { getTransport } = require("../utils/mailTransports");
+const {
+  WINDOW_STATE_LABELS,
+  windowState,
+  isoToLimaDateTime,
+  parseWindowInput,
+} = require("../utils/rectificationWindows");
+const {
+  PERIOD_STATUS,
+  PERIOD_STATUS_LABELS,
+  normalizePeriodId,
+  listPeriods,
+  parsePeriodInput,
+  savePeriod,
+} = require("../utils/periods");
+const { draftActivity } = require("../utils/drafts");
+const {
+  DIFF_KIND_LABELS,
+  listVersions,
+  getVersion,
+  unlockForResubmission,
+  diffVersions,
+} = require("../utils/rectificationVersions");
+const { regenerateRequestPdf } = require("../utils/rectificationPdf");
+const {
+  EMAIL_EVENT,
+  EMAIL_EVENT_LABELS,
+  PLACEHOLDERS,
+  eventForStatus,
+  listTemplates,
+  saveTemplate,
+  resetTemplate,
+  previewEmail,
+  notifyStudent,
+} = require("../utils/studentEmails");
+const {
+  DEFAULT_OFFICE,
+  isCertifiable,
+  isCurrent,
+  issueCertificate,
+  setCertificatePublished,
+} = require("../utils/rectificationCertificate");
 
 const router = express.Router();
 
@@ -16,26 +109,47 @@ const router = express.Router();
 const asyncHandler = (fn) => (req, res, next) =>
   Promise.resolve(fn(req, res, next)).catch(next);
 
-// ✅ Supabase (service role key => server-side only)
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY,
-  { auth: { persistSession: false } }
-);
+// ✅ Period the admin is looking at (?period= switches it, the session remembers it)
+// req.adminPeriod + res.locals.periods / currentPeriod for the period switcher
+router.use(asyncHandler(async (req, res, next) => {
+  if (!req.session?.admin) return next();
 
-// ✅ One admin guard that works for BOTH pages and API
-function requireAdmin(req, res, next) {
-  const ok = req.session?.admin?.ok === true;
+  const periods = await listPeriods();
+  const asked = normalizePeriodId(req.query.period);
+  if (asked && periods.some((p) => p.id === asked)) req.session.adminPeriod = asked;
 
-  if (ok) return next();
-
-  // If it's an API call => return JSON 401
-  if (req.path.startsWith("/api/")) {
-    return res.status(401).json({ ok: false, error: "admin_required" });
+  if (!periods.some((p) => p.id === req.session.adminPeriod)) {
+    const fallback = periods.find((p) => p.status === PERIOD_STATUS.ACTIVE) || periods[0];
+    req.session.adminPeriod = fallback ? fallback.id : "";
   }
 
-  // Otherwise redirect to admin login page
-  return res.redirect("/admin/login");
+  req.adminPeriod = req.session.adminPeriod;
+  res.locals.periods = periods;
+  res.locals.currentPeriod = periods.find((p) => p.id === req.adminPeriod) || null;
+  return next();
+}));
+
+
+// Who is acting (stored in decisions / history)
+function adminActor(req) {
+  return String(req.session?.admin?.username || "admin");
+}
+
+// ✅ Coordinators can only open requests from their faculty
+function inAdminScope(req, rec) {
+  const scope = facultyScope(req.session?.admin);
+  if (scope === null) return true;
+  return String(rec?.student?.faculty || "") === scope;
+}
+
+// Load the request for :id, or 404 (also when outside the admin's scope)
+async function loadScopedRectification(req, res) {
+  const rec = await getRectification(req.params.id);
+  if (!rec || !inAdminScope(req, rec)) {
+    res.status(404).send("Not found");
+    return null;
+  }
+  return rec;
 }
 
 function formatTurno(x = {}) {
@@ -57,12 +171,10 @@ function formatTurno(x = {}) {
  * ✅ API route:
  * GET /admin/api/rectification-changes?codigo=2320606&period=20261
  */
-router.get("/api/rectification-changes", requireAdmin, asyncHandler(async (req, res) => {
+router.get("/api/rectification-changes", requireAdmin(PERMISSIONS.RECTIFICATIONS_READ), asyncHandler(async (req, res) => {
   try {
     const codigo = String(req.query.codigo || "").trim();
-    const period_id = String(
-      req.query.period || process.env.CURRENT_PERIOD_ID || ""
-    ).trim();
+    const period_id = String(req.query.period || req.adminPeriod || "").trim();
 
     if (!codigo) {
       return res.status(400).json({ ok: false, error: "codigo_required" });
@@ -71,18 +183,19 @@ router.get("/api/rectification-changes", requireAdmin, asyncHandler(async (req,
       return res.status(400).json({ ok: false, error: "period_required" });
     }
 
-    const { data, error } = await supabase
-      .from("rectification_requests")
-      .select("student_code, period_id, submitted_at, changes")
-      .eq("student_code", codigo)
-      .eq("period_id", period_id)
-      .single();
+    const data = await store.rectifications.getByStudent(period_id, codigo, {
+      fields: ["student_code", "period_id", "submitted_at", "changes", "faculty_name"],
+    });
 
     // no row
-    if (error && String(error.code) === "PGRST116") {
+    if (!data) {
+      return res.json({ ok: true, exists: false });
+    }
+
+    const scope = facultyScope(req.session.admin);
+    if (scope !== null && String(data.faculty_name || "") !== scope) {
       return res.json({ ok: true, exists: false });
     }
-    if (error) throw error;
 
     const rawChanges = Array.isArray(data.changes) ? data.changes : [];
 
@@ -114,21 +227,45 @@ router.get("/api/rectification-changes", requireAdmin, asyncHandler(async (req,
 // Admin login routes
 // --------------------
 router.get("/login", (req, res) => {
-  if (req.session?.admin?.ok) return res.redirect("/admin");
-  res.render("admin_login", { error: null });
+  if (req.session?.admin?.id) return res.redirect("/admin");
+  res.render("admin_login", { error: null, username: "" });
 });
 
-router.post("/login", (req, res) => {
+router.post("/login", asyncHandler(async (req, res) => {
+  const username = String(req.body.username || "").trim().toLowerCase();
   const pass = String(req.body.password || "");
-  const correct = String(process.env.ADMIN_PASSWORD || "admin123"); // change in env
 
-  if (pass !== correct) {
-    return res.render("admin_login", { error: "Contraseña incorrecta" });
+  const user = username ? await getAdminUserForLogin(username) : null;
+  const valid = user && user.active && (await verifyPassword(pass, user.password_hash));
+
+  if (!valid) {
+    return res.render("admin_login", {
+      error: "Usuario o contraseña incorrectos",
+      username,
+    });
   }
 
-  req.session.admin = { ok: true, at: Date.now() };
-  return res.redirect("/admin");
-});
+  try {
+    await updateAdminUser(user.id, { last_login_at: new Date().toISOString() });
+  } catch (e) {
+    console.warn("admin last_login_at update failed:", e?.message || e);
+  }
+
+  // Fresh session id on privilege change
+  req.session.regenerate((err) => {
+    if (err) return res.status(500).send("Error interno del servidor (Admin).");
+
+    req.session.admin = {
+      id: user.id,
+      username: user.username,
+      name: user.name,
+      role: user.role,
+      faculty: user.faculty,
+      at: Date.now(),
+    };
+    return res.redirect("/admin");
+  });
+}));
 
 router.post("/logout", (req, res) => {
   req.session.admin = null;
@@ -138,10 +275,19 @@ router.post("/logout", (req, res) => {
 // --------------------
 // Admin dashboard pages
 // --------------------
-router.get("/", requireAdmin, asyncHandler(async (req, res) => {
+router.get("/", requireAdmin(PERMISSIONS.RECTIFICATIONS_READ), asyncHandler(async (req, res) => {
   const q = String(req.query.q || "").toLowerCase().trim();
-  const rects = await listRectifications();
-  const logins = await listLoginAudit();
+  const statusRaw = String(req.query.status || "").toUpperCase().trim();
+  const status = STATUS[statusRaw] ? statusRaw : "";
+
+  const rects = await listRectifications({
+    status: status || undefined,
+    period: req.adminPeriod || undefined,
+    faculty: facultyScope(req.session.admin) ?? undefined,
+  });
+  const logins = hasPermission(req.session.admin, PERMISSIONS.AUDIT_READ)
+    ? await listLoginAudit()
+    : [];
 
   const filtered = q
     ? rects.filter(
@@ -156,30 +302,707 @@ router.get("/", requireAdmin, asyncHandler(async (req, res) => {
     rects: filtered,
     logins: logins.slice(0, 200),
     q,
+    status,
+    statusLabels: STATUS_LABELS,
+    roleLabels: ROLE_LABELS,
   });
 }));
-router.get("/rectifications/:id", requireAdmin, asyncHandler(async (req, res) => {
+// Detail page: current version + every earlier submission (with what changed from the previous one)
+async function renderDetail(res, rec, { status = 200, error = null, notice = null } = {}) {
+  const raw = await store.rectifications.get(rec.id);
+  const versions = (await listVersions(raw)).map((v, i, all) => ({
+    ...v,
+    diff: i > 0 ? diffVersions(all[i - 1], v) : null,
+  }));
+
+  const certificate = await store.certificates.getByRequest(rec.id);
+
+  return res.status(status).render("admin_rectification_detail", {
+    rec,
+    versions,
+    certificate,
+    certificateCurrent: isCurrent(certificate, raw),
+    certifiable: isCertifiable(rec.status),
+    defaultOffice: DEFAULT_OFFICE,
+    notice,
+    statusLabels: STATUS_LABELS,
+    changeTypeLabels: CHANGE_TYPE_LABELS,
+    diffKindLabels: DIFF_KIND_LABELS,
+    error,
+  });
+}
 
-  const rec = await getRectification(req.params.id);
-  if (!rec) return res.status(404).send("Not found");
-  res.render("admin_rectification_detail", { rec });
+router.get("/rectifications/:id", requireAdmin(PERMISSIONS.RECTIFICATIONS_READ), asyncHandler(async (req, res) => {
+
+  const rec = await loadScopedRectification(req, res);
+  if (!rec) return;
+  return renderDetail(res, rec);
 }));
 
-router.get("/rectifications/:id/pdf", requireAdmin, asyncHandler(async (req, res) => {
+// ✅ Start review: SUBMITTED -> IN_REVIEW (also used to reopen a decided request)
+router.post("/rectifications/:id/review", requireAdmin(PERMISSIONS.RECTIFICATIONS_REVIEW), asyncHandler(async (req, res) => {
+  const rec = await loadScopedRectification(req, res);
+  if (!rec) return;
 
-  const rec = await getRectification(req.params.id);
-  if (!rec) return res.status(404).send("Not found");
+  if (!canTransition(rec.status, STATUS.IN_REVIEW)) {
+    return renderDetail(res, rec, {
+      status: 409,
+      error: `No se puede pasar de "${STATUS_LABELS[rec.status]}" a "En revisión".`,
+    });
+  }
+
+  const by = adminActor(req);
+  const at = new Date().toISOString();
+  const note = String(req.body.note || "").trim() || null;
+
+  await updateRectification(rec.id, {
+    status: STATUS.IN_REVIEW,
+    review_started_at: at,
+    review_started_by: by,
+    decided_at: null,
+    decided_by: null,
+    status_history: [...rec.status_history, historyEntry(STATUS.IN_REVIEW, { by, at, note })],
+  });
+  await notifyStudent(EMAIL_EVENT.IN_REVIEW, await store.rectifications.get(rec.id), { req });
+
+  return res.redirect(`/admin/rectifications/${rec.id}`);
+}));
+
+/**
+ * ✅ Decide a request under review.
+ * Form fields: decision_<i> = APPROVED|REJECTED, reason_<i>, admin_message.
+ * Requests without changes use overall_decision + overall_reason instead.
+ */
+router.post("/rectifications/:id/decision", requireAdmin(PERMISSIONS.RECTIFICATIONS_REVIEW), asyncHandler(async (req, res) => {
+  const rec = await loadScopedRectification(req, res);
+  if (!rec) return;
+
+  const renderError = (code, error) => renderDetail(res, rec, { status: code, error });
+
+  if (rec.status !== STATUS.IN_REVIEW) {
+    return renderError(409, "Primero marca la solicitud como \"En revisión\".");
+  }
+
+  const by = adminActor(req);
+  const at = new Date().toISOString();
+  const adminMessage = String(req.body.admin_message || "").trim();
+
+  let decisions = [];
+  let status = null;
+
+  if (rec.changes.length) {
+    const input = rec.changes.map((_, i) => ({
+      index: i,
+      status: req.body[`decision_${i}`],
+      reason: req.body[`reason_${i}`],
+    }));
+
+    const built = buildDecisions(rec.changes, input, { by, at });
+    if (!built.ok) {
+      const missingReason = built.errors.some((e) => e.error === "reason_required");
+      return renderError(
+        400,
+        missingReason
+          ? "Indica el motivo de cada cambio rechazado."
+          : "Selecciona una decisión para cada cambio."
+      );
+    }
+
+    decisions = built.decisions;
+    status = deriveOverallStatus(decisions);
+  } else {
+    const overall = String(req.body.overall_decision || "").toUpperCase().trim();
+    if (!DECISION[overall]) return renderError(400, "Selecciona una decisión.");
+    status = overall === DECISION.APPROVED ? STATUS.APPROVED : STATUS.REJECTED;
+  }
+
+  // Rejecting the whole request always needs a reason for the student
+  const rejectReason =
+    String(req.body.overall_reason || "").trim() ||
+    decisions.filter((d) => d.reason).map((d) => d.reason).join(" / ");
+
+  if (status === STATUS.REJECTED && !adminMessage && !rejectReason) {
+    return renderError(400, "El motivo es obligatorio al rechazar la solicitud.");
+  }
+
+  await updateRectification(rec.id, {
+    status,
+    decisions,
+    admin_message: adminMessage || (status === STATUS.REJECTED ? rejectReason : null),
+    decided_at: at,
+    decided_by: by,
+    status_history: [
+      ...rec.status_history,
+      historyEntry(status, { by, at, note: adminMessage || rejectReason || null }),
+    ],
+  });
+
+  // Decided => the seats reserved at /confirm go back to the pool
+  await releaseReservations({ period_id: rec.student.period, student_code: rec.student.code });
+  await notifyStudent(eventForStatus(status), await store.rectifications.get(rec.id), { req });
+
+  return res.redirect(`/admin/rectifications/${rec.id}`);
+}));
+
+/**
+ * ✅ Unlock the student for a resubmission (the current version is kept with its decisions).
+ * Form fields: reason (shown to the student and kept with the version)
+ */
+router.post("/rectifications/:id/unlock", requireAdmin(PERMISSIONS.RECTIFICATIONS_UNLOCK), asyncHandler(async (req, res) => {
+  const rec = await loadScopedRectification(req, res);
+  if (!rec) return;
+
+  const result = await unlockForResubmission({
+    request_id: rec.id,
+    reason: req.body.reason,
+    by: adminActor(req),
+  });
+
+  if (!result.ok) {
+    const messages = {
+      reason_required: "Indica el motivo del desbloqueo.",
+      already_unlocked: "El alumno ya está desbloqueado para reenviar su solicitud.",
+      not_found: "No encontramos la solicitud.",
+    };
+    return renderDetail(res, rec, {
+      status: result.error === "reason_required" ? 400 : 409,
+      error: messages[result.error],
+    });
+  }
+
+  // The student picks new sections => the seats reserved by this version go back to the pool
+  await releaseReservations({ period_id: rec.student.period, student_code: rec.student.code });
+  await notifyStudent(EMAIL_EVENT.REOPENED, await store.rectifications.get(rec.id), {
+    req,
+    adminMessage: String(req.body.reason || "").trim(),
+  });
+
+  return res.redirect(`/admin/rectifications/${rec.id}`);
+}));
+
+/**
+ * ✅ Message to the student without changing the status (emailed + kept as admin_message).
+ * Form fields: message
+ */
+router.post("/rectifications/:id/message", requireAdmin(PERMISSIONS.RECTIFICATIONS_REVIEW), asyncHandler(async (req, res) => {
+  const rec = await loadScopedRectification(req, res);
+  if (!rec) return;
+
+  const message = String(req.body.message || "").trim();
+  if (!message) return renderDetail(res, rec, { status: 400, error: "Escribe el mensaje para el alumno." });
+
+  const by = adminActor(req);
+  const at = new Date().toISOString();
+  await updateRectification(rec.id, {
+    admin_message: message,
+    status_history: [...rec.status_history, historyEntry(rec.status, { by, at, note: `Mensaje: ${message}` })],
+  });
+  const sent = await notifyStudent(EMAIL_EVENT.ADMIN_MESSAGE, await store.rectifications.get(rec.id), {
+    req,
+    adminMessage: message,
+  });
+
+  return renderDetail(res, await getRectification(rec.id), {
+    notice: sent ? "Mensaje enviado al alumno." : "Mensaje guardado. No se pudo enviar el correo al alumno.",
+  });
+}));
+
+// PDF of one submitted version
+router.get("/rectifications/:id/versions/:version/pdf", requireAdmin(PERMISSIONS.RECTIFICATIONS_READ), asyncHandler(async (req, res) => {
+  const rec = await loadScopedRectification(req, res);
+  if (!rec) return;
+
+  const version = await getVersion(await store.rectifications.get(rec.id), req.params.version);
+  const filePath = await resolvePdfPath(version && version.pdf_storage_path);
+  if (!filePath) return res.status(404).send("No PDF");
+
+  return res.download(filePath, path.basename(filePath));
+}));
+
+router.get("/rectifications/:id/pdf", requireAdmin(PERMISSIONS.RECTIFICATIONS_READ), asyncHandler(async (req, res) => {
+
+  const rec = await loadScopedRectification(req, res);
+  if (!rec) return;
 
   // ✅ If PDF is stored in Supabase (public or signed URL already saved)
   if (rec.pdfUrl) return res.redirect(rec.pdfUrl);
 
-  // ✅ Fallback: local PDF generation
-  if (!rec.pdfFile && !rec.pdfPath) return res.status(404).send("No PDF");
+  // ✅ Fallback: local PDF (PDF_DIR or one of the legacy folders)
+  const filePath = await resolvePdfPath(rec.pdfFile || rec.pdfPath);
+  if (!filePath) {
+    return renderDetail(res, rec, {
+      status: 404,
+      error: "No encontramos el archivo PDF de esta solicitud. Puedes regenerarlo a partir de los datos registrados.",
+    });
+  }
+
+  return res.download(filePath, path.basename(filePath));
+}));
+
+// ✅ Rebuild the PDF of the current version from the stored request (new verification code; the old one still verifies)
+router.post("/rectifications/:id/pdf/regenerate", requireAdmin(PERMISSIONS.RECTIFICATIONS_REVIEW), asyncHandler(async (req, res) => {
+  const rec = await loadScopedRectification(req, res);
+  if (!rec) return;
+
+  const result = await regenerateRequestPdf({ request_id: rec.id, req, by: adminActor(req) });
+  if (!result.ok) return renderDetail(res, rec, { status: 404, error: "No encontramos la solicitud." });
+
+  return res.redirect(`/admin/rectifications/${rec.id}`);
+}));
+/**
+ * ✅ Issue (or re-issue) the approval certificate of an approved request.
+ * Form fields: office (deciding office printed on the certificate)
+ */
+router.post("/rectifications/:id/certificate", requireAdmin(PERMISSIONS.RECTIFICATIONS_REVIEW), asyncHandler(async (req, res) => {
+  const rec = await loadScopedRectification(req, res);
+  if (!rec) return;
+
+  const result = await issueCertificate({ request_id: rec.id, office: req.body.office, by: adminActor(req) });
+  if (!result.ok) {
+    const messages = {
+      office_required: "Indica la oficina que resuelve la solicitud.",
+      not_approved: "Solo se emite la constancia de solicitudes aprobadas (total o parcialmente).",
+      not_found: "No encontramos la solicitud.",
+    };
+    return renderDetail(res, rec, {
+      status: result.error === "office_required" ? 400 : 409,
+      error: messages[result.error],
+    });
+  }
+
+  return res.redirect(`/admin/rectifications/${rec.id}`);
+}));
+
+router.get("/rectifications/:id/certificate", requireAdmin(PERMISSIONS.RECTIFICATIONS_READ), asyncHandler(async (req, res) => {
+  const rec = await loadScopedRectification(req, res);
+  if (!rec) return;
+
+  const certificate = await store.certificates.getByRequest(rec.id);
+  const filePath = certificate ? await resolvePdfPath(certificate.pdf_storage_path) : null;
+  if (!filePath) {
+    return renderDetail(res, rec, {
+      status: 404,
+      error: certificate
+        ? "No encontramos el archivo de la constancia. Vuelve a emitirla para generarlo otra vez."
+        : "Esta solicitud aún no tiene constancia.",
+    });
+  }
+
+  return res.download(filePath, `constancia_${certificate.reference_number}.pdf`);
+}));
+
+// ✅ Make the certificate available to the student (published=1) or withdraw it (published=0)
+router.post("/rectifications/:id/certificate/publish", requireAdmin(PERMISSIONS.RECTIFICATIONS_REVIEW), asyncHandler(async (req, res) => {
+  const rec = await loadScopedRectification(req, res);
+  if (!rec) return;
+
+  const result = await setCertificatePublished({
+    request_id: rec.id,
+    published: String(req.body.published || "") === "1",
+    by: adminActor(req),
+  });
+  if (!result.ok) return renderDetail(res, rec, { status: 409, error: "Primero emite la constancia." });
+
+  return res.redirect(`/admin/rectifications/${rec.id}`);
+}));
+
+/**
+ * ✅ Spreadsheet export (one row per course change)
+ * GET /admin/export?format=csv|xlsx&period=20261&faculty=&specialty=&mode=&from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+router.get("/export", requireAdmin(PERMISSIONS.RECTIFICATIONS_READ), asyncHandler(async (req, res) => {
+  const format = String(req.query.format || "csv").toLowerCase() === "xlsx" ? "xlsx" : "csv";
+  const pick = (k) => String(req.query[k] || "").trim() || undefined;
+  const { from, to } = dateRangeToIso(req.query.from, req.query.to);
+
+  const statusRaw = String(req.query.status || "").toUpperCase().trim();
+  const scope = facultyScope(req.session.admin);
+
+  const period = normalizePeriodId(pick("period")) || req.adminPeriod;
+
+  const rects = await listRectifications({
+    status: STATUS[statusRaw] ? statusRaw : undefined,
+    period: period || undefined,
+    faculty: scope ?? pick("faculty"),
+    specialty: pick("specialty"),
+    from: from || undefined,
+    to: to || undefined,
+    limit: null,
+  });
+
+  // Mode typed by hand => "Presencial" / "PRESENCIAL" / "presencial" export the same rows
+  const mode = pick("mode");
+  const rows = buildExportRows(
+    mode ? rects.filter((r) => normModality(r.student.mode) === normModality(mode)) : rects
+  );
+  const stamp = new Date().toISOString().slice(0, 10);
+  const fileName = `rectificaciones_${period || "todos"}_${stamp}.${format}`.replace(/[^a-zA-Z0-9_.-]/g, "");
+
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+  if (format === "xlsx") {
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    return res.end(await toXlsxBuffer(rows));
+  }
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  return res.send(toCsv(rows));
+}));
+
+// --------------------
+// Draft activity (students who started a rectification but never sent it)
+// --------------------
+router.get("/drafts", requireAdmin(PERMISSIONS.RECTIFICATIONS_READ), asyncHandler(async (req, res) => {
+  const period = req.adminPeriod;
+  const activity = period
+    ? await draftActivity({ period_id: period, faculty: facultyScope(req.session.admin) })
+    : { started: 0, submitted: 0, pending: 0, pendingDrafts: [] };
+  res.render("admin_drafts", { period, ...activity });
+}));
+
+// --------------------
+// Waitlists (full sections)
+// --------------------
+async function renderWaitlists(req, res, { status = 200, error = null, notice = null } = {}) {
+  const period = req.adminPeriod;
+  const sections = await listSections({
+    period_id: period || undefined,
+    faculty: facultyScope(req.session.admin),
+  });
+  return res.status(status).render("admin_waitlists", {
+    sections,
+    period,
+    waitlistStatus: WAITLIST_STATUS,
+    waitlistLabels: WAITLIST_STATUS_LABELS,
+    error,
+    notice,
+  });
+}
+
+router.get("/waitlists", requireAdmin(PERMISSIONS.RECTIFICATIONS_READ), asyncHandler(async (req, res) => {
+  return renderWaitlists(req, res);
+}));
+
+// Offer the seat to a waiting student (email + time-limited window to accept)
+router.post("/waitlists/:id/promote", requireAdmin(PERMISSIONS.RECTIFICATIONS_REVIEW), asyncHandler(async (req, res) => {
+  const entry = await store.waitlist.get(req.params.id).catch(() => null);
+  const scope = facultyScope(req.session.admin);
+  if (!entry || (scope !== null && String(entry.faculty_name || "") !== scope)) {
+    return res.status(404).send("Not found");
+  }
+
+  const period = res.locals.periods.find((p) => p.id === String(entry.period_id));
+  const result = await promoteEntry(entry.id, {
+    by: adminActor(req),
+    hours: period?.settings.waitlistOfferHours,
+  });
+  if (!result.ok) {
+    return renderWaitlists(req, res, { status: 409, error: "Ese estudiante ya no está en espera." });
+  }
+
+  const promoted = result.entry;
+  const sent = promoted.email ? await sendMail({ to: promoted.email, ...promotionEmail(promoted), tag: "waitlist:OFFER" }) : false;
+  if (sent) await markNotified(promoted.id);
+
+  return renderWaitlists(req, res, {
+    notice: sent
+      ? `Cupo ofrecido a ${promoted.student_code}; se le envió un correo.`
+      : `Cupo ofrecido a ${promoted.student_code} (no se pudo enviar el correo).`,
+  });
+}));
+
+// --------------------
+// Rectification windows (open / close dates per period, extensions per student)
+// --------------------
+// Coordinators manage their own faculty's rows; other rows are read-only for them
+function canEditWindow(req, w) {
+  const scope = facultyScope(req.session.admin);
+  return scope === null || String(w.faculty || "") === scope;
+}
+
+async function renderWindows(req, res, { status = 200, error = null, notice = null, form = {} } = {}) {
+  const period = req.adminPeriod;
+  const scope = facultyScope(req.session.admin);
+  const now = new Date();
+
+  const windows = (await store.windows.list({ period_id: period || undefined }))
+    .filter((w) => scope === null || !w.faculty || String(w.faculty) === scope)
+    .map((w) => ({
+      ...w,
+      state: windowState(w, now),
+      editable: canEditWindow(req, w),
+      opensLocal: isoToLimaDateTime(w.opens_at),
+      closesLocal: isoToLimaDateTime(w.closes_at),
+    }));
+
+  return res.status(status).render("admin_windows", {
+    windows,
+    period,
+    scope,
+    stateLabels: WINDOW_STATE_LABELS,
+    form,
+    error,
+    notice,
+  });
+}
+
+async function loadEditableWindow(req, res) {
+  const w = await store.windows.get(req.params.id).catch(() => null);
+  if (!w || !canEditWindow(req, w)) {
+    res.status(404).send("Not found");
+    return null;
+  }
+  return w;
+}
+
+router.get("/windows", requireAdmin(PERMISSIONS.WINDOWS_MANAGE), asyncHandler(async (req, res) => {
+  return renderWindows(req, res);
+}));
+
+router.post("/windows", requireAdmin(PERMISSIONS.WINDOWS_MANAGE), asyncHandler(async (req, res) => {
+  const scope = facultyScope(req.session.admin);
+  const { row, error } = parseWindowInput({ ...req.body, faculty: scope === null ? req.body.faculty : scope });
+  if (error) return renderWindows(req, res, { status: 400, error, form: req.body });
+
+  await store.windows.insert({ ...row, created_by: adminActor(req) });
+  return renderWindows(req, res, {
+    notice: row.student_code ? `Ampliación registrada para ${row.student_code}.` : "Ventana registrada.",
+  });
+}));
+
+// Change dates / note (scope fields stay as created)
+router.post("/windows/:id", requireAdmin(PERMISSIONS.WINDOWS_MANAGE), asyncHandler(async (req, res) => {
+  const w = await loadEditableWindow(req, res);
+  if (!w) return;
+
+  const { row, error } = parseWindowInput({
+    ...w,
+    opens_at: req.body.opens_at,
+    closes_at: req.body.closes_at,
+    note: req.body.note,
+  });
+  if (error) return renderWindows(req, res, { status: 400, error });
+
+  await store.windows.update(w.id, { opens_at: row.opens_at, closes_at: row.closes_at, note: row.note });
+  return renderWindows(req, res, { notice: "Ventana actualizada." });
+}));
+
+router.post("/windows/:id/delete", requireAdmin(PERMISSIONS.WINDOWS_MANAGE), asyncHandler(async (req, res) => {
+  const w = await loadEditableWindow(req, res);
+  if (!w) return;
+
+  await store.windows.remove(w.id);
+  return renderWindows(req, res, { notice: "Ventana eliminada." });
+}));
+
+// --------------------
+// Student email templates (preview: any admin; edit: emails:manage)
+// --------------------
+async function renderEmails(req, res, { status = 200, error = null, notice = null, draft = null } = {}) {
+  const templates = await listTemplates();
+  const event = EMAIL_EVENT[req.params.event || req.query.event] || templates[0].event;
+  const current = templates.find((t) => t.event === event);
+  const editing = draft || current;
+
+  return res.status(status).render("admin_emails", {
+    templates,
+    current,
+    editing,
+    preview: await previewEmail(event, { req, template: editing }),
+    placeholders: PLACEHOLDERS,
+    eventLabels: EMAIL_EVENT_LABELS,
+    error,
+    notice,
+  });
+}
 
-  const fileName = rec.pdfFile || rec.pdfPath;
-  const filePath = path.join(PDF_DIR, fileName);
-  return res.download(filePath, fileName);
+router.get("/emails", requireAdmin(PERMISSIONS.RECTIFICATIONS_READ), asyncHandler(async (req, res) => {
+  return renderEmails(req, res);
 }));
+
+/**
+ * ✅ Save or preview (unsaved) edits of one template.
+ * Form fields: subject, body, action = save | preview
+ */
+router.post("/emails/:event", requireAdmin(PERMISSIONS.EMAILS_MANAGE), asyncHandler(async (req, res) => {
+  const event = req.params.event;
+  if (!EMAIL_EVENT[event]) return res.status(404).send("Not found");
+
+  const draft = {
+    event,
+    label: EMAIL_EVENT_LABELS[event],
+    subject: String(req.body.subject || ""),
+    body: String(req.body.body || "").replace(/\r\n/g, "\n"),
+  };
+  if (req.body.action === "preview") return renderEmails(req, res, { draft });
+
+  const result = await saveTemplate({ event, subject: draft.subject, body: draft.body, by: adminActor(req) });
+  if (!result.ok) {
+    const messages = {
+      subject_required: "El asunto es obligatorio.",
+      body_required: "El contenido es obligatorio.",
+    };
+    return renderEmails(req, res, { status: 400, error: messages[result.error], draft });
+  }
+  return renderEmails(req, res, { notice: `Plantilla "${EMAIL_EVENT_LABELS[event]}" guardada.` });
+}));
+
+// Back to the config/emailTemplates.json default
+router.post("/emails/:event/reset", requireAdmin(PERMISSIONS.EMAILS_MANAGE), asyncHandler(async (req, res) => {
+  const result = await resetTemplate(req.params.event);
+  if (!result.ok) return res.status(404).send("Not found");
+  return renderEmails(req, res, { notice: "Se restauró la plantilla predeterminada." });
+}));
+
+// --------------------
+// Mail outbox (every email the portal sends; DEAD = gave up after MAIL_MAX_ATTEMPTS)
+// --------------------
+async function renderOutbox(req, res, { status = 200, error = null, notice = null } = {}) {
+  const filter = OUTBOX_STATUS[req.query.status] ? req.query.status : "";
+  const transport = getTransport();
+
+  return res.status(status).render("admin_outbox", {
+    stats: await outboxStats(),
+    dead: await listOutbox({ status: OUTBOX_STATUS.DEAD, limit: 100 }),
+    recent: await listOutbox({ status: filter || undefined, limit: 50 }),
+    filter,
+    statusLabels: OUTBOX_STATUS_LABELS,
+    transportName: transport ? transport.name : null,
+    maxAttempts: maxAttempts(),
+    error,
+    notice,
+  });
+}
+
+router.get("/outbox", requireAdmin(PERMISSIONS.EMAILS_MANAGE), asyncHandler(async (req, res) => {
+  return renderOutbox(req, res);
+}));
+
+// Dead letter => back to the queue with a fresh set of attempts
+router.post("/outbox/:id/retry", requireAdmin(PERMISSIONS.EMAILS_MANAGE), asyncHandler(async (req, res) => {
+  const result = await retryMail(req.params.id);
+  if (!result.ok && result.error === "not_found") return res.status(404).send("Not found");
+  if (!result.ok) {
+    return renderOutbox(req, res, { status: 409, error: "Ese correo ya no está en la lista de fallidos." });
+  }
+  kickOutbox();
+  return renderOutbox(req, res, { notice: "Correo devuelto a la cola; se reintentará en breve." });
+}));
+
+// --------------------
+// Period registry (superadmin)
+// --------------------
+async function renderPeriods(res, { status = 200, error = null, notice = null } = {}) {
+  return res.status(status).render("admin_periods", {
+    periods: await listPeriods(),
+    statusLabels: PERIOD_STATUS_LABELS,
+    error,
+    notice,
+  });
+}
+
+router.get("/periods", requireAdmin(PERMISSIONS.PERIODS_MANAGE), asyncHandler(async (req, res) => {
+  return renderPeriods(res);
+}));
+
+// Create or update (the 5-digit id is the key)
+router.post("/periods", requireAdmin(PERMISSIONS.PERIODS_MANAGE), asyncHandler(async (req, res) => {
+  const { row, error } = parsePeriodInput(req.body);
+  if (error) return renderPeriods(res, { status: 400, error });
+
+  const saved = await savePeriod(row);
+  return renderPeriods(res, { notice: `Periodo ${saved.label} guardado.` });
+}));
+
+// --------------------
+// Admin users (superadmin)
+// --------------------
+async function renderUsers(res, { status = 200, error = null, notice = null } = {}) {
+  const users = await listAdminUsers();
+  return res.status(status).render("admin_users", {
+    users,
+    roleLabels: ROLE_LABELS,
+    error,
+    notice,
+  });
+}
+
+router.get("/users", requireAdmin(PERMISSIONS.USERS_MANAGE), asyncHandler(async (req, res) => {
+  return renderUsers(res);
+}));
+
+router.post("/users", requireAdmin(PERMISSIONS.USERS_MANAGE), asyncHandler(async (req, res) => {
+  const username = String(req.body.username || "").trim().toLowerCase();
+  const name = String(req.body.name || "").trim();
+  const role = String(req.body.role || "").trim();
+  const faculty = String(req.body.faculty || "").trim();
+  const password = String(req.body.password || "");
+
+  if (!/^[a-z0-9._-]{3,40}$/.test(username)) {
+    return renderUsers(res, { status: 400, error: "Usuario inválido (3-40 caracteres: letras, números, . _ -)." });
+  }
+  if (!isValidRole(role)) {
+    return renderUsers(res, { status: 400, error: "Rol inválido." });
+  }
+  if (role === "faculty_coordinator" && !faculty) {
+    return renderUsers(res, { status: 400, error: "Indica la facultad del coordinador." });
+  }
+  if (password.length < 10) {
+    return renderUsers(res, { status: 400, error: "La contraseña debe tener al menos 10 caracteres." });
+  }
+
+  if (await getAdminUserForLogin(username)) {
+    return renderUsers(res, { status: 409, error: "Ese usuario ya existe." });
+  }
+
+  await createAdminUser({
+    username,
+    name,
+    role,
+    faculty: role === "faculty_coordinator" ? faculty : null,
+    password_hash: await hashPassword(password),
+  });
+
+  return renderUsers(res, { notice: `Usuario ${username} creado.` });
+}));
+
+router.post("/users/:id", requireAdmin(PERMISSIONS.USERS_MANAGE), asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  const patch = {};
+
+  if (req.body.role !== undefined) {
+    const role = String(req.body.role || "").trim();
+    if (!isValidRole(role)) return renderUsers(res, { status: 400, error: "Rol inválido." });
+    const faculty = String(req.body.faculty || "").trim();
+    if (role === "faculty_coordinator" && !faculty) {
+      return renderUsers(res, { status: 400, error: "Indica la facultad del coordinador." });
+    }
+    patch.role = role;
+    patch.faculty = role === "faculty_coordinator" ? faculty : null;
+  }
+  if (req.body.active !== undefined) {
+    patch.active = String(req.body.active) === "true";
+  }
+  if (req.body.password) {
+    const password = String(req.body.password);
+    if (password.length < 10) {
+      return renderUsers(res, { status: 400, error: "La contraseña debe tener al menos 10 caracteres." });
+    }
+    patch.password_hash = await hashPassword(password);
+  }
+
+  // Don't let a superadmin lock themselves out
+  if (String(id) === String(req.session.admin.id) && (patch.active === false || (patch.role && patch.role !== "superadmin"))) {
+    return renderUsers(res, { status: 400, error: "No puedes desactivar ni cambiar el rol de tu propio usuario." });
+  }
+
+  if (Object.keys(patch).length) await updateAdminUser(id, patch);
+  return renderUsers(res, { notice: "Usuario actualizado." });
+}));
+
 // ✅ Router-level error handler (prevents Node crash)
 router.use((err, req, res, next) => {
   console.error("ADMIN ROUTE ERROR:", err?.response?.data || err?.message || err);
@@ -0,0 +1,62 @@
+// scripts/create-admin.js
+// Usage: node scripts/create-admin.js <username> <role> [faculty]
+// Password is read from ADMIN_NEW_PASSWORD or asked on the terminal.
+require("dotenv").config();
+
+const readline = require("readline");
+const { createAdminUser, getAdminUserForLogin } = require("../utils/adminStore");
+const { ROLES, isValidRole, hashPassword } = require("../utils/adminAuth");
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) =>
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    })
+  );
+}
+
+async function main() {
+  const [username, role = ROLES.SUPERADMIN, faculty = ""] = process.argv.slice(2);
+
+  if (!username) {
+    console.error("Usage: node scripts/create-admin.js <username> <role> [faculty]");
+    console.error("Roles:", Object.values(ROLES).join(", "));
+    process.exit(1);
+  }
+  if (!isValidRole(role)) {
+    console.error(`Invalid role "${role}". Use one of: ${Object.values(ROLES).join(", ")}`);
+    process.exit(1);
+  }
+  if (role === ROLES.FACULTY_COORDINATOR && !faculty) {
+    console.error("faculty_coordinator needs a faculty name.");
+    process.exit(1);
+  }
+
+  if (await getAdminUserForLogin(username)) {
+    console.error(`User "${username}" already exists.`);
+    process.exit(1);
+  }
+
+  const password = process.env.ADMIN_NEW_PASSWORD || (await ask("Password (min 10 chars): "));
+  if (String(password).length < 10) {
+    console.error("Password must have at least 10 characters.");
+    process.exit(1);
+  }
+
+  const user = await createAdminUser({
+    username,
+    name: username,
+    role,
+    faculty: role === ROLES.FACULTY_COORDINATOR ? faculty : null,
+    password_hash: await hashPassword(password),
+  });
+
+  console.log(`✅ Created ${user.role} "${user.username}" (${user.id})`);
+}
+
+main().catch((e) => {
+  console.error("create-admin failed:", e?.message || e);
+  process.exit(1);
+});
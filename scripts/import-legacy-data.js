@@ -0,0 +1,16 @@
+// scripts/import-legacy-data.js
+// Usage: node scripts/import-legacy-data.js
+// Copies data/rectifications/rectifications.json and data/audit/logins.json into the configured
+// store (STORE_DRIVER). Rows already imported are skipped, so it can be re-run.
+require("dotenv").config();
+
+const { importLegacyData } = require("../utils/store/legacyImport");
+
+importLegacyData()
+  .then(({ requests, logins }) => {
+    console.log(`✅ Imported ${requests} rectification request(s) and ${logins} login audit row(s)`);
+  })
+  .catch((e) => {
+    console.error("import-legacy-data failed:", e?.message || e);
+    process.exit(1);
+  });
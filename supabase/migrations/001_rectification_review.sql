@@ -0,0 +1,13 @@
+-- Review workflow for rectification_requests
+-- status: SUBMITTED -> IN_REVIEW -> APPROVED / PARTIALLY_APPROVED / REJECTED
+
+alter table rectification_requests
+  add column if not exists decisions jsonb not null default '[]'::jsonb,
+  add column if not exists status_history jsonb not null default '[]'::jsonb,
+  add column if not exists review_started_at timestamptz,
+  add column if not exists review_started_by text,
+  add column if not exists decided_at timestamptz,
+  add column if not exists decided_by text;
+
+create index if not exists rectification_requests_status_idx
+  on rectification_requests (status);
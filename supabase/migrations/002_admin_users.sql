@@ -0,0 +1,14 @@
+-- Named admin accounts (replaces the shared ADMIN_PASSWORD)
+-- role: viewer | reviewer | faculty_coordinator | superadmin
+
+create table if not exists admin_users (
+  id uuid primary key default gen_random_uuid(),
+  username text not null unique,
+  name text,
+  role text not null check (role in ('viewer', 'reviewer', 'faculty_coordinator', 'superadmin')),
+  faculty text,
+  password_hash text not null,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  last_login_at timestamptz
+);
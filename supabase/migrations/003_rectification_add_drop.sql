@@ -0,0 +1,7 @@
+-- Add / drop courses in rectification_requests
+-- changes[].type: CHANGE (section swap, default for old rows) | DROP | ADD
+-- credits_before / credits_after: totals shown to the student and the admin
+
+alter table rectification_requests
+  add column if not exists credits_before numeric,
+  add column if not exists credits_after numeric;
@@ -0,0 +1,5 @@
+-- Rectification policy (config/rectificationPolicy.json)
+-- policy_warnings: [{ rule, severity, code, message }] accepted with the request (errors block /confirm)
+
+alter table rectification_requests
+  add column if not exists policy_warnings jsonb not null default '[]'::jsonb;
@@ -0,0 +1,18 @@
+-- Seat-hold ledger (utils/seatHolds.js)
+-- status: HOLD (student choosing, expires_at set) | RESERVED (submitted request, until the admin decides)
+-- course_code / group_code are stored normalized (upper case, alphanumeric only)
+
+create table if not exists seat_holds (
+  id uuid primary key default gen_random_uuid(),
+  period_id text not null,
+  student_code text not null,
+  course_code text not null,
+  group_code text not null,
+  status text not null check (status in ('HOLD', 'RESERVED')),
+  expires_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (period_id, student_code, course_code)
+);
+
+create index if not exists seat_holds_course_idx on seat_holds (period_id, course_code);
+create index if not exists seat_holds_expiry_idx on seat_holds (status, expires_at);
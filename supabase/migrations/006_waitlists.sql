@@ -0,0 +1,34 @@
+-- Waitlists for full sections (utils/waitlist.js)
+-- status: WAITING | PROMOTED (offer until offer_expires_at) | ACCEPTED | EXPIRED | CANCELLED
+-- course_code / group_code are stored normalized (upper case, alphanumeric only)
+
+create table if not exists waitlist_entries (
+  id uuid primary key default gen_random_uuid(),
+  period_id text not null,
+  student_code text not null,
+  student_name text,
+  email text,
+  faculty_name text,
+  course_code text not null,
+  course_name text,
+  group_code text not null,
+  status text not null default 'WAITING'
+    check (status in ('WAITING', 'PROMOTED', 'ACCEPTED', 'EXPIRED', 'CANCELLED')),
+  created_at timestamptz not null default now(),
+  promoted_at timestamptz,
+  promoted_by text,
+  offer_expires_at timestamptz,
+  notified_at timestamptz,
+  accepted_at timestamptz
+);
+
+-- Queue tie-breaker for entries created in the same instant (order by created_at, seq)
+alter table waitlist_entries add column if not exists seq bigserial;
+
+create index if not exists waitlist_entries_section_idx on waitlist_entries (period_id, course_code, group_code, created_at, seq);
+create index if not exists waitlist_entries_student_idx on waitlist_entries (period_id, student_code);
+
+-- One active entry per student and section
+create unique index if not exists waitlist_entries_active_uidx
+  on waitlist_entries (period_id, student_code, course_code, group_code)
+  where status in ('WAITING', 'PROMOTED');
@@ -0,0 +1,19 @@
+-- Rectification windows (utils/rectificationWindows.js), managed from /admin/windows
+-- student_code null => general window (optionally scoped by faculty and / or modality)
+-- student_code set  => extension for that student (faculty only scopes who may manage it)
+
+create table if not exists rectification_windows (
+  id uuid primary key default gen_random_uuid(),
+  period_id text not null,
+  faculty text,
+  modality text,
+  student_code text,
+  opens_at timestamptz not null,
+  closes_at timestamptz not null,
+  note text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  check (closes_at > opens_at)
+);
+
+create index if not exists rectification_windows_period_idx on rectification_windows (period_id, opens_at);
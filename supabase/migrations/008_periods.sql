@@ -0,0 +1,11 @@
+-- Period registry (utils/periods.js), managed from /admin/periods
+-- status: ACTIVE (students may log in) | ARCHIVED (admin history only)
+-- settings: { "boletaRequired": true, "seatHoldMinutes": null, "waitlistOfferHours": null }
+
+create table if not exists periods (
+  id text primary key check (id ~ '^[0-9]{5}$'),
+  label text not null,
+  status text not null default 'ACTIVE' check (status in ('ACTIVE', 'ARCHIVED')),
+  settings jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
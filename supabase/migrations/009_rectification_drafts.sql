@@ -0,0 +1,18 @@
+-- Server-side drafts (utils/drafts.js): the student's unfinished selections, one per student + period
+-- changes: the /confirm payload (CHANGE / DROP / ADD); submitted_at is set by /confirm
+
+create table if not exists rectification_drafts (
+  id uuid primary key default gen_random_uuid(),
+  period_id text not null,
+  student_code text not null,
+  student_name text,
+  faculty_name text,
+  changes jsonb not null default '[]'::jsonb,
+  change_count integer not null default 0,
+  started_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  submitted_at timestamptz,
+  unique (period_id, student_code)
+);
+
+create index if not exists rectification_drafts_period_idx on rectification_drafts (period_id, updated_at desc);
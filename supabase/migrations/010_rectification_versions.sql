@@ -0,0 +1,31 @@
+-- Versioned resubmissions (utils/rectificationVersions.js)
+-- rectification_requests keeps the current version; every /confirm is also stored here with its own PDF.
+-- An admin unlock closes the current version (final status / decisions + reason) and sets
+-- rectification_requests.status = 'REOPENED' and portal_state.status = 'UNLOCKED'.
+
+alter table rectification_requests
+  add column if not exists version integer not null default 1;
+
+create table if not exists rectification_versions (
+  id uuid primary key default gen_random_uuid(),
+  request_id uuid references rectification_requests (id) on delete cascade,
+  period_id text not null,
+  student_code text not null,
+  version integer not null,
+  submitted_at timestamptz,
+  changes jsonb not null default '[]'::jsonb,
+  final_courses jsonb not null default '[]'::jsonb,
+  current_courses jsonb not null default '[]'::jsonb,
+  credits_before numeric,
+  credits_after numeric,
+  policy_warnings jsonb not null default '[]'::jsonb,
+  pdf_storage_path text,
+  status text,
+  decisions jsonb not null default '[]'::jsonb,
+  admin_message text,
+  unlocked_at timestamptz,
+  unlocked_by text,
+  unlock_reason text,
+  created_at timestamptz not null default now(),
+  unique (period_id, student_code, version)
+);
@@ -0,0 +1,17 @@
+-- Verifiable PDFs (utils/documentVerification.js)
+-- verification_code: printed in the PDF (+ QR to /verify/:code)
+-- document_hash: sha256 of the PDF; document_signature: HMAC-SHA256(code:hash) with DOCUMENT_SIGNING_SECRET
+
+alter table rectification_requests
+  add column if not exists verification_code text,
+  add column if not exists document_hash text,
+  add column if not exists document_signature text;
+
+alter table rectification_versions
+  add column if not exists verification_code text,
+  add column if not exists document_hash text,
+  add column if not exists document_signature text;
+
+create unique index if not exists rectification_versions_verification_code_idx
+  on rectification_versions (verification_code)
+  where verification_code is not null;
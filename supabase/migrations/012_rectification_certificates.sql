@@ -0,0 +1,30 @@
+-- Approval certificates (utils/rectificationCertificate.js)
+-- One "Constancia de rectificación" per request, issued by staff once it is approved (fully or partially).
+-- reference_number: CR-<period>-<sequence>; approved_changes / schedule: what the PDF lists.
+-- published: the student can download it (/constancia/:download_token) from the portal.
+
+create table if not exists rectification_certificates (
+  id uuid primary key default gen_random_uuid(),
+  request_id uuid not null unique references rectification_requests (id) on delete cascade,
+  period_id text not null,
+  student_code text not null,
+  version integer not null default 1,
+  sequence integer not null,
+  reference_number text not null unique,
+  office text not null,
+  approved_changes jsonb not null default '[]'::jsonb,
+  schedule jsonb not null default '[]'::jsonb,
+  credits_after numeric,
+  pdf_storage_path text,
+  document_hash text,
+  download_token text not null unique,
+  issued_at timestamptz not null default now(),
+  issued_by text,
+  published boolean not null default false,
+  published_at timestamptz,
+  published_by text,
+  unique (period_id, sequence)
+);
+
+create index if not exists rectification_certificates_student_idx
+  on rectification_certificates (period_id, student_code);
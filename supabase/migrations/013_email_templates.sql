@@ -0,0 +1,11 @@
+-- Student emails (utils/studentEmails.js)
+-- Defaults live in config/emailTemplates.json; a row here replaces the default of its event
+-- (SUBMITTED, IN_REVIEW, APPROVED, PARTIALLY_APPROVED, REJECTED, REOPENED, ADMIN_MESSAGE).
+
+create table if not exists email_templates (
+  event text primary key,
+  subject text not null,
+  body text not null,
+  updated_at timestamptz not null default now(),
+  updated_by text
+);
@@ -0,0 +1,25 @@
+-- Durable email outbox (utils/mailOutbox.js)
+-- status: PENDING (next_attempt_at) | SENDING (locked_at / locked_by) | SENT | DEAD (after MAIL_MAX_ATTEMPTS failures)
+-- attachments: [{ filename, contentType, content (base64) }]
+
+create table if not exists email_outbox (
+  id uuid primary key default gen_random_uuid(),
+  "to" jsonb not null,
+  subject text not null,
+  text text not null default '',
+  attachments jsonb not null default '[]'::jsonb,
+  tag text,
+  status text not null default 'PENDING' check (status in ('PENDING', 'SENDING', 'SENT', 'DEAD')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz,
+  locked_at timestamptz,
+  locked_by text,
+  last_error text,
+  transport text,
+  provider_id text,
+  created_at timestamptz not null default now(),
+  sent_at timestamptz
+);
+
+create index if not exists email_outbox_due_idx on email_outbox (status, next_attempt_at);
+create index if not exists email_outbox_created_idx on email_outbox (created_at desc);
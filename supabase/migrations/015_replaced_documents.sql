@@ -0,0 +1,18 @@
+-- PDFs replaced by an admin regeneration (utils/rectificationPdf.js regenerateRequestPdf)
+-- The regenerated PDF gets a new verification code; the one the student already holds stays
+-- verifiable here with its own hash / signature.
+
+create table if not exists rectification_replaced_documents (
+  id uuid primary key default gen_random_uuid(),
+  verification_code text not null unique,
+  request_id uuid references rectification_requests (id) on delete cascade,
+  period_id text not null,
+  student_code text not null,
+  version integer not null,
+  pdf_storage_path text,
+  document_hash text,
+  document_signature text,
+  replaced_at timestamptz not null default now(),
+  replaced_by text,
+  replacement_code text
+);
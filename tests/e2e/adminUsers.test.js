@@ -0,0 +1,57 @@
+// tests/e2e/adminUsers.test.js
+// ✅ Deactivating an admin or changing their role in /admin/users applies to their open session.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startPortal } = require("../helpers/harness");
+const { hashPassword } = require("../../utils/adminAuth");
+
+let portal;
+let root;
+
+async function adminClient(username, role) {
+  const user = await portal.driver.insert("admin_users", {
+    username,
+    name: username,
+    role,
+    faculty: null,
+    active: true,
+    password_hash: await hashPassword("admin-pass-123"),
+  });
+  const c = portal.client();
+  await c.post("/admin/login", { form: { username, password: "admin-pass-123" } });
+  return { c, user };
+}
+
+before(async () => {
+  portal = await startPortal();
+  ({ c: root } = await adminClient("root", "superadmin"));
+});
+
+after(async () => {
+  await portal.stop();
+});
+
+describe("admin accounts", () => {
+  it("logs out a deactivated admin on their next request", async () => {
+    const { c, user } = await adminClient("ana", "reviewer");
+    assert.equal((await c.get("/admin")).status, 200);
+
+    await root.post(`/admin/users/${user.id}`, { form: { active: "false" } });
+
+    const res = await c.get("/admin");
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get("location"), "/admin/login");
+  });
+
+  it("drops the session of an admin whose role changed", async () => {
+    const { c, user } = await adminClient("beto", "superadmin");
+    assert.equal((await c.get("/admin/users")).status, 200);
+
+    await root.post(`/admin/users/${user.id}`, { form: { role: "viewer" } });
+
+    assert.equal((await c.get("/admin/users")).status, 302);
+    await c.post("/admin/login", { form: { username: "beto", password: "admin-pass-123" } });
+    assert.equal((await c.get("/admin/users")).status, 403);
+    assert.equal((await c.get("/admin")).status, 200);
+  });
+});
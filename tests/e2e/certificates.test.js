@@ -0,0 +1,115 @@
+// tests/e2e/certificates.test.js
+// ✅ Approved request => staff issue the "Constancia de rectificación", publish it, the student downloads it.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startPortal } = require("../helpers/harness");
+const { parsePdf } = require("../helpers/pdf");
+const { hashPassword } = require("../../utils/adminAuth");
+
+const LUCIA = { codigo: "2410001", dni: "70112233" };
+
+let portal;
+let admin;
+let requestId;
+let changes;
+
+const certificateRow = async () => (await portal.driver.select("rectification_certificates"))[0];
+
+before(async () => {
+  portal = await startPortal();
+  await portal.driver.insert("admin_users", {
+    username: "root",
+    name: "root",
+    role: "superadmin",
+    faculty: null,
+    active: true,
+    password_hash: await hashPassword("admin-pass-123"),
+  });
+  admin = portal.client();
+  await admin.post("/admin/login", { form: { username: "root", password: "admin-pass-123" } });
+
+  const c = portal.client();
+  await c.login(LUCIA.codigo, LUCIA.dni);
+  const ai = await c.post("/ai-local", { json: { preferences: { freeDays: ["Lunes"] } } });
+  changes = ai.json.changes;
+  assert.ok(changes.length);
+  const res = await c.post("/confirm", {
+    json: { student: { code: LUCIA.codigo }, changes, finalCourses: ai.json.finalCourses },
+  });
+  assert.equal(res.status, 200);
+  requestId = (await portal.driver.select("rectification_requests"))[0].id;
+  await admin.post(`/admin/rectifications/${requestId}/review`, { form: {} });
+});
+
+after(async () => {
+  await portal.stop();
+});
+
+describe("approval certificate", () => {
+  it("is only issued for approved requests", async () => {
+    const res = await admin.post(`/admin/rectifications/${requestId}/certificate`, { form: { office: "Registros" } });
+    assert.equal(res.status, 409);
+    assert.equal(await certificateRow(), undefined);
+  });
+
+  it("lists the approved courses, the weekly schedule, the reference and the office", async () => {
+    const form = {};
+    changes.forEach((_, i) => {
+      form[`decision_${i}`] = "APPROVED";
+    });
+    await admin.post(`/admin/rectifications/${requestId}/decision`, { form });
+
+    const detail = await admin.get(`/admin/rectifications/${requestId}`);
+    assert.match(detail.text, /Generar constancia/);
+
+    const res = await admin.post(`/admin/rectifications/${requestId}/certificate`, {
+      form: { office: "Oficina de Registros Académicos" },
+    });
+    assert.equal(res.status, 302);
+
+    const cert = await certificateRow();
+    assert.equal(cert.reference_number, "CR-20261-00001");
+    assert.equal(cert.published, false);
+
+    const pdf = await admin.get(`/admin/rectifications/${requestId}/certificate`);
+    assert.equal(pdf.status, 200);
+    const text = parsePdf(pdf.buffer).text;
+    assert.match(text, /Constancia de Rectificación de Matrícula/);
+    assert.match(text, /CR-20261-00001/);
+    assert.match(text, /Oficina de Registros Académicos/);
+    assert.match(text, /Cambios aprobados/);
+    assert.match(text, /Horario semanal resultante/);
+    changes.forEach((ch) => assert.match(text, new RegExp(ch.code)));
+  });
+
+  it("is available to the student only once published", async () => {
+    const c = portal.client();
+    const hidden = await c.login(LUCIA.codigo, LUCIA.dni);
+    assert.doesNotMatch(hidden.text, /Descargar constancia/);
+
+    const { download_token } = await certificateRow();
+    assert.equal((await c.get(`/constancia/${download_token}`)).status, 404);
+
+    await admin.post(`/admin/rectifications/${requestId}/certificate/publish`, { form: { published: "1" } });
+    const shown = await portal.client().login(LUCIA.codigo, LUCIA.dni);
+    assert.match(shown.text, /CR-20261-00001/);
+    assert.match(shown.text, new RegExp(`/constancia/${download_token}`));
+
+    const pdf = await portal.client().get(`/constancia/${download_token}`);
+    assert.equal(pdf.status, 200);
+    assert.match(parsePdf(pdf.buffer).text, /CR-20261-00001/);
+  });
+
+  it("keeps the reference on re-issue and hides it once the request is reviewed again", async () => {
+    await admin.post(`/admin/rectifications/${requestId}/certificate`, { form: { office: "Secretaría Académica" } });
+    const cert = await certificateRow();
+    assert.equal(cert.reference_number, "CR-20261-00001");
+    assert.equal(cert.office, "Secretaría Académica");
+    assert.equal(cert.published, true);
+
+    await admin.post(`/admin/rectifications/${requestId}/review`, { form: {} });
+    assert.equal((await portal.client().get(`/constancia/${cert.download_token}`)).status, 404);
+    const detail = await admin.get(`/admin/rectifications/${requestId}`);
+    assert.match(detail.text, /corresponde a una versión o decisión anterior/);
+  });
+});
@@ -0,0 +1,80 @@
+// tests/e2e/drafts.test.js
+// ✅ Server-side drafts: saved on every edit, restored on the next login, marked submitted by /confirm.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startPortal } = require("../helpers/harness");
+const { hashPassword } = require("../../utils/adminAuth");
+
+const LUCIA = { codigo: "2410001", dni: "70112233" };
+
+let portal;
+let admin;
+
+const draftData = (html) => JSON.parse(html.match(/id="draftData">([^<]*)<\/script>/)[1]);
+const stat = (html, name) => Number(html.match(new RegExp(`data-stat="${name}">(\\d+)<`))[1]);
+
+before(async () => {
+  portal = await startPortal();
+  await portal.driver.insert("admin_users", {
+    username: "root",
+    name: "Root",
+    role: "superadmin",
+    faculty: null,
+    active: true,
+    password_hash: await hashPassword("admin-pass-123"),
+  });
+  admin = portal.client();
+  await admin.post("/admin/login", { form: { username: "root", password: "admin-pass-123" } });
+});
+
+after(async () => {
+  await portal.stop();
+});
+
+describe("drafts", () => {
+  let changes;
+  let finalCourses;
+
+  it("saves the selections and restores them on the next login", async () => {
+    const c = portal.client();
+    const first = await c.login(LUCIA.codigo, LUCIA.dni);
+    assert.equal(draftData(first.text), null);
+
+    const ai = await c.post("/ai-local", { json: { preferences: { freeDays: ["Lunes"] } } });
+    ({ changes, finalCourses } = ai.json);
+    assert.ok(changes.length);
+
+    const saved = await c.post("/draft", { json: { changes } });
+    assert.equal(saved.status, 200);
+    assert.ok(saved.json.savedAt);
+
+    const again = await portal.client().login(LUCIA.codigo, LUCIA.dni);
+    const draft = draftData(again.text);
+    assert.deepEqual(draft.changes.map((ch) => ch.code), changes.map((ch) => ch.code));
+    assert.equal(draft.updatedAt, saved.json.savedAt);
+
+    const bad = await c.post("/draft", { json: { changes: "nope" } });
+    assert.equal(bad.status, 400);
+  });
+
+  it("shows unsent drafts to admins", async () => {
+    const res = await admin.get("/admin/drafts");
+    assert.equal(res.status, 200);
+    assert.deepEqual([stat(res.text, "started"), stat(res.text, "pending")], [1, 1]);
+    assert.match(res.text, new RegExp(`<td>${LUCIA.codigo}</td>`));
+    assert.match(res.text, /QUISPE ROJAS/);
+  });
+
+  it("marks the draft submitted on confirm", async () => {
+    const c = portal.client();
+    await c.login(LUCIA.codigo, LUCIA.dni);
+    const res = await c.post("/confirm", { json: { student: { code: LUCIA.codigo }, changes, finalCourses } });
+    assert.equal(res.status, 200);
+
+    const later = await c.post("/draft", { json: { changes } });
+    assert.equal(later.status, 409);
+
+    const page = await admin.get("/admin/drafts");
+    assert.deepEqual([stat(page.text, "submitted"), stat(page.text, "pending")], [1, 0]);
+  });
+});
@@ -0,0 +1,103 @@
+// tests/e2e/emails.test.js
+// ✅ Admin area: preview every student email, edit the templates (superadmin), message the student.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startPortal } = require("../helpers/harness");
+const { hashPassword } = require("../../utils/adminAuth");
+
+const LUCIA = { codigo: "2410001", dni: "70112233" };
+
+let portal;
+let root;
+let viewer;
+
+async function adminClient(username, role) {
+  await portal.driver.insert("admin_users", {
+    username,
+    name: username,
+    role,
+    faculty: null,
+    active: true,
+    password_hash: await hashPassword("admin-pass-123"),
+  });
+  const c = portal.client();
+  await c.post("/admin/login", { form: { username, password: "admin-pass-123" } });
+  return c;
+}
+
+before(async () => {
+  portal = await startPortal();
+  root = await adminClient("root", "superadmin");
+  viewer = await adminClient("viewer", "viewer");
+});
+
+after(async () => {
+  await portal.stop();
+});
+
+describe("student email templates", () => {
+  it("previews each event with a sample request", async () => {
+    for (const event of ["SUBMITTED", "IN_REVIEW", "APPROVED", "PARTIALLY_APPROVED", "REJECTED", "REOPENED", "ADMIN_MESSAGE"]) {
+      const res = await viewer.get(`/admin/emails?event=${event}`);
+      assert.equal(res.status, 200, event);
+      assert.match(res.text, /data-preview="subject">[^<]*2026-1/, event);
+      assert.match(res.text, /Lucía Quispe Ramos/, event);
+    }
+    const res = await viewer.get("/admin/emails?event=REJECTED");
+    assert.doesNotMatch(res.text, /name="subject"/); // viewers can't edit
+  });
+
+  it("lets a superadmin preview unsaved edits, save and reset", async () => {
+    const form = { subject: "Aviso {{period}}", body: "Hola {{studentName}}, ya revisamos tu solicitud." };
+
+    const preview = await root.post("/admin/emails/IN_REVIEW", { form: { ...form, action: "preview" } });
+    assert.match(preview.text, /data-preview="subject">Aviso 2026-1</);
+    assert.equal((await portal.driver.select("email_templates")).length, 0);
+
+    const saved = await root.post("/admin/emails/IN_REVIEW", { form: { ...form, action: "save" } });
+    assert.match(saved.text, /guardada/);
+    const [row] = await portal.driver.select("email_templates");
+    assert.equal(row.subject, "Aviso {{period}}");
+    assert.equal(row.updated_by, "root");
+
+    const empty = await root.post("/admin/emails/IN_REVIEW", { form: { subject: "", body: "x", action: "save" } });
+    assert.equal(empty.status, 400);
+
+    await root.post("/admin/emails/IN_REVIEW/reset", { form: {} });
+    assert.equal((await portal.driver.select("email_templates")).length, 0);
+  });
+
+  it("only lets superadmins edit", async () => {
+    const res = await viewer.post("/admin/emails/IN_REVIEW", { form: { subject: "x", body: "y", action: "save" } });
+    assert.equal(res.status, 403);
+  });
+
+  it("keeps an admin message on the request", async () => {
+    const c = portal.client();
+    await c.login(LUCIA.codigo, LUCIA.dni);
+    const ai = await c.post("/ai-local", { json: { preferences: { freeDays: ["Lunes"] } } });
+    await c.post("/confirm", {
+      json: {
+        student: { code: LUCIA.codigo, email: "otro@example.com" },
+        changes: ai.json.changes,
+        finalCourses: ai.json.finalCourses,
+      },
+    });
+    const [rect] = await portal.driver.select("rectification_requests");
+    assert.equal(rect.email, "lucia.quispe@uma.edu.pe"); // never the address the client posts
+
+    const missing = await root.post(`/admin/rectifications/${rect.id}/message`, { form: { message: " " } });
+    assert.equal(missing.status, 400);
+
+    const res = await root.post(`/admin/rectifications/${rect.id}/message`, {
+      form: { message: "Adjunta tu constancia de trabajo." },
+    });
+    assert.equal(res.status, 200);
+    assert.match(res.text, /Mensaje guardado|Mensaje enviado/);
+
+    const [after] = await portal.driver.select("rectification_requests");
+    assert.equal(after.admin_message, "Adjunta tu constancia de trabajo.");
+    assert.equal(after.status, "SUBMITTED");
+    assert.match(after.status_history.at(-1).note, /Adjunta tu constancia/);
+  });
+});
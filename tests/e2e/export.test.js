@@ -0,0 +1,66 @@
+// tests/e2e/export.test.js
+// ✅ Spreadsheet export filters (mode typed by hand matches however it is written).
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startPortal } = require("../helpers/harness");
+const { hashPassword } = require("../../utils/adminAuth");
+
+let portal;
+let admin;
+
+function requestRow(student_code, mode) {
+  return {
+    period_id: "20261",
+    student_code,
+    student_name: `Alumno ${student_code}`,
+    faculty_name: "Ciencias de la Salud",
+    specialty_name: "Medicina",
+    mode,
+    status: "SUBMITTED",
+    locked: true,
+    decisions: [],
+    status_history: [],
+    version: 1,
+    changes: [{ code: "SFBQ3063", name: "BIOQUÍMICA II", from: { group: "N4" }, to: { group: "M1" } }],
+    final_courses: [],
+    current_courses: [],
+    submitted_at: new Date().toISOString(),
+  };
+}
+
+before(async () => {
+  portal = await startPortal();
+  await portal.driver.insert("admin_users", {
+    username: "root",
+    name: "root",
+    role: "superadmin",
+    faculty: null,
+    active: true,
+    password_hash: await hashPassword("admin-pass-123"),
+  });
+  admin = portal.client();
+  await admin.post("/admin/login", { form: { username: "root", password: "admin-pass-123" } });
+
+  await portal.driver.insert("rectification_requests", requestRow("2419001", "Presencial"));
+  await portal.driver.insert("rectification_requests", requestRow("2419002", "PRESENCIAL"));
+  await portal.driver.insert("rectification_requests", requestRow("2419003", "Semipresencial"));
+});
+
+after(async () => {
+  await portal.stop();
+});
+
+describe("rectification export", () => {
+  it("matches the mode filter ignoring case, accents and separators", async () => {
+    const exported = async (mode) => {
+      const res = await admin.get(`/admin/export?format=csv&period=20261&mode=${encodeURIComponent(mode)}`);
+      assert.equal(res.status, 200);
+      return ["2419001", "2419002", "2419003"].filter((code) => res.text.includes(code));
+    };
+
+    assert.deepEqual(await exported("Presencial"), ["2419001", "2419002"]);
+    assert.deepEqual(await exported("PRESENCIAL"), ["2419001", "2419002"]);
+    assert.deepEqual(await exported("semi-presencial"), ["2419003"]);
+    assert.deepEqual(await exported(""), ["2419001", "2419002", "2419003"]);
+  });
+});
@@ -0,0 +1,95 @@
+// tests/e2e/outbox.test.js
+// ✅ Mail goes through the outbox: failed sends end in the admin's dead-letter list and can be retried.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startPortal } = require("../helpers/harness");
+const { hashPassword } = require("../../utils/adminAuth");
+const { setTransport } = require("../../utils/mailTransports");
+const { processOutbox } = require("../../utils/mailOutbox");
+
+const LUCIA = { codigo: "2410001", dni: "70112233" };
+
+let portal;
+let root;
+let reviewer;
+let down = true;
+const delivered = [];
+
+async function adminClient(username, role) {
+  await portal.driver.insert("admin_users", {
+    username,
+    name: username,
+    role,
+    faculty: null,
+    active: true,
+    password_hash: await hashPassword("admin-pass-123"),
+  });
+  const c = portal.client();
+  await c.post("/admin/login", { form: { username, password: "admin-pass-123" } });
+  return c;
+}
+
+before(async () => {
+  process.env.MAIL_MAX_ATTEMPTS = "1";
+  portal = await startPortal();
+  setTransport({
+    name: "fake",
+    async send(msg) {
+      if (down) throw new Error("connect ECONNREFUSED");
+      delivered.push(msg);
+      return { providerId: `fake-${delivered.length}` };
+    },
+  });
+  root = await adminClient("root", "superadmin");
+  reviewer = await adminClient("reviewer", "reviewer");
+});
+
+after(async () => {
+  setTransport(undefined);
+  delete process.env.MAIL_MAX_ATTEMPTS;
+  await portal.stop();
+});
+
+describe("mail outbox", () => {
+  it("keeps a failed receipt in the dead-letter list until an admin retries it", async () => {
+    const c = portal.client();
+    await c.login(LUCIA.codigo, LUCIA.dni);
+    const ai = await c.post("/ai-local", { json: { preferences: { freeDays: ["Lunes"] } } });
+    const confirm = await c.post("/confirm", {
+      json: { student: { code: LUCIA.codigo }, changes: ai.json.changes, finalCourses: ai.json.finalCourses },
+    });
+    assert.equal(confirm.status, 200);
+
+    await processOutbox();
+    const [mail] = await portal.driver.select("email_outbox");
+    assert.deepEqual(mail.to, ["lucia.quispe@uma.edu.pe"]);
+    assert.equal(mail.tag, "student:SUBMITTED");
+    assert.equal(mail.status, "DEAD");
+    assert.match(mail.last_error, /ECONNREFUSED/);
+
+    const page = await root.get("/admin/outbox");
+    assert.equal(page.status, 200);
+    assert.match(page.text, new RegExp(`data-dead="${mail.id}"`));
+    assert.match(page.text, /ECONNREFUSED/);
+    assert.match(page.text, /rectificacion_2410001_\d+\.pdf/);
+
+    down = false;
+    const retried = await root.post(`/admin/outbox/${mail.id}/retry`, { form: {} });
+    assert.equal(retried.status, 200);
+    assert.match(retried.text, /devuelto a la cola/);
+
+    await processOutbox();
+    const [sent] = await portal.driver.select("email_outbox");
+    assert.equal(sent.status, "SENT");
+    assert.equal(delivered.length, 1);
+    assert.equal(delivered[0].attachments[0].content.subarray(0, 5).toString(), "%PDF-");
+
+    const again = await root.post(`/admin/outbox/${mail.id}/retry`, { form: {} });
+    assert.equal(again.status, 409);
+  });
+
+  it("is only for admins who manage emails", async () => {
+    assert.equal((await reviewer.get("/admin/outbox")).status, 403);
+    assert.equal((await reviewer.post("/admin/outbox/x/retry", { form: {} })).status, 403);
+  });
+});
@@ -0,0 +1,113 @@
+// tests/e2e/pdfRegeneration.test.js
+// ✅ Admin downloads a request PDF whose file is gone => 404 on the detail page, then regenerates it.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { startPortal } = require("../helpers/harness");
+const { parsePdf } = require("../helpers/pdf");
+const { hashPassword } = require("../../utils/adminAuth");
+
+const LUCIA = { codigo: "2410001", dni: "70112233" };
+
+let portal;
+let admin;
+let original;
+
+const requestRow = async () =>
+  (await portal.driver.select("rectification_requests")).find((r) => r.student_code === LUCIA.codigo);
+
+before(async () => {
+  portal = await startPortal();
+  await portal.driver.insert("admin_users", {
+    username: "root",
+    name: "root",
+    role: "superadmin",
+    faculty: null,
+    active: true,
+    password_hash: await hashPassword("admin-pass-123"),
+  });
+  admin = portal.client();
+  await admin.post("/admin/login", { form: { username: "root", password: "admin-pass-123" } });
+
+  const c = portal.client();
+  await c.login(LUCIA.codigo, LUCIA.dni);
+  const ai = await c.post("/ai-local", { json: { preferences: { freeDays: ["Lunes"] } } });
+  const res = await c.post("/confirm", {
+    json: { student: { code: LUCIA.codigo }, changes: ai.json.changes, finalCourses: ai.json.finalCourses },
+  });
+  assert.equal(res.status, 200);
+  original = await requestRow();
+});
+
+after(async () => {
+  await portal.stop();
+});
+
+describe("PDF regeneration", () => {
+  it("reports a missing file on the detail page", async () => {
+    await fs.promises.unlink(path.join(portal.pdfDir, original.pdf_storage_path));
+
+    const res = await admin.get(`/admin/rectifications/${original.id}/pdf`);
+    assert.equal(res.status, 404);
+    assert.match(res.text, /No encontramos el archivo PDF/);
+    assert.match(res.text, /Regenerar PDF/);
+  });
+
+  it("rebuilds the PDF from the stored request under a new verification code", async () => {
+    const res = await admin.post(`/admin/rectifications/${original.id}/pdf/regenerate`, { form: {} });
+    assert.equal(res.status, 302);
+
+    const rect = await requestRow();
+    assert.notEqual(rect.pdf_storage_path, original.pdf_storage_path);
+    assert.notEqual(rect.verification_code, original.verification_code);
+
+    const pdf = await admin.get(`/admin/rectifications/${original.id}/pdf`);
+    assert.equal(pdf.status, 200);
+    const hash = crypto.createHash("sha256").update(pdf.buffer).digest("hex");
+    assert.equal(rect.document_hash, hash);
+
+    const text = parsePdf(pdf.buffer).text;
+    assert.match(text, /Datos del estudiante/);
+    assert.match(text, /\*\*\*\*2233/);
+    original.changes.forEach((ch) => assert.match(text, new RegExp(ch.code)));
+
+    const [version] = await portal.driver.select("rectification_versions");
+    assert.equal(version.pdf_storage_path, rect.pdf_storage_path);
+    assert.equal(version.document_hash, hash);
+
+    const verify = await portal.client().get(`/verify/${rect.verification_code}`);
+    assert.match(verify.text, /Documento auténtico/);
+    assert.match(verify.text, new RegExp(hash));
+  });
+
+  it("keeps the PDF the student already has verifiable under its own code", async () => {
+    const rect = await requestRow();
+    const verify = await portal.client().get(`/verify/${original.verification_code}`);
+    assert.equal(verify.status, 200);
+    assert.match(verify.text, /Documento auténtico, pero la oficina emitió un PDF actualizado/);
+    assert.match(verify.text, new RegExp(original.document_hash));
+    assert.doesNotMatch(verify.text, new RegExp(rect.document_hash));
+
+    const [replaced] = await portal.driver.select("rectification_replaced_documents");
+    assert.equal(replaced.replaced_by, "root");
+    assert.equal(replaced.replacement_code, rect.verification_code);
+  });
+
+  it("lets only reviewers regenerate", async () => {
+    await portal.driver.insert("admin_users", {
+      username: "viewer",
+      name: "viewer",
+      role: "viewer",
+      faculty: null,
+      active: true,
+      password_hash: await hashPassword("admin-pass-123"),
+    });
+    const viewer = portal.client();
+    await viewer.post("/admin/login", { form: { username: "viewer", password: "admin-pass-123" } });
+
+    const res = await viewer.post(`/admin/rectifications/${original.id}/pdf/regenerate`, { form: {} });
+    assert.equal(res.status, 403);
+  });
+});
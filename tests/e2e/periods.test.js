@@ -0,0 +1,110 @@
+// tests/e2e/periods.test.js
+// ✅ Period registry: active periods gate /login, per-period settings, admin views scoped by period.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startPortal } = require("../helpers/harness");
+const { loadFixtures } = require("../../mock/upstreamServer");
+const { hashPassword } = require("../../utils/adminAuth");
+
+const LUCIA = { codigo: "2410001", dni: "70112233" };
+const RAUL = { codigo: "2320099", dni: "70999000" }; // 2025-2, no boleta
+
+let portal;
+let admin;
+
+before(async () => {
+  const fixtures = loadFixtures();
+  const diego = fixtures.students.find((s) => s.codigo === "2410002");
+  fixtures.students.push({ ...diego, codigo: RAUL.codigo, dni: RAUL.dni, period: "20252" });
+
+  portal = await startPortal({ fixtures });
+  await portal.driver.insert("admin_users", {
+    username: "root",
+    name: "Root",
+    role: "superadmin",
+    faculty: null,
+    active: true,
+    password_hash: await hashPassword("admin-pass-123"),
+  });
+  admin = portal.client();
+  await admin.post("/admin/login", { form: { username: "root", password: "admin-pass-123" } });
+});
+
+after(async () => {
+  await portal.stop();
+});
+
+describe("period registry", () => {
+  it("starts from CURRENT_PERIOD_ID", async () => {
+    const res = await admin.get("/admin/periods");
+    assert.equal(res.status, 200);
+    assert.match(res.text, /<b>20261<\/b>/);
+    assert.deepEqual((await portal.driver.select("periods")).map((p) => [p.id, p.status]), [["20261", "ACTIVE"]]);
+  });
+
+  it("only lets students of active periods in", async () => {
+    const before = await portal.client().login(RAUL.codigo, RAUL.dni);
+    assert.match(before.text, /Tu periodo es 2025-2 pero el portal solo permite rectificación del periodo 2026-1/);
+
+    const bad = await admin.post("/admin/periods", { form: { id: "2025", status: "ACTIVE" } });
+    assert.equal(bad.status, 400);
+
+    const saved = await admin.post("/admin/periods", {
+      form: { id: "20252", label: "2025-II", status: "ACTIVE", boletaRequired: "false" },
+    });
+    assert.match(saved.text, /Periodo 2025-II guardado/);
+
+    const c = portal.client();
+    const res = await c.login(RAUL.codigo, RAUL.dni);
+    assert.doesNotMatch(res.text, /class="error"/);
+    assert.match(res.text, /2025-II/);
+
+    const [ps] = (await portal.driver.select("portal_state")).filter((r) => r.student_code === RAUL.codigo);
+    assert.equal(ps.period_id, "20252");
+  });
+
+  it("uses per-period seat hold settings", async () => {
+    await admin.post("/admin/periods", { form: { id: "20261", status: "ACTIVE", seatHoldMinutes: "45" } });
+
+    const c = portal.client();
+    await c.login(LUCIA.codigo, LUCIA.dni);
+    const res = await c.post("/seat-hold", { json: { courseCode: "SFBQ3063", groupCode: "M1" } });
+    assert.equal(res.status, 200);
+    const minutes = (new Date(res.json.expiresAt) - Date.now()) / 60000;
+    assert.ok(minutes > 44 && minutes <= 45, String(minutes));
+  });
+
+  it("scopes the admin dashboard by the selected period", async () => {
+    for (const [period_id, student_code] of [["20261", "1111111"], ["20252", "2222222"]]) {
+      await portal.driver.insert("rectification_requests", {
+        period_id,
+        student_code,
+        student_name: `ALUMNO ${student_code}`,
+        submitted_at: new Date().toISOString(),
+        status: "SUBMITTED",
+        changes: [],
+      });
+    }
+
+    const current = await admin.get("/admin");
+    assert.match(current.text, /1111111/);
+    assert.doesNotMatch(current.text, /2222222/);
+    assert.match(current.text, /<option value="20261"\s+selected/);
+
+    const switched = await admin.get("/admin?period=20252");
+    assert.match(switched.text, /2222222/);
+    assert.doesNotMatch(switched.text, /1111111/);
+
+    const remembered = await admin.get("/admin/waitlists");
+    assert.match(remembered.text, /<option value="20252"\s+selected/);
+  });
+
+  it("refuses archived periods", async () => {
+    await admin.post("/admin/periods", { form: { id: "20252", label: "2025-II", status: "ARCHIVED", boletaRequired: "false" } });
+    const res = await portal.client().login(RAUL.codigo, RAUL.dni);
+    assert.match(res.text, /No puedes ingresar/);
+
+    const page = await admin.get("/admin");
+    assert.match(page.text, /2025-II \(archivado\)/);
+  });
+});
@@ -0,0 +1,495 @@
+// tests/e2e/studentFlow.test.js
+// ✅ Student flow end to end: mock upstream (mock/upstreamServer.js) + in-memory store.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { startPortal } = require("../helpers/harness");
+const { parsePdf } = require("../helpers/pdf");
+
+const LUCIA = { codigo: "2410001", dni: "70112233" }; // boleta OK, courseList payload
+const DIEGO = { codigo: "2410002", dni: "70445566" }; // no boleta
+const VALERIA = { codigo: "2410003", dni: "70778899" }; // boleta OK, flat payload
+
+let portal;
+
+before(async () => {
+  portal = await startPortal();
+});
+
+after(async () => {
+  await portal.stop();
+});
+
+const rowsOf = (table) => portal.driver.select(table);
+
+describe("login", () => {
+  it("renders the portal and registers portal_state for a student with boleta", async () => {
+    const c = portal.client();
+    const res = await c.login(LUCIA.codigo, LUCIA.dni);
+
+    assert.equal(res.status, 200);
+    assert.match(res.text, /2410001/);
+    assert.match(res.text, /SFBQ3063/);
+    assert.doesNotMatch(res.text, /class="error"/);
+    assert.ok(c.jar.size, "session cookie expected");
+
+    const [ps] = (await rowsOf("portal_state")).filter((r) => r.student_code === LUCIA.codigo);
+    assert.equal(ps.period_id, "20261");
+    assert.equal(ps.boleta_number, "B001000451"); // stored normalized
+    assert.equal(ps.dni_last4, "2233");
+
+    const audit = await rowsOf("login_audit");
+    assert.ok(audit.some((a) => a.student_code === LUCIA.codigo && a.status === "SUCCESS"));
+  });
+
+  it("blocks a student whose period is not the current one", async () => {
+    const old = portal.upstream.fixtures.students.find(
+      (s) => String(s.period).replace(/[^0-9]/g, "") !== String(portal.upstream.fixtures.currentPeriod)
+    );
+    assert.ok(old, "fixtures need a student from an older period");
+
+    const c = portal.client();
+    const res = await c.login(old.codigo, old.dni);
+
+    assert.equal(res.status, 200);
+    assert.match(res.text, /No puedes ingresar\. Tu periodo es/);
+    assert.match(res.text, /periodo 2026-1/);
+
+    const api = await c.post("/available", { json: { courseCode: "MAT101" } });
+    assert.equal(api.status, 401);
+  });
+
+  it("blocks a student without boleta and does not create portal_state", async () => {
+    const c = portal.client();
+    const res = await c.login(DIEGO.codigo, DIEGO.dni);
+
+    assert.match(res.text, /No se encontró una boleta válida/);
+    const ps = (await rowsOf("portal_state")).filter((r) => r.student_code === DIEGO.codigo);
+    assert.equal(ps.length, 0);
+
+    const api = await c.post("/available", { json: { courseCode: "SFBQ3061" } });
+    assert.equal(api.status, 401);
+  });
+
+  it("shows the login error for wrong credentials and audits the failure", async () => {
+    const res = await portal.client().login(LUCIA.codigo, "00000000");
+
+    assert.match(res.text, /Código o DNI incorrectos/);
+    const audit = await rowsOf("login_audit");
+    assert.ok(audit.some((a) => a.student_code === LUCIA.codigo && a.status === "FAIL"));
+  });
+
+  it("tells the student when the university system is unavailable", async () => {
+    portal.upstream.faults["login-alumno"] = { status: 503, times: 1 };
+    const res = await portal.client().login(LUCIA.codigo, LUCIA.dni);
+
+    assert.match(res.text, /El sistema de la universidad no está disponible/);
+    assert.doesNotMatch(res.text, /Código o DNI incorrectos/);
+  });
+
+  it("retries upstream reads that fail transiently", async () => {
+    portal.upstream.faults["course-schedules"] = { status: 502, times: 1 };
+    const before = portal.upstream.calls.filter((x) => x.path.endsWith("/course-schedules")).length;
+
+    const res = await portal.client().login(VALERIA.codigo, VALERIA.dni);
+
+    assert.doesNotMatch(res.text, /class="error"/);
+    assert.match(res.text, /2410003/);
+    const after = portal.upstream.calls.filter((x) => x.path.endsWith("/course-schedules")).length;
+    assert.equal(after - before, 2);
+  });
+});
+
+describe("schedule endpoints", () => {
+  it("requires a session", async () => {
+    const c = portal.client();
+    for (const url of ["/available", "/addable-courses", "/course-number-enrolled", "/ai-local", "/check-plan", "/seat-hold", "/enrolled-options", "/draft", "/confirm"]) {
+      const res = await c.post(url, { json: {} });
+      assert.equal(res.status, 401, url);
+      assert.deepEqual(res.json, { error: "not_logged_in" });
+    }
+  });
+
+  it("/available merges vacancies into each group", async () => {
+    const c = portal.client();
+    await c.login(LUCIA.codigo, LUCIA.dni);
+
+    const res = await c.post("/available", { json: { courseCode: "SFBQ3063" } });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.usedCourseCode, "SFBQ3063");
+
+    const groups = new Set(res.json.data.map((g) => g.groupCode));
+    assert.deepEqual([...groups].sort(), ["M1", "N4", "N5"]);
+
+    const n5 = res.json.data.find((g) => g.groupCode === "N5");
+    assert.equal(n5.is_full, true);
+    assert.equal(n5.vacancies_left, 0);
+  });
+
+  it("/enrolled-options returns options and vacancies for every enrolled course", async () => {
+    const c = portal.client();
+    await c.login(LUCIA.codigo, LUCIA.dni);
+
+    const res = await c.post("/enrolled-options", { json: {} });
+    assert.equal(res.status, 200);
+
+    const sfbq = res.json.data.find((x) => x.courseCode === "SFBQ3063");
+    assert.ok(sfbq);
+    assert.equal(sfbq.usedCourseCode, "SFBQ3063");
+    assert.deepEqual([...new Set(sfbq.groups.map((g) => g.groupCode))].sort(), ["M1", "N4", "N5"]);
+    assert.equal(sfbq.groups.find((g) => g.groupCode === "N5").is_full, true);
+
+    const single = await c.post("/available", { json: { courseCode: "SFBQ3063" } });
+    assert.deepEqual(sfbq.groups, single.json.data);
+  });
+
+  it("/available understands the flat upstream payload", async () => {
+    const c = portal.client();
+    await c.login(VALERIA.codigo, VALERIA.dni);
+
+    const res = await c.post("/available", { json: { courseCode: "SCTS3061" } });
+    assert.equal(res.status, 200);
+    assert.ok(res.json.data.length > 0);
+    assert.ok(res.json.courseKeys.includes("SCTS3061"));
+  });
+
+  it("/addable-courses lists available courses the student is not enrolled in", async () => {
+    const c = portal.client();
+    await c.login(LUCIA.codigo, LUCIA.dni);
+
+    const res = await c.post("/addable-courses", { json: {} });
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.json.data.map((x) => [x.courseCode, x.credits, x.groupCount]),
+      [["FIS201", 4, 2], ["SFBQ3071", 4, 1]]
+    );
+  });
+
+  it("/check-plan reports rule violations and the credit totals", async () => {
+    const c = portal.client();
+    await c.login(LUCIA.codigo, LUCIA.dni);
+
+    const add = { type: "ADD", code: "SFBQ3071", to: { group: "N1" } };
+    const ok = await c.post("/check-plan", { json: { changes: [add] } });
+    assert.equal(ok.status, 200);
+    assert.deepEqual(ok.json, {
+      ok: true,
+      errors: [],
+      warnings: [],
+      credits: { before: 18, after: 22, dropped: 0, added: 4 },
+    });
+
+    const drops = ["SFBQ3063", "SFBQ3061"].map((code) => ({ type: "DROP", code }));
+    const low = await c.post("/check-plan", { json: { changes: drops } });
+    assert.equal(low.json.ok, false);
+    assert.deepEqual(low.json.errors.map((e) => e.rule), ["minCredits"]);
+    assert.equal(low.json.credits.after, 10);
+
+    const invalid = await c.post("/check-plan", { json: { changes: [{ code: "SFBQ3063", to: { group: "N5" } }] } });
+    assert.deepEqual(invalid.json.errors.map((e) => e.error), ["group_full"]);
+  });
+
+  it("/course-number-enrolled normalizes vacancies (period format fallback)", async () => {
+    const c = portal.client();
+    await c.login(LUCIA.codigo, LUCIA.dni);
+
+    const res = await c.post("/course-number-enrolled", { json: { courseCode: "SFBQ3063" } });
+    assert.equal(res.status, 200);
+    const byGroup = Object.fromEntries(res.json.data.map((r) => [r.groupCode, r]));
+    assert.equal(byGroup.N4.vacancies_left, 2);
+    assert.equal(byGroup.N5.is_full, true);
+
+    const bad = await c.post("/course-number-enrolled", { json: { courseCode: "" } });
+    assert.equal(bad.status, 400);
+
+    portal.upstream.faults["course-number-enrolled"] = { status: 503 };
+    try {
+      const down = await c.post("/course-number-enrolled", { json: { courseCode: "NOPE999" } }); // not cached yet
+      assert.equal(down.status, 503);
+      assert.equal(down.json.error, "upstream_unavailable");
+      assert.deepEqual(down.json.data, []);
+    } finally {
+      delete portal.upstream.faults["course-number-enrolled"];
+    }
+  });
+
+  it("seat holds count against other students' vacancies until released", async () => {
+    const lucia = portal.client();
+    const valeria = portal.client();
+    await lucia.login(LUCIA.codigo, LUCIA.dni);
+    await valeria.login(VALERIA.codigo, VALERIA.dni);
+
+    const seatsOf = async (c) => {
+      const res = await c.post("/course-number-enrolled", { json: { courseCode: "FIS201" } });
+      return res.json.data.find((r) => r.groupCode === "T1");
+    };
+
+    // FIS201 T1: one seat left upstream
+    const hold = await valeria.post("/seat-hold", { json: { courseCode: "FIS201", groupCode: "T1" } });
+    assert.equal(hold.status, 200);
+    assert.ok(new Date(hold.json.expiresAt) > new Date());
+
+    assert.equal((await seatsOf(valeria)).vacancies_left, 1); // own hold
+    const other = await seatsOf(lucia);
+    assert.deepEqual([other.vacancies_left, other.is_full, other.held_seats], [0, true, 1]);
+
+    const taken = await lucia.post("/seat-hold", { json: { courseCode: "FIS201", groupCode: "T1" } });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.json.error, "group_full");
+
+    await valeria.post("/seat-hold/release", { json: { courseCode: "FIS201" } });
+    assert.equal((await seatsOf(lucia)).vacancies_left, 1);
+
+    assert.equal((await lucia.post("/seat-hold", { json: { courseCode: "FIS201", groupCode: "T1" } })).status, 200);
+    await lucia.post("/logout", { form: {} });
+    assert.equal((await rowsOf("seat_holds")).length, 0);
+  });
+
+  it("only holds seats in sections the student can take", async () => {
+    const c = portal.client();
+    await c.login(LUCIA.codigo, LUCIA.dni);
+
+    for (const json of [{ courseCode: "NOPE999", groupCode: "T1" }, { courseCode: "FIS201", groupCode: "Z9" }]) {
+      const res = await c.post("/seat-hold", { json });
+      assert.equal(res.status, 400);
+      assert.equal(res.json.error, "group_not_available");
+    }
+    assert.equal((await rowsOf("seat_holds")).length, 0);
+  });
+
+  it("/ai-local moves courses off the requested free day", async () => {
+    const c = portal.client();
+    await c.login(LUCIA.codigo, LUCIA.dni);
+
+    const res = await c.post("/ai-local", {
+      json: { preferences: { freeDays: ["Lunes"], keepChangesLow: true } },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.ok, true);
+    assert.ok(Array.isArray(res.json.finalCourses) && res.json.finalCourses.length);
+
+    // Whatever could be moved must not land on a full group
+    res.json.changes
+      .filter((ch) => ch.code === "SFBQ3063")
+      .forEach((ch) => assert.notEqual(ch.to.group, "N5"));
+  });
+
+  it("/ai-local applies the extra preferences from the modal", async () => {
+    const c = portal.client();
+    await c.login(LUCIA.codigo, LUCIA.dni);
+
+    const res = await c.post("/ai-local", {
+      json: { preferences: { timePreference: "Mañana", maxHoursPerDay: "6", fewerCampusDays: true } },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.preferences.timePreference, "morning");
+    assert.equal(res.json.preferences.maxHoursPerDay, 6);
+    assert.equal(typeof res.json.score.campusDays, "number");
+  });
+
+  it("/ai-local ranks several distinct plans", async () => {
+    const c = portal.client();
+    await c.login(LUCIA.codigo, LUCIA.dni);
+
+    const res = await c.post("/ai-local", {
+      json: { preferences: { freeDays: ["Lunes"] }, maxPlans: 3 },
+    });
+    assert.equal(res.status, 200);
+    assert.ok(res.json.plans.length >= 1 && res.json.plans.length <= 3);
+    assert.deepEqual(res.json.plans[0].changes, res.json.changes);
+
+    const keys = res.json.plans.map((p) => JSON.stringify(p.finalCourses));
+    assert.equal(new Set(keys).size, keys.length);
+    res.json.plans.forEach((p) => {
+      assert.equal(typeof p.breakdown.changes, "number");
+      assert.ok(Array.isArray(p.breakdown.freeDaysAchieved));
+      assert.equal(typeof p.breakdown.gapHours, "number");
+    });
+  });
+});
+
+describe("confirm", () => {
+  let c;
+  let changes;
+  let finalCourses;
+
+  before(async () => {
+    c = portal.client();
+    await c.login(LUCIA.codigo, LUCIA.dni);
+    const ai = await c.post("/ai-local", { json: { preferences: { freeDays: ["Lunes"] } } });
+    ({ changes, finalCourses } = ai.json);
+
+    // Drop PARASITOLOGÍA (3 cr.) and add TECNOLOGÍA FARMACÉUTICA I (4 cr.)
+    changes = changes.filter((ch) => ch.code !== "SFBQ3062");
+    finalCourses = finalCourses.filter((f) => f.code !== "SFBQ3062");
+    changes.push(
+      { type: "DROP", code: "SFBQ3062", name: "PARASITOLOGÍA", credits: 99, from: { group: "N4" } },
+      {
+        type: "ADD",
+        code: "SFBQ3071",
+        name: "TECNOLOGÍA FARMACÉUTICA I",
+        credits: 4,
+        to: {
+          group: "N1",
+          day: "Jueves",
+          time: "17:10-18:50",
+          modality: "TEORÍA VIRTUAL",
+          sessions: [
+            { day: "Jueves", time: "17:10-18:50", modality: "TEORÍA VIRTUAL" },
+            { day: "Sábado", time: "14:00-15:40", modality: "LABORATORIO PRESENCIAL" },
+          ],
+        },
+      }
+    );
+  });
+
+  it("rejects unknown, full or overlapping groups before writing anything", async () => {
+    const to = (group) => ({ group, day: "Lunes", time: "08:00-10:00", modality: "TEORÍA VIRTUAL" });
+    const res = await c.post("/confirm", {
+      json: {
+        student: { code: LUCIA.codigo },
+        changes: [
+          { code: "SFBQ3063", from: {}, to: to("N5") }, // full
+          { code: "SFBQ3061", from: {}, to: to("Z9") }, // does not exist
+          { type: "DROP", code: "SFBQ3071", from: {} }, // not enrolled
+          { code: "SCTS3061", from: {}, to: to("N1") }, // Martes 17:10 => SFBQ3062 lab
+        ],
+        finalCourses,
+      },
+    });
+
+    assert.equal(res.status, 422);
+    assert.equal(res.json.error, "invalid_rectification");
+    assert.deepEqual(
+      res.json.errors.map((e) => [e.index, e.error]),
+      [
+        [0, "group_full"],
+        [1, "unknown_group"],
+        [2, "not_enrolled"],
+        [3, "time_conflict"],
+      ]
+    );
+    assert.match(res.json.errors[3].message, /SFBQ3062/);
+
+    assert.equal(fs.readdirSync(portal.pdfDir).length, 0);
+    assert.equal((await rowsOf("rectification_requests")).length, 0);
+  });
+
+  it("rejects a plan that breaks the rectification rules", async () => {
+    const res = await c.post("/confirm", {
+      json: {
+        student: { code: LUCIA.codigo },
+        changes: ["SFBQ3063", "SFBQ3061"].map((code) => ({ type: "DROP", code, from: {} })),
+      },
+    });
+
+    assert.equal(res.status, 422);
+    assert.equal(res.json.error, "policy_violation");
+    assert.match(res.json.errors[0].message, /al menos 12 créditos/);
+    assert.equal((await rowsOf("rectification_requests")).length, 0);
+  });
+
+  it("returns a parseable PDF and locks the portal", async () => {
+    const res = await c.post("/confirm", {
+      json: {
+        // identity comes from the session: a posted student is ignored
+        student: { code: "2410002", name: "OTRO ALUMNO", period: "20252", email: "otro@example.com" },
+        changes,
+        finalCourses,
+      },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "application/pdf");
+    assert.match(res.headers.get("content-disposition"), /rectificacion_2410001_20261\.pdf/);
+
+    const pdf = parsePdf(res.buffer);
+    assert.ok(pdf.pageCount >= 1);
+    assert.match(pdf.text, /2410001/);
+    assert.match(pdf.text, /QUISPE ROJAS/);
+    assert.doesNotMatch(pdf.text, /OTRO ALUMNO|2410002/);
+    assert.match(pdf.text, /Cursos retirados/);
+    assert.match(pdf.text, /Cursos agregados/);
+
+    const saved = fs.readdirSync(portal.pdfDir);
+    assert.equal(saved.length, 1);
+
+    const [rect] = (await rowsOf("rectification_requests")).filter(
+      (r) => r.student_code === LUCIA.codigo
+    );
+    assert.equal(rect.status, "SUBMITTED");
+    assert.match(rect.student_name, /QUISPE ROJAS/);
+    assert.equal((await rowsOf("rectification_requests")).filter((r) => r.student_code === "2410002").length, 0);
+    assert.equal(rect.boleta_number, "B001000451"); // stored normalized
+    assert.equal(rect.pdf_storage_path, saved[0]);
+    assert.equal(rect.changes.length, changes.length);
+    assert.deepEqual(
+      rect.changes.slice(-2).map((ch) => [ch.type, ch.code, ch.credits]),
+      [
+        ["DROP", "SFBQ3062", 3], // credits come from the enrolled course, not the client
+        ["ADD", "SFBQ3071", 4],
+      ]
+    );
+    assert.equal(rect.credits_after, rect.credits_before - 3 + 4);
+    assert.deepEqual(rect.policy_warnings, []);
+
+    // New sections are reserved until the admin decides
+    const reserved = (await rowsOf("seat_holds")).filter((r) => r.student_code === LUCIA.codigo);
+    assert.ok(reserved.length);
+    assert.ok(reserved.every((r) => r.status === "RESERVED"));
+    assert.ok(reserved.some((r) => r.course_code === "SFBQ3071" && r.group_code === "N1"));
+
+    // The timetable is rebuilt from schedule-available, not copied from the browser
+    const added = rect.final_courses.filter((f) => f.code === "SFBQ3071");
+    assert.deepEqual(
+      added.map((f) => [f.group, f.day, f.time]),
+      [
+        ["N1", "Jueves", "17:10-18:50"],
+        ["N1", "Sábado", "14:00-15:40"],
+      ]
+    );
+    assert.ok(!rect.final_courses.some((f) => f.code === "SFBQ3062"));
+
+    const [ps] = (await rowsOf("portal_state")).filter((r) => r.student_code === LUCIA.codigo);
+    assert.equal(ps.status, "DONE");
+    assert.equal(ps.final_data.pdfFile, saved[0]);
+  });
+
+  it("rejects a second submission without writing another PDF", async () => {
+    const res = await c.post("/confirm", {
+      json: { student: { code: LUCIA.codigo }, changes, finalCourses },
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.json.error, "already_submitted");
+    assert.equal(fs.readdirSync(portal.pdfDir).length, 1);
+    const rects = (await rowsOf("rectification_requests")).filter(
+      (r) => r.student_code === LUCIA.codigo
+    );
+    assert.equal(rects.length, 1);
+  });
+
+  it("blocks a new login once portal_state is DONE", async () => {
+    const again = portal.client();
+    const res = await again.login(LUCIA.codigo, LUCIA.dni);
+
+    assert.match(res.text, /Tu solicitud fue enviada correctamente/);
+    const api = await again.post("/available", { json: { courseCode: "SFBQ3063" } });
+    assert.equal(api.status, 401);
+  });
+});
+
+describe("logout", () => {
+  it("destroys the session", async () => {
+    const c = portal.client();
+    await c.login(VALERIA.codigo, VALERIA.dni);
+    assert.equal((await c.post("/available", { json: { courseCode: "SCTS3061" } })).status, 200);
+
+    const res = await c.post("/logout");
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get("location"), "/");
+
+    const api = await c.post("/available", { json: { courseCode: "SCTS3061" } });
+    assert.equal(api.status, 401);
+  });
+});
@@ -0,0 +1,78 @@
+// tests/e2e/verify.test.js
+// ✅ Verifiable PDFs: code + QR in the PDF, signed hash in the store, public /verify/:code page.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startPortal } = require("../helpers/harness");
+const { parsePdf } = require("../helpers/pdf");
+
+const LUCIA = { codigo: "2410001", dni: "70112233" };
+
+let portal;
+let pdfBuffer;
+let code;
+let changes;
+
+before(async () => {
+  portal = await startPortal();
+  const c = portal.client();
+  await c.login(LUCIA.codigo, LUCIA.dni);
+  const ai = await c.post("/ai-local", { json: { preferences: { freeDays: ["Lunes"] } } });
+  changes = ai.json.changes;
+  const res = await c.post("/confirm", {
+    json: { student: { code: LUCIA.codigo }, changes, finalCourses: ai.json.finalCourses },
+  });
+  assert.equal(res.status, 200);
+  pdfBuffer = res.buffer;
+});
+
+after(async () => {
+  await portal.stop();
+});
+
+describe("document verification", () => {
+  it("prints a verification code and link in the PDF and stores the signed hash", async () => {
+    const text = parsePdf(pdfBuffer).text;
+    const m = text.match(/Código de verificación: ([0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{2})/);
+    assert.ok(m, text);
+    code = m[1];
+    assert.match(text.replace(/\s+/g, ""), new RegExp(`/verify/${code}`)); // the link may wrap
+
+    const [rect] = await portal.driver.select("rectification_requests");
+    const [version] = await portal.driver.select("rectification_versions");
+    const hash = crypto.createHash("sha256").update(pdfBuffer).digest("hex");
+    assert.equal(rect.verification_code, code.replace(/-/g, ""));
+    assert.equal(rect.document_hash, hash);
+    assert.equal(version.document_hash, hash);
+    assert.match(rect.document_signature, /^[0-9a-f]{64}$/);
+  });
+
+  it("shows the recorded request on the public page", async () => {
+    const res = await portal.client().get(`/verify/${code}`);
+    assert.equal(res.status, 200);
+    assert.match(res.text, /Documento auténtico/);
+    assert.match(res.text, /<span>2410001<\/span>/);
+    assert.match(res.text, /<span>2026-1<\/span>/);
+    assert.match(res.text, new RegExp(crypto.createHash("sha256").update(pdfBuffer).digest("hex")));
+    changes.forEach((ch) => assert.match(res.text, new RegExp(ch.code)));
+    assert.doesNotMatch(res.text, /70112233/); // no DNI on a public page
+  });
+
+  it("normalizes typed codes and rejects unknown ones", async () => {
+    const c = portal.client();
+    const typed = await c.get(`/verify?code=${encodeURIComponent(" " + code.toLowerCase().replace(/-/g, ""))}`);
+    assert.equal(typed.status, 302);
+    assert.equal(typed.headers.get("location"), `/verify/${code}`);
+
+    assert.equal((await c.get("/verify?code=abc")).status, 400);
+    const unknown = await c.get("/verify/2222-2222-22");
+    assert.equal(unknown.status, 404);
+    assert.match(unknown.text, /No existe un documento registrado/);
+  });
+
+  it("flags a stored hash edited without the signing secret", async () => {
+    await portal.driver.update("rectification_versions", {}, { document_hash: "0".repeat(64) });
+    const res = await portal.client().get(`/verify/${code}`);
+    assert.match(res.text, /no supera la verificación de firma/);
+  });
+});
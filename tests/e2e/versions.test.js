@@ -0,0 +1,140 @@
+// tests/e2e/versions.test.js
+// ✅ Admin unlock => the student submits again; every submission is kept as a numbered version.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startPortal } = require("../helpers/harness");
+const { hashPassword } = require("../../utils/adminAuth");
+
+const LUCIA = { codigo: "2410001", dni: "70112233" };
+
+let portal;
+let admin;
+let requestId;
+let changes;
+let finalCourses;
+
+const requestRow = async () =>
+  (await portal.driver.select("rectification_requests")).find((r) => r.student_code === LUCIA.codigo);
+
+before(async () => {
+  portal = await startPortal();
+  for (const [username, role] of [["root", "superadmin"], ["rev", "reviewer"]]) {
+    await portal.driver.insert("admin_users", {
+      username,
+      name: username,
+      role,
+      faculty: null,
+      active: true,
+      password_hash: await hashPassword("admin-pass-123"),
+    });
+  }
+  admin = portal.client();
+  await admin.post("/admin/login", { form: { username: "root", password: "admin-pass-123" } });
+
+  const c = portal.client();
+  await c.login(LUCIA.codigo, LUCIA.dni);
+  const ai = await c.post("/ai-local", { json: { preferences: { freeDays: ["Lunes"] } } });
+  ({ changes, finalCourses } = ai.json);
+  const res = await c.post("/confirm", { json: { student: { code: LUCIA.codigo }, changes, finalCourses } });
+  assert.equal(res.status, 200);
+
+  requestId = (await requestRow()).id;
+  await admin.post(`/admin/rectifications/${requestId}/review`, { form: {} });
+  const form = { admin_message: "Cruce con prácticas" };
+  changes.forEach((_, i) => {
+    form[`decision_${i}`] = "REJECTED";
+    form[`reason_${i}`] = "Cruce con prácticas";
+  });
+  await admin.post(`/admin/rectifications/${requestId}/decision`, { form });
+});
+
+after(async () => {
+  await portal.stop();
+});
+
+describe("versioned resubmissions", () => {
+  it("stores the first submission as version 1", async () => {
+    const [v1] = await portal.driver.select("rectification_versions");
+    assert.equal(v1.version, 1);
+    assert.equal(v1.request_id, requestId);
+    assert.ok(v1.pdf_storage_path);
+    assert.equal((await requestRow()).version, 1);
+  });
+
+  it("only lets allowed admins unlock, and always with a reason", async () => {
+    const rev = portal.client();
+    await rev.post("/admin/login", { form: { username: "rev", password: "admin-pass-123" } });
+    const denied = await rev.post(`/admin/rectifications/${requestId}/unlock`, { form: { reason: "x" } });
+    assert.equal(denied.status, 403);
+
+    const missing = await admin.post(`/admin/rectifications/${requestId}/unlock`, { form: { reason: " " } });
+    assert.equal(missing.status, 400);
+    assert.match(missing.text, /Indica el motivo del desbloqueo/);
+  });
+
+  it("unlocks the student and keeps the closed version", async () => {
+    const res = await admin.post(`/admin/rectifications/${requestId}/unlock`, {
+      form: { reason: "Puede elegir otra sección de SFBQ3063" },
+    });
+    assert.equal(res.status, 302);
+
+    const req = await requestRow();
+    assert.equal(req.status, "REOPENED");
+    const [ps] = (await portal.driver.select("portal_state")).filter((r) => r.student_code === LUCIA.codigo);
+    assert.equal(ps.status, "UNLOCKED");
+
+    const [v1] = await portal.driver.select("rectification_versions");
+    assert.equal(v1.status, "REJECTED");
+    assert.equal(v1.unlock_reason, "Puede elegir otra sección de SFBQ3063");
+    assert.equal(v1.unlocked_by, "root");
+
+    const again = await admin.post(`/admin/rectifications/${requestId}/unlock`, { form: { reason: "otra vez" } });
+    assert.equal(again.status, 409);
+  });
+
+  it("accepts a resubmission as version 2 with its own PDF and the full history", async () => {
+    const c = portal.client();
+    const login = await c.login(LUCIA.codigo, LUCIA.dni);
+    assert.doesNotMatch(login.text, /class="error"/);
+
+    const dropped = changes[0].code;
+    const res = await c.post("/confirm", {
+      json: {
+        student: { code: LUCIA.codigo },
+        changes: changes.filter((ch) => ch.code !== dropped),
+        finalCourses,
+      },
+    });
+    assert.equal(res.status, 200);
+
+    const req = await requestRow();
+    assert.equal(req.id, requestId);
+    assert.equal(req.version, 2);
+    assert.equal(req.status, "SUBMITTED");
+    assert.deepEqual(req.decisions, []);
+    assert.deepEqual(
+      req.status_history.map((h) => h.status),
+      ["SUBMITTED", "IN_REVIEW", "REJECTED", "REOPENED", "SUBMITTED"]
+    );
+
+    const versions = await portal.driver.select("rectification_versions", { order: [{ column: "version" }] });
+    assert.deepEqual(versions.map((v) => v.version), [1, 2]);
+    assert.notEqual(versions[0].pdf_storage_path, versions[1].pdf_storage_path);
+
+    const blocked = await portal.client().login(LUCIA.codigo, LUCIA.dni);
+    assert.match(blocked.text, /Tu solicitud fue enviada correctamente/);
+  });
+
+  it("shows the versions and what changed on the admin detail page", async () => {
+    const page = await admin.get(`/admin/rectifications/${requestId}`);
+    assert.equal(page.status, 200);
+    assert.match(page.text, /Versión 2/);
+    assert.match(page.text, /Cambios de la v2 respecto a la v1/);
+    assert.match(page.text, new RegExp(`class="diff REMOVED">Ya no está</span></td>\\s*<td><b class="mono">${changes[0].code}`));
+
+    const pdf = await admin.get(`/admin/rectifications/${requestId}/versions/1/pdf`);
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.headers.get("content-type"), "application/pdf");
+    assert.equal((await admin.get(`/admin/rectifications/${requestId}/versions/3/pdf`)).status, 404);
+  });
+});
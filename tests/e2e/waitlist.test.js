@@ -0,0 +1,123 @@
+// tests/e2e/waitlist.test.js
+// ✅ Waitlist for a full group: student joins, admin promotes, student accepts.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startPortal } = require("../helpers/harness");
+const { hashPassword } = require("../../utils/adminAuth");
+
+const LUCIA = { codigo: "2410001", dni: "70112233" };
+const VALERIA = { codigo: "2410003", dni: "70778899" };
+
+let portal;
+
+before(async () => {
+  portal = await startPortal();
+  await portal.driver.insert("admin_users", {
+    username: "revisor",
+    name: "Revisor",
+    role: "reviewer",
+    faculty: null,
+    active: true,
+    password_hash: await hashPassword("revisor-pass-123"),
+  });
+});
+
+after(async () => {
+  await portal.stop();
+});
+
+describe("waitlist", () => {
+  let lucia;
+  let valeria;
+  let entryId;
+
+  before(async () => {
+    lucia = portal.client();
+    valeria = portal.client();
+    await lucia.login(LUCIA.codigo, LUCIA.dni);
+    await valeria.login(VALERIA.codigo, VALERIA.dni);
+  });
+
+  it("only full groups have a waitlist", async () => {
+    const res = await lucia.post("/waitlist/join", { json: { courseCode: "SFBQ3063", groupCode: "M1" } });
+    assert.equal(res.status, 409);
+    assert.equal(res.json.error, "group_has_seats");
+
+    const mine = await lucia.post("/waitlist/join", { json: { courseCode: "SFBQ3064", groupCode: "N4" } });
+    assert.equal(mine.json.error, "already_enrolled");
+  });
+
+  it("rejects sections the student isn't offered and unknown seat counts", async () => {
+    for (const json of [{ courseCode: "NOPE999", groupCode: "N1" }, { courseCode: "SFBQ3063", groupCode: "Z9" }]) {
+      const res = await lucia.post("/waitlist/join", { json });
+      assert.equal(res.status, 400);
+      assert.equal(res.json.error, "group_not_available");
+    }
+
+    portal.upstream.faults["course-number-enrolled"] = { status: 503 };
+    try {
+      const res = await lucia.post("/waitlist/join", { json: { courseCode: "FIS201", groupCode: "T1" } });
+      assert.equal(res.status, 503);
+      assert.equal(res.json.error, "upstream_unavailable");
+    } finally {
+      delete portal.upstream.faults["course-number-enrolled"];
+    }
+    assert.equal((await portal.driver.select("waitlist_entries")).length, 0);
+  });
+
+  it("shows each student's position", async () => {
+    const first = await valeria.post("/waitlist/join", { json: { courseCode: "SFBQ3063", groupCode: "N5" } });
+    const second = await lucia.post("/waitlist/join", {
+      json: { courseCode: "SFBQ3063", courseName: "<b>Cualquier texto</b>", groupCode: "N5" },
+    });
+    assert.equal(first.json.entry.position, 1);
+    assert.equal(second.json.entry.position, 2);
+    entryId = second.json.entry.id;
+
+    const stored = await portal.driver.selectOne("waitlist_entries", { id: entryId });
+    assert.match(stored.student_name, /QUISPE ROJAS/);
+    assert.equal(stored.course_name, "BIOQUÍMICA II"); // from schedule-available, not the request body
+
+    const mine = await lucia.post("/waitlist/mine", { json: {} });
+    assert.deepEqual(
+      mine.json.data.map((e) => [e.courseCode, e.groupCode, e.status, e.position]),
+      [["SFBQ3063", "N5", "WAITING", 2]]
+    );
+  });
+
+  it("lets a reviewer promote a student, who then accepts the offer", async () => {
+    const admin = portal.client();
+    await admin.post("/admin/login", { form: { username: "revisor", password: "revisor-pass-123" } });
+
+    const page = await admin.get("/admin/waitlists");
+    assert.equal(page.status, 200);
+    assert.match(page.text, /SFBQ3063 · Sección N5/);
+    assert.match(page.text, /2 en espera/);
+
+    const promoted = await admin.post(`/admin/waitlists/${entryId}/promote`, { form: { period: "20261" } });
+    assert.equal(promoted.status, 200);
+    assert.match(promoted.text, /Cupo ofrecido a 2410001/);
+
+    const [entry] = await portal.driver.select("waitlist_entries", { where: { id: entryId } });
+    assert.equal(entry.status, "PROMOTED");
+    assert.ok(new Date(entry.offer_expires_at) > new Date());
+
+    const held = await portal.driver.select("seat_holds", { where: { student_code: LUCIA.codigo } });
+    assert.deepEqual(held.map((h) => [h.course_code, h.group_code]), [["SFBQ3063", "N5"]]);
+
+    const again = await admin.post(`/admin/waitlists/${entryId}/promote`, { form: {} });
+    assert.equal(again.status, 409);
+
+    const accepted = await lucia.post("/waitlist/accept", { json: { id: entryId } });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.json.entry.status, "ACCEPTED");
+
+    const valeriaView = await valeria.post("/waitlist/mine", { json: {} });
+    assert.equal(valeriaView.json.data[0].position, 1);
+  });
+
+  it("requires a student session", async () => {
+    const res = await portal.client().post("/waitlist/join", { json: {} });
+    assert.equal(res.status, 401);
+  });
+});
@@ -0,0 +1,117 @@
+// tests/e2e/windows.test.js
+// ✅ Rectification windows: admin-managed dates gate /login and /confirm (extensions per student).
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startPortal } = require("../helpers/harness");
+const { hashPassword } = require("../../utils/adminAuth");
+const { isoToLimaDateTime } = require("../../utils/rectificationWindows");
+
+const LUCIA = { codigo: "2410001", dni: "70112233" }; // SEMIPRESENCIAL
+const VALERIA = { codigo: "2410003", dni: "70778899" }; // PRESENCIAL
+
+const HOUR = 60 * 60 * 1000;
+const local = (offsetMs) => isoToLimaDateTime(new Date(Date.now() + offsetMs).toISOString());
+
+let portal;
+let admin;
+
+before(async () => {
+  portal = await startPortal();
+  for (const [username, role, faculty] of [
+    ["root", "superadmin", null],
+    ["coord", "faculty_coordinator", "FACULTAD DE INGENIERÍA"],
+  ]) {
+    await portal.driver.insert("admin_users", {
+      username,
+      name: username,
+      role,
+      faculty,
+      active: true,
+      password_hash: await hashPassword("admin-pass-123"),
+    });
+  }
+  admin = portal.client();
+  await admin.post("/admin/login", { form: { username: "root", password: "admin-pass-123" } });
+});
+
+after(async () => {
+  await portal.stop();
+});
+
+const windowRows = () => portal.driver.select("rectification_windows");
+
+describe("rectification windows", () => {
+  it("lets admins register windows and validates the dates", async () => {
+    const bad = await admin.post("/admin/windows", {
+      form: { period_id: "20261", opens_at: local(0), closes_at: local(-HOUR) },
+    });
+    assert.equal(bad.status, 400);
+    assert.match(bad.text, /El cierre debe ser posterior a la apertura/);
+
+    const res = await admin.post("/admin/windows", {
+      form: { period_id: "20261", opens_at: local(-48 * HOUR), closes_at: local(-24 * HOUR) },
+    });
+    assert.equal(res.status, 200);
+    assert.match(res.text, /Ventana registrada/);
+    assert.match(res.text, /Cerrada/);
+  });
+
+  it("refuses login after the window closed", async () => {
+    const res = await portal.client().login(VALERIA.codigo, VALERIA.dni);
+    assert.match(res.text, /El plazo de rectificación cerró/);
+    assert.doesNotMatch(res.text, /class="window-countdown"/);
+  });
+
+  it("applies the most specific window and shows a countdown before it opens", async () => {
+    await admin.post("/admin/windows", {
+      form: { period_id: "20261", modality: "semipresencial", opens_at: local(26 * HOUR), closes_at: local(72 * HOUR) },
+    });
+
+    const lucia = await portal.client().login(LUCIA.codigo, LUCIA.dni);
+    assert.match(lucia.text, /La rectificación aún no está habilitada/);
+    assert.match(lucia.text, /faltan 1 d 2 h/);
+    assert.match(lucia.text, /class="window-countdown" data-opens-at="/);
+
+    const valeria = await portal.client().login(VALERIA.codigo, VALERIA.dni);
+    assert.match(valeria.text, /El plazo de rectificación cerró/);
+  });
+
+  it("lets a student in with an extension and checks the window again on /confirm", async () => {
+    await admin.post("/admin/windows", {
+      form: { period_id: "20261", student_code: LUCIA.codigo, opens_at: local(-HOUR), closes_at: local(HOUR) },
+    });
+
+    const c = portal.client();
+    const res = await c.login(LUCIA.codigo, LUCIA.dni);
+    assert.match(res.text, /2410001/);
+    assert.doesNotMatch(res.text, /class="error"/);
+
+    const ext = (await windowRows()).find((w) => w.student_code === LUCIA.codigo);
+    await admin.post(`/admin/windows/${ext.id}`, {
+      form: { opens_at: local(-2 * HOUR), closes_at: local(-HOUR) },
+    });
+
+    const confirm = await c.post("/confirm", {
+      json: { student: { code: LUCIA.codigo }, changes: [{ type: "DROP", code: "SFBQ3061", from: {} }] },
+    });
+    assert.equal(confirm.status, 403);
+    assert.equal(confirm.json.error, "window_closed");
+    assert.match(confirm.json.message, /aún no está habilitada/);
+  });
+
+  it("keeps coordinators to their own faculty's windows", async () => {
+    const coord = portal.client();
+    await coord.post("/admin/login", { form: { username: "coord", password: "admin-pass-123" } });
+
+    await coord.post("/admin/windows", {
+      form: { period_id: "20261", faculty: "OTRA", opens_at: local(-HOUR), closes_at: local(HOUR) },
+    });
+    const created = (await windowRows()).find((w) => w.created_by === "coord");
+    assert.equal(created.faculty, "FACULTAD DE INGENIERÍA");
+
+    const general = (await windowRows()).find((w) => !w.faculty && !w.modality && !w.student_code);
+    const res = await coord.post(`/admin/windows/${general.id}/delete`, { form: {} });
+    assert.equal(res.status, 404);
+    assert.equal((await windowRows()).length, 4);
+  });
+});
@@ -0,0 +1,116 @@
+// tests/helpers/harness.js
+// ✅ Boots the portal against the mock upstream + an in-memory local store.
+// app.js reads its env at require time => configure env first, then require it.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMockUpstream } = require("../../mock/upstreamServer");
+const { createLocalDriver } = require("../../utils/store/localDriver");
+
+function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+    server.on("error", reject);
+  });
+}
+
+const close = (server) => new Promise((resolve) => server.close(() => resolve()));
+
+/**
+ * Tiny HTTP client with a cookie jar (one jar = one browser session).
+ */
+function createClient(baseUrl) {
+  const jar = new Map();
+
+  async function request(method, url, { form, json, headers = {} } = {}) {
+    const h = { ...headers };
+    if (jar.size) h.Cookie = [...jar].map(([k, v]) => `${k}=${v}`).join("; ");
+
+    let body;
+    if (form) {
+      h["Content-Type"] = "application/x-www-form-urlencoded";
+      body = new URLSearchParams(form).toString();
+    } else if (json) {
+      h["Content-Type"] = "application/json";
+      h.Accept = h.Accept || "application/json";
+      body = JSON.stringify(json);
+    }
+
+    const res = await fetch(baseUrl + url, { method, headers: h, body, redirect: "manual" });
+    (res.headers.getSetCookie ? res.headers.getSetCookie() : []).forEach((c) => {
+      const [pair] = c.split(";");
+      const i = pair.indexOf("=");
+      jar.set(pair.slice(0, i).trim(), pair.slice(i + 1).trim());
+    });
+
+    const buffer = Buffer.from(await res.arrayBuffer());
+    const type = res.headers.get("content-type") || "";
+    return {
+      status: res.status,
+      headers: res.headers,
+      buffer,
+      text: buffer.toString("utf8"),
+      json: type.includes("application/json") ? JSON.parse(buffer.toString("utf8")) : null,
+    };
+  }
+
+  return {
+    jar,
+    get: (url, opts) => request("GET", url, opts),
+    post: (url, opts) => request("POST", url, opts),
+    login: (codigo, dni) => request("POST", "/login", { form: { codigo, dni } }),
+  };
+}
+
+/**
+ * Start mock upstream + portal. Call once per test file (app.js is a singleton module).
+ * Returns { baseUrl, upstream, driver, pdfDir, client(), stop() }.
+ */
+async function startPortal({ fixtures } = {}) {
+  const upstreamApp = createMockUpstream(fixtures ? { fixtures } : {});
+  const upstreamServer = await listen(upstreamApp);
+  const upstreamBase = `http://127.0.0.1:${upstreamServer.address().port}/service-uma`;
+  const fx = upstreamApp.locals.fixtures;
+
+  const pdfDir = fs.mkdtempSync(path.join(os.tmpdir(), "recti-pdfs-"));
+
+  Object.assign(process.env, {
+    LOGIN_BASE_URL: upstreamBase,
+    DATA_BASE_URL: `${upstreamBase}/grupoa`,
+    ADMIN_EMAIL: fx.admin.email,
+    ADMIN_PASS: fx.admin.password,
+    CURRENT_PERIOD_ID: String(fx.currentPeriod),
+    STORE_DRIVER: "local",
+    PDF_DIR: pdfDir,
+    // never reach real SMTP / Resend / Supabase from tests (dotenv does not override these)
+    MAIL_TRANSPORT: "",
+    SMTP_USER: "",
+    SMTP_PASS: "",
+    RESEND_API_KEY: "",
+    ADMIN_PDF_TO: "",
+    SUPABASE_URL: "",
+  });
+
+  const store = require("../../utils/store");
+  const driver = createLocalDriver({ dir: null });
+  store.setDriver(driver);
+
+  const app = require("../../app");
+  const server = await listen(app);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    upstream: upstreamApp.locals,
+    driver,
+    pdfDir,
+    client: () => createClient(baseUrl),
+    async stop() {
+      await close(server);
+      await close(upstreamServer);
+      fs.rmSync(pdfDir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { startPortal, createClient };
@@ -0,0 +1,96 @@
+// tests/helpers/pdf.js
+// Minimal PDF reader for assertions: structure (header / xref / trailer) + page count + text.
+// Enough for pdfkit output (standard fonts, FlateDecode streams); not a general parser.
+const zlib = require("zlib");
+
+function decodeHexString(hex) {
+  const clean = hex.replace(/\s+/g, "");
+  const padded = clean.length % 2 ? clean + "0" : clean;
+  return Buffer.from(padded, "hex").toString("latin1");
+}
+
+function decodeLiteralString(s) {
+  return s.replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (_, esc) => {
+    const map = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", "(": "(", ")": ")", "\\": "\\" };
+    if (map[esc] !== undefined) return map[esc];
+    return String.fromCharCode(parseInt(esc, 8));
+  });
+}
+
+// Text operators inside one content stream => one string per line (Tj / TJ)
+function textFromContent(content) {
+  const lines = [];
+  const re = /\[((?:[^\]\\]|\\.)*)\]\s*TJ|(<[0-9a-fA-F\s]*>|\((?:[^)\\]|\\.)*\))\s*Tj/g;
+  let m;
+  while ((m = re.exec(content))) {
+    const chunk = m[1] !== undefined ? m[1] : m[2];
+    const parts = chunk.match(/<[0-9a-fA-F\s]*>|\((?:[^)\\]|\\.)*\)/g) || [];
+    lines.push(
+      parts
+        .map((p) =>
+          p.startsWith("<") ? decodeHexString(p.slice(1, -1)) : decodeLiteralString(p.slice(1, -1))
+        )
+        .join("")
+    );
+  }
+  return lines;
+}
+
+/**
+ * ✅ Parse a PDF buffer. Throws when the file structure is broken.
+ * Returns { version, pageCount, text } (text: lines joined with "\n").
+ */
+function parsePdf(buffer) {
+  const raw = buffer.toString("latin1");
+
+  const header = raw.match(/^%PDF-(\d\.\d)/);
+  if (!header) throw new Error("Missing %PDF- header");
+  if (!/%%EOF\s*$/.test(raw)) throw new Error("Missing %%EOF marker");
+
+  const startxref = raw.match(/startxref\s+(\d+)\s+%%EOF\s*$/);
+  if (!startxref) throw new Error("Missing startxref");
+  const xrefAt = Number(startxref[1]);
+  if (raw.slice(xrefAt, xrefAt + 4) !== "xref") throw new Error("startxref does not point to xref");
+
+  // Every in-use xref entry must point at "<n> 0 obj"
+  const xref = raw.slice(xrefAt).match(/^xref\s+(\d+)\s+(\d+)\s+([\s\S]*?)trailer/);
+  if (!xref) throw new Error("Unreadable xref table");
+  const first = Number(xref[1]);
+  const entries = xref[3].trim().split(/\s*\n\s*/);
+  entries.forEach((entry, i) => {
+    const [offset, , kind] = entry.trim().split(/\s+/);
+    if (kind !== "n") return;
+    const objNum = first + i;
+    const at = Number(offset);
+    if (!raw.slice(at).startsWith(`${objNum} 0 obj`)) {
+      throw new Error(`xref entry ${objNum} points to offset ${at} without that object`);
+    }
+  });
+
+  const pageCount = (raw.match(/\/Type\s*\/Page(?!s)/g) || []).length;
+
+  const text = [];
+  const streamRe = /<<([\s\S]*?)>>\s*stream\r?\n/g;
+  let m;
+  while ((m = streamRe.exec(raw))) {
+    const dict = m[1];
+    const start = m.index + m[0].length;
+    const end = raw.indexOf("endstream", start);
+    if (end < 0) throw new Error("Unterminated stream");
+
+    let data = buffer.subarray(start, end);
+    if (/\/Subtype\s*\/Image/.test(dict)) continue;
+    if (/\/FlateDecode/.test(dict)) {
+      try {
+        data = zlib.inflateSync(data);
+      } catch (_) {
+        continue; // font programs etc.
+      }
+    }
+    text.push(...textFromContent(data.toString("latin1")));
+  }
+
+  return { version: header[1], pageCount, text: text.join("\n") };
+}
+
+module.exports = { parsePdf };
@@ -0,0 +1,38 @@
+// tests/unit/documentVerification.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  CODE_LENGTH,
+  generateVerificationCode,
+  normalizeVerificationCode,
+  formatVerificationCode,
+  verificationRecord,
+  isSignatureValid,
+  qrPng,
+} = require("../../utils/documentVerification");
+
+describe("document verification", () => {
+  it("generates unambiguous codes that survive formatting and typing", () => {
+    const code = generateVerificationCode();
+    assert.equal(code.length, CODE_LENGTH);
+    assert.doesNotMatch(code, /[01OI]/);
+    assert.match(formatVerificationCode(code), /^\w{4}-\w{4}-\w{2}$/);
+    assert.equal(normalizeVerificationCode(` ${formatVerificationCode(code).toLowerCase()} `), code);
+    assert.equal(normalizeVerificationCode("ABCD-EFGH-J"), null);
+    assert.equal(normalizeVerificationCode("ABCD-EFGH-J0"), null);
+  });
+
+  it("signs the document hash with the code", () => {
+    const pdf = Buffer.from("%PDF-1.3 test");
+    const rec = verificationRecord("ABCDEFGHJK", pdf);
+    assert.equal(isSignatureValid("ABCDEFGHJK", rec.document_hash, rec.document_signature), true);
+    assert.equal(isSignatureValid("ABCDEFGHJM", rec.document_hash, rec.document_signature), false);
+    assert.equal(isSignatureValid("ABCDEFGHJK", "0".repeat(64), rec.document_signature), false);
+    assert.equal(isSignatureValid("ABCDEFGHJK", rec.document_hash, "zz"), false);
+  });
+
+  it("renders the QR as a PNG", async () => {
+    const png = await qrPng("http://localhost/verify/ABCD-EFGH-JK");
+    assert.equal(png.subarray(1, 4).toString("latin1"), "PNG");
+  });
+});
@@ -0,0 +1,65 @@
+// tests/unit/drafts.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const store = require("../../utils/store");
+const { createLocalDriver } = require("../../utils/store/localDriver");
+const { MAX_DRAFT_CHANGES, saveDraft, getDraft, markDraftSubmitted, draftActivity } = require("../../utils/drafts");
+
+const P = "20261";
+const at = (h) => new Date(Date.UTC(2026, 2, 2, h));
+const student = (code, faculty = "FCS") => ({ code, name: `Alumno ${code}`, faculty });
+const drop = (code) => ({ type: "DROP", code, from: { group: "N1" } });
+
+beforeEach(() => {
+  store.setDriver(createLocalDriver({ dir: null }));
+});
+
+describe("drafts", () => {
+  it("keeps one draft per student and period, with its first and last save", async () => {
+    await saveDraft({ period_id: P, student: student("A"), changes: [drop("X1")], now: at(8) });
+    const second = await saveDraft({ period_id: P, student: student("A"), changes: [drop("X1"), drop("X2")], now: at(9) });
+
+    assert.equal(second.ok, true);
+    const draft = await getDraft(P, "A");
+    assert.equal(draft.change_count, 2);
+    assert.equal(draft.started_at, at(8).toISOString());
+    assert.equal(draft.updated_at, at(9).toISOString());
+    assert.equal(await getDraft("20252", "A"), null);
+  });
+
+  it("does not start a draft without selections, and clearing keeps the activity", async () => {
+    const empty = await saveDraft({ period_id: P, student: student("A"), changes: [] });
+    assert.deepEqual(empty, { ok: true, draft: null });
+    assert.equal((await draftActivity({ period_id: P })).started, 0);
+
+    await saveDraft({ period_id: P, student: student("A"), changes: [drop("X1")] });
+    await saveDraft({ period_id: P, student: student("A"), changes: [] });
+    assert.equal(await getDraft(P, "A"), null);
+    assert.equal((await draftActivity({ period_id: P })).pending, 1);
+  });
+
+  it("rejects invalid payloads and drafts that were already sent", async () => {
+    const tooMany = Array.from({ length: MAX_DRAFT_CHANGES + 1 }, (_, i) => drop(`X${i}`));
+    assert.equal((await saveDraft({ period_id: P, student: student("A"), changes: "nope" })).error, "invalid_changes");
+    assert.equal((await saveDraft({ period_id: P, student: student("A"), changes: tooMany })).error, "invalid_changes");
+
+    await saveDraft({ period_id: P, student: student("A"), changes: [drop("X1")] });
+    await markDraftSubmitted(P, "A");
+    assert.equal(await getDraft(P, "A"), null);
+    assert.equal((await saveDraft({ period_id: P, student: student("A"), changes: [drop("X2")] })).error, "already_submitted");
+  });
+
+  it("counts started vs submitted drafts per faculty", async () => {
+    await saveDraft({ period_id: P, student: student("A"), changes: [drop("X1")], now: at(8) });
+    await saveDraft({ period_id: P, student: student("B"), changes: [drop("X1")], now: at(9) });
+    await saveDraft({ period_id: P, student: student("C", "FIS"), changes: [drop("X1")], now: at(10) });
+    await markDraftSubmitted(P, "B");
+
+    const all = await draftActivity({ period_id: P });
+    assert.deepEqual([all.started, all.submitted, all.pending], [3, 1, 2]);
+    assert.deepEqual(all.pendingDrafts.map((d) => d.student_code), ["C", "A"]);
+
+    const fcs = await draftActivity({ period_id: P, faculty: "FCS" });
+    assert.deepEqual([fcs.started, fcs.submitted, fcs.pending], [2, 1, 1]);
+  });
+});
@@ -0,0 +1,43 @@
+// tests/unit/legacyImport.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const store = require("../../utils/store");
+const { createLocalDriver } = require("../../utils/store/localDriver");
+const { legacyRequestRow, importLegacyData } = require("../../utils/store/legacyImport");
+
+let driver;
+
+beforeEach(() => {
+  driver = createLocalDriver({ dir: null });
+  store.setDriver(driver);
+});
+
+describe("legacy data import", () => {
+  it("maps a file-based submission to a request row", () => {
+    const row = legacyRequestRow({
+      createdAt: "2026-01-14T17:26:16.781Z",
+      student: { code: "2320606", name: "SANY DIAZ", dni: "70124182", period: "2026-1", mode: "SEMIPRESENCIAL" },
+      changes: [{ code: "SFBQ3063" }],
+      finalCourses: [],
+      pdfFile: "rectificacion_2320606_2026-1_x.pdf",
+    });
+    assert.equal(row.period_id, "20261");
+    assert.equal(row.dni_last4, "4182");
+    assert.equal(row.status, "SUBMITTED");
+    assert.equal(row.submitted_at, "2026-01-14T17:26:16.781Z");
+    assert.equal(row.pdf_storage_path, "rectificacion_2320606_2026-1_x.pdf");
+    assert.equal(legacyRequestRow({ student: {} }), null);
+  });
+
+  it("imports data/rectifications and data/audit once", async () => {
+    const first = await importLegacyData();
+    assert.deepEqual(first, { requests: 1, logins: 20 });
+
+    const [rect] = await driver.select("rectification_requests");
+    assert.equal(rect.student_code, "2320606");
+    assert.equal(rect.submitted_at, "2026-01-14T17:26:16.781Z"); // newest of the 5 submissions
+
+    assert.deepEqual(await importLegacyData(), { requests: 0, logins: 0 });
+    assert.equal((await driver.select("login_audit")).length, 20);
+  });
+});
@@ -0,0 +1,169 @@
+// tests/unit/mailOutbox.test.js
+const { describe, it, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const store = require("../../utils/store");
+const { createLocalDriver } = require("../../utils/store/localDriver");
+const { setTransport, createFileTransport } = require("../../utils/mailTransports");
+const { sendMail } = require("../../utils/mailer");
+const {
+  OUTBOX_STATUS,
+  backoffMs,
+  enqueueMail,
+  processOutbox,
+  outboxStats,
+  listOutbox,
+  retryMail,
+} = require("../../utils/mailOutbox");
+
+const T0 = new Date("2026-03-16T15:00:00.000Z");
+const at = (ms) => new Date(T0.getTime() + ms);
+
+// Fails the first `failures` sends, then records what it delivered
+function fakeTransport(failures = 0) {
+  const sent = [];
+  return {
+    name: "fake",
+    sent,
+    async send(msg) {
+      if (failures > 0) {
+        failures -= 1;
+        throw new Error("SMTP 421 try again later");
+      }
+      sent.push(msg);
+      return { providerId: `fake-${sent.length}` };
+    },
+  };
+}
+
+beforeEach(() => {
+  store.setDriver(createLocalDriver({ dir: null }));
+});
+
+after(() => {
+  setTransport(undefined);
+});
+
+describe("mail outbox", () => {
+  it("stores the email with its attachments and sends it", async () => {
+    const transport = fakeTransport();
+    setTransport(transport);
+
+    await enqueueMail({
+      to: [" ana@uma.edu.pe ", ""],
+      subject: "Hola",
+      text: "Cuerpo",
+      attachments: [{ filename: "a.pdf", content: Buffer.from("%PDF-1") }],
+      tag: "student:SUBMITTED",
+      now: T0,
+    });
+    const [queued] = await listOutbox();
+    assert.equal(queued.status, OUTBOX_STATUS.PENDING);
+    assert.deepEqual(queued.to, ["ana@uma.edu.pe"]);
+    assert.deepEqual(queued.attachments, ["a.pdf"]);
+
+    assert.deepEqual(await processOutbox({ now: T0 }), { sent: 1, failed: 0, skipped: false });
+    assert.equal(transport.sent[0].attachments[0].content.toString(), "%PDF-1");
+    assert.equal(transport.sent[0].id, queued.id);
+
+    const [row] = await listOutbox();
+    assert.equal(row.status, OUTBOX_STATUS.SENT);
+    assert.equal(row.provider_id, "fake-1");
+    assert.equal(row.transport, "fake");
+    assert.equal(row.attempts, 1);
+  });
+
+  it("backs off after failures and gives up into the dead-letter list", async () => {
+    setTransport(fakeTransport(Infinity));
+    assert.deepEqual([1, 2, 3, 8].map(backoffMs), [60000, 120000, 240000, 3600000]);
+
+    await enqueueMail({ to: "ana@uma.edu.pe", subject: "Hola", text: "x", now: T0 });
+    assert.equal((await processOutbox({ now: T0 })).failed, 1);
+
+    let [row] = await listOutbox();
+    assert.equal(row.status, OUTBOX_STATUS.PENDING);
+    assert.equal(row.next_attempt_at, at(60000).toISOString());
+    assert.match(row.last_error, /421/);
+
+    // not due yet
+    assert.deepEqual(await processOutbox({ now: at(59000) }), { sent: 0, failed: 0, skipped: false });
+
+    let now = T0;
+    for (let i = 1; i < 5; i += 1) {
+      now = new Date(row.next_attempt_at);
+      await processOutbox({ now });
+      [row] = await listOutbox();
+    }
+    assert.equal(row.status, OUTBOX_STATUS.DEAD);
+    assert.equal(row.attempts, 5);
+    assert.equal(row.next_attempt_at, null);
+    assert.deepEqual(await outboxStats(), { PENDING: 0, SENDING: 0, SENT: 0, DEAD: 1 });
+  });
+
+  it("lets the admin put a dead email back in the queue", async () => {
+    const transport = fakeTransport(1);
+    setTransport(transport);
+    process.env.MAIL_MAX_ATTEMPTS = "1";
+    try {
+      const row = await enqueueMail({ to: "ana@uma.edu.pe", subject: "Hola", text: "x", now: T0 });
+      await processOutbox({ now: T0 });
+      assert.equal((await listOutbox({ status: "DEAD" })).length, 1);
+
+      assert.deepEqual(await retryMail("nope"), { ok: false, error: "not_found" });
+      assert.deepEqual(await retryMail(row.id, { now: at(1000) }), { ok: true });
+      assert.deepEqual(await retryMail(row.id), { ok: false, error: "not_dead" });
+
+      await processOutbox({ now: at(1000) });
+      const [sent] = await listOutbox();
+      assert.equal(sent.status, OUTBOX_STATUS.SENT);
+      assert.equal(transport.sent.length, 1);
+    } finally {
+      delete process.env.MAIL_MAX_ATTEMPTS;
+    }
+  });
+
+  it("requeues emails left SENDING by a crashed worker", async () => {
+    const transport = fakeTransport();
+    setTransport(transport);
+    const row = await enqueueMail({ to: "ana@uma.edu.pe", subject: "Hola", text: "x", now: T0 });
+    await store.outbox.update({ id: row.id }, { status: OUTBOX_STATUS.SENDING, locked_at: T0.toISOString(), locked_by: "gone" });
+
+    await processOutbox({ now: at(5 * 60 * 1000) });
+    assert.equal(transport.sent.length, 0);
+    await processOutbox({ now: at(11 * 60 * 1000) });
+    assert.equal(transport.sent.length, 1);
+  });
+
+  it("keeps mail queued without a transport and skips sendMail", async () => {
+    setTransport(null);
+    await enqueueMail({ to: "ana@uma.edu.pe", subject: "Hola", text: "x", now: T0 });
+    assert.equal((await processOutbox({ now: T0 })).skipped, true);
+    assert.equal((await outboxStats()).PENDING, 1);
+    assert.equal(await sendMail({ to: "ana@uma.edu.pe", subject: "Otro", text: "x" }), false);
+    assert.equal((await outboxStats()).PENDING, 1);
+  });
+
+  it("writes emails and attachments to disk with the file transport", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "recti-mail-"));
+    try {
+      const transport = createFileTransport(dir);
+      const { providerId } = await transport.send({
+        id: "abc",
+        from: "noreply@uma.edu.pe",
+        to: ["ana@uma.edu.pe"],
+        subject: "Hola",
+        text: "Cuerpo",
+        attachments: [{ filename: "../x.pdf", content: Buffer.from("%PDF-1") }],
+      });
+      const message = JSON.parse(fs.readFileSync(path.join(dir, providerId), "utf8"));
+      assert.equal(message.subject, "Hola");
+      assert.deepEqual(message.to, ["ana@uma.edu.pe"]);
+      assert.match(message.attachments[0].file, /_0_x\.pdf$/);
+      assert.equal(fs.readFileSync(path.join(dir, message.attachments[0].file), "utf8"), "%PDF-1");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,79 @@
+// tests/unit/periods.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const store = require("../../utils/store");
+const { createLocalDriver } = require("../../utils/store/localDriver");
+const {
+  PERIOD_STATUS,
+  formatPeriodLabel,
+  normalizeSettings,
+  listPeriods,
+  findActivePeriod,
+  parsePeriodInput,
+  savePeriod,
+} = require("../../utils/periods");
+
+beforeEach(() => {
+  store.setDriver(createLocalDriver({ dir: null }));
+  process.env.CURRENT_PERIOD_ID = "2026-1";
+});
+
+describe("periods", () => {
+  it("registers CURRENT_PERIOD_ID when the registry is empty", async () => {
+    const periods = await listPeriods();
+    assert.deepEqual(
+      periods.map((p) => [p.id, p.label, p.status]),
+      [["20261", "2026-1", PERIOD_STATUS.ACTIVE]]
+    );
+    assert.equal(periods[0].settings.boletaRequired, true);
+  });
+
+  it("lists newest first and finds only active periods", async () => {
+    await savePeriod(parsePeriodInput({ id: "20252", status: "ARCHIVED" }).row);
+    await savePeriod(parsePeriodInput({ id: "20262", label: "2026-II" }).row);
+
+    assert.deepEqual((await listPeriods()).map((p) => p.id), ["20262", "20252"]);
+    assert.equal((await findActivePeriod("2026-2")).label, "2026-II");
+    assert.equal(await findActivePeriod("20252"), null);
+    assert.equal(await findActivePeriod("20261"), null);
+  });
+
+  it("reads the registry once for back-to-back calls and again after a save", async () => {
+    const driver = store.getDriver();
+    let reads = 0;
+    const select = driver.select.bind(driver);
+    driver.select = (table, opts) => {
+      if (table === "periods") reads += 1;
+      return select(table, opts);
+    };
+
+    await listPeriods(); // empty => seeds and reads again
+    const seeded = reads;
+    await listPeriods();
+    await findActivePeriod("20261");
+    assert.equal(reads, seeded);
+
+    await savePeriod(parsePeriodInput({ id: "20262" }).row);
+    assert.deepEqual((await listPeriods()).map((p) => p.id), ["20262", "20261"]);
+    assert.equal(reads, seeded + 1);
+  });
+
+  it("normalizes settings and admin input", () => {
+    assert.equal(formatPeriodLabel("20261"), "2026-1");
+    assert.deepEqual(normalizeSettings({ boletaRequired: false, seatHoldMinutes: "15", waitlistOfferHours: -2 }), {
+      boletaRequired: false,
+      seatHoldMinutes: 15,
+      waitlistOfferHours: null,
+    });
+
+    const { row } = parsePeriodInput({ id: "2026-2", status: "nope", boletaRequired: "false", seatHoldMinutes: "" });
+    assert.deepEqual([row.id, row.label, row.status, row.settings.boletaRequired, row.settings.seatHoldMinutes], [
+      "20262",
+      "2026-2",
+      PERIOD_STATUS.ACTIVE,
+      false,
+      null,
+    ]);
+    assert.match(parsePeriodInput({ id: "202" }).error, /5 dígitos/);
+  });
+});
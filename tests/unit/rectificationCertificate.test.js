@@ -0,0 +1,96 @@
+// tests/unit/rectificationCertificate.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePdf } = require("../helpers/pdf");
+const {
+  formatReference,
+  approvedChanges,
+  resultingSchedule,
+  renderCertificatePdf,
+} = require("../../utils/rectificationCertificate");
+
+const session = (courseCode, courseName, groupCode, day, hour) => ({
+  courseCode,
+  courseName,
+  groupCode,
+  day,
+  hour,
+  modality: "PRESENCIAL",
+  credits: 3,
+});
+
+// Partially approved: the section change is approved, the drop rejected, the add approved
+const request = {
+  period_id: "20261",
+  student_code: "2410001",
+  student_name: "Lucia Quispe",
+  status: "PARTIALLY_APPROVED",
+  decided_at: "2026-03-20T15:00:00.000Z",
+  current_courses: [
+    session("ENF101", "Anatomía", "N1", "Martes", "08:00-09:40"),
+    session("ENF102", "Bioquímica", "N1", "Lunes", "10:00-11:40"),
+  ],
+  final_courses: [
+    { code: "ENF101", name: "Anatomía", group: "N2", day: "Jueves", time: "08:00-09:40", modality: "PRESENCIAL" },
+    { code: "ENF205", name: "Ética", group: "N1", day: "Lunes", time: "07:00-08:40", modality: "VIRTUAL" },
+  ],
+  changes: [
+    { type: "CHANGE", code: "ENF101", name: "Anatomía", from: { group: "N1" }, to: { group: "N2" } },
+    { type: "DROP", code: "ENF102", name: "Bioquímica", credits: 3, from: { group: "N1" } },
+    { type: "ADD", code: "ENF205", name: "Ética", credits: 2, to: { group: "N1" } },
+  ],
+  decisions: [
+    { index: 0, status: "APPROVED" },
+    { index: 1, status: "REJECTED", reason: "Curso prerrequisito" },
+    { index: 2, status: "APPROVED" },
+  ],
+};
+
+describe("rectification certificate", () => {
+  it("formats the reference number", () => {
+    assert.equal(formatReference("20261", 7), "CR-20261-00007");
+  });
+
+  it("keeps only the approved changes with their review numbers", () => {
+    assert.deepEqual(approvedChanges(request).map((ch) => [ch.n, ch.code]), [[1, "ENF101"], [3, "ENF205"]]);
+  });
+
+  it("builds the weekly schedule: approved sections, enrolled ones where the change was rejected", () => {
+    const rows = resultingSchedule(request);
+    assert.deepEqual(
+      rows.map((r) => `${r.day} ${r.time} ${r.code} ${r.group}`),
+      ["Lunes 07:00-08:40 ENF205 N1", "Lunes 10:00-11:40 ENF102 N1", "Jueves 08:00-09:40 ENF101 N2"]
+    );
+  });
+
+  it("falls back to the change's sections without a stored final plan", () => {
+    const rows = resultingSchedule({
+      ...request,
+      final_courses: [],
+      changes: [{ type: "CHANGE", code: "ENF101", name: "Anatomía", from: { group: "N1" }, to: { group: "N3", day: "Viernes", time: "14:00-15:40" } }],
+      decisions: [{ index: 0, status: "APPROVED" }],
+    });
+    assert.ok(rows.some((r) => r.code === "ENF101" && r.group === "N3" && r.day === "Viernes"));
+    assert.ok(!rows.some((r) => r.code === "ENF101" && r.group === "N1"));
+  });
+
+  it("renders the certificate", async () => {
+    const approved = approvedChanges(request);
+    const buffer = await renderCertificatePdf({
+      reference_number: "CR-20261-00001",
+      office: "Oficina de Registros Académicos",
+      issued_at: "2026-03-21T15:00:00.000Z",
+      request,
+      approved_changes: approved,
+      schedule: resultingSchedule(request, approved),
+      credits_after: 8,
+    });
+    const text = parsePdf(buffer).text;
+
+    assert.match(text, /Constancia N.. CR-20261-00001/);
+    assert.match(text, /aprobada parcialmente/);
+    assert.match(text, /De Sec\. N1 a Sec\. N2/);
+    assert.match(text, /Ética/);
+    assert.match(text, /Oficina de Registros Académicos/);
+  });
+});
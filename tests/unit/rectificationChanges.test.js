@@ -0,0 +1,66 @@
+// tests/unit/rectificationChanges.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  changeType,
+  creditsByCourse,
+  normalizeChanges,
+  summarizeCredits,
+} = require("../../utils/rectificationChanges");
+
+// Enrolled rows come one per session
+const enrolled = [
+  { courseCode: "A", credits: 4, modality: "TEORÍA VIRTUAL" },
+  { courseCode: "A", credits: 4, modality: "LABORATORIO PRESENCIAL" },
+  { courseCode: "B", credits: 3 },
+];
+
+describe("rectificationChanges", () => {
+  it("treats changes without a type as section changes", () => {
+    assert.equal(changeType({ code: "A", from: {}, to: {} }), "CHANGE");
+    assert.equal(changeType({ type: "drop" }), "DROP");
+    assert.equal(changeType({ type: "ADD" }), "ADD");
+    assert.equal(changeType({ type: "bogus" }), "CHANGE");
+  });
+
+  it("counts each course once", () => {
+    assert.deepEqual(creditsByCourse(enrolled), { A: 4, B: 3 });
+  });
+
+  it("normalizes the payload and takes DROP credits from the enrolled courses", () => {
+    const out = normalizeChanges(
+      [
+        { code: "A", from: { group: "N1" }, to: { group: "N2" } },
+        { type: "DROP", code: "B", credits: 50, from: { group: "M1" }, to: { group: "X" } },
+        { type: "ADD", code: "C", credits: "5", to: { group: "T1" } },
+        null,
+      ],
+      enrolled
+    );
+
+    assert.deepEqual(out, [
+      { type: "CHANGE", code: "A", name: "", from: { group: "N1" }, to: { group: "N2" } },
+      { type: "DROP", code: "B", name: "", from: { group: "M1" }, credits: 3 },
+      { type: "ADD", code: "C", name: "", to: { group: "T1" }, credits: 5 },
+    ]);
+  });
+
+  it("summarizes credits before and after", () => {
+    const changes = [
+      { type: "CHANGE", code: "A" },
+      { type: "DROP", code: "B" },
+      { type: "DROP", code: "B" }, // twice => counted once
+      { type: "DROP", code: "Z" }, // not enrolled => ignored
+      { type: "ADD", code: "C", credits: 5 },
+      { type: "ADD", code: "A", credits: 4 }, // already enrolled => ignored
+    ];
+
+    assert.deepEqual(summarizeCredits(enrolled, changes), {
+      before: 7,
+      after: 9,
+      dropped: 3,
+      added: 5,
+    });
+    assert.deepEqual(summarizeCredits(enrolled, []), { before: 7, after: 7, dropped: 0, added: 0 });
+  });
+});
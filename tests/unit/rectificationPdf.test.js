@@ -0,0 +1,65 @@
+// tests/unit/rectificationPdf.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePdf } = require("../helpers/pdf");
+const { qrPng } = require("../../utils/documentVerification");
+const { renderRectificationPdf, pdfDataFromRequest } = require("../../utils/rectificationPdf");
+
+const course = (courseCode, courseName, credits, groupCode = "N1") => ({
+  courseCode,
+  courseName,
+  credits,
+  groupCode,
+  day: "lunes",
+  hour: "08:00 - 09:40",
+  modality: "PRESENCIAL",
+});
+
+const row = {
+  period_id: "20261",
+  student_code: "2410001",
+  student_name: "Lucia Quispe",
+  dni_last4: "2233",
+  faculty_name: "Ciencias de la Salud",
+  specialty_name: "Enfermería",
+  mode: "PRESENCIAL",
+  email: "lucia@uma.edu.pe",
+  current_courses: [course("ENF101", "Anatomía", 4), course("ENF102", "Bioquímica", 3)],
+  final_courses: [{ code: "ENF101", name: "Anatomía", group: "N2", day: "martes", time: "10:00-11:40" }],
+  changes: [
+    {
+      type: "CHANGE",
+      code: "ENF101",
+      name: "Anatomía",
+      from: { group: "N1", day: "lunes", time: "08:00-09:40" },
+      to: { group: "N2", day: "martes", time: "10:00-11:40" },
+    },
+    { type: "DROP", code: "ENF102", name: "Bioquímica", credits: 3, from: { group: "N1", day: "lunes", time: "08:00-09:40" } },
+  ],
+};
+
+describe("rectification PDF", () => {
+  it("maps a stored request without exposing the full DNI", () => {
+    const data = pdfDataFromRequest(row);
+    assert.equal(data.student.dni, "****2233");
+    assert.equal(data.student.program, "Enfermería");
+    assert.deepEqual(data.credits, { before: 7, after: 4, dropped: 3, added: 0 });
+    assert.equal(pdfDataFromRequest({ ...row, dni_last4: null }).student.dni, "—");
+  });
+
+  it("renders the stored request with the verification block", async () => {
+    const url = "http://localhost/verify/ABCD-EFGH-JK";
+    const buffer = await renderRectificationPdf(
+      pdfDataFromRequest(row, { verification: { code: "ABCDEFGHJK", url, qr: await qrPng(url) } })
+    );
+    const { pageCount, text } = parsePdf(buffer);
+
+    assert.ok(pageCount >= 1);
+    assert.match(text, /Solicitud de Rectificación de Matrícula/);
+    assert.match(text, /Lucia Quispe/);
+    assert.match(text, /\*\*\*\*2233/);
+    assert.match(text, /De: Sec\. N1 \| Lunes \| 08:00.09:40/);
+    assert.match(text, /Se retira: Sec\. N1/);
+    assert.match(text, /Código de verificación: ABCD-EFGH-JK/);
+  });
+});
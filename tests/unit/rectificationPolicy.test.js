@@ -0,0 +1,127 @@
+// tests/unit/rectificationPolicy.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { loadPolicyConfig, resolvePolicy, evaluatePolicy } = require("../../utils/rectificationPolicy");
+
+const T = "TEORÍA VIRTUAL";
+const P = "TEORÍA PRESENCIAL";
+
+const config = {
+  default: {
+    maxSectionChanges: 2,
+    minCredits: { value: 12, severity: "error" },
+    maxCredits: { value: 22, severity: "error" },
+    allowedModalities: { value: { SEMIPRESENCIAL: [T, "LABORATORIO PRESENCIAL"] } },
+    maxCycleGap: { value: 1, severity: "warning" },
+  },
+  faculties: { FCS: { maxSectionChanges: 4 } },
+  periods: {
+    20261: {
+      maxCredits: { value: 24, severity: "warning" },
+      faculties: { "Ciencias de la Salud": { maxCycleGap: null } },
+    },
+  },
+};
+
+const change = (code, group) => ({ type: "CHANGE", code, from: {}, to: { group } });
+
+describe("resolvePolicy", () => {
+  it("layers default < period < faculty < period + faculty", () => {
+    const base = resolvePolicy(config, { faculty: "FCE", period: "20252" });
+    assert.deepEqual(base.maxSectionChanges, { value: 2, severity: "error" });
+    assert.deepEqual(base.maxCredits, { value: 22, severity: "error" });
+
+    const fcs = resolvePolicy(config, { faculty: ["fcs", "Ciencias de la Salud"], period: "2026-1" });
+    assert.deepEqual(fcs.maxSectionChanges, { value: 4, severity: "error" });
+    assert.deepEqual(fcs.maxCredits, { value: 24, severity: "warning" });
+    assert.equal(fcs.maxCycleGap, null); // disabled for that faculty in 20261
+    assert.deepEqual(fcs.minCredits, { value: 12, severity: "error" });
+  });
+
+  it("ships a default config file", () => {
+    const rules = resolvePolicy(loadPolicyConfig(path.join(__dirname, "..", "..", "config", "rectificationPolicy.json")));
+    assert.ok(rules.maxSectionChanges);
+    assert.ok(rules.allowedModalities.value.SEMIPRESENCIAL.length);
+  });
+});
+
+describe("evaluatePolicy", () => {
+  const rules = resolvePolicy(config, { faculty: "FCE", period: "20252" });
+  const cycles = { A: 6, B: 6, C: 6, X: 8 };
+  const plan = (extra) => ({
+    changes: [],
+    finalCourses: [],
+    credits: { before: 18, after: 18 },
+    mode: "Semipresencial",
+    cycles,
+    enrolledCodes: ["A", "B", "C"],
+    ...extra,
+  });
+
+  it("accepts a plan within every rule", () => {
+    const r = evaluatePolicy(rules, plan({ changes: [change("A", "N2")], finalCourses: [{ code: "A", group: "N2", modality: T }] }));
+    assert.deepEqual(r, { ok: true, errors: [], warnings: [] });
+  });
+
+  it("counts section changes per course", () => {
+    const changes = [change("A", "N2"), change("A", "N2"), change("B", "M2"), change("C", "T2")];
+    const r = evaluatePolicy(rules, plan({ changes }));
+    assert.deepEqual(r.errors.map((e) => e.rule), ["maxSectionChanges"]);
+    assert.match(r.errors[0].message, /propones 3/);
+  });
+
+  it("checks credits only when drops / adds change the total", () => {
+    assert.equal(evaluatePolicy(rules, plan({ credits: { before: 10, after: 10 } })).ok, true);
+
+    const low = evaluatePolicy(rules, plan({ credits: { before: 18, after: 10 } }));
+    assert.deepEqual(low.errors.map((e) => e.rule), ["minCredits"]);
+
+    const high = evaluatePolicy(rules, plan({ credits: { before: 18, after: 23 } }));
+    assert.deepEqual(high.errors.map((e) => e.rule), ["maxCredits"]);
+  });
+
+  it("only lets semipresencial students pick sections of their modality", () => {
+    const r = evaluatePolicy(
+      rules,
+      plan({
+        changes: [change("A", "P1")],
+        finalCourses: [
+          { code: "A", group: "P1", modality: P },
+          { code: "A", group: "P1", modality: P },
+          { code: "B", group: "M1", modality: P }, // unchanged course => not checked
+        ],
+      })
+    );
+    assert.deepEqual(r.errors.map((e) => [e.rule, e.code]), [["allowedModalities", "A"]]);
+
+    assert.equal(evaluatePolicy(rules, plan({ mode: "PRESENCIAL", changes: [change("A", "P1")], finalCourses: [{ code: "A", group: "P1", modality: P }] })).ok, true);
+  });
+
+  it("matches modes and modalities regardless of case, accents and separators", () => {
+    const r = evaluatePolicy(
+      rules,
+      plan({
+        mode: "Semi-presencial",
+        changes: [change("A", "N2"), change("B", "L1")],
+        finalCourses: [
+          { code: "A", group: "N2", modality: "Teoria  Virtual" },
+          { code: "B", group: "L1", modality: "laboratorio presencial" },
+        ],
+      })
+    );
+    assert.equal(r.ok, true);
+
+    const wrong = evaluatePolicy(
+      rules,
+      plan({ mode: "semipresencial", changes: [change("A", "P1")], finalCourses: [{ code: "A", group: "P1", modality: "Teoría presencial" }] })
+    );
+    assert.deepEqual(wrong.errors.map((e) => e.rule), ["allowedModalities"]);
+  });
+
+  it("warns about added courses from a distant cycle", () => {
+    const r = evaluatePolicy(rules, plan({ changes: [{ type: "ADD", code: "X", to: { group: "N1" } }] }));
+    assert.equal(r.ok, true);
+    assert.deepEqual(r.warnings.map((w) => [w.rule, w.code, w.severity]), [["maxCycleGap", "X", "warning"]]);
+  });
+});
@@ -0,0 +1,137 @@
+// tests/unit/rectificationValidation.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateRectification } = require("../../utils/rectificationValidation");
+const { normalizeChanges } = require("../../utils/rectificationChanges");
+
+const T = "TEORÍA VIRTUAL";
+const L = "LABORATORIO PRESENCIAL";
+
+// Session rows as stored in req.session.enrolled
+const currentCourses = [
+  { courseCode: "A", courseName: "Curso A", groupCode: "N1", day: "Lunes", hour: "08:00 - 10:00", modality: T, credits: 4 },
+  { courseCode: "A", courseName: "Curso A", groupCode: "N1", day: "Jueves", hour: "08:00 - 10:00", modality: L, credits: 4 },
+  { courseCode: "B", courseName: "Curso B", groupCode: "M1", day: "Martes", hour: "10:00 - 12:00", modality: T, credits: 3 },
+];
+
+// flattenAvailable rows
+const row = (courseCode, groupCode, sessions, credits = 4) => ({
+  courseCode,
+  courseName: `Curso ${courseCode}`,
+  credits,
+  groupCode,
+  sessions: sessions.map(([day, start, end, modality = T]) => ({ day, start, end, modality })),
+});
+
+const available = [
+  row("A", "N1", [["Lunes", "08:00", "10:00"], ["Jueves", "08:00", "10:00", L]]),
+  row("A", "N2", [["Miércoles", "08:00", "10:00"], ["Viernes", "08:00", "10:00", L]]),
+  row("A", "N3", [["Martes", "11:00", "13:00"], ["Viernes", "14:00", "16:00", L]]), // overlaps B
+  row("A", "N4", [["Sábado", "08:00", "10:00"], ["Sábado", "10:00", "12:00", L]]),
+  row("B", "M1", [["Martes", "10:00", "12:00"]], 3),
+  row("C", "T1", [["Martes", "11:00", "12:30"]], 5), // overlaps B
+  row("C", "T2", [["Viernes", "16:00", "18:00"]], 5),
+];
+
+const vacancies = { A: { N4: { vacancies_left: 0, is_full: true } } };
+
+function validate(changes) {
+  return validateRectification({
+    changes: normalizeChanges(changes, currentCourses),
+    currentCourses,
+    available,
+    vacancies,
+  });
+}
+
+const errorsOf = (r) => r.errors.map((e) => [e.index, e.error]);
+
+describe("validateRectification", () => {
+  it("rebuilds a section change from upstream data", () => {
+    const r = validate([
+      { code: "A", from: { modality: T }, to: { group: "N2", day: "Domingo", time: "00:00-23:00" } },
+      { code: "A", from: { modality: L }, to: { group: "N2" } },
+    ]);
+
+    assert.equal(r.ok, true);
+    assert.deepEqual(r.changes[0].to, { group: "N2", day: "Miércoles", time: "08:00-10:00", modality: T });
+    assert.deepEqual(r.changes[1].from, { group: "N1", day: "Jueves", time: "08:00 - 10:00", modality: L });
+    assert.deepEqual(r.changes[1].to.day, "Viernes");
+    assert.deepEqual(
+      r.finalCourses.map((f) => `${f.code}:${f.group}:${f.day}`),
+      ["A:N2:Miércoles", "A:N2:Viernes", "B:M1:Martes"]
+    );
+  });
+
+  it("rejects unknown courses and groups, full groups and no-op changes", () => {
+    const r = validate([
+      { code: "A", to: { group: "Z9" } },
+      { code: "B", to: { group: "M1" } },
+      { type: "ADD", code: "X", to: { group: "T1" } },
+      { code: "" },
+    ]);
+
+    assert.equal(r.ok, false);
+    assert.deepEqual(errorsOf(r), [
+      [0, "unknown_group"],
+      [1, "same_group"],
+      [2, "unknown_course"],
+      [3, "unknown_course"],
+    ]);
+    assert.deepEqual(r.changes, []);
+
+    assert.deepEqual(errorsOf(validate([{ code: "A", to: { group: "N4" } }])), [[0, "group_full"]]);
+  });
+
+  it("only changes or drops enrolled courses and only adds new ones", () => {
+    const r = validate([
+      { type: "DROP", code: "C" },
+      { type: "ADD", code: "B", to: { group: "M1" } },
+      { code: "C", to: { group: "T2" } },
+    ]);
+
+    assert.deepEqual(errorsOf(r), [
+      [0, "not_enrolled"],
+      [1, "already_enrolled"],
+      [2, "not_enrolled"],
+    ]);
+  });
+
+  it("rejects two different operations on the same course", () => {
+    const r = validate([
+      { code: "A", to: { group: "N2" } },
+      { type: "DROP", code: "A" },
+    ]);
+
+    assert.deepEqual(errorsOf(r), [[1, "conflicting_changes"]]);
+  });
+
+  it("rejects overlaps with new sessions and explains them", () => {
+    const r = validate([
+      { code: "A", to: { group: "N3" } },
+      { type: "ADD", code: "C", to: { group: "T1" } },
+    ]);
+
+    assert.deepEqual(errorsOf(r), [
+      [0, "time_conflict"],
+      [1, "time_conflict"],
+    ]);
+    assert.match(r.errors[0].message, /A \(Martes 11:00-13:00\) se cruza con B \(Martes 10:00 - 12:00\)/);
+  });
+
+  it("lets a drop free the slot for an added course", () => {
+    const r = validate([
+      { type: "DROP", code: "B", credits: 40 },
+      { type: "ADD", code: "C", credits: 1, to: { group: "T1" } },
+    ]);
+
+    assert.equal(r.ok, true);
+    assert.equal(r.changes[0].credits, 3);
+    assert.equal(r.changes[1].credits, 5); // from schedule-available, not the client
+    assert.deepEqual(r.changes[1].to.sessions, [{ day: "Martes", time: "11:00-12:30", modality: T }]);
+    assert.deepEqual(
+      r.finalCourses.map((f) => f.code),
+      ["A", "A", "C"]
+    );
+  });
+});
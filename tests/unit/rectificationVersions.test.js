@@ -0,0 +1,93 @@
+// tests/unit/rectificationVersions.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const store = require("../../utils/store");
+const { createLocalDriver } = require("../../utils/store/localDriver");
+const {
+  DIFF_KIND,
+  nextSubmission,
+  recordVersion,
+  listVersions,
+  unlockForResubmission,
+  diffVersions,
+} = require("../../utils/rectificationVersions");
+
+const P = "20261";
+const change = (code, group, day = "Lunes") => ({
+  type: "CHANGE",
+  code,
+  from: { group: "N1", day, time: "08:00-09:40" },
+  to: { group, day, time: "10:00-11:40" },
+});
+
+beforeEach(() => {
+  store.setDriver(createLocalDriver({ dir: null }));
+});
+
+async function submit(code, changes) {
+  const s = await nextSubmission(P, code, { by: code, at: new Date().toISOString() });
+  const row = await store.rectifications.upsert({
+    period_id: P,
+    student_code: code,
+    status: "SUBMITTED",
+    changes,
+    version: s.version,
+    status_history: s.status_history,
+    pdf_storage_path: `v${s.version}.pdf`,
+  });
+  await recordVersion(row);
+  return row;
+}
+
+describe("rectification versions", () => {
+  it("numbers resubmissions and keeps the status history", async () => {
+    const v1 = await submit("A", [change("X1", "N2")]);
+    assert.equal(v1.version, 1);
+
+    const unlocked = await unlockForResubmission({ request_id: v1.id, reason: "Corregir X1", by: "root" });
+    assert.deepEqual(unlocked, { ok: true, version: 1 });
+
+    const v2 = await submit("A", [change("X1", "N3")]);
+    assert.equal(v2.id, v1.id);
+    assert.equal(v2.version, 2);
+    assert.deepEqual(v2.status_history.map((h) => h.status), ["SUBMITTED", "REOPENED", "SUBMITTED"]);
+
+    const versions = await listVersions(v2);
+    assert.deepEqual(versions.map((v) => [v.version, v.pdf_storage_path, v.unlock_reason || null]), [
+      [1, "v1.pdf", "Corregir X1"],
+      [2, "v2.pdf", null],
+    ]);
+  });
+
+  it("needs a reason and refuses to unlock twice", async () => {
+    const v1 = await submit("A", []);
+    assert.equal((await unlockForResubmission({ request_id: v1.id, reason: "  " })).error, "reason_required");
+    await unlockForResubmission({ request_id: v1.id, reason: "ok" });
+    assert.equal((await unlockForResubmission({ request_id: v1.id, reason: "ok" })).error, "already_unlocked");
+  });
+
+  it("treats requests from before versioning as version 1", async () => {
+    const legacy = await store.rectifications.upsert({ period_id: P, student_code: "B", changes: [], pdf_storage_path: "old.pdf" });
+    const [v] = await listVersions(legacy);
+    assert.deepEqual([v.version, v.pdf_storage_path], [1, "old.pdf"]);
+  });
+
+  it("diffs versions by course and change type", () => {
+    const before = {
+      changes: [change("X1", "N2"), change("X1", "N2", "Martes"), change("X2", "N2"), { type: "DROP", code: "X3", from: { group: "N1" } }],
+      credits_after: 20,
+    };
+    const after = {
+      changes: [change("X1", "N2", "Martes"), change("X1", "N2"), change("X2", "N4"), { type: "ADD", code: "X4", to: { group: "N1" } }],
+      credits_after: 24,
+    };
+
+    const diff = diffVersions(before, after);
+    assert.deepEqual(diff.items.map((d) => [d.kind, d.type, d.code]), [
+      [DIFF_KIND.MODIFIED, "CHANGE", "X2"],
+      [DIFF_KIND.REMOVED, "DROP", "X3"],
+      [DIFF_KIND.ADDED, "ADD", "X4"],
+    ]);
+    assert.deepEqual(diff.credits, { before: 20, after: 24 });
+  });
+});
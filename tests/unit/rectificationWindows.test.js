@@ -0,0 +1,90 @@
+// tests/unit/rectificationWindows.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  WINDOW_STATE,
+  evaluateWindow,
+  formatCountdown,
+  windowMessage,
+  parseWindowInput,
+  limaDateTimeToIso,
+  isoToLimaDateTime,
+} = require("../../utils/rectificationWindows");
+
+const at = (day, hour = 8) => new Date(Date.UTC(2026, 2, day, hour + 5)).toISOString(); // Lima time
+const win = (opensDay, closesDay, extra = {}) => ({ period_id: "20261", opens_at: at(opensDay), closes_at: at(closesDay), ...extra });
+
+const LUCIA = {
+  student_code: "2410001",
+  faculty: ["FACULTAD DE CIENCIAS DE LA SALUD", "FCS"],
+  modality: "SEMIPRESENCIAL",
+};
+
+describe("rectification windows", () => {
+  it("stays open when no window is configured", () => {
+    const r = evaluateWindow([], { ...LUCIA, now: new Date(at(1)) });
+    assert.equal(r.open, true);
+    assert.equal(r.state, WINDOW_STATE.NOT_CONFIGURED);
+  });
+
+  it("uses the most specific matching window", () => {
+    const windows = [
+      win(1, 5),
+      win(8, 10, { faculty: "fcs" }),
+      win(12, 14, { faculty: "Facultad de Ciencias de la Salud", modality: "SEMIPRESENCIAL" }),
+      win(1, 30, { faculty: "FACULTAD DE INGENIERÍA" }),
+    ];
+
+    const lucia = evaluateWindow(windows, { ...LUCIA, now: new Date(at(3)) });
+    assert.equal(lucia.state, WINDOW_STATE.NOT_OPEN_YET);
+    assert.equal(lucia.opensAt, at(12));
+
+    const presencial = evaluateWindow(windows, { ...LUCIA, modality: "PRESENCIAL", now: new Date(at(9)) });
+    assert.equal(presencial.state, WINDOW_STATE.OPEN);
+    assert.equal(presencial.closesAt, at(10));
+
+    const other = evaluateWindow(windows, { student_code: "9", faculty: ["FACULTAD DE DERECHO"], now: new Date(at(6)) });
+    assert.equal(other.state, WINDOW_STATE.CLOSED);
+    assert.equal(other.closesAt, at(5));
+  });
+
+  it("opens the portal for a student with an extension", () => {
+    const windows = [win(1, 5), win(6, 7, { student_code: "2410001" })];
+
+    assert.equal(evaluateWindow(windows, { ...LUCIA, now: new Date(at(6, 12)) }).open, true);
+    assert.equal(evaluateWindow(windows, { ...LUCIA, student_code: "2410003", now: new Date(at(6, 12)) }).open, false);
+    assert.equal(evaluateWindow(windows, { ...LUCIA, now: new Date(at(5, 12)) }).state, WINDOW_STATE.NOT_OPEN_YET);
+  });
+
+  it("explains why the portal is not open, with a countdown", () => {
+    const now = new Date(at(10));
+    const soon = evaluateWindow([win(11, 12)], { ...LUCIA, now });
+    assert.match(windowMessage(soon, now), /Abre el .* \(faltan 1 d 0 h\)\./);
+
+    const closed = evaluateWindow([win(1, 2)], { ...LUCIA, now });
+    assert.match(windowMessage(closed, now), /cerró el/);
+
+    assert.equal(formatCountdown(3 * 60 * 60 * 1000 + 61 * 1000), "3 h 2 min");
+    assert.equal(formatCountdown(59 * 1000), "1 min");
+    assert.equal(formatCountdown(0), "menos de 1 min");
+  });
+
+  it("parses admin input in Lima time", () => {
+    assert.equal(limaDateTimeToIso("2026-03-02T08:00"), "2026-03-02T13:00:00.000Z");
+    assert.equal(isoToLimaDateTime("2026-03-02T13:00:00.000Z"), "2026-03-02T08:00");
+
+    const { row } = parseWindowInput({
+      period_id: "2026-1",
+      modality: " semipresencial ",
+      student_code: "",
+      opens_at: "2026-03-02T08:00",
+      closes_at: "2026-03-09T23:59",
+    });
+    assert.deepEqual(
+      [row.period_id, row.modality, row.student_code, row.faculty],
+      ["20261", "SEMIPRESENCIAL", null, null]
+    );
+
+    assert.match(parseWindowInput({ period_id: "20261", opens_at: "x", closes_at: "y" }).error, /apertura y de cierre/);
+  });
+});
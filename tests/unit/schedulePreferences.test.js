@@ -0,0 +1,59 @@
+// tests/unit/schedulePreferences.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizePreferences,
+  hasPreferences,
+  DEFAULT_WEIGHTS,
+} = require("../../utils/schedulePreferences");
+
+describe("normalizePreferences", () => {
+  it("fills defaults", () => {
+    const p = normalizePreferences();
+
+    assert.deepEqual(p, {
+      freeDays: [],
+      timePreference: "no-preference",
+      maxGapHours: null,
+      fewerCampusDays: false,
+      maxHoursPerDay: null,
+      keepChangesLow: true,
+      weights: DEFAULT_WEIGHTS,
+    });
+    assert.equal(hasPreferences(p), false);
+  });
+
+  it("accepts modal values and Spanish aliases", () => {
+    const p = normalizePreferences({
+      freeDays: ["Lunes"],
+      timePreference: "Mañana",
+      maxGapHours: "3",
+      fewerCampusDays: "true",
+      maxHoursPerDay: 6,
+      keepChangesLow: false,
+    });
+
+    assert.equal(p.timePreference, "morning");
+    assert.equal(p.maxGapHours, 3);
+    assert.equal(p.fewerCampusDays, true);
+    assert.equal(p.maxHoursPerDay, 6);
+    assert.equal(p.keepChangesLow, false);
+    assert.equal(hasPreferences(p), true);
+  });
+
+  it("ignores invalid numbers and weights", () => {
+    const p = normalizePreferences({
+      timePreference: "madrugada",
+      maxGapHours: -2,
+      maxHoursPerDay: "x",
+      weights: { gap: 10, change: -1, unknown: 5 },
+    });
+
+    assert.equal(p.timePreference, "no-preference");
+    assert.equal(p.maxGapHours, null);
+    assert.equal(p.maxHoursPerDay, null);
+    assert.equal(p.weights.gap, 10);
+    assert.equal(p.weights.change, DEFAULT_WEIGHTS.change);
+    assert.equal(p.weights.unknown, undefined);
+  });
+});
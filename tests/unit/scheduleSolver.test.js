@@ -0,0 +1,291 @@
+// tests/unit/scheduleSolver.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { solveSchedule, sessionType } = require("../../utils/scheduleSolver");
+
+const T = "TEORÍA VIRTUAL";
+const L = "LABORATORIO PRESENCIAL";
+
+const seg = (day, time, modality = T) => ({ day, time, modality });
+const group = (g, segments, extra = {}) => ({ group: g, segments, ...extra });
+
+function course(code, currentGroup, currentSegments, alternatives = []) {
+  return {
+    code,
+    name: `Curso ${code}`,
+    currentGroup,
+    currentSegments,
+    groups: [group(currentGroup, currentSegments), ...alternatives],
+  };
+}
+
+describe("solveSchedule", () => {
+  it("keeps the timetable when no free day is requested", () => {
+    const plan = solveSchedule([
+      course("A", "M1", [seg("Lunes", "08:00 - 10:00")], [group("T1", [seg("Martes", "14:00-16:00")])]),
+    ]);
+
+    assert.deepEqual(plan.changes, []);
+    assert.deepEqual(plan.assignment, { A: "M1" });
+    assert.equal(plan.finalCourses.length, 1);
+  });
+
+  it("moves a course off the free day", () => {
+    const plan = solveSchedule(
+      [course("A", "M1", [seg("Lunes", "08:00 - 10:00")], [group("T1", [seg("Martes", "14:00-16:00")])])],
+      { freeDays: ["Lunes"] }
+    );
+
+    assert.deepEqual(plan.assignment, { A: "T1" });
+    assert.equal(plan.changes.length, 1);
+    assert.deepEqual(plan.changes[0].from, {
+      group: "M1",
+      day: "Lunes",
+      time: "08:00 - 10:00",
+      modality: T,
+    });
+    assert.equal(plan.changes[0].to.group, "T1");
+    assert.deepEqual(plan.blocked, []);
+  });
+
+  it("finds the plan a greedy first pick would miss", () => {
+    // A's first alternative (Martes) is the only slot B can use
+    const plan = solveSchedule(
+      [
+        course("A", "M1", [seg("Lunes", "08:00-10:00")], [
+          group("M2", [seg("Martes", "08:00-10:00")]),
+          group("M3", [seg("Miércoles", "08:00-10:00")]),
+        ]),
+        course("B", "M1", [seg("Lunes", "10:00-12:00")], [group("M2", [seg("Martes", "09:00-11:00")])]),
+      ],
+      { freeDays: ["Lunes"] }
+    );
+
+    assert.deepEqual(plan.assignment, { A: "M3", B: "M2" });
+    assert.deepEqual(plan.blocked, []);
+    assert.equal(plan.stats.complete, true);
+  });
+
+  it("moves a course that is not on the free day when that frees the day", () => {
+    const plan = solveSchedule(
+      [
+        course("A", "M1", [seg("Lunes", "08:00-10:00")], [group("M2", [seg("Miércoles", "08:00-10:00")])]),
+        course("C", "M1", [seg("Miércoles", "08:00-10:00")], [group("M2", [seg("Jueves", "08:00-10:00")])]),
+      ],
+      { freeDays: ["Lunes"] }
+    );
+
+    assert.deepEqual(plan.assignment, { A: "M2", C: "M2" });
+    assert.equal(plan.stats.changeCount, 2);
+  });
+
+  it("prefers the plan with fewer changes", () => {
+    const plan = solveSchedule(
+      [
+        course("A", "M1", [seg("Lunes", "08:00-10:00")], [
+          group("M2", [seg("Miércoles", "08:00-10:00")]),
+          group("M3", [seg("Viernes", "08:00-10:00")]),
+        ]),
+        course("C", "M1", [seg("Miércoles", "08:00-10:00")], [group("M2", [seg("Jueves", "08:00-10:00")])]),
+      ],
+      { freeDays: ["lunes"] }
+    );
+
+    assert.deepEqual(plan.assignment, { A: "M3", C: "M1" });
+    assert.equal(plan.changes.length, 1);
+  });
+
+  it("never picks a full group and reports SIN_VACANTES", () => {
+    const plan = solveSchedule(
+      [
+        course("A", "M1", [seg("Lunes", "08:00-10:00")], [
+          group("N5", [seg("Martes", "18:50-20:30")], { full: true }),
+        ]),
+      ],
+      { freeDays: ["Lunes"] }
+    );
+
+    assert.deepEqual(plan.assignment, { A: "M1" });
+    assert.deepEqual(plan.skippedFullGroups, ["A:N5"]);
+    assert.equal(plan.blocked[0].reason, "SIN_VACANTES");
+    assert.match(plan.unsatisfied[0], /sin vacantes/);
+  });
+
+  it("keeps theory and lab together when the course has both", () => {
+    const current = [seg("Lunes", "08:00-10:00", T), seg("Jueves", "08:00-10:00", L)];
+    const plan = solveSchedule(
+      [
+        course("A", "M1", current, [
+          group("V1", [seg("Martes", "08:00-10:00", T)]), // theory only => not a valid pick
+          group("M2", [seg("Martes", "10:00-12:00", T), seg("Viernes", "08:00-10:00", L)]),
+        ]),
+      ],
+      { freeDays: ["Lunes"] }
+    );
+
+    assert.deepEqual(plan.assignment, { A: "M2" });
+    assert.equal(plan.finalCourses.length, 2);
+  });
+
+  it("explains why a course stays on the free day", () => {
+    const plan = solveSchedule(
+      [
+        course("A", "M1", [seg("Lunes", "08:00-10:00")], [group("M2", [seg("Lunes", "14:00-16:00")])]),
+        course("B", "M1", [seg("Lunes", "16:00-18:00")], [group("M2", [seg("Martes", "08:00-10:00")])]),
+        course("C", "M1", [seg("Martes", "08:00-10:00")]),
+      ],
+      { freeDays: ["Lunes"] }
+    );
+
+    const byCode = Object.fromEntries(plan.blocked.map((b) => [b.code, b.reason]));
+    assert.deepEqual(byCode, { A: "DIA_LIBRE", B: "CONFLICTO" });
+    assert.equal(plan.stats.freeDayViolations, 2);
+  });
+
+  it("tolerates overlaps the student already has but never adds new ones", () => {
+    const plan = solveSchedule(
+      [
+        course("A", "M1", [seg("Martes", "08:00-10:00")]),
+        course("B", "M1", [seg("Martes", "09:00-11:00")]),
+        course("C", "M1", [seg("Lunes", "08:00-10:00")], [group("M2", [seg("Martes", "09:30-10:30")])]),
+      ],
+      { freeDays: ["Lunes"] }
+    );
+
+    assert.deepEqual(plan.assignment, { A: "M1", B: "M1", C: "M1" });
+    assert.equal(plan.blocked[0].code, "C");
+  });
+
+  it("returns the best plan found when the node budget runs out", () => {
+    const courses = Array.from({ length: 6 }, (_, i) =>
+      course(`C${i}`, "M1", [seg("Lunes", `0${i}:00-0${i}:50`)], [
+        group("M2", [seg("Martes", `0${i}:00-0${i}:50`)]),
+        group("M3", [seg("Miércoles", `0${i}:00-0${i}:50`)]),
+      ])
+    );
+    const plan = solveSchedule(courses, { freeDays: ["Lunes"] }, { maxNodes: 3 });
+
+    assert.equal(plan.stats.complete, false);
+    assert.equal(Object.keys(plan.assignment).length, 6);
+  });
+});
+
+describe("solveSchedule preferences", () => {
+  it("prefers groups in the requested time band", () => {
+    const plan = solveSchedule(
+      [
+        course("A", "N1", [seg("Lunes", "19:00-21:00")], [
+          group("T1", [seg("Lunes", "14:00-16:00")]),
+          group("M1", [seg("Martes", "08:00-10:00")]),
+        ]),
+      ],
+      { timePreference: "morning" }
+    );
+
+    assert.deepEqual(plan.assignment, { A: "M1" });
+    assert.equal(plan.stats.offBandSessions, 0);
+  });
+
+  it("avoids long gaps in a day", () => {
+    const plan = solveSchedule(
+      [
+        course("A", "M1", [seg("Martes", "08:00-10:00")]),
+        course("B", "T1", [seg("Martes", "15:00-17:00")], [group("M2", [seg("Martes", "10:00-12:00")])]),
+      ],
+      { maxGapHours: 3 }
+    );
+
+    assert.deepEqual(plan.assignment, { A: "M1", B: "M2" });
+    assert.equal(plan.stats.longGaps, 0);
+  });
+
+  it("groups on-campus sessions into fewer days (virtual theory does not count)", () => {
+    const plan = solveSchedule(
+      [
+        course("A", "M1", [seg("Lunes", "08:00-10:00", L)]),
+        course("B", "M1", [seg("Martes", "08:00-10:00", L)], [group("M2", [seg("Lunes", "10:00-12:00", L)])]),
+        course("C", "M1", [seg("Miércoles", "08:00-10:00", T)]),
+      ],
+      { fewerCampusDays: true }
+    );
+
+    assert.deepEqual(plan.assignment, { A: "M1", B: "M2", C: "M1" });
+    assert.equal(plan.stats.campusDays, 1);
+  });
+
+  it("keeps each day under the hour cap", () => {
+    const plan = solveSchedule(
+      [
+        course("A", "M1", [seg("Lunes", "08:00-12:00")]),
+        course("B", "T1", [seg("Lunes", "13:00-17:00")], [group("T2", [seg("Jueves", "13:00-17:00")])]),
+      ],
+      { maxHoursPerDay: 6 }
+    );
+
+    assert.deepEqual(plan.assignment, { A: "M1", B: "T2" });
+    assert.equal(plan.stats.overloadHours, 0);
+  });
+
+  it("does not trade a free day for a softer preference", () => {
+    const plan = solveSchedule(
+      [
+        course("A", "M1", [seg("Lunes", "08:00-10:00")], [group("N1", [seg("Martes", "19:00-21:00")])]),
+      ],
+      { freeDays: ["Lunes"], timePreference: "morning" }
+    );
+
+    assert.deepEqual(plan.assignment, { A: "N1" });
+    assert.deepEqual(plan.blocked, []);
+  });
+});
+
+describe("solveSchedule ranking", () => {
+  const courses = () => [
+    course("A", "M1", [seg("Lunes", "08:00-10:00")], [
+      group("M2", [seg("Martes", "08:00-10:00")]),
+      group("M3", [seg("Martes", "08:00-10:00")]), // twin of M2
+      group("T1", [seg("Miércoles", "15:00-17:00")]),
+    ]),
+    course("B", "M1", [seg("Martes", "11:00-13:00")]),
+  ];
+
+  it("returns distinct plans ordered by score with a breakdown", () => {
+    const plan = solveSchedule(courses(), { freeDays: ["Lunes"] }, { maxPlans: 5 });
+
+    assert.equal(plan.plans.length, 3); // M2/M3 count once, plus T1 and keeping M1
+    assert.deepEqual(
+      plan.plans.map((p) => p.rank),
+      [1, 2, 3]
+    );
+    const scores = plan.plans.map((p) => p.breakdown.score);
+    assert.deepEqual(scores, scores.slice().sort((a, b) => a - b));
+
+    // Best plan is also the top-level plan
+    assert.deepEqual(plan.plans[0].assignment, plan.assignment);
+    assert.equal(plan.plans[2].assignment.A, "M1");
+    assert.deepEqual(plan.plans[2].breakdown.freeDaysAchieved, []);
+  });
+
+  it("reports changes, free days, gap hours and earliest start", () => {
+    const plan = solveSchedule(courses(), { freeDays: ["lunes"] }, { maxPlans: 2 });
+    const byGroup = Object.fromEntries(plan.plans.map((p) => [p.assignment.A, p.breakdown]));
+    const martes = byGroup.M2 || byGroup.M3;
+
+    assert.equal(martes.changes, 1);
+    assert.deepEqual(martes.freeDaysAchieved, ["Lunes"]);
+    assert.equal(martes.gapHours, 1); // 10:00 => 11:00
+    assert.equal(martes.earliestStart, "08:00");
+
+    assert.equal(byGroup.T1.gapHours, 0);
+    assert.equal(byGroup.T1.earliestStart, "11:00");
+  });
+});
+
+describe("sessionType", () => {
+  it("classifies modalities", () => {
+    assert.equal(sessionType("LABORATORIO PRESENCIAL"), "L");
+    assert.equal(sessionType("TEORÍA VIRTUAL"), "T");
+    assert.equal(sessionType("TEORIA PRESENCIAL"), "T");
+    assert.equal(sessionType(""), "O");
+  });
+});
@@ -0,0 +1,98 @@
+// tests/unit/seatHolds.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const store = require("../../utils/store");
+const { createLocalDriver } = require("../../utils/store/localDriver");
+const {
+  holdSeat,
+  releaseHolds,
+  reserveSeats,
+  releaseReservations,
+  heldByGroup,
+  applyHolds,
+  releaseExpiredHolds,
+} = require("../../utils/seatHolds");
+
+const P = "20261";
+const at = (min) => new Date(Date.UTC(2026, 2, 2, 8, min));
+
+let driver;
+beforeEach(() => {
+  driver = createLocalDriver({ dir: null });
+  store.setDriver(driver);
+});
+
+describe("seat holds", () => {
+  it("keeps one hold per student and course", async () => {
+    await holdSeat({ period_id: P, student_code: "A", course_code: "sfbq-3063", group_code: "N4", now: at(0) });
+    await holdSeat({ period_id: P, student_code: "A", course_code: "SFBQ3063", group_code: "N2", now: at(1) });
+    await holdSeat({ period_id: P, student_code: "B", course_code: "SFBQ3063", group_code: "N2", now: at(1) });
+
+    assert.deepEqual(await heldByGroup({ period_id: P, course_code: "SFBQ3063", now: at(2) }), { N2: 2 });
+    assert.deepEqual(
+      await heldByGroup({ period_id: P, course_code: "SFBQ3063", exceptStudent: "A", now: at(2) }),
+      { N2: 1 }
+    );
+  });
+
+  it("ignores and sweeps expired holds", async () => {
+    await holdSeat({ period_id: P, student_code: "A", course_code: "C1", group_code: "N1", now: at(0) });
+    await holdSeat({ period_id: P, student_code: "B", course_code: "C1", group_code: "N1", now: at(30) });
+
+    assert.deepEqual(await heldByGroup({ period_id: P, course_code: "C1", now: at(35) }), { N1: 1 });
+
+    await releaseExpiredHolds(at(35));
+    assert.deepEqual((await driver.select("seat_holds")).map((r) => r.student_code), ["B"]);
+  });
+
+  it("turns holds into reservations until the admin decides", async () => {
+    await holdSeat({ period_id: P, student_code: "A", course_code: "C1", group_code: "N1", now: at(0) });
+    await holdSeat({ period_id: P, student_code: "A", course_code: "C9", group_code: "N1", now: at(0) }); // abandoned pick
+
+    await reserveSeats({
+      period_id: P,
+      student_code: "A",
+      changes: [
+        { type: "CHANGE", code: "C1", to: { group: "N2" } },
+        { type: "CHANGE", code: "C1", to: { group: "N2" } },
+        { type: "DROP", code: "C2", from: { group: "M1" } },
+        { type: "ADD", code: "C3", to: { group: "T1" } },
+      ],
+    });
+
+    const rows = await driver.select("seat_holds");
+    assert.deepEqual(
+      rows.map((r) => [r.course_code, r.group_code, r.status, r.expires_at]),
+      [
+        ["C1", "N2", "RESERVED", null],
+        ["C3", "T1", "RESERVED", null],
+      ]
+    );
+    assert.deepEqual(await heldByGroup({ period_id: P, course_code: "C1", now: at(600) }), { N2: 1 });
+
+    await releaseHolds({ period_id: P, student_code: "A" }); // holds only
+    assert.equal((await driver.select("seat_holds")).length, 2);
+
+    await releaseReservations({ period_id: P, student_code: "A" });
+    assert.equal((await driver.select("seat_holds")).length, 0);
+  });
+
+  it("subtracts held seats from the upstream vacancies", () => {
+    const rows = applyHolds(
+      [
+        { groupCode: "N1", vacancies_left: 2, is_full: false },
+        { groupCode: "N2", vacancies_left: 1, is_full: false },
+        { groupCode: "N3", vacancies_left: 5, is_full: false },
+      ],
+      { N1: 1, N2: 3 }
+    );
+    assert.deepEqual(
+      rows.map((r) => [r.groupCode, r.vacancies_left, r.is_full, r.held_seats]),
+      [
+        ["N1", 1, false, 1],
+        ["N2", 0, true, 3],
+        ["N3", 5, false, 0],
+      ]
+    );
+  });
+});
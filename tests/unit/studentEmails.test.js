@@ -0,0 +1,82 @@
+// tests/unit/studentEmails.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const store = require("../../utils/store");
+const { createLocalDriver } = require("../../utils/store/localDriver");
+const {
+  EMAIL_EVENT,
+  SAMPLE_REQUEST,
+  eventForStatus,
+  renderTemplate,
+  listTemplates,
+  saveTemplate,
+  resetTemplate,
+  buildEmail,
+  notifyStudent,
+} = require("../../utils/studentEmails");
+
+beforeEach(() => {
+  store.setDriver(createLocalDriver({ dir: null }));
+});
+
+describe("student emails", () => {
+  it("fills placeholders and drops empty sections", () => {
+    const t = "Hola {{ name }}{{#msg}}\nMensaje: {{msg}}{{/msg}}.{{unknown}}";
+    assert.equal(renderTemplate(t, { name: "Lucía", msg: "Trae tu DNI" }), "Hola Lucía\nMensaje: Trae tu DNI.");
+    assert.equal(renderTemplate(t, { name: "Lucía", msg: "  " }), "Hola Lucía.");
+  });
+
+  it("has a default template for every event", async () => {
+    const templates = await listTemplates();
+    assert.deepEqual(templates.map((t) => t.event), Object.values(EMAIL_EVENT));
+    templates.forEach((t) => {
+      assert.ok(t.subject && t.body, t.event);
+      assert.equal(t.customized, false);
+    });
+  });
+
+  it("maps admin status changes to events", () => {
+    assert.equal(eventForStatus("REJECTED"), EMAIL_EVENT.REJECTED);
+    assert.equal(eventForStatus("REOPENED"), EMAIL_EVENT.REOPENED);
+    assert.equal(eventForStatus("SUBMITTED"), null);
+  });
+
+  it("summarizes the changes and decisions of a request", async () => {
+    const receipt = await buildEmail(EMAIL_EVENT.SUBMITTED, SAMPLE_REQUEST);
+    assert.match(receipt.subject, /Recibimos tu solicitud de rectificación - 2026-1/);
+    assert.match(receipt.text, /1\. ENF101 Anatomía Humana - Cambio de sección: Sec\. N1 \(Lunes 08:00-09:40\) → Sec\. N3/);
+    assert.match(receipt.text, /2\. ENF205 Bioestadística - Retiro de curso/);
+    assert.match(receipt.text, /Créditos: 20 → 18/);
+    assert.match(receipt.text, /ABCD-EFGH-JK/);
+
+    const decided = await buildEmail(EMAIL_EVENT.PARTIALLY_APPROVED, SAMPLE_REQUEST);
+    assert.match(decided.text, /ENF101 .*: aprobado/);
+    assert.match(decided.text, /ENF205 .*: rechazado \(Curso obligatorio del ciclo\)/);
+    assert.match(decided.text, /Presenta tu constancia de trabajo/);
+
+    const noMessage = await buildEmail(EMAIL_EVENT.REJECTED, { ...SAMPLE_REQUEST, admin_message: null });
+    assert.doesNotMatch(noMessage.text, /Motivo:/);
+  });
+
+  it("uses the admin's edits until they are reset", async () => {
+    assert.deepEqual(await saveTemplate({ event: "IN_REVIEW", subject: " ", body: "x" }), {
+      ok: false,
+      error: "subject_required",
+    });
+    assert.equal((await saveTemplate({ event: "NOPE", subject: "a", body: "b" })).error, "unknown_event");
+
+    await saveTemplate({ event: "IN_REVIEW", subject: "Revisión {{period}}", body: "Hola {{studentCode}}", by: "root" });
+    assert.deepEqual(await buildEmail(EMAIL_EVENT.IN_REVIEW, SAMPLE_REQUEST), {
+      subject: "Revisión 2026-1",
+      text: "Hola 2410001",
+    });
+    assert.equal((await listTemplates()).find((t) => t.event === "IN_REVIEW").customized, true);
+
+    await resetTemplate("IN_REVIEW");
+    assert.match((await buildEmail(EMAIL_EVENT.IN_REVIEW, SAMPLE_REQUEST)).subject, /está en revisión/);
+  });
+
+  it("skips requests without an email", async () => {
+    assert.equal(await notifyStudent(EMAIL_EVENT.IN_REVIEW, { ...SAMPLE_REQUEST, email: null }), false);
+  });
+});
@@ -0,0 +1,95 @@
+// tests/unit/upstreamCache.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createCache } = require("../../utils/upstreamCache");
+
+function clock(start = 0) {
+  let t = start;
+  return { now: () => t, advance: (ms) => (t += ms) };
+}
+
+function counter(values) {
+  let i = 0;
+  const loader = async () => values[Math.min(i++, values.length - 1)];
+  loader.calls = () => i;
+  return loader;
+}
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+describe("upstream cache", () => {
+  it("serves fresh entries from memory", async () => {
+    const c = clock();
+    const cache = createCache({ ttlMs: 1000, staleMs: 1000, now: c.now });
+    const load = counter(["a", "b"]);
+
+    assert.equal(await cache.get("k", load), "a");
+    c.advance(999);
+    assert.equal(await cache.get("k", load), "a");
+    assert.equal(load.calls(), 1);
+  });
+
+  it("serves stale entries and refreshes them in the background", async () => {
+    const c = clock();
+    const cache = createCache({ ttlMs: 1000, staleMs: 1000, now: c.now });
+    const load = counter(["a", "b"]);
+
+    await cache.get("k", load);
+    c.advance(1500);
+    assert.equal(await cache.get("k", load), "a");
+    await tick();
+    assert.equal(load.calls(), 2);
+    assert.equal(await cache.get("k", load), "b");
+  });
+
+  it("reloads expired entries and bypasses memory on fresh", async () => {
+    const c = clock();
+    const cache = createCache({ ttlMs: 1000, staleMs: 1000, now: c.now });
+    const load = counter(["a", "b", "c"]);
+
+    await cache.get("k", load);
+    c.advance(2500);
+    assert.equal(await cache.get("k", load), "b");
+    assert.equal(await cache.get("k", load, { fresh: true }), "c");
+    assert.equal(await cache.get("k", load), "c");
+  });
+
+  it("shares one upstream call between concurrent misses", async () => {
+    const cache = createCache();
+    const load = counter(["a"]);
+
+    const values = await Promise.all([cache.get("k", load), cache.get("k", load), cache.get("k", load)]);
+    assert.deepEqual(values, ["a", "a", "a"]);
+    assert.equal(load.calls(), 1);
+  });
+
+  it("does not store failed loads and keeps stale values when a refresh fails", async () => {
+    const c = clock();
+    const cache = createCache({ ttlMs: 1000, staleMs: 1000, now: c.now });
+
+    await assert.rejects(cache.get("k", async () => { throw new Error("down"); }), /down/);
+    assert.equal(cache.size(), 0);
+
+    await cache.get("k", async () => "a");
+    c.advance(1500);
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.equal(await cache.get("k", async () => { throw new Error("down"); }), "a");
+      await tick();
+    } finally {
+      console.warn = warn;
+    }
+    assert.equal(cache.stats().refreshErrors, 1);
+    assert.equal(await cache.get("k", async () => "b"), "a");
+  });
+
+  it("evicts the oldest entries past maxEntries", async () => {
+    const cache = createCache({ maxEntries: 2 });
+    await cache.get("a", async () => 1);
+    await cache.get("b", async () => 2);
+    await cache.get("c", async () => 3);
+    assert.equal(cache.size(), 2);
+    assert.equal(await cache.get("a", async () => "reloaded"), "reloaded");
+  });
+});
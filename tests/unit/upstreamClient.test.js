@@ -0,0 +1,120 @@
+// tests/unit/upstreamClient.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createUpstreamClient, isUnavailableError, BREAKER_STATE } = require("../../utils/upstreamClient");
+
+const URL_A = "http://uni.test/service-uma/grupoa/student";
+
+function httpError(status) {
+  const e = new Error(`Request failed with status code ${status}`);
+  e.isAxiosError = true;
+  e.response = { status, data: {} };
+  return e;
+}
+
+function timeoutError() {
+  const e = new Error("timeout of 10ms exceeded");
+  e.isAxiosError = true;
+  e.code = "ECONNABORTED";
+  return e;
+}
+
+// transport answering from a script: Error => thrown, anything else => { data }
+function scripted(steps) {
+  const calls = [];
+  const transport = async (config) => {
+    calls.push(config);
+    const step = steps[Math.min(calls.length - 1, steps.length - 1)];
+    if (step instanceof Error) throw step;
+    return { status: 200, data: step };
+  };
+  return { transport, calls };
+}
+
+function client(transport, opts = {}) {
+  let t = 0;
+  const c = createUpstreamClient({
+    transport,
+    sleep: async () => {},
+    now: () => t,
+    random: () => 0,
+    retries: 2,
+    breakerFailures: 3,
+    breakerCooldownMs: 1000,
+    ...opts,
+  });
+  c.advance = (ms) => (t += ms);
+  return c;
+}
+
+describe("upstream client", () => {
+  it("sends per-endpoint timeouts and the bearer token", async () => {
+    const { transport, calls } = scripted([{ ok: true }]);
+    const c = client(transport, { timeouts: { student: 1234 }, defaultTimeoutMs: 999 });
+
+    await c.post(URL_A, { code: "1" }, { token: "tok" });
+    await c.post("http://uni.test/service-uma/other", {});
+
+    assert.equal(calls[0].timeout, 1234);
+    assert.equal(calls[0].headers.Authorization, "Bearer tok");
+    assert.equal(calls[1].timeout, 999);
+  });
+
+  it("retries idempotent reads on transient failures only", async () => {
+    const flaky = scripted([httpError(503), timeoutError(), { ok: true }]);
+    const res = await client(flaky.transport).post(URL_A, {}, { idempotent: true });
+    assert.deepEqual(res.data, { ok: true });
+    assert.equal(flaky.calls.length, 3);
+
+    const write = scripted([httpError(503), { ok: true }]);
+    await assert.rejects(client(write.transport).post(URL_A, {}), (e) => isUnavailableError(e));
+    assert.equal(write.calls.length, 1);
+
+    const rejected = scripted([httpError(422), { ok: true }]);
+    await assert.rejects(client(rejected.transport).post(URL_A, {}, { idempotent: true }), (e) => {
+      assert.equal(e.response.status, 422);
+      assert.equal(isUnavailableError(e), false);
+      return true;
+    });
+    assert.equal(rejected.calls.length, 1);
+  });
+
+  it("opens the circuit after consecutive failures and closes it after a good trial call", async () => {
+    const steps = scripted([httpError(500), httpError(500), httpError(500), { ok: true }]);
+    const c = client(steps.transport, { retries: 0 });
+
+    for (let i = 0; i < 3; i++) await assert.rejects(c.post(URL_A, {}));
+    assert.equal(c.breakerState(URL_A), BREAKER_STATE.OPEN);
+
+    await assert.rejects(c.post(URL_A, {}), (e) => e.code === "UPSTREAM_CIRCUIT_OPEN" && isUnavailableError(e));
+    assert.equal(steps.calls.length, 3, "no upstream call while open");
+
+    c.advance(1000);
+    const res = await c.post(URL_A, {});
+    assert.deepEqual(res.data, { ok: true });
+    assert.equal(c.breakerState(URL_A), BREAKER_STATE.CLOSED);
+  });
+
+  it("frees the half-open trial when the call fails before reaching upstream", async () => {
+    const steps = scripted([httpError(500), httpError(500), httpError(500), new TypeError("bad request config"), { ok: true }]);
+    const c = client(steps.transport, { retries: 0 });
+
+    for (let i = 0; i < 3; i++) await assert.rejects(c.post(URL_A, {}));
+    c.advance(1000);
+
+    await assert.rejects(c.post(URL_A, {}), (e) => e instanceof TypeError && !isUnavailableError(e));
+    assert.equal(c.breakerState(URL_A), BREAKER_STATE.HALF_OPEN);
+
+    const res = await c.post(URL_A, {});
+    assert.deepEqual(res.data, { ok: true });
+    assert.equal(c.breakerState(URL_A), BREAKER_STATE.CLOSED);
+  });
+
+  it("does not count real answers (4xx) as failures", async () => {
+    const steps = scripted([httpError(500), httpError(500), httpError(401), httpError(500), httpError(500)]);
+    const c = client(steps.transport, { retries: 0 });
+
+    for (let i = 0; i < 5; i++) await assert.rejects(c.post(URL_A, {}));
+    assert.equal(c.breakerState(URL_A), BREAKER_STATE.CLOSED);
+  });
+});
@@ -0,0 +1,87 @@
+// tests/unit/waitlist.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const store = require("../../utils/store");
+const { createLocalDriver } = require("../../utils/store/localDriver");
+const {
+  joinWaitlist,
+  leaveWaitlist,
+  studentEntries,
+  acceptOffer,
+  promoteEntry,
+  listSections,
+  promotionEmail,
+} = require("../../utils/waitlist");
+
+const P = "20261";
+const at = (h) => new Date(Date.UTC(2026, 2, 2, h));
+const student = (code, faculty = "FCS") => ({ code, name: `Alumno ${code}`, email: `${code}@uma.edu.pe`, faculty });
+const join = (code, group = "N5", faculty) =>
+  joinWaitlist({ period_id: P, student: student(code, faculty), course_code: "sfbq-3063", course_name: "Curso", group_code: group });
+
+let driver;
+beforeEach(() => {
+  driver = createLocalDriver({ dir: null });
+  store.setDriver(driver);
+});
+
+describe("waitlist", () => {
+  it("queues students per section and keeps one entry each", async () => {
+    const a = await join("A");
+    const b = await join("B");
+    const again = await join("A");
+    const other = await join("C", "N1");
+
+    assert.deepEqual([a.position, b.position, other.position], [1, 2, 1]);
+    assert.equal(again.id, a.id);
+    assert.equal(a.course_code, "SFBQ3063");
+
+    await leaveWaitlist({ id: a.id, student_code: "A" });
+    const [mine] = await studentEntries(P, "B");
+    assert.equal(mine.position, 1);
+    assert.equal(await leaveWaitlist({ id: b.id, student_code: "A" }), null); // not A's entry
+  });
+
+  it("promotes with a seat hold and a time-limited window", async () => {
+    const a = await join("A");
+    await join("B");
+
+    const promoted = await promoteEntry(a.id, { by: "admin", now: at(8) });
+    assert.equal(promoted.ok, true);
+    assert.equal(promoted.entry.offer_expires_at, at(32).toISOString()); // 24 h by default
+    assert.deepEqual((await promoteEntry(a.id, { now: at(8) })).error, "not_waiting");
+
+    const [hold] = await driver.select("seat_holds");
+    assert.deepEqual([hold.student_code, hold.group_code, hold.expires_at], ["A", "N5", at(32).toISOString()]);
+
+    const [mineB] = await studentEntries(P, "B", at(9));
+    assert.equal(mineB.position, 1); // A is no longer waiting
+
+    assert.equal((await acceptOffer({ id: a.id, student_code: "B", now: at(9) })).error, "not_found");
+    const accepted = await acceptOffer({ id: a.id, student_code: "A", now: at(9) });
+    assert.equal(accepted.entry.status, "ACCEPTED");
+
+    assert.match(promotionEmail(promoted.entry).text, /sección N5 de SFBQ3063/);
+  });
+
+  it("expires offers that were not accepted in time", async () => {
+    const a = await join("A");
+    await promoteEntry(a.id, { now: at(0) });
+
+    assert.equal((await acceptOffer({ id: a.id, student_code: "A", now: at(25) })).error, "offer_expired");
+    const [mine] = await studentEntries(P, "A", at(25));
+    assert.equal(mine.status, "EXPIRED");
+  });
+
+  it("lists sections for admins within their faculty", async () => {
+    await join("A");
+    await join("B");
+    await join("C", "N1", "FCE");
+
+    const all = await listSections({ period_id: P });
+    assert.deepEqual(all.map((s) => [s.group_code, s.waiting]), [["N5", 2], ["N1", 1]]);
+
+    const fce = await listSections({ period_id: P, faculty: "FCE" });
+    assert.deepEqual(fce.map((s) => s.entries.map((e) => e.student_code)), [["C"]]);
+  });
+});
@@ -0,0 +1,161 @@
+// utils/adminAuth.js
+const crypto = require("crypto");
+const store = require("./store");
+
+// --------------------
+// ROLES + PERMISSIONS
+// --------------------
+const ROLES = {
+  VIEWER: "viewer",
+  REVIEWER: "reviewer",
+  FACULTY_COORDINATOR: "faculty_coordinator",
+  SUPERADMIN: "superadmin",
+};
+
+const ROLE_LABELS = {
+  viewer: "Consulta",
+  reviewer: "Revisor",
+  faculty_coordinator: "Coordinador de facultad",
+  superadmin: "Superadministrador",
+};
+
+const PERMISSIONS = {
+  RECTIFICATIONS_READ: "rectifications:read",
+  RECTIFICATIONS_REVIEW: "rectifications:review",
+  RECTIFICATIONS_UNLOCK: "rectifications:unlock",
+  AUDIT_READ: "audit:read",
+  USERS_MANAGE: "users:manage",
+  WINDOWS_MANAGE: "windows:manage",
+  PERIODS_MANAGE: "periods:manage",
+  EMAILS_MANAGE: "emails:manage",
+};
+
+const ROLE_PERMISSIONS = {
+  viewer: [PERMISSIONS.RECTIFICATIONS_READ],
+  reviewer: [PERMISSIONS.RECTIFICATIONS_READ, PERMISSIONS.RECTIFICATIONS_REVIEW],
+  faculty_coordinator: [
+    PERMISSIONS.RECTIFICATIONS_READ,
+    PERMISSIONS.RECTIFICATIONS_REVIEW,
+    PERMISSIONS.RECTIFICATIONS_UNLOCK,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.WINDOWS_MANAGE,
+  ],
+  superadmin: Object.values(PERMISSIONS),
+};
+
+function isValidRole(role) {
+  return Object.values(ROLES).includes(role);
+}
+
+function hasPermission(admin, permission) {
+  if (!admin || !admin.role) return false;
+  if (!permission) return true;
+  return (ROLE_PERMISSIONS[admin.role] || []).includes(permission);
+}
+
+// ✅ Faculty coordinators only see requests from their own faculty
+function facultyScope(admin) {
+  if (!admin || admin.role !== ROLES.FACULTY_COORDINATOR) return null;
+  return admin.faculty || "";
+}
+
+// --------------------
+// PASSWORD HASHING (scrypt, no extra deps)
+// stored as: scrypt$<N>$<saltHex>$<hashHex>
+// --------------------
+const SCRYPT_N = 16384;
+const KEY_LEN = 64;
+
+function scryptAsync(password, salt, N) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LEN, { N }, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(String(password), salt, SCRYPT_N);
+  return `scrypt$${SCRYPT_N}$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const parts = String(stored || "").split("$");
+  if (parts.length !== 4 || parts[0] !== "scrypt") return false;
+
+  const N = Number(parts[1]);
+  const salt = Buffer.from(parts[2], "hex");
+  const expected = Buffer.from(parts[3], "hex");
+  if (!Number.isFinite(N) || !salt.length || expected.length !== KEY_LEN) return false;
+
+  const key = await scryptAsync(String(password), salt, N);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// --------------------
+// MIDDLEWARE
+// --------------------
+
+/**
+ * ✅ One admin guard that works for BOTH pages and API.
+ * requireAdmin()            => any logged-in admin
+ * requireAdmin(permission)  => admin whose role grants that permission
+ *
+ * The account is re-read on every request: a deactivated account, or one whose role / faculty
+ * changed in /admin/users, loses its session right away (it logs in again with the new role).
+ */
+function requireAdmin(permission) {
+  return async (req, res, next) => {
+    const admin = req.session?.admin;
+    const isApi = req.path.startsWith("/api/");
+
+    const loginRequired = () => {
+      // If it's an API call => return JSON 401
+      if (isApi) return res.status(401).json({ ok: false, error: "admin_required" });
+      // Otherwise redirect to admin login page
+      return res.redirect("/admin/login");
+    };
+
+    if (!admin || !admin.id) return loginRequired();
+
+    let user;
+    try {
+      user = await store.adminUsers.getByUsername(admin.username, { fields: ["id", "role", "faculty", "active"] });
+    } catch (e) {
+      return next(e);
+    }
+    const stale =
+      !user ||
+      String(user.id) !== String(admin.id) ||
+      user.active === false ||
+      user.role !== admin.role ||
+      (user.faculty || null) !== (admin.faculty || null);
+    if (stale) {
+      req.session.admin = null;
+      return loginRequired();
+    }
+
+    if (!hasPermission(admin, permission)) {
+      if (isApi) return res.status(403).json({ ok: false, error: "forbidden" });
+      return res.status(403).send("No tienes permiso para esta acción.");
+    }
+
+    res.locals.admin = admin;
+    res.locals.can = (p) => hasPermission(admin, p);
+    return next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isValidRole,
+  hasPermission,
+  facultyScope,
+  hashPassword,
+  verifyPassword,
+  requireAdmin,
+};
@@ -1,15 +1,34 @@
 // utils/adminStore.js
+const fs = require("fs");
 const path = require("path");
-const { createClient } = require("@supabase/supabase-js");
+const { normalizeStatus } = require("./rectificationStatus");
+const store = require("./store");
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY,
-  { auth: { persistSession: false } }
-);
+// Keep PDFs stored locally on your server (PDF_DIR overrides, e.g. a temp dir in tests)
+const PDF_DIR = process.env.PDF_DIR
+  ? path.resolve(process.env.PDF_DIR)
+  : path.join(__dirname, "..", "pdfs");
 
-// Keep PDFs stored locally on your server
-const PDF_DIR = path.join(__dirname, "..", "pdfs");
+// Older deployments saved the PDFs here (looked up after PDF_DIR)
+const LEGACY_PDF_DIRS = [
+  path.join(__dirname, "..", "public", "pdfs"),
+  path.join(__dirname, "..", "data", "rectifications", "pdfs"),
+];
+
+// Stored pdf_storage_path => absolute path of the file on disk (null when it's gone)
+async function resolvePdfPath(fileName) {
+  if (!fileName) return null;
+  const base = path.basename(String(fileName));
+
+  for (const dir of [PDF_DIR, ...LEGACY_PDF_DIRS]) {
+    const full = path.join(dir, base);
+    try {
+      await fs.promises.access(full, fs.constants.R_OK);
+      return full;
+    } catch (_) { }
+  }
+  return null;
+}
 
 // --------------------
 // LOGIN AUDIT
@@ -23,34 +42,28 @@ async function addLoginAudit({ at, student_code, status, ip, ua }) {
     ua: ua || null,
   };
 
-  const { error } = await supabase.from("login_audit").insert(row);
-  if (error) throw error;
+  await store.loginAudit.add(row);
 }
 
 async function listLoginAudit(limit = 200) {
-  const { data, error } = await supabase
-    .from("login_audit")
-    .select("id, at, student_code, status, ip, ua")
-    .order("at", { ascending: false })
-    .limit(limit);
-
-  if (error) throw error;
-  return data || [];
+  return store.loginAudit.list(limit);
 }
 
 // --------------------
 // RECTIFICATIONS
 // --------------------
-async function listRectifications() {
-  const { data, error } = await supabase
-    .from("rectification_requests")
-    .select(
-      "id, period_id, student_code, student_name, mode, submitted_at, changes, pdf_storage_path"
-    )
-    .order("submitted_at", { ascending: false })
-    .limit(500);
+const RECT_LIST_FIELDS = [
+  "id", "period_id", "student_code", "student_name", "faculty_name", "specialty_name", "mode",
+  "submitted_at", "changes", "decisions", "pdf_storage_path", "status", "decided_at", "decided_by", "version",
+];
 
-  if (error) throw error;
+/**
+ * ✅ Filters: status, faculty, specialty, mode, period,
+ * from / to (ISO timestamps on submitted_at, to is exclusive).
+ * limit: max rows (default 500); null => all rows.
+ */
+async function listRectifications(filters = {}) {
+  const data = await store.rectifications.list({ ...filters, fields: RECT_LIST_FIELDS });
 
   // Map into the shape your EJS already expects
   return (data || []).map((r) => ({
@@ -58,30 +71,48 @@ async function listRectifications() {
     createdAt: r.submitted_at,          // ✅ important for your old UI
     submitted_at: r.submitted_at,
     pdfFile: r.pdf_storage_path || null,
+    status: normalizeStatus(r.status),
+    decided_at: r.decided_at || null,
+    decided_by: r.decided_by || null,
+    version: Number(r.version) || 1,
     student: {
       code: r.student_code,
       name: r.student_name,
       period: r.period_id,              // shown as "Periodo"
       mode: r.mode || "",
+      faculty: r.faculty_name || "",
+      program: r.specialty_name || "",
     },
     changes: Array.isArray(r.changes) ? r.changes : [],
+    decisions: Array.isArray(r.decisions) ? r.decisions : [],
   }));
 }
 
 async function getRectification(id) {
-  const { data, error } = await supabase
-    .from("rectification_requests")
-    .select("*")
-    .eq("id", id)
-    .single();
-
-  if (error) return null;
+  let data = null;
+  try {
+    data = await store.rectifications.get(id);
+  } catch (e) {
+    // invalid ids (e.g. not a uuid) => treat as not found
+    return null;
+  }
+  if (!data) return null;
 
   return {
     id: data.id,
     createdAt: data.submitted_at,
     submitted_at: data.submitted_at,
     pdfFile: data.pdf_storage_path || null,
+    status: normalizeStatus(data.status),
+    admin_message: data.admin_message || null,
+    decisions: Array.isArray(data.decisions) ? data.decisions : [],
+    status_history: Array.isArray(data.status_history) ? data.status_history : [],
+    review_started_at: data.review_started_at || null,
+    review_started_by: data.review_started_by || null,
+    decided_at: data.decided_at || null,
+    decided_by: data.decided_by || null,
+    version: Number(data.version) || 1,
+    verification_code: data.verification_code || null,
     student: {
       code: data.student_code,
       name: data.student_name,
@@ -96,13 +127,76 @@ async function getRectification(id) {
     changes: Array.isArray(data.changes) ? data.changes : [],
     final_courses: Array.isArray(data.final_courses) ? data.final_courses : [],
     current_courses: Array.isArray(data.current_courses) ? data.current_courses : [],
+    credits_before: data.credits_before ?? null,
+    credits_after: data.credits_after ?? null,
+    policy_warnings: Array.isArray(data.policy_warnings) ? data.policy_warnings : [],
   };
 }
 
+async function updateRectification(id, patch) {
+  await store.rectifications.update(id, patch);
+}
+
+// --------------------
+// ADMIN USERS
+// --------------------
+const ADMIN_USER_FIELDS = ["id", "username", "name", "role", "faculty", "active", "created_at", "last_login_at"];
+
+function mapAdminUser(r) {
+  return {
+    id: r.id,
+    username: r.username,
+    name: r.name || r.username,
+    role: r.role,
+    faculty: r.faculty || null,
+    active: r.active !== false,
+    created_at: r.created_at || null,
+    last_login_at: r.last_login_at || null,
+  };
+}
+
+// Includes password_hash => only for the login check
+async function getAdminUserForLogin(username) {
+  const data = await store.adminUsers.getByUsername(
+    String(username || "").trim().toLowerCase(),
+    { fields: [...ADMIN_USER_FIELDS, "password_hash"] }
+  );
+  if (!data) return null;
+  return { ...mapAdminUser(data), password_hash: data.password_hash };
+}
+
+async function listAdminUsers() {
+  const data = await store.adminUsers.list({ fields: ADMIN_USER_FIELDS });
+  return data.map(mapAdminUser);
+}
+
+async function createAdminUser({ username, name, role, faculty, password_hash }) {
+  const row = {
+    username: String(username || "").trim().toLowerCase(),
+    name: String(name || "").trim() || null,
+    role,
+    faculty: faculty || null,
+    password_hash,
+    active: true,
+  };
+
+  return mapAdminUser(await store.adminUsers.create(row));
+}
+
+async function updateAdminUser(id, patch) {
+  await store.adminUsers.update(id, patch);
+}
+
 module.exports = {
   PDF_DIR,
+  resolvePdfPath,
   addLoginAudit,
   listLoginAudit,
   listRectifications,
   getRectification,
+  updateRectification,
+  getAdminUserForLogin,
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
 };
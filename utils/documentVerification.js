@@ -0,0 +1,85 @@
+// utils/documentVerification.js
+// ✅ Verifiable request PDFs: short verification code + QR in the PDF, signed document hash in the store.
+//
+// code       => 10 random chars (no 0/O/1/I), shown as XXXX-XXXX-XX and encoded in the QR (/verify/:code)
+// hash       => sha256 of the PDF bytes as generated
+// signature  => HMAC-SHA256(code:hash) with DOCUMENT_SIGNING_SECRET (SESSION_SECRET as fallback),
+//               so a stored hash edited without the secret no longer verifies
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+
+const CODE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+const CODE_LENGTH = 10;
+
+function signingSecret() {
+  return process.env.DOCUMENT_SIGNING_SECRET || process.env.SESSION_SECRET || "uma-secret";
+}
+
+function generateVerificationCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+}
+
+// "abcd-efgh-jk" / "ABCDEFGHJK" => "ABCDEFGHJK" (null when it can't be a code)
+function normalizeVerificationCode(raw) {
+  const code = String(raw || "").toUpperCase().replace(/[^0-9A-Z]/g, "");
+  if (code.length !== CODE_LENGTH) return null;
+  return [...code].every((ch) => CODE_ALPHABET.includes(ch)) ? code : null;
+}
+
+// ABCDEFGHJK => ABCD-EFGH-JK
+function formatVerificationCode(code) {
+  const c = String(code || "");
+  return [c.slice(0, 4), c.slice(4, 8), c.slice(8)].filter(Boolean).join("-");
+}
+
+function documentHash(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+function signDocument(code, hash) {
+  return crypto.createHmac("sha256", signingSecret()).update(`${code}:${hash}`).digest("hex");
+}
+
+function isSignatureValid(code, hash, signature) {
+  if (!code || !hash || !signature) return false;
+  const expected = Buffer.from(signDocument(code, hash), "hex");
+  const given = Buffer.from(String(signature), "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// PUBLIC_BASE_URL (e.g. https://rectificacion.uma.edu.pe) or the host the request came in on
+function verificationUrl(req, code) {
+  const base = String(process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+  return `${base}/verify/${formatVerificationCode(code)}`;
+}
+
+async function qrPng(text) {
+  return QRCode.toBuffer(text, { type: "png", errorCorrectionLevel: "M", margin: 1, width: 240 });
+}
+
+/**
+ * ✅ Fields stored with the request / version once the PDF is built.
+ * Returns { verification_code, document_hash, document_signature }
+ */
+function verificationRecord(code, pdfBuffer) {
+  const hash = documentHash(pdfBuffer);
+  return {
+    verification_code: code,
+    document_hash: hash,
+    document_signature: signDocument(code, hash),
+  };
+}
+
+module.exports = {
+  CODE_LENGTH,
+  generateVerificationCode,
+  normalizeVerificationCode,
+  formatVerificationCode,
+  documentHash,
+  signDocument,
+  isSignatureValid,
+  verificationUrl,
+  qrPng,
+  verificationRecord,
+};
@@ -0,0 +1,86 @@
+// utils/drafts.js
+// ✅ Server-side drafts of a rectification (one per student + period).
+//
+// The portal saves the /confirm payload (CHANGE / DROP / ADD) after every edit, /login restores it
+// into the course cards and /confirm marks it submitted. Admins see started vs submitted drafts.
+const store = require("./store");
+
+const MAX_DRAFT_CHANGES = 100;
+const MAX_DRAFT_BYTES = 100 * 1024;
+
+// Only plain change objects survive (the payload is re-validated by /confirm anyway)
+function sanitizeChanges(raw) {
+  if (!Array.isArray(raw)) return null;
+  const list = raw.filter((ch) => ch && typeof ch === "object" && !Array.isArray(ch) && ch.code);
+  if (list.length > MAX_DRAFT_CHANGES) return null;
+  if (Buffer.byteLength(JSON.stringify(list)) > MAX_DRAFT_BYTES) return null;
+  return list;
+}
+
+/**
+ * ✅ Save the student's selections (an empty list clears the draft but keeps the activity row).
+ * student: { code, name, faculty }
+ * Returns { ok, draft } or { ok: false, error: "invalid_changes" | "already_submitted" }
+ */
+async function saveDraft({ period_id, student, changes, now = new Date() }) {
+  const list = sanitizeChanges(changes);
+  if (!list) return { ok: false, error: "invalid_changes" };
+
+  const current = await store.drafts.get(String(period_id), String(student.code));
+  if (current && current.submitted_at) return { ok: false, error: "already_submitted" };
+  if (!current && !list.length) return { ok: true, draft: null }; // nothing started yet
+
+  const draft = await store.drafts.upsert({
+    period_id: String(period_id),
+    student_code: String(student.code),
+    student_name: student.name || null,
+    faculty_name: student.faculty || null,
+    changes: list,
+    change_count: list.length,
+    started_at: current?.started_at || now.toISOString(),
+    updated_at: now.toISOString(),
+    submitted_at: null,
+  });
+  return { ok: true, draft };
+}
+
+// Unsubmitted draft with selections (null otherwise)
+async function getDraft(period_id, student_code) {
+  const draft = await store.drafts.get(String(period_id), String(student_code));
+  if (!draft || draft.submitted_at || !Array.isArray(draft.changes) || !draft.changes.length) return null;
+  return draft;
+}
+
+async function markDraftSubmitted(period_id, student_code, now = new Date()) {
+  await store.drafts.update(String(period_id), String(student_code), { submitted_at: now.toISOString() });
+}
+
+// Admin unlock => the student edits the submitted selections again
+async function reopenDraft(period_id, student_code) {
+  await store.drafts.update(String(period_id), String(student_code), { submitted_at: null });
+}
+
+/**
+ * ✅ Admin: draft activity of a period.
+ * faculty: coordinator scope (null => all)
+ * Returns { started, submitted, pending, pendingDrafts: [...] (most recent first) }
+ */
+async function draftActivity({ period_id, faculty = null } = {}) {
+  const rows = await store.drafts.list({ period_id: String(period_id), faculty });
+  const pendingDrafts = rows.filter((d) => !d.submitted_at);
+  return {
+    started: rows.length,
+    submitted: rows.length - pendingDrafts.length,
+    pending: pendingDrafts.length,
+    pendingDrafts,
+  };
+}
+
+module.exports = {
+  MAX_DRAFT_CHANGES,
+  saveDraft,
+  getDraft,
+  markDraftSubmitted,
+  reopenDraft,
+  draftActivity,
+};
@@ -0,0 +1,246 @@
+// utils/mailOutbox.js
+// ✅ Durable outbox: every email is stored in email_outbox first, then a worker delivers it
+// through the configured transport (utils/mailTransports.js) with retries and backoff.
+//
+// status: PENDING (waiting for next_attempt_at) -> SENDING (claimed by a worker) -> SENT
+//         after MAIL_MAX_ATTEMPTS failures => DEAD (dead-letter list in /admin/outbox, retried by hand)
+// Attachments are stored base64-encoded so a restart doesn't lose them.
+const crypto = require("crypto");
+const store = require("./store");
+const { FROM_EMAIL, getTransport } = require("./mailTransports");
+
+const OUTBOX_STATUS = {
+  PENDING: "PENDING",
+  SENDING: "SENDING",
+  SENT: "SENT",
+  DEAD: "DEAD",
+};
+
+const OUTBOX_STATUS_LABELS = {
+  PENDING: "Pendiente",
+  SENDING: "Enviando",
+  SENT: "Enviado",
+  DEAD: "Fallido",
+};
+
+const BASE_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+// A SENDING row older than this belongs to a worker that died mid-send
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// Identifies this process when claiming rows
+const WORKER_ID = `${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+
+function maxAttempts() {
+  const n = Number(process.env.MAIL_MAX_ATTEMPTS || 5);
+  return Number.isFinite(n) && n >= 1 ? Math.floor(n) : 5;
+}
+
+// Delay before attempt n + 1 after n failures: 1 min, 2, 4, 8 ... capped at 1 h
+function backoffMs(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_DELAY_MS);
+}
+
+function recipients(to) {
+  return (Array.isArray(to) ? to : [to]).map((s) => String(s || "").trim()).filter(Boolean);
+}
+
+function encodeAttachments(attachments) {
+  return (attachments || []).map((a) => ({
+    filename: String(a.filename || "adjunto"),
+    contentType: a.contentType || null,
+    content: Buffer.isBuffer(a.content) ? a.content.toString("base64") : Buffer.from(String(a.content || "")).toString("base64"),
+  }));
+}
+
+function decodeAttachments(stored) {
+  return (Array.isArray(stored) ? stored : []).map((a) => ({
+    filename: a.filename,
+    content: Buffer.from(a.content || "", "base64"),
+    ...(a.contentType ? { contentType: a.contentType } : {}),
+  }));
+}
+
+/**
+ * ✅ Queue one email. tag: what sent it (e.g. "student:SUBMITTED"), shown in the admin list.
+ * Returns the stored row, or null when there are no recipients.
+ */
+async function enqueueMail({ to, subject, text, attachments, tag = null, now = new Date() }) {
+  const toList = recipients(to);
+  if (!toList.length) return null;
+
+  return store.outbox.insert({
+    to: toList,
+    subject: String(subject || ""),
+    text: String(text || ""),
+    attachments: encodeAttachments(attachments),
+    tag,
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    next_attempt_at: now.toISOString(),
+    locked_at: null,
+    locked_by: null,
+    last_error: null,
+    transport: null,
+    provider_id: null,
+    created_at: now.toISOString(),
+    sent_at: null,
+  });
+}
+
+// Take a PENDING row for this worker; false when another worker got it first
+async function claim(row, now) {
+  const lockedAt = now.toISOString();
+  await store.outbox.update(
+    { id: row.id, status: OUTBOX_STATUS.PENDING },
+    { status: OUTBOX_STATUS.SENDING, locked_at: lockedAt, locked_by: WORKER_ID }
+  );
+  const fresh = await store.outbox.get(row.id);
+  return !!fresh && fresh.status === OUTBOX_STATUS.SENDING && fresh.locked_by === WORKER_ID && fresh.locked_at === lockedAt;
+}
+
+async function deliver(row, transport, now) {
+  try {
+    const { providerId } = (await transport.send({
+      id: row.id,
+      from: FROM_EMAIL,
+      to: row.to,
+      subject: row.subject,
+      text: row.text,
+      attachments: decodeAttachments(row.attachments),
+    })) || {};
+
+    await store.outbox.update({ id: row.id }, {
+      status: OUTBOX_STATUS.SENT,
+      attempts: Number(row.attempts || 0) + 1,
+      sent_at: new Date().toISOString(),
+      transport: transport.name || null,
+      provider_id: providerId || null,
+      locked_at: null,
+      locked_by: null,
+      last_error: null,
+    });
+    return true;
+  } catch (e) {
+    const attempts = Number(row.attempts || 0) + 1;
+    const dead = attempts >= maxAttempts();
+    await store.outbox.update({ id: row.id }, {
+      status: dead ? OUTBOX_STATUS.DEAD : OUTBOX_STATUS.PENDING,
+      attempts,
+      next_attempt_at: dead ? null : new Date(now.getTime() + backoffMs(attempts)).toISOString(),
+      transport: transport.name || null,
+      locked_at: null,
+      locked_by: null,
+      last_error: String((e && e.message) || e).slice(0, 1000),
+    });
+    if (dead) console.error("Correo descartado tras", attempts, "intentos:", row.subject, e.message);
+    else console.warn("Correo no enviado (se reintentará):", row.subject, e.message);
+    return false;
+  }
+}
+
+let running = null;
+
+/**
+ * ✅ One worker pass: send every due PENDING email (oldest first).
+ * Returns { sent, failed, skipped } (skipped: no transport configured, mail stays queued).
+ * Concurrent calls in the same process share the pass already running.
+ */
+async function processOutbox({ now = new Date(), limit = 20 } = {}) {
+  if (running) return running;
+
+  running = (async () => {
+    const result = { sent: 0, failed: 0, skipped: false };
+    const transport = getTransport();
+    if (!transport) return { ...result, skipped: true };
+
+    // Rows left SENDING by a crashed worker go back to the queue
+    await store.outbox.update(
+      { status: OUTBOX_STATUS.SENDING, locked_at: { lt: new Date(now.getTime() - STALE_LOCK_MS).toISOString() } },
+      { status: OUTBOX_STATUS.PENDING, locked_at: null, locked_by: null }
+    );
+
+    const due = await store.outbox.due(now.toISOString(), limit);
+    for (const row of due) {
+      if (!(await claim(row, now))) continue;
+      if (await deliver(row, transport, now)) result.sent += 1;
+      else result.failed += 1;
+    }
+    return result;
+  })();
+
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+// Send right away (after the current request) instead of waiting for the next tick
+function kickOutbox() {
+  setImmediate(() => {
+    processOutbox().catch((e) => console.warn("Mail outbox failed:", e.message));
+  });
+}
+
+function startOutboxWorker(intervalMs = 30 * 1000) {
+  const timer = setInterval(() => {
+    processOutbox().catch((e) => console.warn("Mail outbox failed:", e.message));
+  }, intervalMs);
+  if (timer.unref) timer.unref();
+  return timer;
+}
+
+// --------------------
+// Admin
+// --------------------
+
+// { PENDING: n, SENDING: n, SENT: n, DEAD: n }
+async function outboxStats() {
+  const rows = await store.outbox.list({ fields: ["status"] });
+  const stats = Object.fromEntries(Object.keys(OUTBOX_STATUS).map((s) => [s, 0]));
+  rows.forEach((r) => {
+    if (stats[r.status] !== undefined) stats[r.status] += 1;
+  });
+  return stats;
+}
+
+// Newest first, without the attachment contents
+async function listOutbox({ status, limit = 50 } = {}) {
+  const rows = await store.outbox.list({ status: OUTBOX_STATUS[status] ? status : undefined, limit });
+  return rows.map(({ attachments, ...r }) => ({
+    ...r,
+    attachments: (Array.isArray(attachments) ? attachments : []).map((a) => a.filename),
+  }));
+}
+
+/**
+ * ✅ Admin: put a DEAD email back in the queue with a fresh set of attempts.
+ * Returns { ok } or { ok: false, error: "not_found" | "not_dead" }
+ */
+async function retryMail(id, { now = new Date() } = {}) {
+  const row = await store.outbox.get(id);
+  if (!row) return { ok: false, error: "not_found" };
+  if (row.status !== OUTBOX_STATUS.DEAD) return { ok: false, error: "not_dead" };
+
+  await store.outbox.update({ id, status: OUTBOX_STATUS.DEAD }, {
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    next_attempt_at: now.toISOString(),
+  });
+  return { ok: true };
+}
+
+module.exports = {
+  OUTBOX_STATUS,
+  OUTBOX_STATUS_LABELS,
+  maxAttempts,
+  backoffMs,
+  enqueueMail,
+  processOutbox,
+  kickOutbox,
+  startOutboxWorker,
+  outboxStats,
+  listOutbox,
+  retryMail,
+};
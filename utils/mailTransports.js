@@ -0,0 +1,158 @@
+// utils/mailTransports.js
+// ✅ Where outgoing mail is actually delivered (the outbox worker in utils/mailOutbox.js calls send()).
+//
+// MAIL_TRANSPORT=smtp | resend | file
+//   smtp   => SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS (Office 365 by default)
+//   resend => RESEND_API_KEY
+//   file   => one JSON file per email (+ attachments) in MAIL_FILE_DIR (default data/mail), for development
+// Unset: smtp when SMTP_USER / SMTP_PASS exist, else resend when RESEND_API_KEY exists, else no transport
+// (mail is then skipped, as before).
+//
+// transport.send({ id, from, to, subject, text, attachments: [{ filename, content: Buffer }] })
+// resolves { providerId } or throws.
+const fs = require("fs");
+const path = require("path");
+
+// Mail transport (no-reply)
+const FROM_EMAIL =
+  process.env.FROM_EMAIL || process.env.SMTP_USER || "noreply@uma.edu.pe";
+
+function createSmtpTransport() {
+  // Optional require for nodemailer
+  let nodemailer = null;
+  try {
+    nodemailer = require("nodemailer");
+  } catch (e) {
+    console.warn("'nodemailer' is not installed. Run `npm i nodemailer` to send through SMTP.");
+    return null;
+  }
+  if (!process.env.SMTP_USER || !process.env.SMTP_PASS) {
+    console.warn("MAIL_TRANSPORT=smtp needs SMTP_USER and SMTP_PASS. Emails will be skipped.");
+    return null;
+  }
+
+  // ✅ Normalize env vars properly + give a safe default host for Microsoft 365
+  const host = process.env.SMTP_HOST || "smtp.office365.com";
+  const port = Number(process.env.SMTP_PORT || 587);
+  const secure = String(process.env.SMTP_SECURE || "false").toLowerCase() === "true";
+
+  const smtp = nodemailer.createTransport({
+    host,
+    port,
+    secure,     // ✅ boolean
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+
+    // ✅ Office365 on 587 uses STARTTLS
+    requireTLS: true,
+    tls: { minVersion: "TLSv1.2" },
+
+    // ✅ prevent long hangs
+    connectionTimeout: 20000,
+    greetingTimeout: 20000,
+    socketTimeout: 20000,
+  });
+
+  console.log("SMTP settings", JSON.stringify({ host, port, secure, from: FROM_EMAIL }));
+
+  if (process.env.SMTP_VERIFY_ON_BOOT === "true") {
+    smtp.verify((err) => {
+      if (err) console.error("SMTP verify failed:", err.message);
+      else console.log("SMTP verify OK. From:", FROM_EMAIL);
+    });
+  } else {
+    console.log("SMTP verify skipped (set SMTP_VERIFY_ON_BOOT=true to enable)");
+  }
+
+  return {
+    name: "smtp",
+    async send({ from, to, subject, text, attachments }) {
+      const info = await smtp.sendMail({ from, to, subject, text, attachments });
+      return { providerId: info && info.messageId ? String(info.messageId) : null };
+    },
+  };
+}
+
+function createResendTransport() {
+  if (!process.env.RESEND_API_KEY) {
+    console.warn("MAIL_TRANSPORT=resend needs RESEND_API_KEY. Emails will be skipped.");
+    return null;
+  }
+  const { Resend } = require("resend");
+  const resend = new Resend(process.env.RESEND_API_KEY);
+
+  return {
+    name: "resend",
+    async send({ id, from, to, subject, text, attachments }) {
+      // Same idempotency key on every retry => a send that timed out on our side isn't delivered twice
+      const { data, error } = await resend.emails.send(
+        { from, to, subject, text, attachments },
+        id ? { idempotencyKey: `outbox-${id}` } : undefined
+      );
+      if (error) throw new Error(`${error.name || "resend_error"}: ${error.message || "send failed"}`);
+      return { providerId: data && data.id ? String(data.id) : null };
+    },
+  };
+}
+
+function createFileTransport(dir = process.env.MAIL_FILE_DIR || path.join(__dirname, "..", "data", "mail")) {
+  const target = path.resolve(dir);
+
+  return {
+    name: "file",
+    dir: target,
+    async send({ id, from, to, subject, text, attachments }) {
+      await fs.promises.mkdir(target, { recursive: true });
+      const base = `${new Date().toISOString().replace(/[:.]/g, "-")}_${id || "mail"}`;
+
+      const files = [];
+      for (const [i, a] of (attachments || []).entries()) {
+        const name = `${base}_${i}_${path.basename(String(a.filename || "adjunto"))}`;
+        await fs.promises.writeFile(path.join(target, name), a.content);
+        files.push({ filename: a.filename, file: name });
+      }
+
+      const message = { id: id || null, from, to, subject, text, attachments: files };
+      await fs.promises.writeFile(path.join(target, `${base}.json`), JSON.stringify(message, null, 2));
+      return { providerId: `${base}.json` };
+    },
+  };
+}
+
+function createTransportFromEnv() {
+  const name = String(
+    process.env.MAIL_TRANSPORT ||
+    (process.env.SMTP_USER && process.env.SMTP_PASS ? "smtp" : process.env.RESEND_API_KEY ? "resend" : "")
+  ).toLowerCase();
+
+  if (!name) return null;
+  if (name === "smtp") return createSmtpTransport();
+  if (name === "resend") return createResendTransport();
+  if (name === "file") return createFileTransport();
+
+  throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use "smtp", "resend" or "file")`);
+}
+
+let transport;
+
+// null => no transport configured (mail is skipped)
+function getTransport() {
+  if (transport === undefined) transport = createTransportFromEnv();
+  return transport;
+}
+
+// Tests (or scripts) can plug a transport explicitly
+function setTransport(t) {
+  transport = t;
+}
+
+module.exports = {
+  FROM_EMAIL,
+  createSmtpTransport,
+  createResendTransport,
+  createFileTransport,
+  getTransport,
+  setTransport,
+};
@@ -0,0 +1,27 @@
+// utils/mailer.js
+// ✅ Outgoing mail goes through the durable outbox (utils/mailOutbox.js); the transport
+// (SMTP / Resend / file sink) is picked in utils/mailTransports.js.
+const { FROM_EMAIL, getTransport } = require("./mailTransports");
+const { enqueueMail, kickOutbox } = require("./mailOutbox");
+
+/**
+ * ✅ Queue one email and wake the worker; false when there is no transport or no recipient (never throws).
+ * Delivery failures are retried by the worker and end in the dead-letter list (/admin/outbox).
+ */
+async function sendMail({ to, subject, text, attachments, tag }) {
+  try {
+    if (!getTransport()) return false;
+    const row = await enqueueMail({ to, subject, text, attachments, tag });
+    if (!row) return false;
+    kickOutbox();
+    return true;
+  } catch (e) {
+    console.error("Error encolando correo:", subject, e.message);
+    return false;
+  }
+}
+
+module.exports = {
+  FROM_EMAIL,
+  sendMail,
+};
@@ -0,0 +1,329 @@
+// utils/pdfTemplate.js
+// ✅ Shared layout for the portal's PDF documents (A4, UMA header on every page, sections,
+// key/value grids, tables, signature line, verification QR).
+//
+// const pdf = createPdfLayout({ subtitle: "Solicitud de Rectificación de Matrícula" });
+// pdf.sectionTitle("..."); pdf.drawKeyValueGrid([...]); pdf.drawTable({ columns, rows });
+// const buffer = await pdf.toBuffer();
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+
+const LOGO_PATH = path.join(__dirname, "..", "public", "images", "logo.png");
+
+function fmtDatePE(d = new Date()) {
+  return new Intl.DateTimeFormat("es-PE", {
+    timeZone: "America/Lima",
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+  }).format(d);
+}
+
+function cleanTime(s) {
+  const raw = String(s || "").trim();
+  if (!raw) return "—";
+  const m = raw.match(/(\d{1,2}:\d{2}).*?(\d{1,2}:\d{2})/);
+  if (m) return `${m[1]}–${m[2]}`;
+  return raw.replace(/\s*-\s*/g, "–");
+}
+
+function cleanDay(s) {
+  const t = String(s || "").trim();
+  if (!t) return "—";
+  const k = t.toLowerCase();
+  const map = {
+    lunes: "Lunes",
+    martes: "Martes",
+    miercoles: "Miércoles",
+    miércoles: "Miércoles",
+    jueves: "Jueves",
+    viernes: "Viernes",
+    sabado: "Sábado",
+    sábado: "Sábado",
+    domingo: "Domingo",
+  };
+  return map[k] || t;
+}
+
+// "Sec. N4 | Jueves | 17:10–18:50 | TEORÍA VIRTUAL" (one line per session when known)
+function turnoLines(x) {
+  const t = x || {};
+  const sessions = Array.isArray(t.sessions) && t.sessions.length ? t.sessions : [t];
+  return sessions.map(
+    (s) => `Sec. ${t.group || "—"} | ${cleanDay(s.day)} | ${cleanTime(s.time || s.hour)} | ${s.modality || "—"}`
+  );
+}
+
+/**
+ * ✅ One document with the portal layout.
+ * subtitle: document type under the university name (repeated on every page)
+ */
+function createPdfLayout({ subtitle, logoPath = LOGO_PATH } = {}) {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+
+  const M = doc.page.margins;
+  const PAGE_W = doc.page.width;
+  const CONTENT_W = PAGE_W - M.left - M.right;
+  const X0 = M.left;
+
+  // Always force cursor back to left margin (fixes “right aligned starts” bug)
+  function resetX() {
+    doc.x = X0;
+  }
+
+  function bottomLimit() {
+    return doc.page.height - M.bottom;
+  }
+
+  function ensureSpace(neededHeight) {
+    if (doc.y + neededHeight > bottomLimit()) {
+      doc.addPage();
+      drawHeader();
+    }
+    resetX();
+  }
+
+  function drawHeader() {
+    const topY = M.top;
+
+    // Logo (optional)
+    if (logoPath && fs.existsSync(logoPath)) {
+      try {
+        doc.image(logoPath, X0, topY - 2, { fit: [110, 42] });
+      } catch (_) { }
+    }
+
+    // Title block (right aligned)
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(14)
+      .text("UNIVERSIDAD MARÍA AUXILIADORA", X0, topY, {
+        width: CONTENT_W,
+        align: "right",
+      });
+
+    doc
+      .font("Helvetica")
+      .fontSize(11)
+      .text(subtitle || "", {
+        width: CONTENT_W,
+        align: "right",
+      });
+
+    // Divider
+    const lineY = topY + 38;
+    doc
+      .moveTo(X0, lineY)
+      .lineTo(X0 + CONTENT_W, lineY)
+      .lineWidth(1)
+      .strokeColor("#B5B5B5")
+      .stroke();
+
+    doc.strokeColor("black");
+    doc.y = lineY + 18;
+    resetX();
+  }
+
+  function sectionTitle(t) {
+    ensureSpace(28);
+    doc.font("Helvetica-Bold").fontSize(12.5).text(t, X0, doc.y);
+    doc.moveDown(0.35);
+    resetX();
+  }
+
+  // Plain 10pt paragraph (e.g. "nothing to show" lines)
+  function note(text, { moveDown = 0.8 } = {}) {
+    doc.font("Helvetica").fontSize(10).text(text, X0, doc.y);
+    doc.moveDown(moveDown);
+    resetX();
+  }
+
+  function drawKeyValueGrid(pairs) {
+    const labelW = 160;
+    const gap = 10;
+    const valueW = CONTENT_W - labelW - gap;
+
+    doc.fontSize(10.5);
+
+    for (const { label, value } of pairs) {
+      const v = String(value || "—");
+      const labelH = doc.heightOfString(label, { width: labelW });
+      const valueH = doc.heightOfString(v, { width: valueW });
+      const rowH = Math.max(labelH, valueH) + 6;
+
+      ensureSpace(rowH);
+
+      const y = doc.y;
+      doc.font("Helvetica").text(label, X0, y, { width: labelW });
+      doc.font("Helvetica-Bold").text(v, X0 + labelW + gap, y, { width: valueW });
+
+      doc.y = y + rowH;
+      resetX();
+    }
+
+    doc.moveDown(0.4);
+    resetX();
+  }
+
+  function drawTable({ columns, rows }) {
+    // columns: [{ header, key, width, align? }]
+    const headerH = 22;
+    const padY = 5;
+    const totalW = columns.reduce((a, c) => a + c.width, 0);
+
+    const drawHeaderRow = () => {
+      ensureSpace(headerH + 8);
+      const y = doc.y;
+
+      doc.rect(X0, y, totalW, headerH).fillColor("#F2F2F2").fill();
+      doc.fillColor("black").font("Helvetica-Bold").fontSize(10);
+
+      let x = X0;
+      for (const c of columns) {
+        doc.text(c.header, x + 4, y + 6, {
+          width: c.width - 8,
+          align: c.align || "left",
+        });
+        x += c.width;
+      }
+
+      doc
+        .moveTo(X0, y + headerH)
+        .lineTo(X0 + totalW, y + headerH)
+        .lineWidth(1)
+        .strokeColor("#B5B5B5")
+        .stroke();
+
+      doc.strokeColor("black");
+      doc.y = y + headerH + 2;
+      resetX();
+    };
+
+    drawHeaderRow();
+    doc.font("Helvetica").fontSize(10);
+
+    for (const r of rows) {
+      // compute row height first (no auto page breaks mid-row)
+      let maxCellH = 0;
+      for (const c of columns) {
+        const text = String(r[c.key] ?? "—");
+        const h = doc.heightOfString(text, { width: c.width - 8 });
+        maxCellH = Math.max(maxCellH, h);
+      }
+      const rowH = Math.max(16, maxCellH + padY * 2);
+
+      // if row won't fit, new page + header + table header
+      if (doc.y + rowH > bottomLimit()) {
+        doc.addPage();
+        drawHeader();
+        drawHeaderRow();
+      }
+
+      const y = doc.y;
+      let x = X0;
+
+      for (const c of columns) {
+        const text = String(r[c.key] ?? "—");
+        doc.text(text, x + 4, y + padY, {
+          width: c.width - 8,
+          align: c.align || "left",
+        });
+        x += c.width;
+      }
+
+      doc
+        .moveTo(X0, y + rowH)
+        .lineTo(X0 + totalW, y + rowH)
+        .lineWidth(0.8)
+        .strokeColor("#E0E0E0")
+        .stroke();
+
+      doc.strokeColor("black");
+      doc.y = y + rowH;
+      resetX();
+    }
+
+    doc.moveDown(0.8);
+    resetX();
+  }
+
+  // "Fecha de generación" (right aligned) + signature line with the signer's name
+  function signature({ label, name, generatedAt = new Date() }) {
+    ensureSpace(70);
+    doc.font("Helvetica").fontSize(10).text(`Fecha de generación: ${fmtDatePE(generatedAt)}`, {
+      width: CONTENT_W,
+      align: "right",
+    });
+
+    doc.moveDown(1.6);
+    resetX();
+    doc.font("Helvetica").fontSize(10).text(label, X0, doc.y);
+    doc.moveDown(1.4);
+    doc.moveTo(X0, doc.y).lineTo(X0 + 220, doc.y).strokeColor("black").stroke();
+    doc.moveDown(0.2);
+    doc.font("Helvetica-Bold").text(name || "—", X0, doc.y);
+    resetX();
+  }
+
+  // QR + code (staff check the document at /verify/:code)
+  function verificationBlock({ qr, code, url }) {
+    ensureSpace(100);
+    doc.moveDown(1.2);
+    const qrY = doc.y;
+    doc.image(qr, X0, qrY, { fit: [80, 80] });
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(10)
+      .text(`Código de verificación: ${code}`, X0 + 92, qrY + 14, {
+        width: CONTENT_W - 92,
+      });
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .fillColor("#4B5563")
+      .text(`Verifica la autenticidad de este documento escaneando el código QR o en ${url}`, X0 + 92, doc.y + 4, {
+        width: CONTENT_W - 92,
+      });
+    doc.fillColor("black");
+    doc.y = qrY + 84;
+    resetX();
+  }
+
+  // Collect the document into a Buffer (ends it)
+  function toBuffer() {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on("data", (d) => chunks.push(d));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+      doc.end();
+    });
+  }
+
+  drawHeader();
+
+  return {
+    doc,
+    X0,
+    CONTENT_W,
+    resetX,
+    ensureSpace,
+    sectionTitle,
+    note,
+    drawKeyValueGrid,
+    drawTable,
+    signature,
+    verificationBlock,
+    toBuffer,
+  };
+}
+
+module.exports = {
+  LOGO_PATH,
+  fmtDatePE,
+  cleanDay,
+  cleanTime,
+  turnoLines,
+  createPdfLayout,
+};
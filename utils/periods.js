@@ -0,0 +1,175 @@
+// utils/periods.js
+// ✅ Period registry (replaces the CURRENT_PERIOD_ID env var as the source of truth).
+//
+// ACTIVE   => students of that period may log in (several periods can be active at once)
+// ARCHIVED => kept for the admin history (its requests stay browsable, nobody logs in)
+// Empty registry => CURRENT_PERIOD_ID (env, default 20261) is registered as the first active period.
+//
+// settings (per period, null => env / module default):
+//   boletaRequired      => block students without a paid boleta (default true)
+//   seatHoldMinutes     => SEAT_HOLD_MINUTES
+//   waitlistOfferHours  => WAITLIST_OFFER_HOURS
+const store = require("./store");
+
+const PERIOD_STATUS = {
+  ACTIVE: "ACTIVE",
+  ARCHIVED: "ARCHIVED",
+};
+
+const PERIOD_STATUS_LABELS = {
+  ACTIVE: "Activo",
+  ARCHIVED: "Archivado",
+};
+
+const DEFAULT_SETTINGS = {
+  boletaRequired: true,
+  seatHoldMinutes: null,
+  waitlistOfferHours: null,
+};
+
+function normalizePeriodId(p) {
+  return String(p || "").replace(/[^0-9]/g, "");
+}
+
+// 20261 => 2026-1
+function formatPeriodLabel(p) {
+  const s = String(p || "");
+  return s.length === 5 ? `${s.slice(0, 4)}-${s.slice(4)}` : s;
+}
+
+function positiveOrNull(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function normalizeSettings(raw) {
+  const s = raw && typeof raw === "object" ? raw : {};
+  return {
+    boletaRequired: s.boletaRequired === undefined ? DEFAULT_SETTINGS.boletaRequired : s.boletaRequired !== false,
+    seatHoldMinutes: positiveOrNull(s.seatHoldMinutes),
+    waitlistOfferHours: positiveOrNull(s.waitlistOfferHours),
+  };
+}
+
+function toPeriod(row) {
+  return {
+    id: row.id,
+    label: row.label || formatPeriodLabel(row.id),
+    status: row.status === PERIOD_STATUS.ARCHIVED ? PERIOD_STATUS.ARCHIVED : PERIOD_STATUS.ACTIVE,
+    settings: normalizeSettings(row.settings),
+    created_at: row.created_at || null,
+  };
+}
+
+async function seedFromEnv() {
+  const id = normalizePeriodId(process.env.CURRENT_PERIOD_ID || "20261");
+  if (!id) return;
+  await store.periods.upsert({
+    id,
+    label: formatPeriodLabel(id),
+    status: PERIOD_STATUS.ACTIVE,
+    settings: { ...DEFAULT_SETTINGS },
+  });
+}
+
+async function loadPeriodRows() {
+  let rows = await store.periods.list();
+  if (!rows.length) {
+    await seedFromEnv();
+    rows = await store.periods.list();
+  }
+  return rows;
+}
+
+// Every admin request (and every login) needs the registry => keep it for a few seconds.
+// savePeriod drops it; a swapped store driver never sees another store's rows.
+const LIST_CACHE_MS = 5000;
+let listCache = null; // { driver, at, rows: Promise }
+
+function invalidatePeriods() {
+  listCache = null;
+}
+
+/**
+ * ✅ All periods, newest first.
+ */
+async function listPeriods() {
+  const driver = store.getDriver();
+  if (!listCache || listCache.driver !== driver || Date.now() - listCache.at >= LIST_CACHE_MS) {
+    const rows = loadPeriodRows();
+    listCache = { driver, at: Date.now(), rows };
+    rows.catch(() => {
+      if (listCache?.rows === rows) listCache = null; // ❌ never cache a failed read
+    });
+  }
+  return (await listCache.rows).map(toPeriod);
+}
+
+async function getPeriod(id) {
+  const key = normalizePeriodId(id);
+  if (!key) return null;
+  return (await listPeriods()).find((p) => p.id === key) || null;
+}
+
+async function activePeriods() {
+  return (await listPeriods()).filter((p) => p.status === PERIOD_STATUS.ACTIVE);
+}
+
+// The student's period when it is active (null otherwise)
+async function findActivePeriod(id) {
+  const p = await getPeriod(id);
+  return p && p.status === PERIOD_STATUS.ACTIVE ? p : null;
+}
+
+// Default for admin views: newest active period (newest archived one when none is active)
+async function defaultPeriod() {
+  const all = await listPeriods();
+  return all.find((p) => p.status === PERIOD_STATUS.ACTIVE) || all[0] || null;
+}
+
+/**
+ * ✅ Admin form => row (or { error })
+ * body: { id, label, status, boletaRequired, seatHoldMinutes, waitlistOfferHours }
+ */
+function parsePeriodInput(body = {}) {
+  const id = normalizePeriodId(body.id);
+  if (!/^\d{5}$/.test(id)) return { error: "El periodo debe tener 5 dígitos (por ejemplo 20261)." };
+
+  const status = String(body.status || "").toUpperCase();
+  return {
+    row: {
+      id,
+      label: String(body.label || "").trim() || formatPeriodLabel(id),
+      status: PERIOD_STATUS[status] ? status : PERIOD_STATUS.ACTIVE,
+      settings: normalizeSettings({
+        boletaRequired: String(body.boletaRequired ?? "true") === "true",
+        seatHoldMinutes: body.seatHoldMinutes,
+        waitlistOfferHours: body.waitlistOfferHours,
+      }),
+    },
+  };
+}
+
+async function savePeriod(row) {
+  await store.periods.upsert(row);
+  invalidatePeriods();
+  return getPeriod(row.id);
+}
+
+module.exports = {
+  PERIOD_STATUS,
+  PERIOD_STATUS_LABELS,
+  DEFAULT_SETTINGS,
+  normalizePeriodId,
+  formatPeriodLabel,
+  normalizeSettings,
+  listPeriods,
+  invalidatePeriods,
+  getPeriod,
+  activePeriods,
+  findActivePeriod,
+  defaultPeriod,
+  parsePeriodInput,
+  savePeriod,
+};
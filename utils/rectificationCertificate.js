@@ -0,0 +1,306 @@
+// utils/rectificationCertificate.js
+// ✅ "Constancia de rectificación": official certificate staff issue once a request is approved.
+//
+// Lists the approved changes, the resulting weekly schedule (rejected changes keep the enrolled section),
+// a reference number (CR-<period>-<sequence>) and the office that decided.
+// Staff publish it => the student downloads it from the portal (/constancia/:download_token).
+const crypto = require("crypto");
+const store = require("./store");
+const { createPdfLayout, cleanDay, cleanTime, fmtDatePE } = require("./pdfTemplate");
+const { CHANGE_TYPE, CHANGE_TYPE_LABELS, summarizeCredits } = require("./rectificationChanges");
+const { STATUS, DECISION, normalizeStatus } = require("./rectificationStatus");
+const { canonicalDayName, parseTimeRange } = require("./scheduleSolver");
+const { formatPeriodLabel } = require("./periods");
+const { pdfFileName, savePdf } = require("./rectificationPdf");
+
+const DEFAULT_OFFICE = process.env.CERTIFICATE_OFFICE || "Oficina de Registros Académicos";
+
+// Only approved requests (fully or partially) get a certificate
+const CERTIFIABLE_STATUSES = [STATUS.APPROVED, STATUS.PARTIALLY_APPROVED];
+
+const DAY_ORDER = ["Lunes", "Martes", "Miércoles", "Jueves", "Viernes", "Sábado", "Domingo"];
+
+const norm = (s) => String(s || "").trim().toUpperCase();
+
+function isCertifiable(status) {
+  return CERTIFIABLE_STATUSES.includes(normalizeStatus(status));
+}
+
+// 20261, 7 => CR-20261-00007
+function formatReference(period_id, sequence) {
+  return `CR-${period_id}-${String(sequence).padStart(5, "0")}`;
+}
+
+// Changes of the request the admin approved (decisions are index-aligned)
+function approvedChanges(request) {
+  const decisions = Array.isArray(request.decisions) ? request.decisions : [];
+  return (Array.isArray(request.changes) ? request.changes : [])
+    .map((ch, i) => ({ ...ch, n: i + 1 }))
+    .filter((ch) => {
+      const d = decisions.find((x) => Number(x.index) === ch.n - 1) || decisions[ch.n - 1];
+      return d && d.status === DECISION.APPROVED;
+    });
+}
+
+function sortWeekly(rows) {
+  const dayIndex = (d) => {
+    const i = DAY_ORDER.indexOf(canonicalDayName(d));
+    return i === -1 ? DAY_ORDER.length : i;
+  };
+  const start = (t) => (parseTimeRange(t) || { start: 24 * 60 }).start;
+  return rows.slice().sort((a, b) => dayIndex(a.day) - dayIndex(b.day) || start(a.time) - start(b.time));
+}
+
+/**
+ * ✅ Weekly schedule after the approved changes:
+ * enrolled courses without an approved change + the new sections of the approved ones.
+ * Returns [{ code, name, group, day, time, modality, credits }] (Monday first)
+ */
+function resultingSchedule(request, approved = approvedChanges(request)) {
+  const touched = new Set(approved.map((ch) => norm(ch.code)));
+  const current = Array.isArray(request.current_courses) ? request.current_courses : [];
+  const final = Array.isArray(request.final_courses) ? request.final_courses : [];
+
+  const rows = current
+    .filter((r) => !touched.has(norm(r.courseCode || r.code)))
+    .map((r) => ({
+      code: r.courseCode || r.code,
+      name: r.courseName || r.name,
+      group: r.groupCode || r.group,
+      day: r.day,
+      time: r.hour || r.time,
+      modality: r.modality,
+      credits: r.credits,
+    }));
+
+  const seen = new Set();
+  approved.forEach((ch) => {
+    const key = norm(ch.code);
+    if (ch.type === CHANGE_TYPE.DROP || seen.has(key)) return;
+    seen.add(key);
+
+    const planned = final.filter((r) => norm(r.code) === key);
+    if (planned.length) return rows.push(...planned);
+
+    // Requests without a stored final plan => the sessions of the new section
+    const to = ch.to || {};
+    const sessions = Array.isArray(to.sessions) && to.sessions.length ? to.sessions : [to];
+    sessions.forEach((s) =>
+      rows.push({ code: ch.code, name: ch.name, group: to.group, day: s.day, time: s.time || s.hour, modality: s.modality })
+    );
+  });
+
+  return sortWeekly(rows);
+}
+
+// "De Sec. N1 a Sec. N2" / "Sec. N1" (the PDF fonts have no arrow glyph)
+function changeDetail(ch) {
+  const from = (ch.from && ch.from.group) || "—";
+  const to = (ch.to && ch.to.group) || "—";
+  if (ch.type === CHANGE_TYPE.DROP) return `Sec. ${from}`;
+  if (ch.type === CHANGE_TYPE.ADD) return `Sec. ${to}`;
+  return `De Sec. ${from} a Sec. ${to}`;
+}
+
+/**
+ * ✅ Render the certificate PDF.
+ * data: { reference_number, office, issued_at, request (stored row), approved_changes, schedule, credits_after }
+ * Returns a Buffer
+ */
+async function renderCertificatePdf({ reference_number, office, issued_at, request, approved_changes, schedule, credits_after }) {
+  const pdf = createPdfLayout({ subtitle: "Constancia de Rectificación de Matrícula" });
+  const { sectionTitle, note } = pdf;
+  const period = formatPeriodLabel(request.period_id);
+  const outcome = normalizeStatus(request.status) === STATUS.PARTIALLY_APPROVED ? "aprobada parcialmente" : "aprobada";
+
+  sectionTitle(`Constancia N.° ${reference_number}`);
+  note(
+    `La ${office} de la Universidad María Auxiliadora hace constar que la solicitud de rectificación de matrícula ` +
+    `del estudiante ${request.student_name || "—"}, código ${request.student_code}, correspondiente al periodo académico ` +
+    `${period}, fue ${outcome}. Su matrícula queda registrada con los cursos y el horario que se detallan a continuación.`
+  );
+
+  pdf.drawKeyValueGrid([
+    { label: "Número de referencia", value: reference_number },
+    { label: "Nombre completo", value: request.student_name },
+    { label: "Código de estudiante", value: request.student_code },
+    { label: "Facultad", value: request.faculty_name },
+    { label: "Programa", value: request.specialty_name },
+    { label: "Periodo académico", value: period },
+    { label: "Modalidad", value: request.mode },
+    { label: "Fecha de resolución", value: request.decided_at ? fmtDatePE(new Date(request.decided_at)) : "—" },
+    { label: "Oficina que resuelve", value: office },
+  ]);
+
+  sectionTitle("Cambios aprobados");
+  if (!approved_changes.length) {
+    note("La solicitud no registra cambios de cursos.");
+  } else {
+    pdf.drawTable({
+      columns: [
+        { header: "N.°", key: "n", width: 28, align: "center" },
+        { header: "Código", key: "code", width: 62 },
+        { header: "Curso", key: "name", width: 170 },
+        { header: "Operación", key: "type", width: 95 },
+        { header: "Detalle", key: "detail", width: 140 },
+      ],
+      rows: approved_changes.map((ch) => ({
+        n: String(ch.n),
+        code: ch.code || "—",
+        name: ch.name || "—",
+        type: CHANGE_TYPE_LABELS[ch.type] || CHANGE_TYPE_LABELS.CHANGE,
+        detail: changeDetail(ch),
+      })),
+    });
+  }
+
+  sectionTitle("Horario semanal resultante");
+  if (!schedule.length) {
+    note("No hay cursos matriculados después de la rectificación.");
+  } else {
+    pdf.drawTable({
+      columns: [
+        { header: "Día", key: "day", width: 70 },
+        { header: "Horario", key: "time", width: 74, align: "center" },
+        { header: "Código", key: "code", width: 62 },
+        { header: "Curso", key: "course", width: 185 },
+        { header: "Sec.", key: "sec", width: 42, align: "center" },
+        { header: "Modalidad", key: "modality", width: 62 },
+      ],
+      rows: schedule.map((r) => ({
+        day: cleanDay(r.day),
+        time: cleanTime(r.time),
+        code: r.code || "—",
+        course: r.name || "—",
+        sec: r.group || "—",
+        modality: String(r.modality || "—"),
+      })),
+    });
+  }
+
+  pdf.drawKeyValueGrid([{ label: "Créditos matriculados", value: String(credits_after ?? "—") }]);
+
+  pdf.signature({ label: "Firma y sello:", name: office, generatedAt: new Date(issued_at) });
+
+  return pdf.toBuffer();
+}
+
+/**
+ * ✅ Admin: issue (or re-issue) the certificate of an approved request.
+ * A re-issue keeps the reference number, the download link and whether it is published.
+ * Returns { ok, certificate } or { ok: false, error: "not_found" | "not_approved" | "office_required" }
+ */
+async function issueCertificate({ request_id, office = DEFAULT_OFFICE, by, now = new Date() }) {
+  const officeName = String(office || "").trim();
+  if (!officeName) return { ok: false, error: "office_required" };
+
+  const request = await store.rectifications.get(request_id);
+  if (!request) return { ok: false, error: "not_found" };
+  if (!isCertifiable(request.status)) return { ok: false, error: "not_approved" };
+
+  const existing = await store.certificates.getByRequest(request.id);
+  const period_id = String(request.period_id);
+  const sequence = existing ? existing.sequence : ((await store.certificates.lastSequence(period_id)) || 0) + 1;
+  const reference_number = existing ? existing.reference_number : formatReference(period_id, sequence);
+
+  const approved = approvedChanges(request);
+  const schedule = resultingSchedule(request, approved);
+  const credits_after = summarizeCredits(request.current_courses, approved).after;
+  const issued_at = now.toISOString();
+
+  const buffer = await renderCertificatePdf({
+    reference_number,
+    office: officeName,
+    issued_at,
+    request,
+    approved_changes: approved,
+    schedule,
+    credits_after,
+  });
+  const pdfFile = await savePdf(pdfFileName(request.student_code, period_id, "constancia"), buffer);
+
+  const certificate = await store.certificates.upsert({
+    request_id: request.id,
+    period_id,
+    student_code: String(request.student_code),
+    version: Number(request.version) || 1,
+    sequence,
+    reference_number,
+    office: officeName,
+    approved_changes: approved,
+    schedule,
+    credits_after,
+    pdf_storage_path: pdfFile,
+    document_hash: crypto.createHash("sha256").update(buffer).digest("hex"),
+    download_token: existing ? existing.download_token : crypto.randomBytes(24).toString("hex"),
+    issued_at,
+    issued_by: by || null,
+    published: existing ? existing.published === true : false,
+    published_at: existing ? existing.published_at || null : null,
+    published_by: existing ? existing.published_by || null : null,
+  });
+
+  return { ok: true, certificate };
+}
+
+/**
+ * ✅ Admin: make the certificate available to the student (or withdraw it).
+ * Returns { ok } or { ok: false, error: "not_issued" }
+ */
+async function setCertificatePublished({ request_id, published, by, now = new Date() }) {
+  const certificate = await store.certificates.getByRequest(request_id);
+  if (!certificate) return { ok: false, error: "not_issued" };
+
+  await store.certificates.update(request_id, {
+    published: !!published,
+    published_at: published ? now.toISOString() : null,
+    published_by: published ? by || null : null,
+  });
+  return { ok: true };
+}
+
+// A certificate issued for an earlier version / decision no longer describes the request
+function isCurrent(certificate, request) {
+  return (
+    !!certificate &&
+    !!request &&
+    Number(certificate.version) === (Number(request.version) || 1) &&
+    isCertifiable(request.status)
+  );
+}
+
+// ✅ Student portal: the published, current certificate of the student (null when there is none)
+async function studentCertificate(period_id, student_code) {
+  const request = await store.rectifications.getByStudent(String(period_id), String(student_code), {
+    fields: ["id", "version", "status"],
+  });
+  if (!request) return null;
+
+  const certificate = await store.certificates.getByRequest(request.id);
+  if (!certificate || certificate.published !== true || !isCurrent(certificate, request)) return null;
+  return certificate;
+}
+
+// ✅ /constancia/:token => the certificate when it is still published and current
+async function certificateByToken(token) {
+  if (!/^[0-9a-f]{48}$/.test(String(token || ""))) return null;
+  const certificate = await store.certificates.getByToken(String(token));
+  if (!certificate || certificate.published !== true) return null;
+
+  const request = await store.rectifications.get(certificate.request_id);
+  return isCurrent(certificate, request) ? certificate : null;
+}
+
+module.exports = {
+  DEFAULT_OFFICE,
+  isCertifiable,
+  formatReference,
+  approvedChanges,
+  resultingSchedule,
+  renderCertificatePdf,
+  issueCertificate,
+  setCertificatePublished,
+  isCurrent,
+  studentCertificate,
+  certificateByToken,
+};
@@ -0,0 +1,109 @@
+// utils/rectificationChanges.js
+// ✅ Rectification operations: section change, drop and add (+ credit totals before / after).
+
+const CHANGE_TYPE = {
+  CHANGE: "CHANGE", // same course, another section (from => to)
+  DROP: "DROP", // enrolled course removed (from only)
+  ADD: "ADD", // new course from schedule-available (to only)
+};
+
+const CHANGE_TYPE_LABELS = {
+  CHANGE: "Cambio de sección",
+  DROP: "Retiro de curso",
+  ADD: "Inscripción de curso",
+};
+
+function normCode(s) {
+  return String(s || "").trim().toUpperCase();
+}
+
+// Old payloads have no type => section change
+function changeType(ch) {
+  const t = String((ch && ch.type) || "").toUpperCase().trim();
+  return CHANGE_TYPE[t] || CHANGE_TYPE.CHANGE;
+}
+
+function toCredits(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/**
+ * ✅ Course code => credits. Enrolled rows come one per session,
+ * so each course counts once.
+ */
+function creditsByCourse(rows) {
+  const out = {};
+  (Array.isArray(rows) ? rows : []).forEach((r) => {
+    const code = normCode(r && (r.courseCode || r.code));
+    if (!code) return;
+    out[code] = Math.max(out[code] || 0, toCredits(r.credits));
+  });
+  return out;
+}
+
+function sumCredits(map) {
+  return Object.values(map).reduce((a, n) => a + n, 0);
+}
+
+/**
+ * ✅ Normalize the client changes list (keeps order => decisions stay index-aligned).
+ * DROP credits come from the enrolled courses, never from the client.
+ */
+function normalizeChanges(list, currentCourses = []) {
+  const enrolledCredits = creditsByCourse(currentCourses);
+
+  return (Array.isArray(list) ? list : [])
+    .filter((ch) => ch && typeof ch === "object")
+    .map((ch) => {
+      const type = changeType(ch);
+      const code = String(ch.code || ch.courseCode || "").trim();
+      const out = { type, code, name: String(ch.name || ch.courseName || "").trim() };
+
+      if (type !== CHANGE_TYPE.ADD) out.from = ch.from || {};
+      if (type !== CHANGE_TYPE.DROP) out.to = ch.to || {};
+
+      if (type === CHANGE_TYPE.DROP) out.credits = enrolledCredits[normCode(code)] || 0;
+      if (type === CHANGE_TYPE.ADD) out.credits = toCredits(ch.credits);
+
+      return out;
+    });
+}
+
+/**
+ * ✅ Credit totals for the request.
+ * Returns { before, after, dropped, added }
+ */
+function summarizeCredits(currentCourses, changes) {
+  const byCourse = creditsByCourse(currentCourses);
+  const before = sumCredits(byCourse);
+
+  const dropped = new Set();
+  const added = {};
+  (Array.isArray(changes) ? changes : []).forEach((ch) => {
+    const code = normCode(ch && ch.code);
+    if (!code) return;
+    const type = changeType(ch);
+    if (type === CHANGE_TYPE.DROP && code in byCourse) dropped.add(code);
+    if (type === CHANGE_TYPE.ADD && !(code in byCourse)) added[code] = toCredits(ch.credits);
+  });
+
+  const droppedCredits = [...dropped].reduce((a, c) => a + byCourse[c], 0);
+  const addedCredits = sumCredits(added);
+
+  return {
+    before,
+    after: before - droppedCredits + addedCredits,
+    dropped: droppedCredits,
+    added: addedCredits,
+  };
+}
+
+module.exports = {
+  CHANGE_TYPE,
+  CHANGE_TYPE_LABELS,
+  changeType,
+  creditsByCourse,
+  normalizeChanges,
+  summarizeCredits,
+};
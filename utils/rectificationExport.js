@@ -0,0 +1,142 @@
+// utils/rectificationExport.js
+const ExcelJS = require("exceljs");
+const { STATUS_LABELS } = require("./rectificationStatus");
+const { CHANGE_TYPE_LABELS, changeType } = require("./rectificationChanges");
+
+// One column per field of the flattened change row (order = file order)
+const COLUMNS = [
+  { header: "Fecha de envío", key: "submitted_at", width: 20 },
+  { header: "Periodo", key: "period", width: 10 },
+  { header: "Código alumno", key: "student_code", width: 14 },
+  { header: "Alumno", key: "student_name", width: 34 },
+  { header: "Facultad", key: "faculty", width: 34 },
+  { header: "Programa", key: "program", width: 30 },
+  { header: "Modalidad alumno", key: "mode", width: 18 },
+  { header: "Estado solicitud", key: "status", width: 20 },
+  { header: "Tipo", key: "change_type", width: 20 },
+  { header: "Código curso", key: "course_code", width: 14 },
+  { header: "Curso", key: "course_name", width: 34 },
+  { header: "Sección origen", key: "from_group", width: 12 },
+  { header: "Día origen", key: "from_day", width: 12 },
+  { header: "Horario origen", key: "from_time", width: 14 },
+  { header: "Modalidad origen", key: "from_modality", width: 24 },
+  { header: "Sección destino", key: "to_group", width: 12 },
+  { header: "Día destino", key: "to_day", width: 12 },
+  { header: "Horario destino", key: "to_time", width: 14 },
+  { header: "Modalidad destino", key: "to_modality", width: 24 },
+  { header: "Decisión", key: "decision", width: 14 },
+  { header: "Motivo", key: "decision_reason", width: 30 },
+];
+
+// "2026-01-14 12:26" in Lima time (sorts correctly as text)
+function fmtDateTimePE(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return String(iso);
+  return new Intl.DateTimeFormat("sv-SE", {
+    timeZone: "America/Lima",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  }).format(d);
+}
+
+/**
+ * ✅ Flatten rectifications (listRectifications shape) into one row per change.
+ * Requests without changes are skipped: there is nothing to process for them.
+ */
+function buildExportRows(rects) {
+  const rows = [];
+
+  (Array.isArray(rects) ? rects : []).forEach((r) => {
+    const st = r.student || {};
+    const decisions = Array.isArray(r.decisions) ? r.decisions : [];
+
+    (Array.isArray(r.changes) ? r.changes : []).forEach((ch, i) => {
+      const from = ch?.from || {};
+      const to = ch?.to || {};
+      const d = decisions.find((x) => Number(x.index) === i) || {};
+
+      rows.push({
+        submitted_at: fmtDateTimePE(r.submitted_at),
+        period: st.period || "",
+        student_code: st.code || "",
+        student_name: st.name || "",
+        faculty: st.faculty || "",
+        program: st.program || "",
+        mode: st.mode || "",
+        status: STATUS_LABELS[r.status] || r.status || "",
+        change_type: CHANGE_TYPE_LABELS[changeType(ch)],
+        course_code: ch?.code || ch?.courseCode || "",
+        course_name: ch?.name || ch?.courseName || "",
+        from_group: from.group || from.groupCode || "",
+        from_day: from.day || "",
+        from_time: from.time || from.hour || "",
+        from_modality: from.modality || "",
+        to_group: to.group || to.groupCode || "",
+        to_day: to.day || "",
+        to_time: to.time || to.hour || "",
+        to_modality: to.modality || "",
+        decision: d.status ? STATUS_LABELS[d.status] || d.status : "",
+        decision_reason: d.reason || "",
+      });
+    });
+  });
+
+  return rows;
+}
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// UTF-8 BOM so Excel opens accents (Á, ñ) correctly
+function toCsv(rows) {
+  const lines = [COLUMNS.map((c) => csvCell(c.header)).join(",")];
+  rows.forEach((r) => lines.push(COLUMNS.map((c) => csvCell(r[c.key])).join(",")));
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+async function toXlsxBuffer(rows) {
+  const wb = new ExcelJS.Workbook();
+  wb.created = new Date();
+
+  const ws = wb.addWorksheet("Rectificaciones", {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  ws.columns = COLUMNS;
+  ws.getRow(1).font = { bold: true };
+  ws.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: COLUMNS.length } };
+  rows.forEach((r) => ws.addRow(r));
+
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+/**
+ * ✅ Date inputs (YYYY-MM-DD, Lima time) => ISO bounds for submitted_at.
+ * "to" is inclusive for the user, so we return the start of the next day.
+ */
+function dateRangeToIso(fromDate, toDate) {
+  const valid = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s || ""));
+  const out = { from: null, to: null };
+
+  if (valid(fromDate)) out.from = new Date(`${fromDate}T00:00:00-05:00`).toISOString();
+  if (valid(toDate)) {
+    const end = new Date(`${toDate}T00:00:00-05:00`);
+    end.setUTCDate(end.getUTCDate() + 1);
+    out.to = end.toISOString();
+  }
+  return out;
+}
+
+module.exports = {
+  COLUMNS,
+  buildExportRows,
+  toCsv,
+  toXlsxBuffer,
+  dateRangeToIso,
+};
@@ -0,0 +1,267 @@
+// utils/rectificationPdf.js
+// ✅ "Solicitud de Rectificación de Matrícula" PDF (utils/pdfTemplate.js layout).
+//
+// /confirm renders it from the validated plan; admins re-render it from the stored
+// rectification_requests row (regenerateRequestPdf) when the file is gone.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createPdfLayout, cleanDay, cleanTime, turnoLines } = require("./pdfTemplate");
+const { CHANGE_TYPE, summarizeCredits } = require("./rectificationChanges");
+const { formatPeriodLabel } = require("./periods");
+const {
+  generateVerificationCode,
+  formatVerificationCode,
+  verificationUrl,
+  qrPng,
+  verificationRecord,
+} = require("./documentVerification");
+const { recordVersion } = require("./rectificationVersions");
+const { PDF_DIR } = require("./adminStore");
+const store = require("./store");
+
+// Tables columns (fits A4 width exactly)
+const SCHEDULE_COLUMNS = [
+  { header: "Código", key: "code", width: 62 },
+  { header: "Curso", key: "course", width: 220 },
+  { header: "Sec.", key: "sec", width: 42, align: "center" },
+  { header: "Día", key: "day", width: 70 },
+  { header: "Horario", key: "time", width: 74, align: "center" },
+  { header: "Modalidad", key: "modality", width: 62 },
+];
+
+/**
+ * ✅ Render the request PDF.
+ * data: {
+ *   student: { name, code, dni, faculty, program, period, mode, email },
+ *   currentCourses, finalCourses, changes, credits: { before, dropped, added, after },
+ *   verification: { code, url, qr }, generatedAt
+ * }
+ * Returns a Buffer
+ */
+async function renderRectificationPdf(data) {
+  const { student = {}, credits = {}, verification, generatedAt = new Date() } = data;
+  const pdf = createPdfLayout({ subtitle: "Solicitud de Rectificación de Matrícula" });
+  const { doc, X0, resetX, ensureSpace, sectionTitle, note } = pdf;
+
+  // Student data
+  sectionTitle("Datos del estudiante");
+  pdf.drawKeyValueGrid([
+    { label: "Nombre completo", value: student.name },
+    { label: "Código de estudiante", value: student.code },
+    { label: "DNI", value: student.dni },
+    { label: "Facultad", value: student.faculty },
+    { label: "Programa", value: student.program },
+    { label: "Periodo académico", value: formatPeriodLabel(student.period) },
+    { label: "Modalidad", value: student.mode },
+    { label: "Correo institucional", value: student.email },
+  ]);
+
+  // Current schedule
+  sectionTitle("Horario actual matriculado");
+
+  const currentRows = (data.currentCourses || []).map((c) => ({
+    code: c.courseCode || "—",
+    course: c.courseName || "—",
+    sec: c.groupCode || "—",
+    day: cleanDay(c.day),
+    time: cleanTime(c.hour),
+    modality: String(c.modality || "—"),
+  }));
+
+  if (!currentRows.length) note("No se encontraron cursos matriculados.");
+  else pdf.drawTable({ columns: SCHEDULE_COLUMNS, rows: currentRows });
+
+  // Proposed schedule
+  sectionTitle("Horario propuesto (después de IA)");
+
+  const finalRows = (data.finalCourses || []).map((c) => ({
+    code: c.code || c.courseCode || "—",
+    course: c.name || c.courseName || "—",
+    sec: c.group || c.groupCode || "—",
+    day: cleanDay(c.day),
+    time: cleanTime(c.time || c.hour),
+    modality: String(c.modality || "—"),
+  }));
+
+  if (!finalRows.length) note("No se recibió una propuesta; se mantiene el horario actual.");
+  else pdf.drawTable({ columns: SCHEDULE_COLUMNS, rows: finalRows });
+
+  // Changes summary (numbered over the whole list => same numbers as the admin review)
+  const numbered = (data.changes || []).map((ch, i) => ({ ch, n: i + 1 }));
+  const sectionChanges = numbered.filter((x) => x.ch.type === CHANGE_TYPE.CHANGE);
+  const dropped = numbered.filter((x) => x.ch.type === CHANGE_TYPE.DROP);
+  const added = numbered.filter((x) => x.ch.type === CHANGE_TYPE.ADD);
+
+  function courseHeading({ ch, n }, suffix = "") {
+    doc.font("Helvetica-Bold").text(`${n}. ${ch.code || "—"} - ${ch.name || "—"}${suffix}`, X0, doc.y);
+    doc.font("Helvetica");
+  }
+
+  sectionTitle("Resumen de cambios de sección");
+
+  if (!sectionChanges.length) {
+    note("No se registran cambios de sección.", { moveDown: 0.6 });
+  } else {
+    doc.font("Helvetica").fontSize(10);
+    for (const item of sectionChanges) {
+      const from = item.ch.from || {};
+      const to = item.ch.to || {};
+
+      ensureSpace(55);
+
+      courseHeading(item);
+      doc.text(
+        `De: Sec. ${from.group || "—"} | ${cleanDay(from.day)} | ${cleanTime(from.time)} | ${from.modality || "—"}`,
+        X0,
+        doc.y
+      );
+      doc.text(
+        `A:  Sec. ${to.group || "—"} | ${cleanDay(to.day)} | ${cleanTime(to.time)} | ${to.modality || "—"}`,
+        X0,
+        doc.y
+      );
+      doc.moveDown(0.4);
+      resetX();
+    }
+  }
+
+  if (dropped.length) {
+    sectionTitle("Cursos retirados");
+    doc.font("Helvetica").fontSize(10);
+    for (const item of dropped) {
+      ensureSpace(45);
+      courseHeading(item, ` (${item.ch.credits} créditos)`);
+      turnoLines(item.ch.from).forEach((line) => doc.text(`Se retira: ${line}`, X0, doc.y));
+      doc.moveDown(0.4);
+      resetX();
+    }
+  }
+
+  if (added.length) {
+    sectionTitle("Cursos agregados");
+    doc.font("Helvetica").fontSize(10);
+    for (const item of added) {
+      ensureSpace(45);
+      courseHeading(item, ` (${item.ch.credits} créditos)`);
+      turnoLines(item.ch.to).forEach((line) => doc.text(`Se agrega: ${line}`, X0, doc.y));
+      doc.moveDown(0.4);
+      resetX();
+    }
+  }
+
+  // Credits before / after
+  sectionTitle("Créditos");
+  pdf.drawKeyValueGrid([
+    { label: "Créditos matriculados", value: String(credits.before ?? "—") },
+    { label: "Créditos retirados", value: String(credits.dropped ?? "—") },
+    { label: "Créditos agregados", value: String(credits.added ?? "—") },
+    { label: "Créditos después de la rectificación", value: String(credits.after ?? "—") },
+  ]);
+
+  // Footer + signature
+  pdf.signature({ label: "Firma del estudiante:", name: student.name, generatedAt });
+
+  if (verification) {
+    pdf.verificationBlock({
+      qr: verification.qr,
+      code: formatVerificationCode(verification.code),
+      url: verification.url,
+    });
+  }
+
+  return pdf.toBuffer();
+}
+
+/**
+ * ✅ Stored request row => renderRectificationPdf data (only the last 4 DNI digits are kept).
+ * verification: { code, url, qr } of the document being rendered
+ */
+function pdfDataFromRequest(row, { verification = null, generatedAt = new Date() } = {}) {
+  const currentCourses = Array.isArray(row.current_courses) ? row.current_courses : [];
+  const changes = Array.isArray(row.changes) ? row.changes : [];
+
+  return {
+    student: {
+      name: row.student_name || "—",
+      code: row.student_code || "—",
+      dni: row.dni_last4 ? `****${row.dni_last4}` : "—",
+      faculty: row.faculty_name || "—",
+      program: row.specialty_name || "—",
+      period: row.period_id || "—",
+      mode: row.mode || "—",
+      email: row.email || "",
+    },
+    currentCourses,
+    finalCourses: Array.isArray(row.final_courses) ? row.final_courses : [],
+    changes,
+    credits: summarizeCredits(currentCourses, changes),
+    verification,
+    generatedAt,
+  };
+}
+
+// Make a safe unique filename (avoid overwriting)
+function pdfFileName(student_code, period_id, prefix = "rectificacion") {
+  const id = crypto.randomUUID ? crypto.randomUUID() : crypto.randomBytes(16).toString("hex");
+  const safeCode = String(student_code || "student").replace(/[^a-zA-Z0-9_-]/g, "");
+  const safePeriod = String(period_id || "period").replace(/[^a-zA-Z0-9_-]/g, "");
+  return `${prefix}_${safeCode}_${safePeriod}_${Date.now()}_${id}.pdf`;
+}
+
+// Write into PDF_DIR => stored file name (pdf_storage_path)
+async function savePdf(fileName, buffer) {
+  await fs.promises.mkdir(PDF_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(PDF_DIR, fileName), buffer);
+  return fileName;
+}
+
+/**
+ * ✅ Admin: rebuild the current version's PDF from the stored request.
+ * Issues a new verification code; the new file, hash, code and signature replace the old ones on
+ * the request and its version, and the replaced code stays verifiable through /verify.
+ * Returns { ok, pdfFile, verificationCode } or { ok: false, error: "not_found" }
+ */
+async function regenerateRequestPdf({ request_id, req, by = null, now = new Date() }) {
+  const row = await store.rectifications.get(request_id);
+  if (!row) return { ok: false, error: "not_found" };
+
+  // New bytes => new code: the PDF the student already has keeps verifying under its own code
+  const code = generateVerificationCode();
+  const url = verificationUrl(req, code);
+  const buffer = await renderRectificationPdf(
+    pdfDataFromRequest(row, { verification: { code, url, qr: await qrPng(url) }, generatedAt: now })
+  );
+
+  const pdfFile = await savePdf(pdfFileName(row.student_code, row.period_id), buffer);
+  const patch = { pdf_storage_path: pdfFile, ...verificationRecord(code, buffer) };
+
+  if (row.verification_code) {
+    await store.replacedDocuments.insert({
+      verification_code: row.verification_code,
+      request_id: row.id,
+      period_id: String(row.period_id),
+      student_code: String(row.student_code),
+      version: Number(row.version) || 1,
+      pdf_storage_path: row.pdf_storage_path || null,
+      document_hash: row.document_hash || null,
+      document_signature: row.document_signature || null,
+      replaced_at: now.toISOString(),
+      replaced_by: by,
+      replacement_code: code,
+    });
+  }
+
+  await store.rectifications.update(row.id, patch);
+  await recordVersion({ ...row, ...patch });
+
+  return { ok: true, pdfFile, verificationCode: code };
+}
+
+module.exports = {
+  renderRectificationPdf,
+  pdfDataFromRequest,
+  pdfFileName,
+  savePdf,
+  regenerateRequestPdf,
+};
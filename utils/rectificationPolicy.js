@@ -0,0 +1,194 @@
+// utils/rectificationPolicy.js
+// ✅ Rectification rules (max changes, credits, modality, cycle) evaluated on the rebuilt plan.
+//
+// config/rectificationPolicy.json (RECTIFICATION_POLICY_FILE overrides the path):
+// {
+//   "default":   { rules },
+//   "faculties": { "FCS": { rules } },                          // facultyCode or facultyName
+//   "periods":   { "20261": { rules, "faculties": { "FCS": { rules } } } }
+// }
+// Later levels win: default < period < faculty < period + faculty.
+// A rule is { value, severity: "error" | "warning" } (a bare value => error); null disables it.
+
+const fs = require("fs");
+const path = require("path");
+const { CHANGE_TYPE } = require("./rectificationChanges");
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, "..", "config", "rectificationPolicy.json");
+
+const SEVERITY = {
+  ERROR: "error",
+  WARNING: "warning",
+};
+
+const RULES = ["maxSectionChanges", "minCredits", "maxCredits", "allowedModalities", "maxCycleGap"];
+
+function stripAcc(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+function normText(s) {
+  return stripAcc(s).toUpperCase().replace(/\s+/g, " ").trim();
+}
+
+function normKey(s) {
+  return String(s || "").replace(/[^A-Z0-9]/gi, "").toUpperCase();
+}
+
+// Modes / modalities: "Semi-presencial", "SEMIPRESENCIAL" and "semi presencial" are the same value
+function normModality(s) {
+  return normKey(stripAcc(s));
+}
+
+let cached = null; // { file, config }
+
+function loadPolicyConfig(file = process.env.RECTIFICATION_POLICY_FILE || DEFAULT_POLICY_FILE) {
+  if (cached && cached.file === file) return cached.config;
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  cached = { file, config };
+  return config;
+}
+
+function normalizeRule(raw) {
+  if (raw === null || raw === undefined) return null;
+  const isObj = typeof raw === "object" && !Array.isArray(raw) && "value" in raw;
+  const value = isObj ? raw.value : raw;
+  if (value === null || value === undefined) return null;
+  const severity = isObj && raw.severity === SEVERITY.WARNING ? SEVERITY.WARNING : SEVERITY.ERROR;
+  return { value, severity };
+}
+
+// { "FCS": {...} } looked up by code or name (case / accent insensitive)
+function pickByKey(map, keys) {
+  const entries = Object.entries(map || {});
+  for (const k of keys) {
+    const hit = entries.find(([name]) => normText(name) === normText(k));
+    if (k && hit) return hit[1];
+  }
+  return null;
+}
+
+/**
+ * ✅ Rules for one student.
+ * Returns { maxSectionChanges, minCredits, maxCredits, allowedModalities, maxCycleGap }
+ * (each { value, severity } or null)
+ */
+function resolvePolicy(config, { faculty = [], period = "" } = {}) {
+  const cfg = config || {};
+  const faculties = (Array.isArray(faculty) ? faculty : [faculty]).filter(Boolean);
+  const periodCfg = (cfg.periods || {})[String(period).replace(/[^0-9]/g, "")] || {};
+
+  const layers = [
+    cfg.default,
+    periodCfg,
+    pickByKey(cfg.faculties, faculties),
+    pickByKey(periodCfg.faculties, faculties),
+  ];
+
+  const rules = {};
+  RULES.forEach((name) => {
+    let rule = null;
+    layers.forEach((layer) => {
+      if (layer && name in layer) rule = normalizeRule(layer[name]);
+    });
+    rules[name] = rule;
+  });
+  return rules;
+}
+
+/**
+ * ✅ Evaluate a validated plan (validateRectification output).
+ * plan: { changes, finalCourses, credits: summarizeCredits(), mode, cycles: { COURSE: courseCycle }, enrolledCodes }
+ * Returns { ok, errors, warnings } => [{ rule, severity, code, message }]
+ */
+function evaluatePolicy(rules, plan) {
+  const r = rules || {};
+  const changes = Array.isArray(plan.changes) ? plan.changes : [];
+  const finalCourses = Array.isArray(plan.finalCourses) ? plan.finalCourses : [];
+  const credits = plan.credits || { before: 0, after: 0 };
+  const cycles = plan.cycles || {};
+
+  const violations = [];
+  const add = (rule, code, message) =>
+    violations.push({ rule, severity: r[rule].severity, code: code || null, message });
+
+  // 1) Section changes (a course counts once, whatever its sessions)
+  const changed = [...new Set(changes.filter((ch) => ch.type === CHANGE_TYPE.CHANGE).map((ch) => ch.code))];
+  if (r.maxSectionChanges && changed.length > Number(r.maxSectionChanges.value)) {
+    add(
+      "maxSectionChanges",
+      null,
+      `Solo se permiten ${r.maxSectionChanges.value} cambio(s) de sección; propones ${changed.length}.`
+    );
+  }
+
+  // 2) Credits (only when drops / adds change the total: a section swap never blocks)
+  if (credits.after !== credits.before) {
+    if (r.minCredits && credits.after < Number(r.minCredits.value)) {
+      add(
+        "minCredits",
+        null,
+        `Debes quedar con al menos ${r.minCredits.value} créditos; quedarías con ${credits.after}.`
+      );
+    }
+    if (r.maxCredits && credits.after > Number(r.maxCredits.value)) {
+      add(
+        "maxCredits",
+        null,
+        `No puedes superar ${r.maxCredits.value} créditos; quedarías con ${credits.after}.`
+      );
+    }
+  }
+
+  // 3) Modality of the new sections vs the student's mode (e.g. SEMIPRESENCIAL)
+  const newCodes = new Set(changes.filter((ch) => ch.type !== CHANGE_TYPE.DROP).map((ch) => normKey(ch.code)));
+  const allowedByMode = (r.allowedModalities && r.allowedModalities.value) || {};
+  const modeKey = Object.keys(allowedByMode).find((m) => normModality(m) === normModality(plan.mode));
+  if (modeKey) {
+    const allowed = allowedByMode[modeKey].map(normModality);
+    const reported = new Set();
+    finalCourses.forEach((f) => {
+      const key = normKey(f.code);
+      if (!newCodes.has(key) || reported.has(key)) return;
+      if (allowed.includes(normModality(f.modality))) return;
+      reported.add(key);
+      add(
+        "allowedModalities",
+        f.code,
+        `La sección ${f.group} de ${f.code} es ${f.modality}; en modalidad ${modeKey} solo puedes elegir ${allowedByMode[modeKey].join(" / ")}.`
+      );
+    });
+  }
+
+  // 4) Added courses far from the student's cycle (highest cycle among enrolled courses)
+  const enrolledCycles = (plan.enrolledCodes || []).map((c) => Number(cycles[normKey(c)])).filter(Number.isFinite);
+  if (r.maxCycleGap && enrolledCycles.length) {
+    const studentCycle = Math.max(...enrolledCycles);
+    changes
+      .filter((ch) => ch.type === CHANGE_TYPE.ADD)
+      .forEach((ch) => {
+        const cycle = Number(cycles[normKey(ch.code)]);
+        if (!Number.isFinite(cycle) || Math.abs(cycle - studentCycle) <= Number(r.maxCycleGap.value)) return;
+        add(
+          "maxCycleGap",
+          ch.code,
+          `${ch.code} es del ciclo ${cycle}; tu ciclo es ${studentCycle} (máximo ${r.maxCycleGap.value} ciclo(s) de diferencia).`
+        );
+      });
+  }
+
+  const errors = violations.filter((v) => v.severity === SEVERITY.ERROR);
+  const warnings = violations.filter((v) => v.severity === SEVERITY.WARNING);
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+  SEVERITY,
+  RULES,
+  loadPolicyConfig,
+  resolvePolicy,
+  evaluatePolicy,
+  normModality,
+};
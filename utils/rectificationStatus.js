@@ -0,0 +1,127 @@
+// utils/rectificationStatus.js
+
+// Request lifecycle: SUBMITTED -> IN_REVIEW -> APPROVED / PARTIALLY_APPROVED / REJECTED
+// REOPENED => an admin unlocked the student; the next /confirm is a new version (SUBMITTED again)
+const STATUS = {
+  SUBMITTED: "SUBMITTED",
+  IN_REVIEW: "IN_REVIEW",
+  APPROVED: "APPROVED",
+  PARTIALLY_APPROVED: "PARTIALLY_APPROVED",
+  REJECTED: "REJECTED",
+  REOPENED: "REOPENED",
+};
+
+const STATUS_LABELS = {
+  SUBMITTED: "Enviada",
+  IN_REVIEW: "En revisión",
+  APPROVED: "Aprobada",
+  PARTIALLY_APPROVED: "Aprobada parcialmente",
+  REJECTED: "Rechazada",
+  REOPENED: "Desbloqueada para reenvío",
+};
+
+// Per-change decisions
+const DECISION = {
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+};
+
+const DECIDED_STATUSES = [STATUS.APPROVED, STATUS.PARTIALLY_APPROVED, STATUS.REJECTED];
+
+// ✅ Allowed moves (decided requests can be reopened for review)
+const TRANSITIONS = {
+  SUBMITTED: [STATUS.IN_REVIEW],
+  IN_REVIEW: [...DECIDED_STATUSES],
+  APPROVED: [STATUS.IN_REVIEW],
+  PARTIALLY_APPROVED: [STATUS.IN_REVIEW],
+  REJECTED: [STATUS.IN_REVIEW],
+  REOPENED: [], // only a resubmission moves it on
+};
+
+function normalizeStatus(s) {
+  const t = String(s || "").toUpperCase().trim();
+  return STATUS[t] || STATUS.SUBMITTED;
+}
+
+function canTransition(from, to) {
+  const allowed = TRANSITIONS[normalizeStatus(from)] || [];
+  return allowed.includes(to);
+}
+
+function isDecided(status) {
+  return DECIDED_STATUSES.includes(normalizeStatus(status));
+}
+
+/**
+ * ✅ Overall status from per-change decisions.
+ * All approved => APPROVED, all rejected => REJECTED, mixed => PARTIALLY_APPROVED.
+ */
+function deriveOverallStatus(decisions) {
+  const list = Array.isArray(decisions) ? decisions : [];
+  if (!list.length) return null;
+
+  const approved = list.filter((d) => d.status === DECISION.APPROVED).length;
+  if (approved === list.length) return STATUS.APPROVED;
+  if (approved === 0) return STATUS.REJECTED;
+  return STATUS.PARTIALLY_APPROVED;
+}
+
+/**
+ * ✅ Validate the admin's per-change decisions against the stored changes.
+ * input: [{ index, status, reason }] (one per change)
+ * Returns { ok, errors, decisions } where decisions carry who/when.
+ */
+function buildDecisions(changes, input, { by, at } = {}) {
+  const list = Array.isArray(changes) ? changes : [];
+  const byIndex = {};
+  (Array.isArray(input) ? input : []).forEach((d) => {
+    const i = Number(d && d.index);
+    if (Number.isInteger(i)) byIndex[i] = d;
+  });
+
+  const errors = [];
+  const decisions = list.map((ch, i) => {
+    const raw = byIndex[i] || {};
+    const status = String(raw.status || "").toUpperCase().trim();
+    const reason = String(raw.reason || "").trim();
+
+    if (!DECISION[status]) {
+      errors.push({ index: i, error: "decision_required" });
+    } else if (status === DECISION.REJECTED && !reason) {
+      errors.push({ index: i, error: "reason_required" });
+    }
+
+    return {
+      index: i,
+      code: ch?.code || ch?.courseCode || null,
+      status: DECISION[status] || null,
+      reason: reason || null,
+      decided_by: by || null,
+      decided_at: at || new Date().toISOString(),
+    };
+  });
+
+  return { ok: errors.length === 0, errors, decisions };
+}
+
+function historyEntry(status, { by, at, note } = {}) {
+  return {
+    status,
+    by: by || null,
+    at: at || new Date().toISOString(),
+    note: note || null,
+  };
+}
+
+module.exports = {
+  STATUS,
+  STATUS_LABELS,
+  DECISION,
+  DECIDED_STATUSES,
+  normalizeStatus,
+  canTransition,
+  isDecided,
+  deriveOverallStatus,
+  buildDecisions,
+  historyEntry,
+};
@@ -0,0 +1,231 @@
+// utils/rectificationValidation.js
+// ✅ Server-side check of the /confirm payload: the plan is rebuilt from upstream data,
+// nothing the browser sends about groups / sessions / credits is trusted.
+
+const { CHANGE_TYPE } = require("./rectificationChanges");
+const { parseTimeRange, rangesOverlap, canonicalDayName, sessionType } = require("./scheduleSolver");
+
+function norm(s) {
+  return String(s || "").replace(/[^A-Z0-9]/gi, "").toUpperCase();
+}
+
+function fmtSession(s) {
+  return `${canonicalDayName(s.day)} ${s.time}`;
+}
+
+// Enrolled rows (one per session) => { KEY: { code, name, group, credits, sessions } }
+function indexEnrolled(currentCourses) {
+  const out = {};
+  (Array.isArray(currentCourses) ? currentCourses : []).forEach((r) => {
+    const key = norm(r.courseCode);
+    if (!key) return;
+    if (!out[key]) {
+      out[key] = {
+        code: r.courseCode,
+        name: r.courseName || "",
+        group: r.groupCode || "",
+        credits: Number(r.credits) || 0,
+        sessions: [],
+      };
+    }
+    out[key].sessions.push({
+      day: canonicalDayName(r.day || ""),
+      time: String(r.hour || r.time || "").trim(),
+      modality: r.modality || "",
+    });
+  });
+  return out;
+}
+
+// flattenAvailable rows => { KEY: { code, name, credits, groups: { GROUPKEY: { group, sessions } } } }
+function indexAvailable(available) {
+  const out = {};
+  (Array.isArray(available) ? available : []).forEach((r) => {
+    const key = norm(r.courseCode);
+    if (!key) return;
+    if (!out[key]) {
+      out[key] = { code: r.courseCode, name: r.courseName || "", credits: Number(r.credits) || 0, groups: {} };
+    }
+    out[key].groups[norm(r.groupCode)] = {
+      group: r.groupCode,
+      sessions: (r.sessions || []).map((s) => ({
+        day: canonicalDayName(s.day || ""),
+        time: [s.start, s.end].filter(Boolean).join("-"),
+        modality: s.modality || "",
+      })),
+    };
+  });
+  return out;
+}
+
+// Same session type as the reference (theory row => theory session), else the first one
+function pickSession(sessions, modality) {
+  const type = sessionType(modality);
+  return sessions.find((s) => sessionType(s.modality) === type) || sessions[0] || {};
+}
+
+function turno(group, s) {
+  return { group: group || "—", day: s.day || "—", time: s.time || "—", modality: s.modality || "—" };
+}
+
+/**
+ * ✅ Validate + rebuild a rectification.
+ * changes: normalizeChanges() output (CHANGE / DROP / ADD, in client order)
+ * currentCourses: enrolled rows from the session
+ * available: flattenAvailable() rows from schedule-available
+ * vacancies: { COURSE: getVacancyMapForCourse().map } (missing course => seats not checked)
+ *
+ * Returns { ok, errors: [{ index, code, group, error, message }], changes, finalCourses }
+ * changes keep the client order and length (admin decisions are per index).
+ */
+function validateRectification({ changes, currentCourses, available, vacancies = {} }) {
+  const enrolled = indexEnrolled(currentCourses);
+  const offered = indexAvailable(available);
+  const list = Array.isArray(changes) ? changes : [];
+
+  const errors = [];
+  const fail = (index, ch, error, message) =>
+    errors.push({ index, code: ch.code || null, group: (ch.to && ch.to.group) || null, error, message });
+
+  // One operation per course (a section change may come once per session row)
+  const ops = {};
+
+  list.forEach((ch, i) => {
+    const key = norm(ch.code);
+    if (!key) return fail(i, ch, "unknown_course", "Falta el código del curso.");
+
+    const group = ch.type === CHANGE_TYPE.DROP ? null : String((ch.to && ch.to.group) || "").trim();
+    const prev = ops[key];
+    if (prev) {
+      if (prev.type !== ch.type || norm(prev.group) !== norm(group)) {
+        fail(i, ch, "conflicting_changes", `Hay más de una operación distinta para el curso ${ch.code}.`);
+      }
+      return;
+    }
+
+    const cur = enrolled[key];
+    if (ch.type !== CHANGE_TYPE.ADD && !cur) {
+      return fail(i, ch, "not_enrolled", `No estás matriculado en el curso ${ch.code}.`);
+    }
+    if (ch.type === CHANGE_TYPE.ADD && cur) {
+      return fail(i, ch, "already_enrolled", `Ya estás matriculado en el curso ${ch.code}.`);
+    }
+
+    if (ch.type !== CHANGE_TYPE.DROP) {
+      const course = offered[key];
+      if (!course) {
+        return fail(i, ch, "unknown_course", `El curso ${ch.code} no está disponible para tu matrícula.`);
+      }
+      const g = course.groups[norm(group)];
+      if (!g) {
+        return fail(i, ch, "unknown_group", `La sección ${group || "—"} no existe para el curso ${ch.code}.`);
+      }
+      if (ch.type === CHANGE_TYPE.CHANGE && norm(group) === norm(cur.group)) {
+        return fail(i, ch, "same_group", `Ya estás matriculado en la sección ${group} de ${ch.code}.`);
+      }
+      const rec = vacancies[course.code] && vacancies[course.code][norm(group)];
+      if (rec && (rec.is_full || Number(rec.vacancies_left) <= 0)) {
+        return fail(i, ch, "group_full", `La sección ${group} de ${ch.code} no tiene vacantes.`);
+      }
+    }
+
+    ops[key] = { type: ch.type, group, index: i };
+  });
+
+  // Rebuild the final timetable: enrolled (minus drops, changes swapped) + adds
+  const final = [];
+  const pushCourse = (key, info, group, sessions, op) =>
+    sessions.forEach((s) => final.push({ key, code: info.code, name: info.name, group, credits: info.credits, op, ...s }));
+
+  Object.entries(enrolled).forEach(([key, cur]) => {
+    const op = ops[key];
+    if (op && op.type === CHANGE_TYPE.DROP) return;
+    if (op && op.type === CHANGE_TYPE.CHANGE) {
+      const g = offered[key].groups[norm(op.group)];
+      return pushCourse(key, cur, g.group, g.sessions, op);
+    }
+    pushCourse(key, cur, cur.group, cur.sessions, null);
+  });
+  Object.entries(ops).forEach(([key, op]) => {
+    if (op.type !== CHANGE_TYPE.ADD) return;
+    const course = offered[key];
+    const g = course.groups[norm(op.group)];
+    pushCourse(key, course, g.group, g.sessions, op);
+  });
+
+  // New sessions may not overlap anything (overlaps the student already has are tolerated)
+  const reported = new Set();
+  final.forEach((a, i) => {
+    final.slice(i + 1).forEach((b) => {
+      if (a.key === b.key || (!a.op && !b.op)) return;
+      if (canonicalDayName(a.day) !== canonicalDayName(b.day)) return;
+      if (!rangesOverlap(parseTimeRange(a.time), parseTimeRange(b.time))) return;
+
+      const [mine, other] = b.op ? [b, a] : [a, b];
+      if (reported.has(mine.key)) return;
+      reported.add(mine.key);
+      fail(mine.op.index, list[mine.op.index], "time_conflict",
+        `${mine.code} (${fmtSession(mine)}) se cruza con ${other.code} (${fmtSession(other)}).`);
+    });
+  });
+
+  if (errors.length) {
+    errors.sort((x, y) => x.index - y.index);
+    return { ok: false, errors, changes: [], finalCourses: [] };
+  }
+
+  const rebuilt = list.map((ch) => {
+    const key = norm(ch.code);
+    const cur = enrolled[key];
+
+    if (ch.type === CHANGE_TYPE.DROP) {
+      const first = cur.sessions[0] || {};
+      return {
+        type: ch.type,
+        code: cur.code,
+        name: cur.name,
+        credits: cur.credits,
+        from: { ...turno(cur.group, first), sessions: cur.sessions },
+      };
+    }
+
+    const course = offered[key];
+    const g = course.groups[norm(ch.to.group)];
+
+    if (ch.type === CHANGE_TYPE.ADD) {
+      return {
+        type: ch.type,
+        code: course.code,
+        name: course.name,
+        credits: course.credits,
+        to: { ...turno(g.group, g.sessions[0] || {}), sessions: g.sessions },
+      };
+    }
+
+    const fromSeg = pickSession(cur.sessions, ch.from && ch.from.modality);
+    const toSeg = pickSession(g.sessions, fromSeg.modality);
+    return {
+      type: ch.type,
+      code: cur.code,
+      name: cur.name,
+      from: turno(cur.group, fromSeg),
+      to: turno(g.group, toSeg),
+    };
+  });
+
+  const finalCourses = final.map(({ code, name, group, day, time, modality, credits }) => ({
+    code,
+    name,
+    group,
+    day,
+    time,
+    modality,
+    credits,
+  }));
+
+  return { ok: true, errors: [], changes: rebuilt, finalCourses };
+}
+
+module.exports = {
+  validateRectification,
+};
@@ -0,0 +1,234 @@
+// utils/rectificationVersions.js
+// ✅ Numbered submissions of one rectification request.
+//
+// rectification_requests  => the current version (one row per student + period, what admins review)
+// rectification_versions  => every /confirm with its own PDF; when an admin unlocks the student,
+//                            the current version is closed with its final status, decisions and the reason
+const store = require("./store");
+const { STATUS, normalizeStatus, historyEntry } = require("./rectificationStatus");
+const { reopenDraft } = require("./drafts");
+
+const DIFF_KIND = {
+  ADDED: "ADDED",
+  REMOVED: "REMOVED",
+  MODIFIED: "MODIFIED",
+};
+
+const DIFF_KIND_LABELS = {
+  ADDED: "Nuevo",
+  REMOVED: "Ya no está",
+  MODIFIED: "Modificado",
+};
+
+function snapshotOf(request) {
+  return {
+    request_id: request.id,
+    period_id: String(request.period_id),
+    student_code: String(request.student_code),
+    version: Number(request.version) || 1,
+    submitted_at: request.submitted_at || null,
+    changes: Array.isArray(request.changes) ? request.changes : [],
+    final_courses: Array.isArray(request.final_courses) ? request.final_courses : [],
+    current_courses: Array.isArray(request.current_courses) ? request.current_courses : [],
+    credits_before: request.credits_before ?? null,
+    credits_after: request.credits_after ?? null,
+    policy_warnings: Array.isArray(request.policy_warnings) ? request.policy_warnings : [],
+    pdf_storage_path: request.pdf_storage_path || null,
+    verification_code: request.verification_code || null,
+    document_hash: request.document_hash || null,
+    document_signature: request.document_signature || null,
+  };
+}
+
+/**
+ * ✅ /confirm: version number + status history of the submission being written.
+ * A resubmission keeps the history of the earlier versions.
+ */
+async function nextSubmission(period_id, student_code, { by, at } = {}) {
+  const previous = await store.rectifications.getByStudent(String(period_id), String(student_code), {
+    fields: ["id", "version", "status_history"],
+  });
+  const version = previous ? (Number(previous.version) || 1) + 1 : 1;
+  const history = Array.isArray(previous?.status_history) ? previous.status_history : [];
+
+  return {
+    version,
+    status_history: [
+      ...history,
+      historyEntry(STATUS.SUBMITTED, { by, at, note: version > 1 ? `Versión ${version}` : null }),
+    ],
+  };
+}
+
+// /confirm: keep the submission (request row as saved) as its numbered version
+async function recordVersion(request) {
+  return store.versions.upsert(snapshotOf(request));
+}
+
+/**
+ * ✅ Versions of a request, oldest first.
+ * Requests submitted before versioning have no stored row => the request itself is version 1.
+ */
+async function listVersions(request) {
+  const rows = await store.versions.list(String(request.period_id), String(request.student_code));
+  return rows.length ? rows : [snapshotOf(request)];
+}
+
+async function getVersion(request, version) {
+  const n = Number(version);
+  if (!Number.isInteger(n) || n < 1) return null;
+  return (await listVersions(request)).find((v) => Number(v.version) === n) || null;
+}
+
+/**
+ * ✅ /verify/:code => the version that PDF belongs to + its request (null when unknown).
+ * replacedBy: code of the regenerated PDF when an admin replaced this one (its own hash is kept).
+ */
+async function findByVerificationCode(code) {
+  if (!code) return null;
+  let version = await store.versions.getByCode(code);
+  let replacedBy = null;
+
+  if (!version) {
+    const replaced = await store.replacedDocuments.getByCode(code);
+    if (!replaced) return null;
+    const base = await store.versions.get(replaced.period_id, replaced.student_code, replaced.version);
+    version = {
+      ...(base || {}),
+      period_id: replaced.period_id,
+      student_code: replaced.student_code,
+      version: replaced.version,
+      verification_code: replaced.verification_code,
+      pdf_storage_path: replaced.pdf_storage_path,
+      document_hash: replaced.document_hash,
+      document_signature: replaced.document_signature,
+    };
+    replacedBy = replaced.replacement_code || null;
+  }
+
+  const request = await store.rectifications.getByStudent(version.period_id, version.student_code, {
+    fields: ["id", "version", "status"],
+  });
+  return { version, request, replacedBy };
+}
+
+/**
+ * ✅ Admin: unlock the student so they can submit a new version.
+ * Returns { ok, version } or { ok: false, error: "reason_required" | "not_found" | "already_unlocked" }
+ */
+async function unlockForResubmission({ request_id, reason, by, now = new Date() }) {
+  const text = String(reason || "").trim();
+  if (!text) return { ok: false, error: "reason_required" };
+
+  const request = await store.rectifications.get(request_id);
+  if (!request) return { ok: false, error: "not_found" };
+  if (normalizeStatus(request.status) === STATUS.REOPENED) return { ok: false, error: "already_unlocked" };
+
+  const at = now.toISOString();
+
+  // Close the current version (legacy requests get their first stored version here)
+  await store.versions.upsert({
+    ...snapshotOf(request),
+    status: normalizeStatus(request.status),
+    decisions: Array.isArray(request.decisions) ? request.decisions : [],
+    admin_message: request.admin_message || null,
+    unlocked_at: at,
+    unlocked_by: by || null,
+    unlock_reason: text,
+  });
+
+  await store.rectifications.update(request.id, {
+    status: STATUS.REOPENED,
+    locked: false,
+    status_history: [
+      ...(Array.isArray(request.status_history) ? request.status_history : []),
+      historyEntry(STATUS.REOPENED, { by, at, note: text }),
+    ],
+  });
+
+  await store.portalState.reopen({
+    period_id: String(request.period_id),
+    student_code: String(request.student_code),
+    message: text,
+  });
+  await reopenDraft(request.period_id, request.student_code);
+
+  return { ok: true, version: Number(request.version) || 1 };
+}
+
+// One signature per course and change type (a CHANGE has one entry per session row)
+function changeKey(ch) {
+  return `${String(ch.type || "CHANGE").toUpperCase()}:${String(ch.code || "").toUpperCase()}`;
+}
+
+function turnoSignature(x = {}) {
+  const sessions = Array.isArray(x.sessions) && x.sessions.length ? x.sessions : [x];
+  return [
+    x.group || x.groupCode || "",
+    ...sessions.map((s) => `${s.day || ""} ${s.time || s.hour || ""} ${s.modality || ""}`),
+  ].join("|");
+}
+
+function groupChanges(changes) {
+  const out = new Map();
+  (Array.isArray(changes) ? changes : []).forEach((ch) => {
+    const key = changeKey(ch);
+    if (!out.has(key)) out.set(key, []);
+    out.get(key).push(ch);
+  });
+  return out;
+}
+
+const signatureOf = (list) =>
+  list
+    .map((ch) => `${turnoSignature(ch.from || {})}>${turnoSignature(ch.to || {})}`)
+    .sort()
+    .join("||");
+
+/**
+ * ✅ What changed between two versions (by course and change type).
+ * Returns { items: [{ kind, type, code, name, before: [changes], after: [changes] }], credits: { before, after } }
+ */
+function diffVersions(previous, next) {
+  const a = groupChanges(previous?.changes);
+  const b = groupChanges(next?.changes);
+  const items = [];
+
+  const item = (kind, key, before, after) => {
+    const sample = after[0] || before[0];
+    items.push({
+      kind,
+      type: key.split(":")[0],
+      code: sample.code || null,
+      name: sample.name || null,
+      before,
+      after,
+    });
+  };
+
+  a.forEach((before, key) => {
+    if (!b.has(key)) return item(DIFF_KIND.REMOVED, key, before, []);
+    const after = b.get(key);
+    if (signatureOf(before) !== signatureOf(after)) item(DIFF_KIND.MODIFIED, key, before, after);
+  });
+  b.forEach((after, key) => {
+    if (!a.has(key)) item(DIFF_KIND.ADDED, key, [], after);
+  });
+
+  return {
+    items,
+    credits: { before: previous?.credits_after ?? null, after: next?.credits_after ?? null },
+  };
+}
+
+module.exports = {
+  DIFF_KIND,
+  DIFF_KIND_LABELS,
+  nextSubmission,
+  recordVersion,
+  listVersions,
+  getVersion,
+  findByVerificationCode,
+  unlockForResubmission,
+  diffVersions,
+};
@@ -0,0 +1,180 @@
+// utils/rectificationWindows.js
+// ✅ Rectification windows (opening / closing date-times per period), managed from /admin/windows.
+//
+// General window => period + optional faculty (name or code) + optional modality (the student's mode).
+//                   Only the most specific matching windows apply (faculty + modality > faculty > modality > all).
+// Extension      => period + student_code: opens the portal for that student only (on top of the general window).
+// No window for the period => the portal stays open (the period registry remains the only gate).
+const store = require("./store");
+
+const WINDOW_STATE = {
+  OPEN: "OPEN",
+  NOT_OPEN_YET: "NOT_OPEN_YET",
+  CLOSED: "CLOSED",
+  NOT_CONFIGURED: "NOT_CONFIGURED",
+};
+
+const WINDOW_STATE_LABELS = {
+  OPEN: "Abierta",
+  NOT_OPEN_YET: "Programada",
+  CLOSED: "Cerrada",
+};
+
+function stripAcc(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+function normText(s) {
+  return stripAcc(s).toUpperCase().replace(/\s+/g, " ").trim();
+}
+
+const ms = (iso) => new Date(iso).getTime();
+
+function matchesScope(w, { faculty = [], modality = "" }) {
+  const faculties = (Array.isArray(faculty) ? faculty : [faculty]).filter(Boolean);
+  if (w.faculty && !faculties.some((f) => normText(f) === normText(w.faculty))) return false;
+  if (w.modality && normText(w.modality) !== normText(modality)) return false;
+  return true;
+}
+
+const specificity = (w) => (w.faculty ? 2 : 0) + (w.modality ? 1 : 0);
+
+// State of one window row (admin list)
+function windowState(w, now = new Date()) {
+  const t = now.getTime();
+  if (t < ms(w.opens_at)) return WINDOW_STATE.NOT_OPEN_YET;
+  if (t >= ms(w.closes_at)) return WINDOW_STATE.CLOSED;
+  return WINDOW_STATE.OPEN;
+}
+
+/**
+ * ✅ Which window applies to a student, and whether it is open now.
+ * student: { student_code, faculty: [facultyName, facultyCode], modality }
+ * Returns { open, state, window, opensAt, closesAt }
+ */
+function evaluateWindow(windows, { student_code = "", faculty = [], modality = "", now = new Date() } = {}) {
+  const rows = Array.isArray(windows) ? windows : [];
+
+  const general = rows.filter((w) => !w.student_code && matchesScope(w, { faculty, modality }));
+  const top = Math.max(-1, ...general.map(specificity));
+  const extensions = rows.filter((w) => w.student_code && String(w.student_code) === String(student_code));
+  const candidates = [...general.filter((w) => specificity(w) === top), ...extensions];
+
+  const result = (state, w) => ({
+    open: state === WINDOW_STATE.OPEN || state === WINDOW_STATE.NOT_CONFIGURED,
+    state,
+    window: w || null,
+    opensAt: w ? w.opens_at : null,
+    closesAt: w ? w.closes_at : null,
+  });
+
+  if (!candidates.length) return result(WINDOW_STATE.NOT_CONFIGURED, null);
+
+  const byState = (state) => candidates.filter((w) => windowState(w, now) === state);
+
+  // Open => the one closing last; not open yet => the next one to open; otherwise the last one to close
+  const open = byState(WINDOW_STATE.OPEN).sort((a, b) => ms(b.closes_at) - ms(a.closes_at));
+  if (open.length) return result(WINDOW_STATE.OPEN, open[0]);
+
+  const upcoming = byState(WINDOW_STATE.NOT_OPEN_YET).sort((a, b) => ms(a.opens_at) - ms(b.opens_at));
+  if (upcoming.length) return result(WINDOW_STATE.NOT_OPEN_YET, upcoming[0]);
+
+  const closed = candidates.sort((a, b) => ms(b.closes_at) - ms(a.closes_at));
+  return result(WINDOW_STATE.CLOSED, closed[0]);
+}
+
+// 2 d 3 h / 3 h 12 min / 12 min
+function formatCountdown(msLeft) {
+  const mins = Math.max(0, Math.ceil(msLeft / 60000));
+  if (mins < 1) return "menos de 1 min";
+  const d = Math.floor(mins / 1440);
+  const h = Math.floor((mins % 1440) / 60);
+  const m = mins % 60;
+  if (d) return `${d} d ${h} h`;
+  if (h) return `${h} h ${m} min`;
+  return `${m} min`;
+}
+
+function formatLima(iso) {
+  return new Date(iso).toLocaleString("es-PE", {
+    timeZone: "America/Lima",
+    hour12: false,
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+}
+
+// Student-facing message when the window is not open (null otherwise)
+function windowMessage(result, now = new Date()) {
+  if (!result || result.open) return null;
+  if (result.state === WINDOW_STATE.NOT_OPEN_YET) {
+    return `La rectificación aún no está habilitada. Abre el ${formatLima(result.opensAt)} (faltan ${formatCountdown(ms(result.opensAt) - now.getTime())}).`;
+  }
+  return `El plazo de rectificación cerró el ${formatLima(result.closesAt)}. Si necesitas una ampliación, comunícate con tu coordinación.`;
+}
+
+/**
+ * ✅ Window check for a student (login / confirm).
+ * Returns evaluateWindow() + { message }
+ */
+async function checkWindow({ period_id, student_code, faculty = [], modality = "", now = new Date() }) {
+  const windows = await store.windows.list({ period_id: String(period_id) });
+  const result = evaluateWindow(windows, { student_code, faculty, modality, now });
+  return { ...result, message: windowMessage(result, now) };
+}
+
+// "2026-03-02T08:00" (datetime-local, Lima time) => ISO (null when invalid)
+function limaDateTimeToIso(value) {
+  const v = String(value || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(v)) return null;
+  const d = new Date(`${v}:00-05:00`);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// ISO => "2026-03-02T08:00" (Lima) for datetime-local inputs
+function isoToLimaDateTime(iso) {
+  if (!iso) return "";
+  const d = new Date(ms(iso) - 5 * 60 * 60 * 1000);
+  return d.toISOString().slice(0, 16);
+}
+
+/**
+ * ✅ Admin form => row (or { error })
+ * body: { period_id, faculty, modality, student_code, opens_at, closes_at, note }
+ */
+function parseWindowInput(body = {}) {
+  const period_id = String(body.period_id || "").replace(/[^0-9]/g, "");
+  const opens_at = limaDateTimeToIso(body.opens_at);
+  const closes_at = limaDateTimeToIso(body.closes_at);
+
+  if (!period_id) return { error: "Indica el periodo (por ejemplo 20261)." };
+  if (!opens_at || !closes_at) return { error: "Indica la fecha y hora de apertura y de cierre." };
+  if (ms(closes_at) <= ms(opens_at)) return { error: "El cierre debe ser posterior a la apertura." };
+
+  return {
+    row: {
+      period_id,
+      faculty: String(body.faculty || "").trim() || null,
+      modality: normText(body.modality) || null,
+      student_code: String(body.student_code || "").replace(/[^0-9A-Za-z]/g, "") || null,
+      opens_at,
+      closes_at,
+      note: String(body.note || "").trim() || null,
+    },
+  };
+}
+
+module.exports = {
+  WINDOW_STATE,
+  WINDOW_STATE_LABELS,
+  windowState,
+  evaluateWindow,
+  formatCountdown,
+  windowMessage,
+  checkWindow,
+  limaDateTimeToIso,
+  isoToLimaDateTime,
+  parseWindowInput,
+};
@@ -0,0 +1,91 @@
+// utils/schedulePreferences.js
+// ✅ Student preferences for /ai-local (modal in index.ejs) => one normalized model + weights.
+
+const TIME_PREFERENCES = ["no-preference", "morning", "afternoon", "evening"];
+
+// Accept the Spanish values too (old clients / /ai-suggest)
+const TIME_ALIASES = {
+  manana: "morning",
+  mañana: "morning",
+  tarde: "afternoon",
+  noche: "evening",
+  none: "no-preference",
+  any: "no-preference",
+};
+
+// Session start => band (minutes from 00:00)
+const TIME_BANDS = {
+  morning: { from: 0, to: 12 * 60 },
+  afternoon: { from: 12 * 60, to: 18 * 60 },
+  evening: { from: 18 * 60, to: 24 * 60 },
+};
+
+/**
+ * Penalty per unit. A free-day violation stays far above the rest.
+ * freeDay: per course on a free day | change: per section change
+ * timeOfDay: per session outside the band | gap: per gap >= maxGapHours
+ * campusDay: per day with on-campus sessions | dailyLoad: per hour above maxHoursPerDay
+ */
+const DEFAULT_WEIGHTS = {
+  freeDay: 100,
+  change: 2,
+  timeOfDay: 4,
+  gap: 6,
+  campusDay: 5,
+  dailyLoad: 3,
+};
+
+function toPositiveNumber(v, max) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return Math.min(n, max);
+}
+
+function normalizeTimePreference(v) {
+  const k = String(v || "").trim().toLowerCase();
+  if (TIME_PREFERENCES.includes(k)) return k;
+  return TIME_ALIASES[k] || "no-preference";
+}
+
+/**
+ * ✅ raw: req.body.preferences (or req.body) from the modal.
+ * Returns { freeDays, timePreference, maxGapHours, fewerCampusDays, maxHoursPerDay, keepChangesLow, weights }
+ */
+function normalizePreferences(raw = {}) {
+  const r = raw || {};
+
+  const weights = { ...DEFAULT_WEIGHTS };
+  Object.keys(DEFAULT_WEIGHTS).forEach((k) => {
+    const w = Number(r.weights && r.weights[k]);
+    if (Number.isFinite(w) && w >= 0) weights[k] = Math.min(w, 1000);
+  });
+
+  return {
+    freeDays: Array.isArray(r.freeDays) ? r.freeDays.map(String).filter(Boolean) : [],
+    timePreference: normalizeTimePreference(r.timePreference),
+    maxGapHours: toPositiveNumber(r.maxGapHours, 12),
+    fewerCampusDays: r.fewerCampusDays === true || r.fewerCampusDays === "true",
+    maxHoursPerDay: toPositiveNumber(r.maxHoursPerDay, 24),
+    keepChangesLow: r.keepChangesLow !== false,
+    weights,
+  };
+}
+
+// Anything to optimize besides keeping the current timetable?
+function hasPreferences(p) {
+  return !!(
+    p.freeDays.length ||
+    p.timePreference !== "no-preference" ||
+    p.maxGapHours ||
+    p.fewerCampusDays ||
+    p.maxHoursPerDay
+  );
+}
+
+module.exports = {
+  TIME_PREFERENCES,
+  TIME_BANDS,
+  DEFAULT_WEIGHTS,
+  normalizePreferences,
+  hasPreferences,
+};
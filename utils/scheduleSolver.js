@@ -0,0 +1,462 @@
+// utils/scheduleSolver.js
+// ✅ Timetable search for /ai-local (branch-and-bound over every candidate group).
+//
+// Hard rules:
+//   - no overlapping sessions (two groups the student already has may overlap: they are kept as-is)
+//   - a NEW group must have vacancies
+//   - theory/lab pairing: if the course has theory and lab sessions, a new group must have both
+// Objective: weighted sum (utils/schedulePreferences.js DEFAULT_WEIGHTS) of courses on a free day,
+// section changes, sessions outside the preferred time band, long gaps, campus days and
+// hours above the daily cap.
+const { normalizePreferences, TIME_BANDS } = require("./schedulePreferences");
+
+const DEFAULT_MAX_NODES = 200000;
+
+function stripAcc(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+function dayKey(d) {
+  return stripAcc(d).toLowerCase().trim();
+}
+
+function canonicalDayName(s) {
+  const map = {
+    lunes: "Lunes",
+    martes: "Martes",
+    miercoles: "Miércoles",
+    jueves: "Jueves",
+    viernes: "Viernes",
+    sabado: "Sábado",
+    domingo: "Domingo",
+  };
+  return map[dayKey(s)] || (s || "—");
+}
+
+function parseTimeRange(range) {
+  const m = String(range || "").match(/(\d{1,2}):(\d{2}).*?(\d{1,2}):(\d{2})/);
+  if (!m) return null;
+  const a = +m[1] * 60 + +m[2];
+  const b = +m[3] * 60 + +m[4];
+  return a <= b ? { start: a, end: b } : { start: b, end: a };
+}
+
+// "T" theory (virtual / presencial), "L" lab, "O" other
+function sessionType(modality) {
+  const t = stripAcc(String(modality || "").toUpperCase());
+  if (t.includes("LAB")) return "L";
+  if (t.includes("TEOR") || t.includes("VIRT") || t.includes("TEV") || t.includes("PRE")) return "T";
+  return "O";
+}
+
+// Virtual theory is taken from home; everything else needs the campus
+function isOnCampus(modality) {
+  const t = stripAcc(String(modality || "").toUpperCase());
+  return !(t.includes("VIRT") || t.includes("TEV"));
+}
+
+function slotsOf(segments) {
+  return (segments || [])
+    .map((s) => {
+      const rng = parseTimeRange(s.time);
+      if (!rng) return null;
+      return { day: dayKey(s.day), start: rng.start, end: rng.end, campus: isOnCampus(s.modality) };
+    })
+    .filter(Boolean);
+}
+
+function rangesOverlap(a, b) {
+  return !!(a && b) && a.start < b.end && b.start < a.end;
+}
+
+function slotsOverlap(a, b) {
+  return a.some((x) => b.some((y) => x.day === y.day && rangesOverlap(x, y)));
+}
+
+function signature(segments) {
+  return (segments || [])
+    .map((s) => `${dayKey(s.day)}|${String(s.time || "").replace(/\s+/g, "")}`)
+    .sort()
+    .join(";");
+}
+
+/**
+ * ✅ Per-day numbers of a (partial) timetable: campus days, hours above the cap, long gaps.
+ * Campus days and overload only grow as courses are added => safe for pruning; gaps do not.
+ */
+function timetableMetrics(cands, prefs, { withGaps = true } = {}) {
+  const byDay = {};
+  cands.forEach((c) => {
+    if (!c) return;
+    c.slots.forEach((slot) => {
+      if (!byDay[slot.day]) byDay[slot.day] = [];
+      byDay[slot.day].push(slot);
+    });
+  });
+
+  let campusDays = 0;
+  let overloadHours = 0;
+  let longGaps = 0;
+
+  Object.values(byDay).forEach((slots) => {
+    if (slots.some((x) => x.campus)) campusDays++;
+
+    if (prefs.maxHoursPerDay) {
+      const minutes = slots.reduce((acc, x) => acc + (x.end - x.start), 0);
+      const over = minutes - prefs.maxHoursPerDay * 60;
+      if (over > 0) overloadHours += Math.ceil(over / 60);
+    }
+
+    if (withGaps && prefs.maxGapHours && slots.length > 1) {
+      const sorted = slots.slice().sort((a, b) => a.start - b.start);
+      let lastEnd = sorted[0].end;
+      sorted.slice(1).forEach((x) => {
+        if (x.start - lastEnd >= prefs.maxGapHours * 60) longGaps++;
+        lastEnd = Math.max(lastEnd, x.end);
+      });
+    }
+  });
+
+  return { campusDays, overloadHours, longGaps };
+}
+
+function metricsCost(m, prefs) {
+  const w = prefs.weights;
+  return (
+    (prefs.fewerCampusDays ? w.campusDay * m.campusDays : 0) +
+    (prefs.maxHoursPerDay ? w.dailyLoad * m.overloadHours : 0) +
+    (prefs.maxGapHours ? w.gap * m.longGaps : 0)
+  );
+}
+
+// Sessions starting outside the preferred band
+function offBandCount(slots, timePreference) {
+  const band = TIME_BANDS[timePreference];
+  if (!band) return 0;
+  return slots.filter((x) => x.start < band.from || x.start >= band.to).length;
+}
+
+/**
+ * ✅ Candidates per course: the current group first, then eligible alternatives.
+ * Returns { code, name, current, candidates, skippedFull, alternatives }.
+ */
+function buildCandidates(course, prefs, freeDayKeys) {
+  const current = {
+    group: course.currentGroup,
+    segments: course.currentSegments || [],
+    isCurrent: true,
+  };
+  const curSig = signature(current.segments);
+
+  const all = (course.groups || []).filter((g) => g && g.group);
+  const types = new Set();
+  all.forEach((g) => (g.segments || []).forEach((s) => types.add(sessionType(s.modality))));
+  current.segments.forEach((s) => types.add(sessionType(s.modality)));
+  const requirePair = types.has("T") && types.has("L");
+
+  const skippedFull = [];
+  const alternatives = [];
+  all.forEach((g) => {
+    if (String(g.group) === String(course.currentGroup)) return;
+    if (requirePair) {
+      const t = new Set((g.segments || []).map((s) => sessionType(s.modality)));
+      if (!(t.has("T") && t.has("L"))) return;
+    }
+    if (g.full) {
+      skippedFull.push(g.group);
+      return;
+    }
+    alternatives.push({ group: g.group, segments: g.segments || [], isCurrent: false });
+  });
+
+  // Same days/times as the current group => pointless change
+  const distinct = alternatives.filter((g) => signature(g.segments) !== curSig);
+  const w = prefs.weights;
+  const candidates = [current, ...distinct].map((c) => {
+    const slots = slotsOf(c.segments);
+    const onFreeDay = c.segments.some((s) => freeDayKeys.has(dayKey(s.day)));
+    const offBand = offBandCount(slots, prefs.timePreference);
+    const changed = !c.isCurrent && prefs.keepChangesLow;
+
+    return {
+      ...c,
+      slots,
+      onFreeDay,
+      offBand,
+      // Part of the score that depends on this course alone
+      ownCost: (onFreeDay ? w.freeDay : 0) + (changed ? w.change : 0) + offBand * w.timeOfDay,
+    };
+  });
+
+  // Cheapest first so the first complete plan is already a good bound
+  candidates.sort((a, b) => a.ownCost - b.ownCost || Number(b.isCurrent) - Number(a.isCurrent));
+
+  return {
+    code: course.code,
+    name: course.name || "",
+    current,
+    candidates,
+    skippedFull,
+    alternatives,
+  };
+}
+
+// "HH:MM" from minutes
+function fmtMinutes(m) {
+  const h = Math.floor(m / 60);
+  return `${String(h).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+}
+
+// Idle hours between sessions of the same day, summed over the week
+function gapHoursOf(picks) {
+  const byDay = {};
+  picks.forEach((c) =>
+    c.slots.forEach((slot) => {
+      if (!byDay[slot.day]) byDay[slot.day] = [];
+      byDay[slot.day].push(slot);
+    })
+  );
+
+  let minutes = 0;
+  Object.values(byDay).forEach((slots) => {
+    const sorted = slots.slice().sort((a, b) => a.start - b.start);
+    let lastEnd = sorted[0].end;
+    sorted.slice(1).forEach((x) => {
+      if (x.start > lastEnd) minutes += x.start - lastEnd;
+      lastEnd = Math.max(lastEnd, x.end);
+    });
+  });
+  return Math.round((minutes / 60) * 10) / 10;
+}
+
+/**
+ * ✅ One plan in the /ai-local shape + its score breakdown.
+ */
+function describePlan(items, picks, prefs) {
+  const assignment = {};
+  const changes = [];
+  const finalCourses = [];
+  const unsatisfied = [];
+  const blocked = [];
+
+  items.forEach((it, i) => {
+    const pick = picks[i];
+    assignment[it.code] = pick.group;
+
+    pick.segments.forEach((seg) => {
+      finalCourses.push({
+        code: it.code,
+        name: it.name,
+        group: pick.group,
+        day: seg.day,
+        time: seg.time,
+        modality: seg.modality,
+      });
+    });
+
+    if (!pick.isCurrent) {
+      const beforeSeg = it.current.segments[0] || {};
+      const afterSeg = pick.segments[0] || {};
+      changes.push({
+        code: it.code,
+        name: it.name,
+        from: {
+          group: it.current.group || "—",
+          day: canonicalDayName(beforeSeg.day || "—"),
+          time: beforeSeg.time || "—",
+          modality: beforeSeg.modality || "—",
+        },
+        to: {
+          group: pick.group || "—",
+          day: canonicalDayName(afterSeg.day || "—"),
+          time: afterSeg.time || "—",
+          modality: afterSeg.modality || "—",
+        },
+      });
+    }
+
+    if (pick.onFreeDay) {
+      const reason = blockedReason(it);
+      unsatisfied.push(
+        `${it.code} - ${it.name}${reason.reason === "SIN_VACANTES" ? " (sin vacantes)" : ""}`
+      );
+      blocked.push({ code: it.code, name: it.name, ...reason });
+    }
+  });
+
+  const metrics = timetableMetrics(picks, prefs);
+  const busyDays = new Set();
+  picks.forEach((c) => c.segments.forEach((seg) => busyDays.add(dayKey(seg.day))));
+  const starts = picks.flatMap((c) => c.slots.map((x) => x.start));
+
+  return {
+    assignment,
+    changes,
+    finalCourses,
+    unsatisfied,
+    blocked,
+    breakdown: {
+      score: picks.reduce((acc, c) => acc + c.ownCost, 0) + metricsCost(metrics, prefs),
+      changes: changes.length,
+      freeDaysRequested: prefs.freeDays.length,
+      freeDaysAchieved: prefs.freeDays
+        .filter((d) => !busyDays.has(dayKey(d)))
+        .map(canonicalDayName),
+      gapHours: gapHoursOf(picks),
+      earliestStart: starts.length ? fmtMinutes(Math.min(...starts)) : null,
+      offBandSessions: picks.reduce((acc, c) => acc + c.offBand, 0),
+      ...metrics,
+    },
+  };
+}
+
+/**
+ * ✅ Solve.
+ * courses: [{ code, name, currentGroup, currentSegments: [{day,time,modality}],
+ *             groups: [{ group, segments: [{day,time,modality}], full }] }]
+ * preferences: raw or normalized (see normalizePreferences), e.g. { freeDays: ["Lunes"],
+ *   timePreference: "morning", maxGapHours: 3, fewerCampusDays: true, maxHoursPerDay: 6 }
+ * options: { maxNodes, maxPlans } (maxPlans: how many distinct timetables to rank)
+ *
+ * Returns the best plan in the /ai-local shape plus the ranking:
+ * { assignment, changes, finalCourses, unsatisfied, blocked, skippedFullGroups, plans, stats }
+ */
+function solveSchedule(courses, preferences = {}, { maxNodes = DEFAULT_MAX_NODES, maxPlans = 1 } = {}) {
+  const prefs = normalizePreferences(preferences);
+  const freeDayKeys = new Set(prefs.freeDays.map(dayKey).filter(Boolean));
+  const items = (courses || []).map((c) => buildCandidates(c, prefs, freeDayKeys));
+  const costOf = (cand) => cand.ownCost;
+  const keep = Math.max(1, Math.floor(maxPlans) || 1);
+
+  // Most constrained course first (fewest candidates)
+  const order = items
+    .map((_, i) => i)
+    .sort((a, b) => items[a].candidates.length - items[b].candidates.length);
+
+  // Lower bound of the remaining courses (ignores conflicts => admissible)
+  const minCost = items.map((it) => Math.min(...it.candidates.map(costOf)));
+  const restBound = new Array(order.length + 1).fill(0);
+  for (let k = order.length - 1; k >= 0; k--) restBound[k] = restBound[k + 1] + minCost[order[k]];
+
+  const chosen = new Array(items.length).fill(null);
+  const top = []; // [{ cost, key, picks }] sorted by cost
+  let nodes = 0;
+  let complete = true;
+
+  const threshold = () => (top.length < keep ? Infinity : top[top.length - 1].cost);
+
+  // Same days/times for every course => same timetable (e.g. twin sections)
+  const planKey = (picks) =>
+    picks.map((c, i) => `${items[i].code}:${signature(c.segments)}`).join("|");
+
+  function remember(cost) {
+    const picks = chosen.slice();
+    const key = planKey(picks);
+    const twin = top.findIndex((p) => p.key === key);
+    if (twin >= 0) {
+      if (top[twin].cost <= cost) return;
+      top.splice(twin, 1);
+    }
+    top.push({ cost, key, picks });
+    top.sort((a, b) => a.cost - b.cost);
+    if (top.length > keep) top.pop();
+  }
+
+  function clashes(idx, cand) {
+    for (let j = 0; j < items.length; j++) {
+      const other = chosen[j];
+      if (!other || j === idx) continue;
+      // Two groups the student already has: not our conflict to solve
+      if (other.isCurrent && cand.isCurrent) continue;
+      if (slotsOverlap(cand.slots, other.slots)) return true;
+    }
+    return false;
+  }
+
+  function search(k, cost) {
+    if (nodes >= maxNodes) {
+      complete = false;
+      return;
+    }
+    nodes++;
+
+    const done = k === order.length;
+    const total = cost + metricsCost(timetableMetrics(chosen, prefs, { withGaps: done }), prefs);
+    if (total + restBound[k] >= threshold()) return;
+    if (done) {
+      remember(total);
+      return;
+    }
+
+    const idx = order[k];
+    for (const cand of items[idx].candidates) {
+      if (clashes(idx, cand)) continue;
+      chosen[idx] = cand;
+      search(k + 1, cost + costOf(cand));
+      chosen[idx] = null;
+      if (threshold() === 0) return;
+    }
+  }
+
+  search(0, 0);
+
+  // Current timetable always works (current groups never clash with each other)
+  if (!top.length) {
+    top.push({ picks: items.map((it) => it.candidates.find((c) => c.isCurrent)) });
+  }
+
+  const plans = top.map((p, i) => ({
+    rank: i + 1,
+    ...describePlan(items, p.picks, prefs),
+  }));
+  const best = plans[0];
+
+  const skippedFullGroups = [];
+  items.forEach((it) => it.skippedFull.forEach((g) => skippedFullGroups.push(`${it.code}:${g}`)));
+
+  return {
+    assignment: best.assignment,
+    changes: best.changes,
+    finalCourses: best.finalCourses,
+    unsatisfied: best.unsatisfied,
+    blocked: best.blocked,
+    skippedFullGroups,
+    plans,
+    stats: {
+      nodes,
+      complete,
+      score: best.breakdown.score,
+      freeDayViolations: best.blocked.length,
+      changeCount: best.changes.length,
+      offBandSessions: best.breakdown.offBandSessions,
+      campusDays: best.breakdown.campusDays,
+      overloadHours: best.breakdown.overloadHours,
+      longGaps: best.breakdown.longGaps,
+    },
+  };
+}
+
+// Why a course could not leave the free day
+function blockedReason(it) {
+  const freeOptions = it.candidates.filter((c) => !c.isCurrent && !c.onFreeDay);
+  if (freeOptions.length) {
+    return {
+      reason: "CONFLICTO",
+      detail: "Los turnos alternativos generan conflicto con el horario actual.",
+    };
+  }
+  if (!it.alternatives.length && it.skippedFull.length) {
+    return { reason: "SIN_VACANTES", detail: "Todos los turnos alternativos están llenos." };
+  }
+  return { reason: "DIA_LIBRE", detail: "No hay turnos que eviten el día seleccionado." };
+}
+
+module.exports = {
+  solveSchedule,
+  sessionType,
+  parseTimeRange,
+  rangesOverlap,
+  canonicalDayName,
+};
@@ -0,0 +1,166 @@
+// utils/seatHolds.js
+// ✅ Seat-hold ledger: upstream vacancies_left knows nothing about pending rectifications.
+//
+// HOLD     => the student picked a section (previewReplace / "Agregar curso"); expires after SEAT_HOLD_MINUTES
+// RESERVED => /confirm turned the hold into a seat for the submitted request; released when the admin decides
+//
+// /available, /course-number-enrolled and the /confirm checks subtract other students' holds + reservations.
+const store = require("./store");
+const { CHANGE_TYPE } = require("./rectificationChanges");
+
+const HOLD_STATUS = {
+  HOLD: "HOLD",
+  RESERVED: "RESERVED",
+};
+
+const DEFAULT_HOLD_MINUTES = 10;
+
+function holdMinutes() {
+  const n = Number(process.env.SEAT_HOLD_MINUTES);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_HOLD_MINUTES;
+}
+
+function seatKey(s) {
+  return String(s || "").replace(/[^A-Z0-9]/gi, "").toUpperCase();
+}
+
+function isActive(row, now = new Date()) {
+  if (row.status === HOLD_STATUS.RESERVED) return true;
+  return row.status === HOLD_STATUS.HOLD && !!row.expires_at && new Date(row.expires_at) > now;
+}
+
+/**
+ * ✅ Hold one seat (one per student + course: a new pick moves the hold).
+ * until: explicit expiry (waitlist offers); a later expiry on the same group is never shortened.
+ * minutes: hold length for this period (null => SEAT_HOLD_MINUTES)
+ * Returns the stored row ({ course_code, group_code, expires_at, ... })
+ */
+async function holdSeat({ period_id, student_code, course_code, group_code, until = null, minutes = null, now = new Date() }) {
+  const length = Number(minutes) > 0 ? Number(minutes) : holdMinutes();
+  let expires = until ? new Date(until) : new Date(now.getTime() + length * 60 * 1000);
+
+  const [current] = await store.seatHolds.list({
+    period_id: String(period_id),
+    student_code: String(student_code),
+    course_code: seatKey(course_code),
+  });
+  if (
+    current &&
+    current.status === HOLD_STATUS.HOLD &&
+    current.group_code === seatKey(group_code) &&
+    new Date(current.expires_at) > expires
+  ) {
+    expires = new Date(current.expires_at);
+  }
+
+  return store.seatHolds.upsert({
+    period_id: String(period_id),
+    student_code: String(student_code),
+    course_code: seatKey(course_code),
+    group_code: seatKey(group_code),
+    status: HOLD_STATUS.HOLD,
+    expires_at: expires.toISOString(),
+  });
+}
+
+// course_code missing => every hold of the student (reset / logout)
+async function releaseHolds({ period_id, student_code, course_code }) {
+  await store.seatHolds.remove({
+    period_id: String(period_id || ""),
+    student_code: String(student_code || ""),
+    course_code: course_code ? seatKey(course_code) : undefined,
+    status: HOLD_STATUS.HOLD,
+  });
+}
+
+/**
+ * ✅ /confirm: the request's new sections (CHANGE / ADD) become reserved seats,
+ * any other hold of the student is dropped.
+ */
+async function reserveSeats({ period_id, student_code, changes }) {
+  await releaseHolds({ period_id, student_code });
+
+  const seats = {};
+  (Array.isArray(changes) ? changes : []).forEach((ch) => {
+    if (ch.type === CHANGE_TYPE.DROP || !ch.to || !ch.to.group) return;
+    seats[seatKey(ch.code)] = seatKey(ch.to.group);
+  });
+
+  for (const [course_code, group_code] of Object.entries(seats)) {
+    await store.seatHolds.upsert({
+      period_id: String(period_id),
+      student_code: String(student_code),
+      course_code,
+      group_code,
+      status: HOLD_STATUS.RESERVED,
+      expires_at: null,
+    });
+  }
+}
+
+// Admin decision => the request no longer needs its seats (approved ones are enrolled upstream)
+async function releaseReservations({ period_id, student_code }) {
+  await store.seatHolds.remove({
+    period_id: String(period_id || ""),
+    student_code: String(student_code || ""),
+    status: HOLD_STATUS.RESERVED,
+  });
+}
+
+/**
+ * ✅ Active holds + reservations per group of one course.
+ * exceptStudent: the student's own holds never block them.
+ * Returns { GROUPKEY: count }
+ */
+async function heldByGroup({ period_id, course_code, exceptStudent = null, now = new Date() }) {
+  const rows = await store.seatHolds.list({ period_id: String(period_id), course_code: seatKey(course_code) });
+  const out = {};
+  rows
+    .filter((r) => isActive(r, now))
+    .filter((r) => !exceptStudent || String(r.student_code) !== String(exceptStudent))
+    .forEach((r) => {
+      out[r.group_code] = (out[r.group_code] || 0) + 1;
+    });
+  return out;
+}
+
+/**
+ * ✅ Subtract held seats from normalizeCourseNumberRows() rows (mutates + returns them).
+ * Adds held_seats to every row.
+ */
+function applyHolds(rows, held) {
+  (Array.isArray(rows) ? rows : []).forEach((r) => {
+    const n = (held && held[seatKey(r.groupCode)]) || 0;
+    r.held_seats = n;
+    if (!n) return;
+    r.vacancies_left = Math.max(0, Number(r.vacancies_left || 0) - n);
+    r.is_full = r.vacancies_left <= 0;
+  });
+  return rows;
+}
+
+async function releaseExpiredHolds(now = new Date()) {
+  await store.seatHolds.removeExpired(HOLD_STATUS.HOLD, now.toISOString());
+}
+
+// Periodic cleanup (expired holds are already ignored by heldByGroup)
+function startHoldSweeper(intervalMs = 60 * 1000) {
+  const timer = setInterval(() => {
+    releaseExpiredHolds().catch((e) => console.warn("Seat hold sweep failed:", e.message));
+  }, intervalMs);
+  if (timer.unref) timer.unref();
+  return timer;
+}
+
+module.exports = {
+  HOLD_STATUS,
+  holdMinutes,
+  holdSeat,
+  releaseHolds,
+  reserveSeats,
+  releaseReservations,
+  heldByGroup,
+  applyHolds,
+  releaseExpiredHolds,
+  startHoldSweeper,
+};
@@ -0,0 +1,466 @@
+// utils/store/index.js
+// ✅ One repository interface for the portal tables.
+// Driver: STORE_DRIVER=supabase | local (default: supabase when SUPABASE_URL is set).
+const path = require("path");
+const { createSupabaseDriver } = require("./supabaseDriver");
+const { createLocalDriver } = require("./localDriver");
+
+let driver = null;
+
+function createDriverFromEnv() {
+  const name = String(
+    process.env.STORE_DRIVER || (process.env.SUPABASE_URL ? "supabase" : "local")
+  ).toLowerCase();
+
+  if (name === "local") {
+    const dir = process.env.LOCAL_STORE_DIR
+      ? path.resolve(process.env.LOCAL_STORE_DIR)
+      : undefined;
+    return createLocalDriver(dir ? { dir } : {});
+  }
+  if (name === "supabase") return createSupabaseDriver();
+
+  throw new Error(`Unknown STORE_DRIVER "${name}" (use "supabase" or "local")`);
+}
+
+function getDriver() {
+  if (!driver) driver = createDriverFromEnv();
+  return driver;
+}
+
+// Tests (or scripts) can plug a driver explicitly
+function setDriver(d) {
+  driver = d;
+}
+
+const db = () => getDriver();
+
+// --------------------
+// portal_state
+// --------------------
+const portalState = {
+  async get(period_id, student_code) {
+    return db().selectOne(
+      "portal_state",
+      { period_id, student_code },
+      { fields: ["status", "message", "final_data"] }
+    );
+  },
+
+  // ❌ do NOT send first_login_at here (avoid overwriting on every login)
+  async upsert({ period_id, student_code, boleta_number, dni_last4 }) {
+    await db().upsert(
+      "portal_state",
+      {
+        period_id,
+        student_code,
+        boleta_number: boleta_number || null,
+        dni_last4: dni_last4 || null,
+      },
+      { onConflict: ["period_id", "student_code"] }
+    );
+  },
+
+  async markDone({ period_id, student_code, message, final_data }) {
+    await db().update(
+      "portal_state",
+      { period_id, student_code },
+      {
+        status: "DONE",
+        message: message || null,
+        final_data: final_data || {},
+        done_at: new Date().toISOString(),
+      }
+    );
+  },
+
+  // Admin unlock => the student may log in and submit again
+  async reopen({ period_id, student_code, message }) {
+    await db().update(
+      "portal_state",
+      { period_id, student_code },
+      { status: "UNLOCKED", message: message || null, done_at: null }
+    );
+  },
+};
+
+// --------------------
+// rectification_requests
+// --------------------
+const rectifications = {
+  /**
+   * Filters: status, faculty, specialty, mode, period, from / to (submitted_at, to exclusive).
+   * limit: max rows; null => all rows.
+   */
+  async list({ status, faculty, specialty, mode, period, from, to, limit = 500, fields } = {}) {
+    const submitted = {};
+    if (from) submitted.gte = from;
+    if (to) submitted.lt = to;
+
+    return db().select("rectification_requests", {
+      where: {
+        status,
+        faculty_name: faculty == null ? undefined : faculty,
+        specialty_name: specialty,
+        mode,
+        period_id: period,
+        submitted_at: Object.keys(submitted).length ? submitted : undefined,
+      },
+      order: [
+        { column: "submitted_at", ascending: false },
+        { column: "id", ascending: true },
+      ],
+      limit,
+      fields,
+    });
+  },
+
+  async get(id) {
+    return db().selectOne("rectification_requests", { id });
+  },
+
+  async getByStudent(period_id, student_code, { fields } = {}) {
+    return db().selectOne("rectification_requests", { period_id, student_code }, { fields });
+  },
+
+  async upsert(row) {
+    return db().upsert("rectification_requests", row, {
+      onConflict: ["period_id", "student_code"],
+    });
+  },
+
+  async update(id, patch) {
+    await db().update("rectification_requests", { id }, patch);
+  },
+};
+
+// --------------------
+// login_audit
+// --------------------
+const loginAudit = {
+  async add(row) {
+    await db().insert("login_audit", row);
+  },
+
+  async list(limit = 200) {
+    return db().select("login_audit", {
+      order: [{ column: "at", ascending: false }],
+      limit,
+      fields: ["id", "at", "student_code", "status", "ip", "ua"],
+    });
+  },
+};
+
+// --------------------
+// admin_users
+// --------------------
+const adminUsers = {
+  async getByUsername(username, { fields } = {}) {
+    return db().selectOne("admin_users", { username }, { fields });
+  },
+
+  async list({ fields } = {}) {
+    return db().select("admin_users", {
+      order: [{ column: "username", ascending: true }],
+      fields,
+    });
+  },
+
+  async create(row) {
+    return db().insert("admin_users", row);
+  },
+
+  async update(id, patch) {
+    await db().update("admin_users", { id }, patch);
+  },
+};
+
+// --------------------
+// seat_holds
+// --------------------
+const seatHolds = {
+  // HOLD / RESERVED rows (expired holds included until the sweeper removes them)
+  async list({ period_id, student_code, course_code } = {}) {
+    return db().select("seat_holds", {
+      where: { period_id, student_code, course_code },
+      order: [{ column: "created_at", ascending: true }],
+    });
+  },
+
+  // One row per student + course: picking another section moves the hold
+  async upsert(row) {
+    return db().upsert("seat_holds", row, {
+      onConflict: ["period_id", "student_code", "course_code"],
+    });
+  },
+
+  async remove({ period_id, student_code, course_code, status }) {
+    if (!period_id || !student_code) return; // never wipe the whole ledger
+    await db().remove("seat_holds", { period_id, student_code, course_code, status });
+  },
+
+  async removeExpired(status, nowIso) {
+    await db().remove("seat_holds", { status, expires_at: { lt: nowIso } });
+  },
+};
+
+// --------------------
+// waitlist_entries
+// --------------------
+const waitlist = {
+  // Oldest first (queue order). seq (bigserial) breaks created_at ties in Postgres;
+  // the local driver has no seq and its stable sort keeps insertion order.
+  async list({ period_id, student_code, course_code, group_code, status, faculty } = {}) {
+    return db().select("waitlist_entries", {
+      where: {
+        period_id,
+        student_code,
+        course_code,
+        group_code,
+        status,
+        faculty_name: faculty == null ? undefined : faculty,
+      },
+      order: [
+        { column: "created_at", ascending: true },
+        { column: "seq", ascending: true },
+      ],
+    });
+  },
+
+  async get(id) {
+    return db().selectOne("waitlist_entries", { id });
+  },
+
+  async insert(row) {
+    return db().insert("waitlist_entries", row);
+  },
+
+  async update(id, patch) {
+    await db().update("waitlist_entries", { id }, patch);
+  },
+
+  async expireOffers(nowIso) {
+    await db().update(
+      "waitlist_entries",
+      { status: "PROMOTED", offer_expires_at: { lt: nowIso } },
+      { status: "EXPIRED" }
+    );
+  },
+};
+
+// --------------------
+// rectification_windows
+// --------------------
+const windows = {
+  async list({ period_id } = {}) {
+    return db().select("rectification_windows", {
+      where: { period_id },
+      order: [{ column: "opens_at", ascending: true }],
+    });
+  },
+
+  async get(id) {
+    return db().selectOne("rectification_windows", { id });
+  },
+
+  async insert(row) {
+    return db().insert("rectification_windows", row);
+  },
+
+  async update(id, patch) {
+    await db().update("rectification_windows", { id }, patch);
+  },
+
+  async remove(id) {
+    if (!id) return;
+    await db().remove("rectification_windows", { id });
+  },
+};
+
+// --------------------
+// periods
+// --------------------
+const periods = {
+  // Newest first
+  async list() {
+    return db().select("periods", {
+      order: [{ column: "id", ascending: false }],
+    });
+  },
+
+  async upsert(row) {
+    return db().upsert("periods", row, { onConflict: ["id"] });
+  },
+};
+
+// --------------------
+// rectification_drafts
+// --------------------
+const drafts = {
+  async get(period_id, student_code) {
+    return db().selectOne("rectification_drafts", { period_id, student_code });
+  },
+
+  // Most recently edited first
+  async list({ period_id, faculty } = {}) {
+    return db().select("rectification_drafts", {
+      where: { period_id, faculty_name: faculty == null ? undefined : faculty },
+      order: [{ column: "updated_at", ascending: false }],
+    });
+  },
+
+  async upsert(row) {
+    return db().upsert("rectification_drafts", row, { onConflict: ["period_id", "student_code"] });
+  },
+
+  async update(period_id, student_code, patch) {
+    if (!period_id || !student_code) return;
+    await db().update("rectification_drafts", { period_id, student_code }, patch);
+  },
+};
+
+// --------------------
+// rectification_versions
+// --------------------
+const versions = {
+  // Oldest first
+  async list(period_id, student_code) {
+    return db().select("rectification_versions", {
+      where: { period_id, student_code },
+      order: [{ column: "version", ascending: true }],
+    });
+  },
+
+  async get(period_id, student_code, version) {
+    return db().selectOne("rectification_versions", { period_id, student_code, version });
+  },
+
+  async getByCode(verification_code) {
+    return db().selectOne("rectification_versions", { verification_code });
+  },
+
+  async upsert(row) {
+    return db().upsert("rectification_versions", row, { onConflict: ["period_id", "student_code", "version"] });
+  },
+};
+
+// --------------------
+// rectification_replaced_documents (PDFs superseded by an admin regeneration)
+// --------------------
+const replacedDocuments = {
+  async getByCode(verification_code) {
+    return db().selectOne("rectification_replaced_documents", { verification_code });
+  },
+
+  async insert(row) {
+    return db().insert("rectification_replaced_documents", row);
+  },
+};
+
+// --------------------
+// rectification_certificates
+// --------------------
+const certificates = {
+  async getByRequest(request_id) {
+    return db().selectOne("rectification_certificates", { request_id });
+  },
+
+  async getByToken(download_token) {
+    return db().selectOne("rectification_certificates", { download_token });
+  },
+
+  // Highest reference sequence issued in the period (null when none yet)
+  async lastSequence(period_id) {
+    const rows = await db().select("rectification_certificates", {
+      where: { period_id },
+      order: [{ column: "sequence", ascending: false }],
+      limit: 1,
+      fields: ["sequence"],
+    });
+    return rows.length ? Number(rows[0].sequence) : null;
+  },
+
+  async upsert(row) {
+    return db().upsert("rectification_certificates", row, { onConflict: ["request_id"] });
+  },
+
+  async update(request_id, patch) {
+    await db().update("rectification_certificates", { request_id }, patch);
+  },
+};
+
+// --------------------
+// email_templates (admin edits; defaults in config/emailTemplates.json)
+// --------------------
+const emailTemplates = {
+  async list() {
+    return db().select("email_templates");
+  },
+
+  async get(event) {
+    return db().selectOne("email_templates", { event });
+  },
+
+  async upsert(row) {
+    return db().upsert("email_templates", row, { onConflict: ["event"] });
+  },
+
+  async remove(event) {
+    await db().remove("email_templates", { event });
+  },
+};
+
+// --------------------
+// email_outbox (utils/mailOutbox.js)
+// --------------------
+const outbox = {
+  async insert(row) {
+    return db().insert("email_outbox", row);
+  },
+
+  async get(id) {
+    return db().selectOne("email_outbox", { id });
+  },
+
+  // Newest first
+  async list({ status, limit, fields } = {}) {
+    return db().select("email_outbox", {
+      where: { status },
+      order: [{ column: "created_at", ascending: false }],
+      limit,
+      fields,
+    });
+  },
+
+  // PENDING rows whose next attempt is due, oldest first
+  async due(nowIso, limit) {
+    return db().select("email_outbox", {
+      where: { status: "PENDING", next_attempt_at: { lte: nowIso } },
+      order: [{ column: "next_attempt_at", ascending: true }],
+      limit,
+    });
+  },
+
+  async update(where, patch) {
+    await db().update("email_outbox", where, patch);
+  },
+};
+
+module.exports = {
+  getDriver,
+  setDriver,
+  portalState,
+  rectifications,
+  loginAudit,
+  adminUsers,
+  seatHolds,
+  waitlist,
+  windows,
+  periods,
+  drafts,
+  versions,
+  replacedDocuments,
+  certificates,
+  emailTemplates,
+  outbox,
+};
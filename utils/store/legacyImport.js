@@ -0,0 +1,102 @@
+// utils/store/legacyImport.js
+// ✅ One-time import of the file-based data the portal used before the store layer:
+//   data/rectifications/rectifications.json => rectification_requests (newest submission per student + period)
+//   data/audit/logins.json                  => login_audit
+// Safe to run twice: rows already in the store are skipped. PDFs stay in data/rectifications/pdfs
+// (still served through LEGACY_PDF_DIRS in utils/adminStore.js).
+const fs = require("fs");
+const path = require("path");
+const store = require("./index");
+const { normalizePeriodId } = require("../periods");
+const { STATUS, historyEntry } = require("../rectificationStatus");
+
+const LEGACY_DIR = path.join(__dirname, "..", "..", "data");
+
+function readJsonArray(file) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+// Legacy rectification entry => rectification_requests row (null when it has no student code / period)
+function legacyRequestRow(entry) {
+  const st = entry.student || {};
+  const period_id = normalizePeriodId(st.period);
+  const student_code = String(st.code || "").trim();
+  if (!period_id || !student_code) return null;
+
+  const submitted_at = entry.createdAt || null;
+  return {
+    period_id,
+    student_code,
+    student_name: st.name || null,
+    dni_last4: String(st.dni || "").slice(-4) || null,
+    email: st.email || null,
+    phone: st.phone || null,
+    faculty_name: st.facultyName || null,
+    specialty_name: st.specialtyName || null,
+    mode: st.mode || null,
+    status: STATUS.SUBMITTED,
+    locked: true,
+    decisions: [],
+    status_history: [historyEntry(STATUS.SUBMITTED, { by: student_code, at: submitted_at, note: "Importada del archivo anterior" })],
+    version: 1,
+    changes: Array.isArray(entry.changes) ? entry.changes : [],
+    final_courses: Array.isArray(entry.finalCourses) ? entry.finalCourses : [],
+    current_courses: [],
+    pdf_storage_path: entry.pdfFile || null,
+    submitted_at,
+  };
+}
+
+/**
+ * ✅ Copy the legacy JSON files into the configured store.
+ * Returns { requests, logins } (rows imported)
+ */
+async function importLegacyData({ dir = LEGACY_DIR } = {}) {
+  const result = { requests: 0, logins: 0 };
+
+  // Newest submission wins (one request row per student + period)
+  const latest = new Map();
+  readJsonArray(path.join(dir, "rectifications", "rectifications.json"))
+    .map(legacyRequestRow)
+    .filter(Boolean)
+    .forEach((row) => {
+      const key = `${row.period_id}|${row.student_code}`;
+      const prev = latest.get(key);
+      if (!prev || String(row.submitted_at || "") > String(prev.submitted_at || "")) latest.set(key, row);
+    });
+
+  for (const row of latest.values()) {
+    if (await store.rectifications.getByStudent(row.period_id, row.student_code, { fields: ["id"] })) continue;
+    await store.rectifications.upsert(row);
+    result.requests += 1;
+  }
+
+  const existing = new Set(
+    (await store.loginAudit.list(null)).map((r) => `${r.at}|${r.student_code}`)
+  );
+  for (const r of readJsonArray(path.join(dir, "audit", "logins.json"))) {
+    if (!r.at || existing.has(`${r.at}|${r.student_code}`)) continue;
+    await store.loginAudit.add({
+      at: r.at,
+      student_code: r.student_code || null,
+      status: r.status || null,
+      ip: r.ip || null,
+      ua: r.ua || null,
+    });
+    existing.add(`${r.at}|${r.student_code}`);
+    result.logins += 1;
+  }
+
+  return result;
+}
+
+module.exports = {
+  legacyRequestRow,
+  importLegacyData,
+};
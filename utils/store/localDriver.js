@@ -0,0 +1,148 @@
+// utils/store/localDriver.js
+// JSON-file tables (data/store/<table>.json) for running without Supabase.
+// Same query shape as the Supabase driver: where / order / limit / fields.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+function newId() {
+  return crypto.randomUUID ? crypto.randomUUID() : crypto.randomBytes(16).toString("hex");
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([col, cond]) => {
+    if (cond === undefined) return true;
+    const v = row[col];
+
+    if (cond && typeof cond === "object" && !Array.isArray(cond)) {
+      if (cond.gte !== undefined && !(v != null && v >= cond.gte)) return false;
+      if (cond.gt !== undefined && !(v != null && v > cond.gt)) return false;
+      if (cond.lte !== undefined && !(v != null && v <= cond.lte)) return false;
+      if (cond.lt !== undefined && !(v != null && v < cond.lt)) return false;
+      if (Array.isArray(cond.in) && !cond.in.includes(v)) return false;
+      return true;
+    }
+    if (cond === null) return v === null || v === undefined;
+    return String(v) === String(cond);
+  });
+}
+
+// Postgres-like ordering: nulls last when ascending, first when descending
+function compareBy(order) {
+  return (a, b) => {
+    for (const o of order) {
+      const asc = o.ascending !== false;
+      const x = a[o.column];
+      const y = b[o.column];
+      if (x === y) continue;
+      if (x === null || x === undefined) return asc ? 1 : -1;
+      if (y === null || y === undefined) return asc ? -1 : 1;
+      if (x < y) return asc ? -1 : 1;
+      if (x > y) return asc ? 1 : -1;
+    }
+    return 0;
+  };
+}
+
+function project(row, fields) {
+  if (!fields) return { ...row };
+  return fields.reduce((acc, f) => {
+    acc[f] = row[f] === undefined ? null : row[f];
+    return acc;
+  }, {});
+}
+
+// Deep copy so callers can't mutate stored rows by accident
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+/**
+ * ✅ dir: folder for the JSON files; null => in-memory only (tests)
+ */
+function createLocalDriver({ dir = path.join(__dirname, "..", "..", "data", "store") } = {}) {
+  const tables = {};
+  let writeChain = Promise.resolve();
+
+  function fileFor(table) {
+    return path.join(dir, `${table}.json`);
+  }
+
+  function load(table) {
+    if (tables[table]) return tables[table];
+
+    let rows = [];
+    if (dir) {
+      try {
+        const raw = fs.readFileSync(fileFor(table), "utf8");
+        const parsed = JSON.parse(raw);
+        rows = Array.isArray(parsed) ? parsed : [];
+      } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+      }
+    }
+    tables[table] = rows;
+    return rows;
+  }
+
+  // Writes are serialized and atomic (tmp file + rename)
+  function persist(table) {
+    if (!dir) return Promise.resolve();
+
+    const snapshot = JSON.stringify(tables[table], null, 2);
+    writeChain = writeChain.then(async () => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const tmp = `${fileFor(table)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, fileFor(table));
+    });
+    return writeChain;
+  }
+
+  async function select(table, { where, order = [], limit = null, fields } = {}) {
+    let rows = load(table).filter((r) => matches(r, where));
+    if (order.length) rows = rows.slice().sort(compareBy(order));
+    if (limit) rows = rows.slice(0, limit);
+    return rows.map((r) => clone(project(r, fields)));
+  }
+
+  async function selectOne(table, where, { fields } = {}) {
+    const row = load(table).find((r) => matches(r, where));
+    return row ? clone(project(row, fields)) : null;
+  }
+
+  async function insert(table, row) {
+    const stored = { id: newId(), created_at: new Date().toISOString(), ...clone(row) };
+    load(table).push(stored);
+    await persist(table);
+    return clone(stored);
+  }
+
+  async function upsert(table, row, { onConflict = [] } = {}) {
+    const rows = load(table);
+    const keys = onConflict.length ? onConflict : ["id"];
+    const existing = rows.find((r) => keys.every((k) => String(r[k]) === String(row[k])));
+
+    if (!existing) return insert(table, row);
+
+    Object.assign(existing, clone(row));
+    await persist(table);
+    return clone(existing);
+  }
+
+  async function update(table, where, patch) {
+    const rows = load(table).filter((r) => matches(r, where));
+    rows.forEach((r) => Object.assign(r, clone(patch)));
+    if (rows.length) await persist(table);
+  }
+
+  async function remove(table, where) {
+    const rows = load(table);
+    const keep = rows.filter((r) => !matches(r, where));
+    if (keep.length === rows.length) return;
+    tables[table] = keep;
+    await persist(table);
+  }
+
+  return { name: "local", select, selectOne, insert, upsert, update, remove };
+}
+
+module.exports = { createLocalDriver };
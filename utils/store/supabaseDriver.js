@@ -0,0 +1,91 @@
+// utils/store/supabaseDriver.js
+const { getSupabase } = require("../../config/supabase");
+
+// Supabase caps a single select at 1000 rows => page through when limit is null
+const PAGE_SIZE = 1000;
+
+// where: { col: value } => eq, { col: { gte, gt, lte, lt, in } } => ranges / lists
+function applyWhere(query, where = {}) {
+  Object.entries(where).forEach(([col, cond]) => {
+    if (cond === undefined) return;
+    if (cond && typeof cond === "object" && !Array.isArray(cond)) {
+      if (cond.gte !== undefined) query = query.gte(col, cond.gte);
+      if (cond.gt !== undefined) query = query.gt(col, cond.gt);
+      if (cond.lte !== undefined) query = query.lte(col, cond.lte);
+      if (cond.lt !== undefined) query = query.lt(col, cond.lt);
+      if (Array.isArray(cond.in)) query = query.in(col, cond.in);
+      return;
+    }
+    query = cond === null ? query.is(col, null) : query.eq(col, cond);
+  });
+  return query;
+}
+
+function createSupabaseDriver() {
+  const db = () => getSupabase();
+
+  async function select(table, { where, order = [], limit = null, fields } = {}) {
+    const buildQuery = () => {
+      let query = db().from(table).select(fields ? fields.join(", ") : "*");
+      query = applyWhere(query, where);
+      order.forEach((o) => {
+        query = query.order(o.column, { ascending: o.ascending !== false });
+      });
+      return query;
+    };
+
+    if (limit) {
+      const { data, error } = await buildQuery().limit(limit);
+      if (error) throw error;
+      return data || [];
+    }
+
+    let rows = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+      if (error) throw error;
+      rows = rows.concat(data || []);
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+    return rows;
+  }
+
+  async function selectOne(table, where, { fields } = {}) {
+    let query = db().from(table).select(fields ? fields.join(", ") : "*");
+    query = applyWhere(query, where);
+
+    const { data, error } = await query.limit(1).maybeSingle();
+    if (error) throw error;
+    return data || null;
+  }
+
+  async function insert(table, row) {
+    const { data, error } = await db().from(table).insert(row).select().single();
+    if (error) throw error;
+    return data;
+  }
+
+  async function upsert(table, row, { onConflict } = {}) {
+    const { data, error } = await db()
+      .from(table)
+      .upsert(row, { onConflict: (onConflict || []).join(",") })
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async function update(table, where, patch) {
+    const { error } = await applyWhere(db().from(table).update(patch), where);
+    if (error) throw error;
+  }
+
+  async function remove(table, where) {
+    const { error } = await applyWhere(db().from(table).delete(), where);
+    if (error) throw error;
+  }
+
+  return { name: "supabase", select, selectOne, insert, upsert, update, remove };
+}
+
+module.exports = { createSupabaseDriver };
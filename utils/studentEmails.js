@@ -0,0 +1,269 @@
+// utils/studentEmails.js
+// ✅ Emails to the student: receipt on /confirm, then one per status change / admin message.
+//
+// Templates: config/emailTemplates.json (EMAIL_TEMPLATES_FILE overrides) with admin edits
+// stored in email_templates (one row per event; deleting it restores the default).
+// Placeholders: {{studentName}} ... ; {{#key}}...{{/key}} is only kept when key has a value.
+const fs = require("fs");
+const path = require("path");
+const store = require("./store");
+const { sendMail } = require("./mailer");
+const { STATUS, STATUS_LABELS, DECISION } = require("./rectificationStatus");
+const { CHANGE_TYPE, CHANGE_TYPE_LABELS } = require("./rectificationChanges");
+const { formatPeriodLabel } = require("./periods");
+const { formatVerificationCode } = require("./documentVerification");
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, "..", "config", "emailTemplates.json");
+
+const EMAIL_EVENT = {
+  SUBMITTED: "SUBMITTED",
+  IN_REVIEW: "IN_REVIEW",
+  APPROVED: "APPROVED",
+  PARTIALLY_APPROVED: "PARTIALLY_APPROVED",
+  REJECTED: "REJECTED",
+  REOPENED: "REOPENED",
+  ADMIN_MESSAGE: "ADMIN_MESSAGE",
+};
+
+const EMAIL_EVENT_LABELS = {
+  SUBMITTED: "Constancia de recepción (con PDF)",
+  IN_REVIEW: "Solicitud en revisión",
+  APPROVED: "Solicitud aprobada",
+  PARTIALLY_APPROVED: "Solicitud aprobada parcialmente",
+  REJECTED: "Solicitud rechazada",
+  REOPENED: "Desbloqueada para reenvío",
+  ADMIN_MESSAGE: "Mensaje de la oficina",
+};
+
+// Shown next to the template editor
+const PLACEHOLDERS = {
+  studentName: "Nombre del alumno",
+  studentCode: "Código del alumno",
+  period: "Periodo (2026-1)",
+  status: "Estado de la solicitud",
+  version: "Número de versión enviada",
+  submittedAt: "Fecha y hora de envío",
+  changesSummary: "Lista de cambios solicitados",
+  decisionsSummary: "Lista de cambios con su decisión",
+  creditsBefore: "Créditos antes de la rectificación",
+  creditsAfter: "Créditos después de la rectificación",
+  adminMessage: "Mensaje o motivo del administrador",
+  verificationCode: "Código de verificación del PDF",
+  verifyUrl: "Enlace de verificación del PDF",
+  portalUrl: "Dirección del portal",
+};
+
+let cached = null;
+
+function loadDefaultTemplates(file = process.env.EMAIL_TEMPLATES_FILE || DEFAULT_TEMPLATES_FILE) {
+  if (cached && cached.file === file) return cached.templates;
+  const templates = JSON.parse(fs.readFileSync(file, "utf8"));
+  cached = { file, templates };
+  return templates;
+}
+
+// Status the admin moved the request to => email event (null when the student isn't notified)
+function eventForStatus(status) {
+  return EMAIL_EVENT[status] && status !== STATUS.SUBMITTED ? status : null;
+}
+
+/**
+ * ✅ Fill a template: {{key}} => value, {{#key}}...{{/key}} dropped when key is empty.
+ * Unknown placeholders render empty.
+ */
+function renderTemplate(template, vars = {}) {
+  const value = (k) => (vars[k] === null || vars[k] === undefined ? "" : String(vars[k]));
+  return String(template || "")
+    .replace(/\{\{#\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g, (_, k, inner) => (value(k).trim() ? inner : ""))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => value(k));
+}
+
+function turnoText(x = {}) {
+  const sessions = Array.isArray(x.sessions) && x.sessions.length ? x.sessions : [x];
+  const parts = sessions.map((s) => `${s.day || "—"} ${s.time || s.hour || "—"}`);
+  return `Sec. ${x.group || x.groupCode || "—"} (${parts.join("; ")})`;
+}
+
+function changeLine(ch, i) {
+  const type = CHANGE_TYPE[String(ch.type || "").toUpperCase()] || CHANGE_TYPE.CHANGE;
+  const head = `${i + 1}. ${ch.code || "—"} ${ch.name || ""}`.trim();
+  if (type === CHANGE_TYPE.DROP) return `${head} - ${CHANGE_TYPE_LABELS.DROP}: ${turnoText(ch.from)}`;
+  if (type === CHANGE_TYPE.ADD) return `${head} - ${CHANGE_TYPE_LABELS.ADD}: ${turnoText(ch.to)}`;
+  return `${head} - ${CHANGE_TYPE_LABELS.CHANGE}: ${turnoText(ch.from)} → ${turnoText(ch.to)}`;
+}
+
+const fmtDateTime = (iso) =>
+  iso ? new Date(iso).toLocaleString("es-PE", { timeZone: "America/Lima", hour12: false }) : "—";
+
+function publicBase(req) {
+  if (process.env.PUBLIC_BASE_URL) return String(process.env.PUBLIC_BASE_URL).replace(/\/+$/, "");
+  return req ? `${req.protocol}://${req.get("host")}` : "";
+}
+
+/**
+ * ✅ Placeholder values for a stored rectification_requests row.
+ * req (optional) gives the portal / verification links when PUBLIC_BASE_URL isn't set.
+ */
+function emailVars(request, { adminMessage = null, req = null } = {}) {
+  const changes = Array.isArray(request.changes) ? request.changes : [];
+  const decisions = Array.isArray(request.decisions) ? request.decisions : [];
+  const decisionFor = (i) => decisions.find((d) => Number(d.index) === i) || decisions[i] || null;
+  const base = publicBase(req);
+  const code = request.verification_code ? formatVerificationCode(request.verification_code) : "";
+
+  return {
+    studentName: request.student_name || "estudiante",
+    studentCode: request.student_code || "",
+    period: formatPeriodLabel(request.period_id),
+    status: STATUS_LABELS[request.status] || request.status || "",
+    version: Number(request.version) || 1,
+    submittedAt: fmtDateTime(request.submitted_at),
+    changesSummary: changes.length ? changes.map(changeLine).join("\n") : "Sin cambios.",
+    decisionsSummary: changes.length
+      ? changes
+        .map((ch, i) => {
+          const d = decisionFor(i);
+          if (!d || !d.status) return `${changeLine(ch, i)}: pendiente`;
+          if (d.status === DECISION.APPROVED) return `${changeLine(ch, i)}: aprobado`;
+          return `${changeLine(ch, i)}: rechazado${d.reason ? ` (${d.reason})` : ""}`;
+        })
+        .join("\n")
+      : "",
+    creditsBefore: request.credits_before ?? "—",
+    creditsAfter: request.credits_after ?? "—",
+    adminMessage: adminMessage ?? request.admin_message ?? "",
+    verificationCode: code,
+    verifyUrl: code && base ? `${base}/verify/${code}` : "",
+    portalUrl: base ? `${base}/` : "",
+  };
+}
+
+// ✅ Admin preview: a made-up request (no real student data on screen)
+const SAMPLE_REQUEST = {
+  period_id: "20261",
+  student_code: "2410001",
+  student_name: "Lucía Quispe Ramos",
+  status: STATUS.PARTIALLY_APPROVED,
+  version: 1,
+  submitted_at: "2026-03-16T14:30:00.000Z",
+  credits_before: 20,
+  credits_after: 18,
+  verification_code: "ABCDEFGHJK",
+  admin_message: "Presenta tu constancia de trabajo para el cambio de turno.",
+  changes: [
+    {
+      type: "CHANGE",
+      code: "ENF101",
+      name: "Anatomía Humana",
+      from: { group: "N1", day: "Lunes", time: "08:00-09:40" },
+      to: { group: "N3", day: "Martes", time: "18:00-19:40" },
+    },
+    { type: "DROP", code: "ENF205", name: "Bioestadística", credits: 2, from: { group: "N1", day: "Viernes", time: "10:00-11:40" } },
+  ],
+  decisions: [
+    { index: 0, status: DECISION.APPROVED },
+    { index: 1, status: DECISION.REJECTED, reason: "Curso obligatorio del ciclo" },
+  ],
+};
+
+/**
+ * ✅ Templates of every event (admin edits over the defaults).
+ * Returns [{ event, label, subject, body, customized, updated_at, updated_by }]
+ */
+async function listTemplates() {
+  const defaults = loadDefaultTemplates();
+  const rows = await store.emailTemplates.list();
+  return Object.values(EMAIL_EVENT).map((event) => {
+    const row = rows.find((r) => r.event === event);
+    const base = defaults[event] || { subject: "", body: "" };
+    return {
+      event,
+      label: EMAIL_EVENT_LABELS[event],
+      subject: row ? row.subject : base.subject,
+      body: row ? row.body : base.body,
+      customized: !!row,
+      updated_at: row ? row.updated_at || null : null,
+      updated_by: row ? row.updated_by || null : null,
+    };
+  });
+}
+
+async function getTemplate(event) {
+  const row = await store.emailTemplates.get(event);
+  if (row) return { subject: row.subject, body: row.body };
+  return loadDefaultTemplates()[event] || null;
+}
+
+/**
+ * ✅ Admin: save the template of one event.
+ * Returns { ok } or { ok: false, error: "unknown_event" | "subject_required" | "body_required" }
+ */
+async function saveTemplate({ event, subject, body, by, now = new Date() }) {
+  if (!EMAIL_EVENT[event]) return { ok: false, error: "unknown_event" };
+  const s = String(subject || "").trim();
+  const b = String(body || "").replace(/\r\n/g, "\n").trim();
+  if (!s) return { ok: false, error: "subject_required" };
+  if (!b) return { ok: false, error: "body_required" };
+
+  await store.emailTemplates.upsert({ event, subject: s, body: b, updated_at: now.toISOString(), updated_by: by || null });
+  return { ok: true };
+}
+
+async function resetTemplate(event) {
+  if (!EMAIL_EVENT[event]) return { ok: false, error: "unknown_event" };
+  await store.emailTemplates.remove(event);
+  return { ok: true };
+}
+
+/**
+ * ✅ Subject + text of an event for a request (template: override the stored one, e.g. unsaved edits).
+ * Returns { subject, text } or null for unknown events
+ */
+async function buildEmail(event, request, { adminMessage, req, template } = {}) {
+  const t = template || (await getTemplate(event));
+  if (!t) return null;
+  const vars = emailVars(request, { adminMessage, req });
+  return {
+    subject: renderTemplate(t.subject, vars).replace(/\s+/g, " ").trim(),
+    text: renderTemplate(t.body, vars).replace(/\n{3,}/g, "\n\n").trim(),
+  };
+}
+
+// Admin preview of one event with the sample request
+async function previewEmail(event, { req, template } = {}) {
+  return buildEmail(event, SAMPLE_REQUEST, { req, template });
+}
+
+/**
+ * ✅ Email the student about their request (request.email); false when nothing was sent.
+ * Never throws: a failed email must not undo the action that triggered it.
+ */
+async function notifyStudent(event, request, { adminMessage, req, attachments } = {}) {
+  try {
+    if (!request || !request.email || !EMAIL_EVENT[event]) return false;
+    const email = await buildEmail(event, request, { adminMessage, req });
+    if (!email) return false;
+    return await sendMail({ to: request.email, ...email, attachments, tag: `student:${event}` });
+  } catch (e) {
+    console.error("Student email failed:", event, request && request.student_code, e.message);
+    return false;
+  }
+}
+
+module.exports = {
+  EMAIL_EVENT,
+  EMAIL_EVENT_LABELS,
+  PLACEHOLDERS,
+  SAMPLE_REQUEST,
+  loadDefaultTemplates,
+  eventForStatus,
+  renderTemplate,
+  emailVars,
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  resetTemplate,
+  buildEmail,
+  previewEmail,
+  notifyStudent,
+};
@@ -0,0 +1,79 @@
+// utils/upstreamCache.js
+// ✅ In-process cache for upstream payloads (schedule-available, course-number-enrolled).
+//
+// fresh  (age < ttl)          => served from memory
+// stale  (age < ttl + stale)  => served from memory + refreshed in the background (stale-while-revalidate)
+// older / missing             => loaded now; concurrent misses share one upstream call
+// A failed background refresh keeps the stale value until it ages out.
+
+function secondsFromEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * ✅ createCache({ name, ttlMs, staleMs, maxEntries })
+ * get(key, loader, { fresh }) => value (fresh: skip memory, still store the result)
+ */
+function createCache({ name = "cache", ttlMs = 30000, staleMs = 60000, maxEntries = 2000, now = () => Date.now() } = {}) {
+  const entries = new Map(); // key => { value, at }
+  const inflight = new Map(); // key => Promise
+  const stats = { hits: 0, stale: 0, misses: 0, refreshErrors: 0 };
+
+  function store(key, value) {
+    entries.delete(key); // re-insert => newest last (oldest evicted first)
+    entries.set(key, { value, at: now() });
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  }
+
+  function load(key, loader) {
+    if (inflight.has(key)) return inflight.get(key);
+
+    const p = Promise.resolve()
+      .then(loader)
+      .then((value) => {
+        store(key, value);
+        return value;
+      })
+      .finally(() => inflight.delete(key));
+
+    inflight.set(key, p);
+    return p;
+  }
+
+  async function get(key, loader, { fresh = false } = {}) {
+    const hit = entries.get(key);
+    const age = hit ? now() - hit.at : Infinity;
+
+    if (!fresh && age < ttlMs) {
+      stats.hits += 1;
+      return hit.value;
+    }
+
+    if (!fresh && age < ttlMs + staleMs) {
+      stats.stale += 1;
+      load(key, loader).catch((e) => {
+        stats.refreshErrors += 1;
+        console.warn(`[${name}] background refresh failed:`, key, e?.message || e);
+      });
+      return hit.value;
+    }
+
+    stats.misses += 1;
+    return load(key, loader);
+  }
+
+  return {
+    name,
+    get,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    size: () => entries.size,
+    stats: () => ({ ...stats, size: entries.size }),
+  };
+}
+
+module.exports = {
+  createCache,
+  secondsFromEnv,
+};
@@ -0,0 +1,200 @@
+// utils/upstreamClient.js
+// ✅ One client for every university API call (LOGIN_BASE_URL / DATA_BASE_URL).
+//
+// timeouts => per endpoint (last path segment); UPSTREAM_TIMEOUT_MS for the rest
+// retries  => idempotent reads only, on network errors / timeouts / 5xx / 429 (exponential backoff + jitter)
+// breaker  => per upstream host: after UPSTREAM_BREAKER_FAILURES consecutive failures calls fail fast
+//             for UPSTREAM_BREAKER_COOLDOWN_SECONDS, then one trial call decides whether it closes again
+//
+// Errors keep axios' shape (e.response) and carry e.upstream = { endpoint, unavailable, attempts }.
+const axios = require("axios");
+
+const DEFAULT_TIMEOUTS_MS = {
+  login: 8000,
+  "login-alumno": 8000,
+  student: 10000,
+  "course-schedules": 10000,
+  "course-number-enrolled": 10000,
+  "schedule-available": 15000,
+  rectification_payments: 15000,
+};
+
+const BREAKER_STATE = {
+  CLOSED: "CLOSED",
+  OPEN: "OPEN",
+  HALF_OPEN: "HALF_OPEN",
+};
+
+function numberFromEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function endpointOf(url) {
+  try {
+    return new URL(url).pathname.split("/").filter(Boolean).pop() || "";
+  } catch {
+    return "";
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * ✅ "University system unavailable" (vs. a real answer such as 401 / 422)
+ * network error, timeout, 5xx, 429 or an open circuit
+ */
+function isUnavailableError(e) {
+  if (!e) return false;
+  if (e.upstream) return Boolean(e.upstream.unavailable);
+  if (!e.response) return Boolean(e.isAxiosError);
+  const st = e.response.status;
+  return st >= 500 || st === 429;
+}
+
+function createBreaker({ failures, cooldownMs, now }) {
+  let state = BREAKER_STATE.CLOSED;
+  let count = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  return {
+    allow() {
+      if (state === BREAKER_STATE.OPEN) {
+        if (now() - openedAt < cooldownMs) return false;
+        state = BREAKER_STATE.HALF_OPEN;
+        trialInFlight = false;
+      }
+      if (state === BREAKER_STATE.HALF_OPEN) {
+        if (trialInFlight) return false;
+        trialInFlight = true;
+      }
+      return true;
+    },
+    success() {
+      state = BREAKER_STATE.CLOSED;
+      count = 0;
+      trialInFlight = false;
+    },
+    failure() {
+      count += 1;
+      if (state === BREAKER_STATE.HALF_OPEN || count >= failures) {
+        state = BREAKER_STATE.OPEN;
+        openedAt = now();
+        trialInFlight = false;
+      }
+    },
+    // No verdict (the call failed before reaching upstream) => free the trial slot, keep the state
+    release() {
+      trialInFlight = false;
+    },
+    state: () => state,
+  };
+}
+
+/**
+ * ✅ createUpstreamClient({ timeouts, defaultTimeoutMs, retries, retryBaseMs, breakerFailures, breakerCooldownMs })
+ * post(url, body, { token, idempotent, timeoutMs }) => axios response
+ * (transport / sleep / now / random are injectable for tests)
+ */
+function createUpstreamClient({
+  timeouts = DEFAULT_TIMEOUTS_MS,
+  defaultTimeoutMs = numberFromEnv("UPSTREAM_TIMEOUT_MS", 10000),
+  retries = numberFromEnv("UPSTREAM_RETRIES", 2),
+  retryBaseMs = numberFromEnv("UPSTREAM_RETRY_BASE_MS", 250),
+  breakerFailures = numberFromEnv("UPSTREAM_BREAKER_FAILURES", 5),
+  breakerCooldownMs = numberFromEnv("UPSTREAM_BREAKER_COOLDOWN_SECONDS", 30) * 1000,
+  transport = (config) => axios.request(config),
+  sleep = (ms) => new Promise((r) => setTimeout(r, ms)),
+  now = () => Date.now(),
+  random = Math.random,
+} = {}) {
+  const breakers = new Map(); // host => breaker
+
+  function breakerFor(host) {
+    if (!breakers.has(host)) {
+      breakers.set(host, createBreaker({ failures: Math.max(1, breakerFailures), cooldownMs: breakerCooldownMs, now }));
+    }
+    return breakers.get(host);
+  }
+
+  function timeoutFor(endpoint) {
+    return timeouts[endpoint] ?? defaultTimeoutMs;
+  }
+
+  function backoffMs(attempt) {
+    return Math.min(retryBaseMs * 2 ** (attempt - 1) + Math.floor(random() * retryBaseMs), 5000);
+  }
+
+  function circuitOpenError(host, endpoint) {
+    const err = new Error(`Upstream circuit open (${host || "unknown host"})`);
+    err.code = "UPSTREAM_CIRCUIT_OPEN";
+    err.upstream = { endpoint, unavailable: true, attempts: 0 };
+    return err;
+  }
+
+  async function post(url, body, { token, idempotent = false, timeoutMs } = {}) {
+    const endpoint = endpointOf(url);
+    const host = hostOf(url);
+    const breaker = breakerFor(host);
+    const attempts = idempotent ? Math.floor(retries) + 1 : 1;
+
+    const headers = { "Content-Type": "application/json", Accept: "application/json" };
+    if (token) headers.Authorization = "Bearer " + token;
+
+    let lastErr = null;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      if (!breaker.allow()) throw lastErr || circuitOpenError(host, endpoint);
+
+      try {
+        const res = await transport({
+          method: "post",
+          url,
+          data: body,
+          headers,
+          timeout: timeoutMs ?? timeoutFor(endpoint),
+        });
+        breaker.success();
+        return res;
+      } catch (e) {
+        const unavailable = isUnavailableError(e);
+        e.upstream = { endpoint, unavailable, attempts: attempt };
+
+        // ❌ A real answer (401, 422...) => upstream is alive, nothing to retry
+        // (no response at all => a local error: says nothing about upstream, but must not pin a half-open trial)
+        if (!unavailable) {
+          if (e.response) breaker.success();
+          else breaker.release();
+          throw e;
+        }
+
+        breaker.failure();
+        lastErr = e;
+        if (attempt < attempts) {
+          console.warn(`[upstream] ${endpoint} failed (attempt ${attempt}/${attempts}):`, e.code || e.response?.status || e.message);
+          await sleep(backoffMs(attempt));
+        }
+      }
+    }
+    throw lastErr;
+  }
+
+  return {
+    post,
+    breakerState: (url) => breakerFor(hostOf(url)).state(),
+    reset: () => breakers.clear(),
+  };
+}
+
+module.exports = {
+  BREAKER_STATE,
+  DEFAULT_TIMEOUTS_MS,
+  createUpstreamClient,
+  isUnavailableError,
+};
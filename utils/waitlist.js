@@ -0,0 +1,252 @@
+// utils/waitlist.js
+// ✅ Waitlists for full sections.
+//
+// WAITING   => queued (position = order among WAITING entries of the same section)
+// PROMOTED  => an admin offered the seat; the student has WAITLIST_OFFER_HOURS to accept (the seat is held meanwhile)
+// ACCEPTED  => the student took the seat (the section is then picked like any other one)
+// EXPIRED   => the offer window passed
+// CANCELLED => the student left the list
+const store = require("./store");
+const { holdSeat } = require("./seatHolds");
+
+const WAITLIST_STATUS = {
+  WAITING: "WAITING",
+  PROMOTED: "PROMOTED",
+  ACCEPTED: "ACCEPTED",
+  EXPIRED: "EXPIRED",
+  CANCELLED: "CANCELLED",
+};
+
+const WAITLIST_STATUS_LABELS = {
+  WAITING: "En espera",
+  PROMOTED: "Cupo ofrecido",
+  ACCEPTED: "Cupo aceptado",
+  EXPIRED: "Oferta vencida",
+  CANCELLED: "Retirado",
+};
+
+const ACTIVE_STATUSES = [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.PROMOTED];
+
+const DEFAULT_OFFER_HOURS = 24;
+
+function offerHours() {
+  const n = Number(process.env.WAITLIST_OFFER_HOURS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_OFFER_HOURS;
+}
+
+function sectionKey(s) {
+  return String(s || "").replace(/[^A-Z0-9]/gi, "").toUpperCase();
+}
+
+// Promoted entries whose window passed => EXPIRED (their seat hold ends at the same time)
+async function expireOffers(now = new Date()) {
+  await store.waitlist.expireOffers(now.toISOString());
+}
+
+// position: 1-based among WAITING entries of the same section (null otherwise)
+function withPositions(entries) {
+  const counters = {};
+  return entries.map((e) => {
+    if (e.status !== WAITLIST_STATUS.WAITING) return { ...e, position: null };
+    const k = `${e.course_code}|${e.group_code}`;
+    counters[k] = (counters[k] || 0) + 1;
+    return { ...e, position: counters[k] };
+  });
+}
+
+async function sectionEntries(period_id, course_code, group_code) {
+  return withPositions(
+    await store.waitlist.list({ period_id: String(period_id), course_code, group_code })
+  );
+}
+
+/**
+ * ✅ Join the waitlist of a full section (joining twice returns the same entry).
+ * student: { code, name, email, faculty }
+ * Returns the entry with its position.
+ */
+async function joinWaitlist({ period_id, student, course_code, course_name, group_code }) {
+  const course = sectionKey(course_code);
+  const group = sectionKey(group_code);
+
+  const mine = (await sectionEntries(period_id, course, group)).find(
+    (e) => String(e.student_code) === String(student.code) && ACTIVE_STATUSES.includes(e.status)
+  );
+  if (mine) return mine;
+
+  const row = await store.waitlist.insert({
+    period_id: String(period_id),
+    student_code: String(student.code),
+    student_name: student.name || null,
+    email: student.email || null,
+    faculty_name: student.faculty || null,
+    course_code: course,
+    course_name: course_name || null,
+    group_code: group,
+    status: WAITLIST_STATUS.WAITING,
+  });
+
+  return (await sectionEntries(period_id, course, group)).find((e) => e.id === row.id);
+}
+
+/**
+ * ✅ Entries of one student (all sections), with positions.
+ */
+async function studentEntries(period_id, student_code, now = new Date()) {
+  await expireOffers(now);
+  const mine = await store.waitlist.list({ period_id: String(period_id), student_code: String(student_code) });
+
+  const out = [];
+  for (const e of mine) {
+    if (e.status !== WAITLIST_STATUS.WAITING) {
+      out.push({ ...e, position: null });
+      continue;
+    }
+    const queue = await sectionEntries(period_id, e.course_code, e.group_code);
+    out.push(queue.find((q) => q.id === e.id));
+  }
+  return out;
+}
+
+async function ownedEntry(id, student_code) {
+  const entry = await store.waitlist.get(id).catch(() => null);
+  if (!entry || String(entry.student_code) !== String(student_code)) return null;
+  return entry;
+}
+
+// Returns the updated entry, or null when it is not the student's / no longer active
+async function leaveWaitlist({ id, student_code }) {
+  const entry = await ownedEntry(id, student_code);
+  if (!entry || !ACTIVE_STATUSES.includes(entry.status)) return null;
+
+  await store.waitlist.update(entry.id, { status: WAITLIST_STATUS.CANCELLED });
+  return { ...entry, status: WAITLIST_STATUS.CANCELLED };
+}
+
+/**
+ * ✅ Accept a promotion inside its window.
+ * Returns { ok, entry } or { ok: false, error: "not_found" | "not_promoted" | "offer_expired" }
+ */
+async function acceptOffer({ id, student_code, now = new Date() }) {
+  const entry = await ownedEntry(id, student_code);
+  if (!entry) return { ok: false, error: "not_found" };
+  if (entry.status !== WAITLIST_STATUS.PROMOTED) return { ok: false, error: "not_promoted" };
+
+  if (!entry.offer_expires_at || new Date(entry.offer_expires_at) <= now) {
+    await store.waitlist.update(entry.id, { status: WAITLIST_STATUS.EXPIRED });
+    return { ok: false, error: "offer_expired" };
+  }
+
+  const patch = { status: WAITLIST_STATUS.ACCEPTED, accepted_at: now.toISOString() };
+  await store.waitlist.update(entry.id, patch);
+  return { ok: true, entry: { ...entry, ...patch } };
+}
+
+/**
+ * ✅ Admin: offer the seat to a waiting student (seat held for the whole window).
+ * hours: offer window for this period (null => WAITLIST_OFFER_HOURS)
+ * Returns { ok, entry } or { ok: false, error: "not_found" | "not_waiting" }
+ */
+async function promoteEntry(id, { by, hours = null, now = new Date() } = {}) {
+  const entry = await store.waitlist.get(id).catch(() => null);
+  if (!entry) return { ok: false, error: "not_found" };
+  if (entry.status !== WAITLIST_STATUS.WAITING) return { ok: false, error: "not_waiting" };
+
+  const windowHours = Number(hours) > 0 ? Number(hours) : offerHours();
+  const expires = new Date(now.getTime() + windowHours * 60 * 60 * 1000);
+  const patch = {
+    status: WAITLIST_STATUS.PROMOTED,
+    promoted_at: now.toISOString(),
+    promoted_by: by || null,
+    offer_expires_at: expires.toISOString(),
+  };
+  await store.waitlist.update(entry.id, patch);
+
+  await holdSeat({
+    period_id: entry.period_id,
+    student_code: entry.student_code,
+    course_code: entry.course_code,
+    group_code: entry.group_code,
+    until: expires,
+    now,
+  });
+
+  return { ok: true, entry: { ...entry, ...patch } };
+}
+
+async function markNotified(id, now = new Date()) {
+  await store.waitlist.update(id, { notified_at: now.toISOString() });
+}
+
+/**
+ * ✅ Admin view: one block per section (course + group), queue order.
+ * faculty: coordinator scope (null => all)
+ */
+async function listSections({ period_id, faculty = null, now = new Date() } = {}) {
+  await expireOffers(now);
+  const rows = withPositions(
+    await store.waitlist.list({ period_id: period_id ? String(period_id) : undefined, faculty })
+  );
+
+  const sections = {};
+  rows.forEach((e) => {
+    const k = `${e.period_id}|${e.course_code}|${e.group_code}`;
+    if (!sections[k]) {
+      sections[k] = {
+        period_id: e.period_id,
+        course_code: e.course_code,
+        course_name: e.course_name || "",
+        group_code: e.group_code,
+        waiting: 0,
+        entries: [],
+      };
+    }
+    if (e.status === WAITLIST_STATUS.WAITING) sections[k].waiting += 1;
+    sections[k].entries.push(e);
+  });
+
+  return Object.values(sections).sort(
+    (a, b) => b.waiting - a.waiting || a.course_code.localeCompare(b.course_code) || a.group_code.localeCompare(b.group_code)
+  );
+}
+
+// Email for a promoted student
+function promotionEmail(entry) {
+  const until = new Date(entry.offer_expires_at).toLocaleString("es-PE", {
+    timeZone: "America/Lima",
+    hour12: false,
+  });
+  return {
+    subject: `Cupo disponible - ${entry.course_code} sección ${entry.group_code}`,
+    text: [
+      `Hola ${entry.student_name || ""}`.trim() + ",",
+      "",
+      `Se liberó un cupo en la sección ${entry.group_code} de ${entry.course_code}${entry.course_name ? ` (${entry.course_name})` : ""} y eres el siguiente en la lista de espera.`,
+      `Ingresa al portal de rectificación y acepta el cupo antes del ${until}. Pasado ese plazo, el cupo se ofrecerá al siguiente estudiante.`,
+    ].join("\n"),
+  };
+}
+
+function startOfferSweeper(intervalMs = 5 * 60 * 1000) {
+  const timer = setInterval(() => {
+    expireOffers().catch((e) => console.warn("Waitlist offer sweep failed:", e.message));
+  }, intervalMs);
+  if (timer.unref) timer.unref();
+  return timer;
+}
+
+module.exports = {
+  WAITLIST_STATUS,
+  WAITLIST_STATUS_LABELS,
+  offerHours,
+  joinWaitlist,
+  leaveWaitlist,
+  studentEntries,
+  acceptOffer,
+  promoteEntry,
+  markNotified,
+  listSections,
+  promotionEmail,
+  expireOffers,
+  startOfferSweeper,
+};